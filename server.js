@@ -1,6 +1,6 @@
 import express from 'express';
+import http from 'http';
 import { WebSocketServer } from 'ws';
-import axios from 'axios';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { exec } from 'child_process';
@@ -32,6 +32,9 @@ try {
     };
 }
 
+// CollectiveIntelligence may be the basic-mode stand-in, which has no mesh network
+const meshAvailable = typeof CollectiveIntelligence.prototype.handleConnection === 'function';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -40,17 +43,50 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Authentication: API keys / signed tokens with kiosk < staff < manager < owner roles
+import { AuthManager, ROLES } from './src/auth/AuthManager.js';
+const auth = new AuthManager();
+const requireRole = (role, options) => auth.requireRole(role, options);
+
+// Request schemas and the { error: { code, message, details } } envelope
+import { sendError, notFoundHandler, errorHandler } from './src/api/errors.js';
+import { validate, validateRequest } from './src/api/validation.js';
+import { schemas, wsMessageSchemas } from './src/api/schemas.js';
+import { buildOpenApiSpec, findUndocumentedRoutes } from './src/api/openapi.js';
+import { buildAsyncApiSpec, findUndocumentedMessages } from './src/api/asyncapi.js';
+import { createUpgradeHandler, listenStandalone, startHeartbeat } from './src/api/websocket.js';
+import { sendMedia } from './src/api/media.js';
+import { UrlSigner } from './src/auth/UrlSigner.js';
+
+// Audio links expire after AUDIO_URL_TTL_SECONDS; browsers play them without credentials
+const urlSigner = new UrlSigner();
+
+const { version: API_VERSION } = JSON.parse(await fs.readFile(path.join(__dirname, 'package.json'), 'utf8'));
+
+// WebSocket channels are upgraded from the HTTP server by path; MESH_PORT and
+// VOICE_WS_PORT additionally expose a channel on its own port (opt-in)
+const WS_VOICE_PATH = '/ws/voice';
+const WS_MESH_PATH = '/ws/mesh';
+const WS_TELEPHONY_PATH = '/ws/telephony/twilio';
+const WS_ESCALATIONS_PATH = '/ws/escalations';
+
+// Guest audio for speech-to-text: raw on /api/voice/transcribe, base64 in JSON (4/3 the size) on /api/voice/speak
+const MAX_AUDIO_BYTES = parseInt(process.env.STT_MAX_AUDIO_BYTES || String(10 * 1024 * 1024), 10);
+const audioUploadParser = express.raw({ type: ['audio/*', 'application/octet-stream'], limit: MAX_AUDIO_BYTES });
+
 // Middleware
-app.use(cors());
+app.use(cors(process.env.CORS_ORIGINS ? { origin: process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) } : undefined));
+app.use('/api/voice/speak', express.json({ limit: Math.ceil(MAX_AUDIO_BYTES * 4 / 3) + 64 * 1024 }));
 app.use(express.json());
-app.use(express.static('.'));
+
+// Only the web pages are served from disk; everything else in the repo (.env, data/) stays private
+const PUBLIC_PAGES = ['index.html', 'voice-chat.html', 'intelligence-dashboard.html', 'test-voice-agents.html', 'demo-scenarios.html', 'api-docs.html'];
+const publicPaths = new Set(['/', ...PUBLIC_PAGES.map(page => `/${page}`)]);
+const servePages = express.static(__dirname, { index: 'index.html', dotfiles: 'deny' });
+app.use((req, res, next) => (publicPaths.has(req.path) ? servePages(req, res, next) : next()));
 
 // ElevenLabs configuration
 const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
-const ELEVENLABS_BASE_URL = 'https://api.elevenlabs.io/v1';
-
-// Load agent configurations
-let agentConfigs = {};
 
 // Initialize Intelligence Systems
 const collectiveIntelligence = new CollectiveIntelligence();
@@ -62,18 +98,153 @@ const db = new DatabaseManager();
 
 // Initialize Voice Manager
 import VoiceManager from './src/voice/VoiceManager.js';
-const voiceManager = new VoiceManager();
+import { SentenceSegmenter } from './src/voice/SentenceSegmenter.js';
+import { ConversationRecorder } from './src/voice/ConversationRecorder.js';
+import { TranscriptExporter } from './src/voice/TranscriptExporter.js';
+import { SessionRelay } from './src/voice/SessionRelay.js';
+import { TurnDetector } from './src/voice/TurnDetector.js';
+import { TwilioMediaStream } from './src/telephony/TwilioMediaStream.js';
+import { streamTwiml, validateTwilioSignature } from './src/telephony/twilio.js';
+import { formatFromContentType } from './src/stt/index.js';
+import { EscalationQueue, EscalationError } from './src/escalation/EscalationQueue.js';
+import { StaffConsole } from './src/escalation/StaffConsole.js';
+import { ReservationBook, ReservationError } from './src/reservations/ReservationBook.js';
+import { createReservationTools } from './src/reservations/tools.js';
+import { Waitlist, WaitlistError } from './src/waitlist/Waitlist.js';
+import { createWaitlistTools } from './src/waitlist/tools.js';
+import { createNotifier } from './src/notifications/index.js';
+import { TableBoard, SeatingError } from './src/seating/TableBoard.js';
+import { createSeatingTools } from './src/seating/tools.js';
+import { EventStream } from './src/api/sse.js';
+import { AgentTools } from './src/voice/AgentTools.js';
+import { ScenarioManager } from './src/config/ScenarioManager.js';
+
+// Reservations are sized by the RESTAURANT_SCENARIO loaded in startServer()
+const reservations = new ReservationBook({ db });
+const waitlist = new Waitlist({ db, reservations, notifier: createNotifier() }).attach();
+const tables = new TableBoard({ reservations, waitlist });
+// Waitlist and tables first: "how long is the wait for a table for two?" and "any tables free
+// right now?" are about walking in, not booking
+const agentTools = new AgentTools([
+    ...createWaitlistTools(waitlist),
+    ...createSeatingTools(tables),
+    ...createReservationTools(reservations)
+]);
+
+// Hosts following the waitlist over GET /api/waitlist/stream
+const waitlistStream = new EventStream();
+waitlist.on('changed', async () => {
+    if (waitlistStream.size === 0) return;
+    try {
+        waitlistStream.broadcast({ type: 'waitlist_updated', entries: await waitlist.list() });
+    } catch (error) {
+        console.error('Waitlist stream update failed:', error);
+    }
+});
+
+// Hosts following the floor over GET /api/floor/stream
+const floorStream = new EventStream();
+tables.on('changed', () => {
+    if (floorStream.size > 0) floorStream.broadcast({ type: 'floor_updated', ...tables.floor() });
+});
+
+const voiceManager = new VoiceManager({
+    audioUrlFor: (key) => urlSigner.sign(`/api/audio/${key}`),
+    maxAudioBytes: MAX_AUDIO_BYTES,
+    agentTools
+});
+new ConversationRecorder(voiceManager, db).attach();
+
+// Conversations the agents can't handle queue up for staff, who can take them over
+const escalations = new EscalationQueue({ voiceManager }).attach();
+const staffConsole = new StaffConsole(escalations, { auth }).attach();
+
+// WebSocket voice sessions outlive their socket for WS_RESUME_TTL_MS so clients can resume them
+const sessionRelay = new SessionRelay();
+sessionRelay.on('expired', ({ sessionId }) => {
+    console.log(`Voice session ${sessionId} expired without being resumed`);
+    voiceManager.endConversation(sessionId, { reason: 'disconnected' });
+});
+sessionRelay.on('slowConsumer', ({ sessionId, bufferedAmount }) => {
+    console.warn(`Closing WebSocket for ${sessionId}: ${bufferedAmount} bytes unsent`);
+});
+voiceManager.on('conversationEnded', ({ sessionId, endReason }) => {
+    if (!sessionRelay.has(sessionId)) return;
+
+    sessionRelay.send(sessionId, { type: 'voice_ended', reason: endReason, timestamp: new Date().toISOString() });
+    sessionRelay.close(sessionId);
+});
+voiceManager.on('conversationHandoff', ({ sessionId, handoff, introduction }) => {
+    const to = agentRegistry.get(handoff.toAgentId);
+    console.log(`🔀 Voice session ${sessionId} handed from ${handoff.fromAgentId} to ${to.id} (${handoff.trigger}${handoff.reason ? `: ${handoff.reason}` : ''})`);
+    if (!sessionRelay.has(sessionId)) return;
+
+    sessionRelay.send(sessionId, {
+        type: 'agent_handoff',
+        fromAgentId: handoff.fromAgentId,
+        toAgentId: to.id,
+        agentName: to.name,
+        voice: { voiceId: to.voiceConfig.voiceId, accent: to.voiceConfig.accent },
+        reason: handoff.reason,
+        trigger: handoff.trigger,
+        introduction: introduction?.content || null,
+        timestamp: new Date(handoff.timestamp).toISOString()
+    });
+});
+voiceManager.on('sessionTimedOut', ({ sessionId, idleMs }) => {
+    console.log(`Voice session ${sessionId} timed out after ${Math.round(idleMs / 1000)}s idle`);
+});
+
+// The guest learns when staff have been paged, join and leave
+const relayEscalation = (ticket) => {
+    if (!sessionRelay.has(ticket.sessionId)) return;
+
+    sessionRelay.send(ticket.sessionId, {
+        type: 'escalation_update',
+        ticketId: ticket.id,
+        status: ticket.status,
+        reason: ticket.reason,
+        staff: ticket.claimedBy,
+        timestamp: new Date().toISOString()
+    });
+};
+escalations.on('ticketOpened', (ticket) => {
+    console.log(`🙋 Escalation ${ticket.id} for ${ticket.sessionId} (${ticket.trigger}${ticket.reason ? `: ${ticket.reason}` : ''})`);
+    relayEscalation(ticket);
+});
+escalations.on('ticketUpdated', relayEscalation);
+
+// Staff messages are spoken to the guest in the agent's voice (phone calls speak their own)
+voiceManager.on('staffMessage', async ({ sessionId, message }) => {
+    if (!sessionRelay.has(sessionId)) return;
+
+    try {
+        const audioResult = await voiceManager.synthesizeSpeech(message.content, message.agentId);
+        const duration = audioResult?.duration ?? voiceManager.estimateAudioDuration(message.content);
+        if (audioResult?.audioUrl) {
+            voiceManager.recordStaffAudio(sessionId, message, { text: message.content, duration, audioUrl: audioResult.audioUrl });
+        }
+
+        sessionRelay.send(sessionId, {
+            type: 'staff_message',
+            staff: message.staff,
+            text: message.content,
+            audioUrl: audioResult?.audioUrl,
+            duration,
+            timestamp: new Date(message.timestamp).toISOString()
+        });
+    } catch (error) {
+        console.error(`Staff message for ${sessionId} failed:`, error);
+    }
+});
 
-async function loadAgentConfigs() {
+// Canonical agent registry shared with the CLI and voice layer
+import { agentRegistry } from './src/agents/registry.js';
+
+function loadAgentConfigs() {
     try {
-        const configPath = path.join(__dirname, 'convai-configs', 'all-agents.json');
-        const data = await fs.readFile(configPath, 'utf8');
-        const config = JSON.parse(data);
-        agentConfigs = config.agents.reduce((acc, agent) => {
-            acc[agent.id] = agent;
-            return acc;
-        }, {});
-        console.log(`✅ Loaded ${Object.keys(agentConfigs).length} agent configurations`);
+        agentRegistry.load();
+        console.log(`✅ Loaded ${agentRegistry.list().length} agent configurations`);
     } catch (error) {
         console.error('Failed to load agent configs:', error);
     }
@@ -84,7 +255,7 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
-        agents: Object.keys(agentConfigs).length,
+        agents: agentRegistry.list().length,
         intelligence: CollectiveIntelligence ? 'enabled' : 'disabled',
         prediction: PredictiveEngine ? 'enabled' : 'disabled'
     });
@@ -92,28 +263,58 @@ app.get('/health', (req, res) => {
 
 // API Routes
 
+// Machine-readable API descriptions (public; browse them at /api-docs.html)
+app.get('/api/openapi.json', (req, res) => {
+    res.json(buildOpenApiSpec(app, { version: API_VERSION, serverUrl: `${req.protocol}://${req.get('host')}` }));
+});
+
+app.get('/api/asyncapi.json', (req, res) => {
+    res.json(buildAsyncApiSpec({ version: API_VERSION, url: req.get('host'), secure: req.secure }));
+});
+
+// Current caller's identity and role
+app.get('/api/auth/me', requireRole('kiosk'), (req, res) => {
+    res.json({ ...req.principal, authRequired: auth.required });
+});
+
+// Issue a signed token; callers can't grant a role above their own
+app.post('/api/auth/token', requireRole('manager'), validateRequest(schemas.issueToken), (req, res) => {
+    const { role, subject, ttlSeconds } = req.body;
+
+    if (!auth.hasRole(req.principal, role)) {
+        return sendError(res, 403, `Cannot issue ${role} tokens with the ${req.principal.role} role`, {
+            details: { field: 'body.role', allowed: ROLES.slice(0, ROLES.indexOf(req.principal.role) + 1) }
+        });
+    }
+    if (!auth.secret) {
+        return sendError(res, 503, 'Token issuing is disabled: AUTH_SECRET is not set');
+    }
+
+    const token = auth.issueToken({ subject, role, ttlSeconds });
+    res.status(201).json({ token, ...auth.verifyToken(token) });
+});
+
 // Get all agents
-app.get('/api/agents', (req, res) => {
-    res.json(Object.values(agentConfigs));
+app.get('/api/agents', requireRole('kiosk'), (req, res) => {
+    res.json(agentRegistry.list());
 });
 
 // Get specific agent
-app.get('/api/agents/:id', (req, res) => {
-    const agent = agentConfigs[req.params.id];
+app.get('/api/agents/:id', requireRole('kiosk'), validateRequest(schemas.getAgent), (req, res) => {
+    const agent = agentRegistry.get(req.params.id);
     if (!agent) {
-        return res.status(404).json({ error: 'Agent not found' });
+        return sendError(res, 404, `Agent ${req.params.id} not found`);
     }
     res.json(agent);
 });
 
 // Test agent voice
-app.post('/api/agents/:id/test', async (req, res) => {
-    const agentId = req.params.id;
+app.post('/api/agents/:id/test', requireRole('kiosk'), validateRequest(schemas.testAgent), async (req, res) => {
     const { message } = req.body;
-    const agent = agentConfigs[agentId];
+    const agent = agentRegistry.get(req.params.id);
 
     if (!agent) {
-        return res.status(404).json({ error: 'Agent not found' });
+        return sendError(res, 404, `Agent ${req.params.id} not found`);
     }
 
     try {
@@ -121,7 +322,7 @@ app.post('/api/agents/:id/test', async (req, res) => {
         const response = await generateAgentResponse(agent, message);
 
         // Synthesize speech using ElevenLabs
-        const audioUrl = await synthesizeSpeech(response.text, agent.voice_id);
+        const audioUrl = await synthesizeSpeech(response.text, agent.voiceConfig);
 
         res.json({
             agent: agent.name,
@@ -134,24 +335,23 @@ app.post('/api/agents/:id/test', async (req, res) => {
 
     } catch (error) {
         console.error('Error testing agent:', error);
-        res.status(500).json({ error: 'Failed to generate response' });
+        sendError(res, 500, 'Failed to generate response');
     }
 });
 
 // Deploy agent to ConvAI
-app.post('/api/agents/:id/deploy', async (req, res) => {
-    const agentId = req.params.id;
-    const agent = agentConfigs[agentId];
+app.post('/api/agents/:id/deploy', requireRole('owner'), validateRequest(schemas.deployAgent), async (req, res) => {
+    const agent = agentRegistry.get(req.params.id);
 
     if (!agent) {
-        return res.status(404).json({ error: 'Agent not found' });
+        return sendError(res, 404, `Agent ${req.params.id} not found`);
     }
 
     try {
         const execAsync = promisify(exec);
 
         // Create agent configuration
-        const configPath = path.join(__dirname, 'convai-configs', `${agentId}-deploy.json`);
+        const configPath = path.join(__dirname, 'convai-configs', `${agent.id}-deploy.json`);
         await fs.writeFile(configPath, JSON.stringify({
             name: agent.name,
             prompt: agent.prompt,
@@ -161,7 +361,7 @@ app.post('/api/agents/:id/deploy', async (req, res) => {
                 temperature: 0.7
             },
             tts: {
-                voice_id: agent.voice_id,
+                voice_id: agent.voiceConfig.voiceId,
                 model: "eleven_turbo_v2",
                 stability: 0.8,
                 similarity_boost: 0.85,
@@ -183,30 +383,88 @@ app.post('/api/agents/:id/deploy', async (req, res) => {
 
     } catch (error) {
         console.error('Deployment error:', error);
-        res.status(500).json({ error: 'Deployment failed', details: error.message });
+        sendError(res, 500, 'Deployment failed', { code: 'deployment_failed', details: { reason: error.message } });
     }
 });
 
 // Get conversation history
-app.get('/api/conversations', async (req, res) => {
-    // In production, this would fetch from a database
-    res.json({
-        conversations: [
-            {
-                id: 1,
-                agent: 'Chef Sophia Romano',
-                timestamp: new Date().toISOString(),
-                messages: [
-                    { role: 'user', content: "What's your signature dish?" },
-                    { role: 'agent', content: "Bellissimo! My signature dish is osso buco!" }
-                ]
-            }
-        ]
-    });
+// Filters: agentId, userId, from, to, sentiment (positive|neutral|negative),
+// minSentiment, maxSentiment; paginate with limit and the returned nextCursor
+app.get('/api/conversations', requireRole('manager'), validateRequest(schemas.listConversations), async (req, res) => {
+    const { agentId, userId, from, to, sentiment, minSentiment, maxSentiment, limit, cursor } = req.query;
+
+    if (cursor) {
+        try {
+            db.decodeCursor(cursor);
+        } catch (error) {
+            return sendError(res, 400, 'query.cursor is not a cursor returned by this endpoint', {
+                details: [{ field: 'query.cursor', rule: 'format', message: 'query.cursor is not a valid cursor' }]
+            });
+        }
+    }
+
+    try {
+        const page = await db.listConversations({
+            agentId: agentId ? agentRegistry.resolveId(agentId) || agentId : undefined,
+            userId,
+            from,
+            to,
+            sentiment,
+            minSentiment,
+            maxSentiment,
+            limit,
+            cursor
+        });
+
+        res.json(page);
+    } catch (error) {
+        console.error('Conversation history error:', error);
+        sendError(res, 500, 'Failed to load conversations');
+    }
+});
+
+// Stored conversation with all messages
+app.get('/api/conversations/:sessionId', requireRole('manager'), validateRequest(schemas.getConversation), async (req, res) => {
+    try {
+        const conversation = await db.getConversation(req.params.sessionId);
+
+        if (!conversation) {
+            return sendError(res, 404, `Conversation ${req.params.sessionId} not found`);
+        }
+
+        res.json(conversation);
+    } catch (error) {
+        console.error('Conversation history error:', error);
+        sendError(res, 500, 'Failed to load conversation');
+    }
+});
+
+// Export a stored conversation as json, csv, text or vtt (WebVTT captions)
+app.get('/api/conversations/:sessionId/transcript', requireRole('manager'), validateRequest(schemas.exportTranscript), async (req, res) => {
+    const exporter = new TranscriptExporter();
+
+    try {
+        const conversation = await db.getConversation(req.params.sessionId);
+
+        if (!conversation) {
+            return sendError(res, 404, `Conversation ${req.params.sessionId} not found`);
+        }
+
+        const transcript = exporter.render(conversation, req.query.format);
+
+        res.type(transcript.contentType);
+        if (req.query.download) {
+            res.attachment(transcript.filename);
+        }
+        res.send(transcript.body);
+    } catch (error) {
+        console.error('Transcript export error:', error);
+        sendError(res, 500, 'Failed to export transcript');
+    }
 });
 
 // Test scenario
-app.post('/api/scenarios/:type', async (req, res) => {
+app.post('/api/scenarios/:type', requireRole('staff'), validateRequest(schemas.runScenario), async (req, res) => {
     const scenarioType = req.params.type;
     const scenarios = {
         dinner_rush: {
@@ -228,7 +486,7 @@ app.post('/api/scenarios/:type', async (req, res) => {
 
     const scenario = scenarios[scenarioType];
     if (!scenario) {
-        return res.status(404).json({ error: 'Scenario not found' });
+        return sendError(res, 404, `Scenario ${scenarioType} not found`, { details: { available: Object.keys(scenarios) } });
     }
 
     res.json(scenario);
@@ -237,7 +495,7 @@ app.post('/api/scenarios/:type', async (req, res) => {
 // Intelligence API Endpoints
 
 // Predict customer needs
-app.post('/api/intelligence/predict', async (req, res) => {
+app.post('/api/intelligence/predict', requireRole('staff'), validateRequest(schemas.predictCustomerNeeds), async (req, res) => {
     const { customerId, context } = req.body;
 
     try {
@@ -253,23 +511,23 @@ app.post('/api/intelligence/predict', async (req, res) => {
         res.json(predictions);
     } catch (error) {
         console.error('Prediction error:', error);
-        res.status(500).json({ error: 'Failed to generate predictions' });
+        sendError(res, 500, 'Failed to generate predictions');
     }
 });
 
 // Get collective insights
-app.get('/api/intelligence/insights', async (req, res) => {
+app.get('/api/intelligence/insights', requireRole('manager'), async (req, res) => {
     try {
         const insights = collectiveIntelligence.generateInsights();
         res.json(insights);
     } catch (error) {
         console.error('Insights error:', error);
-        res.status(500).json({ error: 'Failed to generate insights' });
+        sendError(res, 500, 'Failed to generate insights');
     }
 });
 
 // Forecast demand
-app.post('/api/intelligence/forecast', async (req, res) => {
+app.post('/api/intelligence/forecast', requireRole('manager'), validateRequest(schemas.forecastDemand), async (req, res) => {
     const { timeframe = 'week' } = req.body;
 
     try {
@@ -277,12 +535,12 @@ app.post('/api/intelligence/forecast', async (req, res) => {
         res.json(forecast);
     } catch (error) {
         console.error('Forecast error:', error);
-        res.status(500).json({ error: 'Failed to generate forecast' });
+        sendError(res, 500, 'Failed to generate forecast');
     }
 });
 
 // Optimize staffing
-app.post('/api/intelligence/optimize-staff', async (req, res) => {
+app.post('/api/intelligence/optimize-staff', requireRole('manager'), validateRequest(schemas.optimizeStaffing), async (req, res) => {
     const { constraints } = req.body;
 
     try {
@@ -290,12 +548,12 @@ app.post('/api/intelligence/optimize-staff', async (req, res) => {
         res.json(optimization);
     } catch (error) {
         console.error('Optimization error:', error);
-        res.status(500).json({ error: 'Failed to optimize staffing' });
+        sendError(res, 500, 'Failed to optimize staffing');
     }
 });
 
 // Detect anomalies
-app.post('/api/intelligence/anomaly', async (req, res) => {
+app.post('/api/intelligence/anomaly', requireRole('staff'), validateRequest(schemas.detectAnomalies), async (req, res) => {
     const { metrics } = req.body;
 
     try {
@@ -303,12 +561,12 @@ app.post('/api/intelligence/anomaly', async (req, res) => {
         res.json(anomaly);
     } catch (error) {
         console.error('Anomaly detection error:', error);
-        res.status(500).json({ error: 'Failed to detect anomalies' });
+        sendError(res, 500, 'Failed to detect anomalies');
     }
 });
 
 // Agent learning endpoint
-app.post('/api/intelligence/learn', async (req, res) => {
+app.post('/api/intelligence/learn', requireRole('staff'), validateRequest(schemas.recordLearning), async (req, res) => {
     const { agentId, interaction } = req.body;
 
     try {
@@ -316,22 +574,34 @@ app.post('/api/intelligence/learn', async (req, res) => {
         res.json({ success: true, message: 'Learning recorded' });
     } catch (error) {
         console.error('Learning error:', error);
-        res.status(500).json({ error: 'Failed to record learning' });
+        sendError(res, 500, 'Failed to record learning');
     }
 });
 
 // Voice API Endpoints
 
 // Start voice conversation
-app.post('/api/voice/start', async (req, res) => {
-    const { agentId, userId = 'anonymous' } = req.body;
+app.post('/api/voice/start', requireRole('kiosk'), validateRequest(schemas.startVoice), async (req, res) => {
+    const { agentId, userId } = req.body;
     const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
+    if (!agentRegistry.has(agentId)) {
+        return sendError(res, 404, `Agent ${agentId} not found`, { details: { field: 'body.agentId' } });
+    }
+
+    const owner = req.principal.subject;
+    if (!voiceManager.hasSessionCapacity(owner)) {
+        return sendError(res, 409, `Too many active voice sessions for ${owner}; end one first`, {
+            code: 'session_limit_reached',
+            details: { limit: voiceManager.maxSessionsPerUser }
+        });
+    }
+
     try {
-        const conversation = voiceManager.startConversation(sessionId, agentId, userId);
+        const conversation = voiceManager.startConversation(sessionId, agentId, userId, { owner });
         res.json({
             sessionId,
-            agentId,
+            agentId: conversation.agentId,
             message: 'Conversation started',
             conversation: {
                 startTime: conversation.startTime,
@@ -340,72 +610,220 @@ app.post('/api/voice/start', async (req, res) => {
         });
     } catch (error) {
         console.error('Voice conversation start error:', error);
-        res.status(500).json({ error: 'Failed to start conversation' });
+        sendError(res, 500, 'Failed to start conversation');
     }
 });
 
 // Process voice input
-app.post('/api/voice/speak', async (req, res) => {
-    const { sessionId, transcript, audioData } = req.body;
+app.post('/api/voice/speak', requireRole('kiosk'), validateRequest(schemas.speak), async (req, res) => {
+    const { sessionId, audioData } = req.body;
+    let { transcript } = req.body;
+
+    const conversation = voiceManager.conversations.get(sessionId);
+    if (!conversation) {
+        return sendError(res, 404, `Conversation ${sessionId} not found`, { details: { field: 'body.sessionId' } });
+    }
+    if (!checkSessionOwner(req, res, conversation)) return;
+
+    if (!transcript && !audioData) {
+        return sendError(res, 400, 'body.transcript or body.audioData is required', {
+            details: [{ field: 'body.transcript', rule: 'required', message: 'body.transcript or body.audioData is required' }]
+        });
+    }
+
+    // Audio without a transcript (no browser speech recognition, phone lines) is transcribed here
+    let recognition = null;
+    if (!transcript) {
+        try {
+            recognition = await voiceManager.transcribeSpeech(audioData, {
+                format: req.body.audioFormat,
+                sampleRate: req.body.sampleRate,
+                language: req.body.language
+            });
+            transcript = recognition.text;
+        } catch (error) {
+            return sendTranscriptionError(res, error);
+        }
+    }
 
     try {
-        const response = await voiceManager.processSpeechInput(sessionId, transcript, audioData);
+        const response = await voiceManager.processSpeechInput(sessionId, transcript, audioData, { recognition });
 
         // Generate audio if synthesis is requested
         let audioResult = null;
-        if (response && response.text) {
-            const conversation = voiceManager.conversations.get(sessionId);
-            if (conversation) {
-                audioResult = await voiceManager.synthesizeSpeech(response.text, conversation.agentId);
+        if (response && response.text && !response.interrupted) {
+            const current = voiceManager.conversations.get(sessionId);
+            if (current) {
+                const signal = voiceManager.activeStreams.get(sessionId)?.controller.signal;
+                audioResult = await voiceManager.synthesizeSpeech(response.text, current.agentId, { signal });
             }
         }
 
+        if (audioResult?.audioUrl) {
+            voiceManager.recordAudioChunk(sessionId, response.responseId, {
+                text: response.text,
+                duration: audioResult.duration,
+                audioUrl: audioResult.audioUrl
+            });
+        }
+
         res.json({
+            responseId: response.responseId,
+            transcript,
+            recognition: recognition && recognitionSummary(recognition),
+            interrupted: response.interrupted,
             response: response.text,
             emotion: response.emotion,
             confidence: response.confidence,
             audioUrl: audioResult?.audioUrl,
             personalityFactors: response.personalityFactors,
+            agentId: response.agentId,
+            handoff: response.handoff && handoffSummary(response.handoff),
+            ...(response.awaitingStaff && { awaitingStaff: true }),
+            ...(response.toolCall && { toolCall: response.toolCall }),
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
         console.error('Voice processing error:', error);
-        res.status(500).json({ error: 'Failed to process voice input' });
+        sendError(res, 500, 'Failed to process voice input');
+    }
+});
+
+// Transcribe a raw audio upload (WAV, 16-bit PCM, Ogg/WebM Opus) without a voice session
+app.post('/api/voice/transcribe', requireRole('kiosk'), audioUploadParser, validateRequest(schemas.transcribe), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return sendError(res, 400, 'Send the audio as the request body with an audio/* Content-Type', {
+            details: [{ field: 'body', rule: 'required', message: 'body is required' }]
+        });
+    }
+
+    const fromHeader = formatFromContentType(req.get('content-type'));
+
+    try {
+        const recognition = await voiceManager.transcribeSpeech(req.body, {
+            format: req.query.format || fromHeader.format,
+            sampleRate: req.query.sampleRate || fromHeader.sampleRate,
+            language: req.query.language
+        });
+
+        res.json({ transcript: recognition.text, ...recognitionSummary(recognition) });
+    } catch (error) {
+        sendTranscriptionError(res, error);
+    }
+});
+
+// Twilio voice webhook: answer a call by streaming it to an agent over WS_TELEPHONY_PATH.
+// Twilio can't send an API key, so the request is authenticated by X-Twilio-Signature instead.
+app.post('/api/telephony/twilio/voice', express.urlencoded({ extended: false }), validateRequest(schemas.twilioVoice), (req, res) => {
+    const publicUrl = (process.env.TELEPHONY_PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    if (authToken) {
+        if (!validateTwilioSignature(authToken, publicUrl + req.originalUrl, req.body, req.get('x-twilio-signature'))) {
+            return sendError(res, 403, 'Invalid Twilio signature', { code: 'signature_invalid' });
+        }
+    } else if (auth.required) {
+        return sendError(res, 503, 'TWILIO_AUTH_TOKEN is required to accept calls while authentication is on');
+    }
+
+    // The stream can't carry headers or a query string, so a short-lived token rides in its parameters
+    let token;
+    if (auth.required) {
+        if (!auth.secret) {
+            return sendError(res, 503, 'AUTH_SECRET is required to authenticate call streams');
+        }
+        token = auth.issueToken({ subject: `twilio:${req.body.CallSid || 'call'}`, role: 'kiosk', ttlSeconds: 60 });
     }
+
+    res.type('text/xml').send(streamTwiml(`${publicUrl.replace(/^http/, 'ws')}${WS_TELEPHONY_PATH}`, {
+        agentId: req.query.agentId || process.env.TELEPHONY_AGENT_ID,
+        from: req.body.From,
+        token
+    }));
 });
 
 // Synthesize speech for text
-app.post('/api/voice/synthesize', async (req, res) => {
+app.post('/api/voice/synthesize', requireRole('kiosk'), validateRequest(schemas.synthesize), async (req, res) => {
     const { text, agentId } = req.body;
 
+    if (!agentRegistry.has(agentId)) {
+        return sendError(res, 404, `Agent ${agentId} not found`, { details: { field: 'body.agentId' } });
+    }
+
     try {
         const audioResult = await voiceManager.synthesizeSpeech(text, agentId);
 
         if (audioResult.error) {
-            return res.status(500).json({ error: audioResult.error });
+            return sendError(res, 503, audioResult.error, { code: 'speech_synthesis_unavailable' });
         }
 
         res.json({
             audioUrl: audioResult.audioUrl,
             duration: audioResult.duration,
-            voiceId: audioResult.voiceId
+            voiceId: audioResult.voiceId,
+            provider: audioResult.provider
         });
 
     } catch (error) {
         console.error('Speech synthesis error:', error);
-        res.status(500).json({ error: 'Failed to synthesize speech' });
+        sendError(res, 500, 'Failed to synthesize speech');
+    }
+});
+
+// Interrupt the agent mid-reply (barge-in)
+app.post('/api/voice/interrupt/:sessionId', requireRole('kiosk'), validateRequest(schemas.interruptVoice), (req, res) => {
+    const { sessionId } = req.params;
+    const { spokenText, playedMs } = req.body || {};
+
+    const conversation = voiceManager.conversations.get(sessionId);
+    if (!conversation) {
+        return sendError(res, 404, `Conversation ${sessionId} not found`);
+    }
+    if (!checkSessionOwner(req, res, conversation)) return;
+
+    const interruption = voiceManager.interruptResponse(sessionId, { spokenText, playedMs });
+    res.json({
+        interrupted: Boolean(interruption),
+        responseId: interruption?.responseId || null,
+        spokenText: interruption?.spokenText ?? null
+    });
+});
+
+// Transfer a conversation to another agent, who introduces themselves in their own voice
+app.post('/api/voice/handoff/:sessionId', requireRole('kiosk'), validateRequest(schemas.handoffVoice), async (req, res) => {
+    const { sessionId } = req.params;
+    const conversation = voiceManager.conversations.get(sessionId);
+
+    if (!conversation) {
+        return sendError(res, 404, `Conversation ${sessionId} not found`);
+    }
+    if (!checkSessionOwner(req, res, conversation)) return;
+    if (!agentRegistry.has(req.body.agentId)) {
+        return sendError(res, 404, `Agent ${req.body.agentId} not found`, { details: { field: 'body.agentId' } });
+    }
+    if (agentRegistry.resolveId(req.body.agentId) === conversation.agentId) {
+        return sendError(res, 409, `${conversation.agentId} is already handling this conversation`, { code: 'agent_already_assigned' });
+    }
+
+    try {
+        const { handoff, introduction } = await handOffConversation(sessionId, req.body);
+        res.json({ sessionId, ...handoffSummary(handoff), introduction });
+    } catch (error) {
+        console.error('Voice handoff error:', error);
+        sendError(res, 500, 'Failed to hand off conversation');
     }
 });
 
 // Get conversation history
-app.get('/api/voice/conversation/:sessionId', (req, res) => {
+app.get('/api/voice/conversation/:sessionId', requireRole('kiosk'), validateRequest(schemas.getVoiceConversation), (req, res) => {
     const { sessionId } = req.params;
     const conversation = voiceManager.conversations.get(sessionId);
 
     if (!conversation) {
-        return res.status(404).json({ error: 'Conversation not found' });
+        return sendError(res, 404, `Conversation ${sessionId} not found`);
     }
+    if (!checkSessionOwner(req, res, conversation)) return;
 
     res.json({
         sessionId,
@@ -419,228 +837,1071 @@ app.get('/api/voice/conversation/:sessionId', (req, res) => {
 });
 
 // End conversation
-app.post('/api/voice/end/:sessionId', (req, res) => {
+app.post('/api/voice/end/:sessionId', requireRole('kiosk'), validateRequest(schemas.endVoice), (req, res) => {
     const { sessionId } = req.params;
     const conversation = voiceManager.conversations.get(sessionId);
 
-    if (conversation) {
-        voiceManager.conversations.delete(sessionId);
-        res.json({ message: 'Conversation ended', duration: Date.now() - conversation.startTime });
-    } else {
-        res.status(404).json({ error: 'Conversation not found' });
+    if (!conversation) {
+        return sendError(res, 404, `Conversation ${sessionId} not found`);
     }
+    if (!checkSessionOwner(req, res, conversation)) return;
+
+    voiceManager.endConversation(sessionId);
+    res.json({ message: 'Conversation ended', duration: Date.now() - conversation.startTime });
 });
 
-// Generate agent response based on personality
-async function generateAgentResponse(agent, message) {
-    // In production, this would use GPT-4 or Claude with the agent's prompt
-    // For now, we'll use predefined responses based on personality
-
-    const responses = {
-        sophia: [
-            "Bellissimo! Let me share my passion for Italian cuisine with you.",
-            "Perfetto! Every dish must meet my high standards.",
-            "Madonna mia! Quality ingredients are everything in my kitchen."
-        ],
-        marcus: [
-            "I'm here to ensure every guest has an exceptional experience.",
-            "Let's work together to solve this challenge.",
-            "Every guest leaves as a friend - that's our motto!"
-        ],
-        isabella: [
-            "Ah, formidable question! Let me guide you through our wine selection.",
-            "The terroir speaks through every glass.",
-            "Mais oui! I have the perfect pairing for you."
-        ]
-    };
+// Escalation queue: open tickets first (high priority, then oldest), then claimed, newest first
+app.get('/api/escalations', requireRole('staff'), validateRequest(schemas.listEscalations), (req, res) => {
+    const tickets = escalations.list({ status: req.query.status });
+    res.json({ tickets, total: tickets.length });
+});
 
-    const agentResponses = responses[agent.id] || ["I'm here to help with restaurant operations."];
-    const responseText = agentResponses[Math.floor(Math.random() * agentResponses.length)];
+// The same live feed as WS_ESCALATIONS_PATH, read-only, as Server-Sent Events
+app.get('/api/escalations/stream', requireRole('staff', { queryToken: true }), (req, res) => {
+    staffConsole.handleStream(req, res);
+});
 
-    return {
-        text: responseText,
-        emotion: detectEmotion(message),
-        confidence: 0.85 + Math.random() * 0.15
-    };
-}
+// Page staff for a session (the kiosk's "talk to a person" button)
+app.post('/api/escalations', requireRole('kiosk'), validateRequest(schemas.openEscalation), (req, res) => {
+    // Unknown sessions fall through to the queue's session_not_found
+    const conversation = voiceManager.conversations.get(req.body.sessionId);
+    if (conversation && !checkSessionOwner(req, res, conversation)) return;
 
-// Synthesize speech using ElevenLabs
-async function synthesizeSpeech(text, voiceId) {
-    if (!ELEVENLABS_API_KEY) {
-        console.log('ElevenLabs API key not configured');
-        return null;
+    try {
+        const ticket = escalations.open(req.body.sessionId, { trigger: 'manual', reason: req.body.reason || 'Requested from the kiosk' });
+        res.status(201).json(ticket);
+    } catch (error) {
+        sendEscalationError(res, error);
     }
+});
 
+app.post('/api/escalations/:ticketId/claim', requireRole('staff'), validateRequest(schemas.claimEscalation), (req, res) => {
     try {
-        const response = await axios.post(
-            `${ELEVENLABS_BASE_URL}/text-to-speech/${voiceId}`,
-            {
-                text: text,
-                model_id: "eleven_turbo_v2",
-                voice_settings: {
-                    stability: 0.8,
-                    similarity_boost: 0.85,
-                    style: 0.7,
-                    use_speaker_boost: true
-                }
-            },
-            {
-                headers: {
-                    'xi-api-key': ELEVENLABS_API_KEY,
-                    'Content-Type': 'application/json'
-                },
-                responseType: 'arraybuffer'
-            }
-        );
-
-        // Save audio file
-        const audioBuffer = Buffer.from(response.data);
-        const filename = `audio_${Date.now()}.mp3`;
-        const audioPath = path.join(__dirname, 'temp', filename);
+        res.json(escalations.claim(req.params.ticketId, req.principal.subject));
+    } catch (error) {
+        sendEscalationError(res, error);
+    }
+});
 
-        await fs.mkdir(path.join(__dirname, 'temp'), { recursive: true });
-        await fs.writeFile(audioPath, audioBuffer);
+// Type to the guest while holding the ticket; spoken in the agent's voice
+app.post('/api/escalations/:ticketId/messages', requireRole('staff'), validateRequest(schemas.messageEscalation), (req, res) => {
+    try {
+        const message = escalations.sendMessage(req.params.ticketId, req.body.text, req.principal.subject);
+        res.status(201).json({
+            ticketId: req.params.ticketId,
+            messageId: message.id,
+            text: message.content,
+            timestamp: new Date(message.timestamp).toISOString()
+        });
+    } catch (error) {
+        sendEscalationError(res, error);
+    }
+});
 
-        return `/temp/${filename}`;
+// Hand the conversation back to the agent; managers can release tickets other staff hold
+app.post('/api/escalations/:ticketId/release', requireRole('staff'), validateRequest(schemas.releaseEscalation), (req, res) => {
+    try {
+        res.json(escalations.release(req.params.ticketId, req.principal.subject, {
+            resolution: req.body.resolution,
+            force: auth.hasRole(req.principal, 'manager')
+        }));
+    } catch (error) {
+        sendEscalationError(res, error);
+    }
+});
 
+// Free times for a party: one time and its nearest alternatives, or a whole day
+app.get('/api/reservations/availability', requireRole('kiosk'), validateRequest(schemas.reservationAvailability), async (req, res) => {
+    try {
+        const { partySize, date = localDate(new Date()), time } = req.query;
+        res.json(await reservations.availability({ date, time, partySize }));
     } catch (error) {
-        console.error('Speech synthesis error:', error.response?.data || error.message);
-        return null;
+        sendReservationError(res, error);
     }
-}
+});
 
-// Detect emotion from message
-function detectEmotion(message) {
-    const lowerMessage = message.toLowerCase();
+app.get('/api/reservations', requireRole('staff'), validateRequest(schemas.listReservations), async (req, res) => {
+    try {
+        const { date, status, confirmationCode } = req.query;
+        const found = confirmationCode ?
+            await reservations.get(confirmationCode).then(reservation => [reservation], () => []) :
+            await reservations.list({ date, status });
+        res.json({
+            reservations: found,
+            total: found.length,
+            guests: found.reduce((guests, reservation) => guests + reservation.partySize, 0)
+        });
+    } catch (error) {
+        sendReservationError(res, error);
+    }
+});
 
-    if (lowerMessage.includes('angry') || lowerMessage.includes('upset') || lowerMessage.includes('terrible')) {
-        return 'negative';
+app.post('/api/reservations', requireRole('kiosk'), validateRequest(schemas.createReservation), async (req, res) => {
+    try {
+        const reservation = await reservations.book({ ...req.body, source: 'api' });
+        res.status(201).json(reservation);
+    } catch (error) {
+        sendReservationError(res, error);
     }
+});
 
-    if (lowerMessage.includes('happy') || lowerMessage.includes('great') || lowerMessage.includes('excellent')) {
-        return 'positive';
+app.get('/api/reservations/:reservationId', requireRole('staff'), validateRequest(schemas.getReservation), async (req, res) => {
+    try {
+        res.json(await reservations.get(req.params.reservationId));
+    } catch (error) {
+        sendReservationError(res, error);
     }
+});
 
-    if (lowerMessage.includes('?')) {
-        return 'curious';
+// Move, resize or annotate a booking, or walk it through seated / completed / no_show
+app.patch('/api/reservations/:reservationId', requireRole('staff'), validateRequest(schemas.updateReservation), async (req, res) => {
+    try {
+        res.json(await reservations.update(req.params.reservationId, req.body));
+    } catch (error) {
+        sendReservationError(res, error);
     }
+});
 
-    return 'neutral';
-}
+app.post('/api/reservations/:reservationId/cancel', requireRole('staff'), validateRequest(schemas.cancelReservation), async (req, res) => {
+    try {
+        res.json(await reservations.cancel(req.params.reservationId, { reason: req.body.reason }));
+    } catch (error) {
+        sendReservationError(res, error);
+    }
+});
 
-// WebSocket for real-time communication
-const wss = new WebSocketServer({ port: 3001 });
+// Parties on the waitlist in order with their current estimates, or every entry with a status
+app.get('/api/waitlist', requireRole('staff'), validateRequest(schemas.listWaitlist), async (req, res) => {
+    try {
+        const entries = await waitlist.list({ status: req.query.status });
+        res.json({
+            entries,
+            total: entries.length,
+            waiting: entries.filter(entry => entry.status === 'waiting').length
+        });
+    } catch (error) {
+        sendWaitlistError(res, error);
+    }
+});
 
-wss.on('connection', (ws) => {
-    console.log('WebSocket client connected');
-    let currentSession = null;
+// The wait a walk-in party would be quoted now
+app.get('/api/waitlist/quote', requireRole('kiosk'), validateRequest(schemas.waitlistQuote), async (req, res) => {
+    try {
+        res.json(await waitlist.quote(req.query.partySize));
+    } catch (error) {
+        sendWaitlistError(res, error);
+    }
+});
 
-    ws.on('message', async (data) => {
-        try {
-            const message = JSON.parse(data);
+// The waitlist as Server-Sent Events: the list on connect, then again after every change
+app.get('/api/waitlist/stream', requireRole('staff', { queryToken: true }), async (req, res) => {
+    try {
+        waitlistStream.open(req, res, { type: 'waitlist_updated', entries: await waitlist.list() });
+    } catch (error) {
+        sendWaitlistError(res, error);
+    }
+});
 
-            switch(message.type) {
-                case 'voice_start':
-                    try {
-                        const sessionId = `ws_session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                        const conversation = voiceManager.startConversation(sessionId, message.agentId, message.userId || 'websocket_user');
-                        currentSession = sessionId;
+app.post('/api/waitlist', requireRole('kiosk'), validateRequest(schemas.joinWaitlist), async (req, res) => {
+    try {
+        res.status(201).json(await waitlist.add({ ...req.body, source: 'api' }));
+    } catch (error) {
+        sendWaitlistError(res, error);
+    }
+});
 
-                        ws.send(JSON.stringify({
-                            type: 'voice_started',
-                            sessionId,
-                            agentId: message.agentId,
-                            emotionalState: conversation.emotionalState
-                        }));
-                    } catch (error) {
-                        ws.send(JSON.stringify({
-                            type: 'error',
-                            message: 'Failed to start voice session'
-                        }));
-                    }
-                    break;
+app.get('/api/waitlist/:entryId', requireRole('staff'), validateRequest(schemas.getWaitlistEntry), async (req, res) => {
+    try {
+        res.json(await waitlist.get(req.params.entryId));
+    } catch (error) {
+        sendWaitlistError(res, error);
+    }
+});
 
-                case 'voice_input':
-                    if (!currentSession) {
-                        ws.send(JSON.stringify({
-                            type: 'error',
-                            message: 'No active voice session'
-                        }));
+// Seat a party, change its size or contact details, or mark it completed or a no-show
+app.patch('/api/waitlist/:entryId', requireRole('staff'), validateRequest(schemas.updateWaitlistEntry), async (req, res) => {
+    try {
+        res.json(await waitlist.update(req.params.entryId, req.body));
+    } catch (error) {
+        sendWaitlistError(res, error);
+    }
+});
+
+// Tell the party their table is ready (text or email when they left contact details)
+app.post('/api/waitlist/:entryId/notify', requireRole('staff'), validateRequest(schemas.notifyWaitlistEntry), async (req, res) => {
+    try {
+        res.json(await waitlist.notify(req.params.entryId, { text: req.body.text }));
+    } catch (error) {
+        sendWaitlistError(res, error);
+    }
+});
+
+app.post('/api/waitlist/:entryId/cancel', requireRole('staff'), validateRequest(schemas.cancelWaitlistEntry), async (req, res) => {
+    try {
+        res.json(await waitlist.cancel(req.params.entryId, { reason: req.body.reason }));
+    } catch (error) {
+        sendWaitlistError(res, error);
+    }
+});
+
+// The floor plan with every table's live state, section servers and totals
+app.get('/api/floor', requireRole('staff'), (req, res) => {
+    res.json(tables.floor());
+});
+
+// The floor as Server-Sent Events: floor_updated with the same body as GET /api/floor on connect and after every change
+app.get('/api/floor/stream', requireRole('staff', { queryToken: true }), (req, res) => {
+    floorStream.open(req, res, { type: 'floor_updated', ...tables.floor() });
+});
+
+app.get('/api/floor/tables', requireRole('staff'), validateRequest(schemas.listTables), (req, res) => {
+    try {
+        const found = tables.list({ section: req.query.section, state: req.query.state });
+        res.json({ tables: found, summary: tables.summary(found) });
+    } catch (error) {
+        sendSeatingError(res, error);
+    }
+});
+
+// Where the seating engine would put a party now, best first
+app.get('/api/floor/suggest', requireRole('staff'), validateRequest(schemas.suggestTable), (req, res) => {
+    try {
+        const tablePreferences = req.query.tablePreferences ? req.query.tablePreferences.split(',') : [];
+        res.json(tables.suggest({ partySize: req.query.partySize, tablePreferences }));
+    } catch (error) {
+        sendSeatingError(res, error);
+    }
+});
+
+app.post('/api/floor/seat', requireRole('staff'), validateRequest(schemas.seatParty), async (req, res) => {
+    try {
+        res.status(201).json(await tables.seat(req.body));
+    } catch (error) {
+        sendSeatingError(res, error);
+    }
+});
+
+// Move a table along: seated -> dessert -> check_dropped -> bussing -> available
+app.patch('/api/floor/tables/:tableId', requireRole('staff'), validateRequest(schemas.updateTable), async (req, res) => {
+    try {
+        res.json(await tables.setState(req.params.tableId, req.body.state));
+    } catch (error) {
+        sendSeatingError(res, error);
+    }
+});
+
+app.patch('/api/floor/sections/:sectionId', requireRole('manager'), validateRequest(schemas.assignSection), (req, res) => {
+    try {
+        res.json(tables.assignServer(req.params.sectionId, req.body.server));
+    } catch (error) {
+        sendSeatingError(res, error);
+    }
+});
+
+// Tool definitions as given to ConvAI agents (see ConvAIManager.generateTools)
+app.get('/api/tools', requireRole('kiosk'), validateRequest(schemas.listTools), (req, res) => {
+    const agentId = req.query.agentId && agentRegistry.resolveId(req.query.agentId);
+    if (req.query.agentId && !agentId) {
+        return sendError(res, 404, `Agent ${req.query.agentId} not found`);
+    }
+
+    const tools = agentId ? agentTools.forAgent(agentId) : [...agentTools.tools.values()];
+    res.json({ tools: tools.map(({ name, description, agents, parameters }) => ({ name, description, agents, parameters })) });
+});
+
+// Webhook for ConvAI agent tools. Outcomes the guest should hear (a full slot, an unknown
+// code) are ok: false results with a summary, not HTTP errors, so the agent can relay them.
+app.post('/api/tools/:name', requireRole('kiosk'), validateRequest(schemas.invokeTool), async (req, res) => {
+    const tool = agentTools.get(req.params.name);
+    if (!tool) {
+        return sendError(res, 404, `Tool ${req.params.name} not found`, { details: { available: [...agentTools.tools.keys()] } });
+    }
+
+    const { value: args, issues } = validate(tool.parameters, req.body || {}, { field: 'body' });
+    if (issues.length > 0) {
+        return sendError(res, 400, issues.map(issue => issue.message).join('; '), { details: issues });
+    }
+
+    try {
+        res.json(await agentTools.invoke(tool.name, args, { agentId: req.query.agentId || null, source: 'convai' }));
+    } catch (error) {
+        console.error(`Tool ${tool.name} failed:`, error);
+        sendError(res, 500, `Tool ${tool.name} failed`);
+    }
+});
+
+// Synthesized speech, addressed by content hash so it never changes and can be cached.
+// Open with the signed audioUrl from a voice response, or with normal API credentials.
+app.get('/api/audio/:key', validateRequest(schemas.getAudio), async (req, res, next) => {
+    const { expires, sig } = req.query;
+
+    if (!urlSigner.verify(req.path, expires, sig)) {
+        const principal = auth.resolvePrincipal(req);
+        if (!principal && sig) {
+            return sendError(res, 403, 'Audio link is invalid or has expired', { code: 'signature_invalid' });
+        }
+        if (!principal) {
+            return sendError(res, 401, 'Audio requires a signed link or API credentials');
+        }
+    }
+
+    try {
+        const audio = await voiceManager.audioCache.read(req.params.key);
+        if (!audio) {
+            return sendError(res, 404, 'Audio not found or evicted from the cache');
+        }
+
+        sendMedia(req, res, audio, {
+            contentType: req.params.key.endsWith('.wav') ? 'audio/wav' : 'audio/mpeg',
+            etag: `"${req.params.key}"`,
+            cacheControl: 'private, max-age=31536000, immutable'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Audio cache size and hit rate
+app.get('/api/voice/audio-cache', requireRole('manager'), (req, res) => {
+    res.json(voiceManager.audioCache.getMetrics());
+});
+
+// Text-to-speech providers in failover order, with any quota cooldowns
+app.get('/api/voice/tts', requireRole('manager'), (req, res) => {
+    res.json({ providers: voiceManager.tts.status() });
+});
+
+// Generate agent response based on personality
+async function generateAgentResponse(agent, message) {
+    // One-off exchange with the agent through the shared LLM provider
+    const completion = await voiceManager.generateReply(agent.id, [
+        { role: 'user', content: message }
+    ]);
+
+    return {
+        text: completion.text,
+        emotion: detectEmotion(message),
+        confidence: completion.confidence ?? 0.85
+    };
+}
+
+// Synthesize speech for an agent voiceConfig; identical requests come from the audio cache
+async function synthesizeSpeech(text, voiceConfig) {
+    const audioResult = await voiceManager.synthesizeWithVoice(text, voiceConfig);
+
+    if (audioResult.error) {
+        console.log(audioResult.error);
+        return null;
+    }
+
+    return audioResult.audioUrl;
+}
+
+// Detect emotion from message
+function detectEmotion(message) {
+    const lowerMessage = message.toLowerCase();
+
+    if (lowerMessage.includes('angry') || lowerMessage.includes('upset') || lowerMessage.includes('terrible')) {
+        return 'negative';
+    }
+
+    if (lowerMessage.includes('happy') || lowerMessage.includes('great') || lowerMessage.includes('excellent')) {
+        return 'positive';
+    }
+
+    if (lowerMessage.includes('?')) {
+        return 'curious';
+    }
+
+    return 'neutral';
+}
+
+// Explicit handoff (REST or WebSocket): switch agents, then voice the new agent's introduction
+async function handOffConversation(sessionId, { agentId, reason, introduce = true }) {
+    const { handoff, introduction } = voiceManager.handoffConversation(sessionId, agentRegistry.resolveId(agentId), {
+        reason: reason || null,
+        trigger: 'explicit',
+        introduce
+    });
+
+    if (!introduction) {
+        return { handoff, introduction: null };
+    }
+
+    const audioResult = await voiceManager.synthesizeSpeech(introduction.content, handoff.toAgentId);
+    if (audioResult?.audioUrl) {
+        introduction.audio.push({ text: introduction.content, duration: audioResult.duration, audioUrl: audioResult.audioUrl });
+        voiceManager.emit('messageUpdated', { sessionId, message: introduction });
+    }
+
+    return {
+        handoff,
+        introduction: {
+            text: introduction.content,
+            audioUrl: audioResult?.audioUrl || null,
+            duration: audioResult?.duration ?? voiceManager.estimateAudioDuration(introduction.content)
+        }
+    };
+}
+
+// Only the client that started a voice session can drive or read it; managers and owners can step in.
+// Sends a 403 and returns false otherwise.
+function checkSessionOwner(req, res, conversation) {
+    if (conversation.owner === req.principal.subject || auth.hasRole(req.principal, 'manager')) {
+        return true;
+    }
+    sendError(res, 403, `Conversation ${conversation.sessionId} belongs to another client`, { code: 'not_session_owner' });
+    return false;
+}
+
+// The handoff as reported to clients; the summary stays server-side with the agents
+function handoffSummary(handoff) {
+    return {
+        fromAgentId: handoff.fromAgentId,
+        toAgentId: handoff.toAgentId,
+        reason: handoff.reason,
+        trigger: handoff.trigger
+    };
+}
+
+// Stream a reply as response_delta / audio_chunk / response_done messages so the
+// client can start speaking the first sentence while the rest is generated
+async function streamVoiceResponse(sessionId, message, recognition = null) {
+    const conversation = voiceManager.conversations.get(sessionId);
+    const activeResponse = voiceManager.beginResponse(sessionId);
+    const { responseId } = activeResponse;
+    const { signal } = activeResponse.controller;
+    const segmenter = new SentenceSegmenter();
+    let deltaIndex = 0;
+    let audioSequence = 0;
+    let audioQueue = Promise.resolve();
+
+    const send = (payload) => sessionRelay.send(sessionId, { ...payload, responseId });
+
+    // Synthesis starts as soon as a sentence is complete, but chunks are delivered in order
+    const speakSentence = (text) => {
+        const sequence = audioSequence++;
+        const synthesis = voiceManager.synthesizeSpeech(text, conversation.agentId, { signal });
+
+        audioQueue = audioQueue.then(async () => {
+            const audioResult = await synthesis;
+
+            // After a barge-in, nothing more from this response should reach the speaker
+            if (signal.aborted) return;
+
+            const chunk = {
+                type: 'audio_chunk',
+                sequence,
+                text,
+                audioUrl: audioResult?.audioUrl,
+                duration: audioResult?.duration ?? voiceManager.estimateAudioDuration(text)
+            };
+
+            voiceManager.recordAudioChunk(sessionId, responseId, chunk);
+            send(chunk);
+        });
+    };
+
+    const response = await voiceManager.processSpeechInput(
+        sessionId,
+        message.transcript,
+        message.audioData,
+        {
+            response: activeResponse,
+            recognition,
+            onDelta: (delta) => {
+                send({ type: 'response_delta', index: deltaIndex++, delta });
+                segmenter.push(delta).forEach(speakSentence);
+            }
+        }
+    );
+
+    if (!signal.aborted) {
+        segmenter.flush().forEach(speakSentence);
+    }
+    await audioQueue;
+
+    // A barge-in while sentences were still being synthesized cuts the stored message down
+    // after processSpeechInput returned, so report what the guest was actually left with
+    const stored = activeResponse.agentMessage;
+    send({
+        type: 'response_done',
+        response: stored ? stored.content : response.text,
+        interrupted: stored ? Boolean(stored.interrupted) : response.interrupted,
+        emotion: response.emotion,
+        confidence: response.confidence,
+        personalityFactors: response.personalityFactors,
+        agentId: response.agentId,
+        ...(response.awaitingStaff && { awaitingStaff: true }),
+        ...(response.toolCall && { toolCall: response.toolCall }),
+        audioChunks: audioSequence,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// WebSocket errors use the same code/message/details fields as the HTTP envelope
+function sendWsError(ws, code, message, details = null) {
+    ws.send(JSON.stringify({ type: 'error', code, message, details }));
+}
+
+// HTTP status for each TranscriptionError code
+const TRANSCRIPTION_ERROR_STATUS = {
+    invalid_audio: 400,
+    audio_too_large: 413,
+    no_speech_detected: 422,
+    transcription_failed: 502,
+    speech_recognition_unavailable: 503
+};
+
+function sendTranscriptionError(res, error) {
+    const status = TRANSCRIPTION_ERROR_STATUS[error.code];
+    if (!status) {
+        console.error('Transcription error:', error);
+        return sendError(res, 500, 'Failed to transcribe audio');
+    }
+    sendError(res, status, error.message, { code: error.code });
+}
+
+// HTTP status for each EscalationError code
+const ESCALATION_ERROR_STATUS = {
+    ticket_not_found: 404,
+    session_not_found: 404,
+    not_ticket_owner: 403,
+    ticket_claimed: 409,
+    ticket_closed: 409
+};
+
+function sendEscalationError(res, error) {
+    if (!(error instanceof EscalationError)) {
+        console.error('Escalation error:', error);
+        return sendError(res, 500, 'Failed to update escalation');
+    }
+    sendError(res, ESCALATION_ERROR_STATUS[error.code], error.message, { code: error.code });
+}
+
+// HTTP status for each ReservationError code
+const RESERVATION_ERROR_STATUS = {
+    reservation_not_found: 404,
+    slot_unavailable: 409,
+    reservation_closed: 409,
+    reservations_unavailable: 409,
+    outside_service_hours: 422,
+    party_too_large: 422,
+    reservation_in_past: 422,
+    missing_details: 422
+};
+
+function sendReservationError(res, error) {
+    if (!(error instanceof ReservationError)) {
+        console.error('Reservation error:', error);
+        return sendError(res, 500, 'Failed to process reservation');
+    }
+    sendError(res, RESERVATION_ERROR_STATUS[error.code], error.message, { code: error.code, details: error.details });
+}
+
+// HTTP status for each WaitlistError code
+const WAITLIST_ERROR_STATUS = {
+    entry_not_found: 404,
+    entry_closed: 409,
+    waitlist_unavailable: 409,
+    party_too_large: 422,
+    missing_details: 422
+};
+
+function sendWaitlistError(res, error) {
+    if (!(error instanceof WaitlistError)) {
+        console.error('Waitlist error:', error);
+        return sendError(res, 500, 'Failed to update the waitlist');
+    }
+    sendError(res, WAITLIST_ERROR_STATUS[error.code], error.message, { code: error.code, details: error.details });
+}
+
+// HTTP status for each SeatingError code
+const SEATING_ERROR_STATUS = {
+    table_not_found: 404,
+    section_not_found: 404,
+    table_unavailable: 409,
+    no_table_free: 409,
+    floor_unavailable: 409,
+    party_too_large: 422,
+    missing_details: 422
+};
+
+// Seating a reservation or waitlist party can fail on the booking itself
+function sendSeatingError(res, error) {
+    if (error instanceof ReservationError) return sendReservationError(res, error);
+    if (error instanceof WaitlistError) return sendWaitlistError(res, error);
+    if (!(error instanceof SeatingError)) {
+        console.error('Seating error:', error);
+        return sendError(res, 500, 'Failed to update the floor');
+    }
+    sendError(res, SEATING_ERROR_STATUS[error.code], error.message, { code: error.code, details: error.details });
+}
+
+// Today in the restaurant's time zone, as reservations are dated
+function localDate(when) {
+    return `${when.getFullYear()}-${String(when.getMonth() + 1).padStart(2, '0')}-${String(when.getDate()).padStart(2, '0')}`;
+}
+
+function recognitionSummary(recognition) {
+    return {
+        confidence: recognition.confidence,
+        language: recognition.language,
+        duration: recognition.duration,
+        words: recognition.words,
+        provider: recognition.provider
+    };
+}
+
+// WebSocket for real-time communication
+// Credentials come from ?token= (browsers) or the Authorization / X-API-Key headers;
+// voice needs kiosk or higher (agent_message: staff), the agent mesh and staff console need staff
+const server = http.createServer(app);
+const wss = new WebSocketServer({ noServer: true });
+const meshWss = new WebSocketServer({ noServer: true });
+const telephonyWss = new WebSocketServer({ noServer: true });
+const escalationWss = new WebSocketServer({ noServer: true });
+startHeartbeat(wss);
+startHeartbeat(meshWss);
+startHeartbeat(escalationWss);
+
+// Phone calls authenticate with the token in the Twilio start event, not on upgrade
+const wsRoutes = {
+    [WS_VOICE_PATH]: { wss, role: 'kiosk' },
+    [WS_TELEPHONY_PATH]: { wss: telephonyWss, role: null },
+    [WS_ESCALATIONS_PATH]: { wss: escalationWss, role: 'staff' },
+    ...(meshAvailable && { [WS_MESH_PATH]: { wss: meshWss, role: 'staff' } })
+};
+server.on('upgrade', createUpgradeHandler(auth, wsRoutes));
+
+telephonyWss.on('connection', (ws) => {
+    new TwilioMediaStream(ws, { voiceManager, auth, agentRegistry }).attach();
+});
+
+escalationWss.on('connection', (ws, req) => {
+    console.log(`Staff console connected (${req.principal.subject})`);
+    staffConsole.handleConnection(ws, req);
+});
+
+meshWss.on('connection', (ws, req) => {
+    console.log(`Mesh agent connected (${req.principal.subject})`);
+    collectiveIntelligence.handleConnection(ws, req);
+});
+
+wss.on('connection', (ws, req) => {
+    const principal = req.principal;
+    console.log(`WebSocket client connected (${principal.subject}, ${principal.role})`);
+
+    // Session messages name their sessionId; without one, the newest session on this socket is used
+    const resolveSession = (sessionId) => {
+        const resolved = sessionId || sessionRelay.sessionsFor(ws).at(-1);
+        if (!resolved) {
+            sendWsError(ws, 'no_active_session', 'No active voice session');
+            return null;
+        }
+        if (!sessionRelay.isAttached(resolved, ws)) {
+            sendWsError(ws, 'unknown_session', `Session ${resolved} is not open on this connection`, { field: 'sessionId', sessionId: resolved });
+            return null;
+        }
+        return resolved;
+    };
+
+    // Transcribe guest audio and show the guest what was heard; null when it failed (the error was sent)
+    const transcribeForSession = async (sessionId, audio, options) => {
+        try {
+            const recognition = await voiceManager.transcribeSpeech(audio, options);
+            sessionRelay.send(sessionId, {
+                type: 'voice_transcript',
+                transcript: recognition.text,
+                ...recognitionSummary(recognition)
+            });
+            return recognition;
+        } catch (error) {
+            if (TRANSCRIPTION_ERROR_STATUS[error.code]) {
+                sendWsError(ws, error.code, error.message, { sessionId });
+            } else {
+                console.error('Transcription error:', error);
+                sendWsError(ws, 'internal_error', 'Failed to transcribe audio', { sessionId });
+            }
+            return null;
+        }
+    };
+
+    // Raw PCM streams with server-side turn detection, one per session; binary frames feed the newest
+    const audioStreams = new Map();
+    let binaryStreamSession = null;
+
+    const stopAudioStream = (sessionId, { flush = false } = {}) => {
+        const stream = audioStreams.get(sessionId);
+        if (!stream) return;
+
+        if (flush) {
+            stream.detector.flush();
+        }
+        stream.detector.removeAllListeners();
+        audioStreams.delete(sessionId);
+        if (binaryStreamSession === sessionId) {
+            binaryStreamSession = null;
+        }
+    };
+
+    const pushAudio = (sessionId, audio) => {
+        const stream = audioStreams.get(sessionId);
+        if (!stream) {
+            sendWsError(ws, 'no_audio_stream', 'Send audio_stream_start before audio', { sessionId });
+            return;
+        }
+
+        // The session ended (voice_end, timeout) while audio was still arriving
+        if (!sessionRelay.isAttached(sessionId, ws)) {
+            stopAudioStream(sessionId);
+            return;
+        }
+
+        stream.detector.push(audio);
+    };
+
+    const startAudioStream = (sessionId, message) => {
+        stopAudioStream(sessionId);
+
+        const detector = new TurnDetector({ sampleRate: message.sampleRate, turnDetection: message.turn_detection });
+        const stream = { detector, language: message.language, responding: false, turns: Promise.resolve() };
+
+        detector.on('speech_started', ({ audioStartMs }) => {
+            sessionRelay.send(sessionId, { type: 'speech_started', audioStartMs });
+
+            // Talking over a reply that is still being produced cuts it off, as a ConvAI agent would
+            if (stream.responding) {
+                const interruption = voiceManager.interruptResponse(sessionId);
+                if (interruption) {
+                    sessionRelay.send(sessionId, {
+                        type: 'voice_interrupted',
+                        responseId: interruption.responseId,
+                        spokenText: interruption.spokenText,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+            }
+        });
+
+        detector.on('speech_stopped', ({ audioStartMs, audioEndMs }) => {
+            sessionRelay.send(sessionId, { type: 'speech_stopped', audioStartMs, audioEndMs });
+        });
+
+        // Turns are answered one after another, in the order they were spoken
+        detector.on('turn', (turn) => {
+            stream.turns = stream.turns.then(async () => {
+                if (!voiceManager.conversations.has(sessionId)) return;
+
+                const recognition = await transcribeForSession(sessionId, turn.audio, {
+                    format: 'pcm',
+                    sampleRate: turn.sampleRate,
+                    language: stream.language
+                });
+                if (!recognition) return;
+
+                stream.responding = true;
+                try {
+                    await streamVoiceResponse(sessionId, { transcript: recognition.text, audioData: turn.audio }, recognition);
+                } catch (error) {
+                    sendWsError(ws, 'internal_error', 'Failed to process voice input', { sessionId });
+                } finally {
+                    stream.responding = false;
+                }
+            });
+        });
+
+        audioStreams.set(sessionId, stream);
+        binaryStreamSession = sessionId;
+
+        sessionRelay.send(sessionId, {
+            type: 'audio_stream_started',
+            sampleRate: detector.sampleRate,
+            turn_detection: detector.config
+        });
+    };
+
+    ws.on('message', async (data, isBinary) => {
+        if (isBinary) {
+            if (binaryStreamSession) {
+                pushAudio(binaryStreamSession, data);
+            } else {
+                sendWsError(ws, 'no_audio_stream', 'Send audio_stream_start before binary audio frames');
+            }
+            return;
+        }
+
+        try {
+            const message = JSON.parse(data);
+
+            // Only message types with a schema (and so an AsyncAPI entry) are accepted
+            const schema = wsMessageSchemas[message.type];
+            if (!schema) {
+                sendWsError(ws, 'unknown_message_type', `Unknown message type: ${message.type}`, { supported: Object.keys(wsMessageSchemas) });
+                return;
+            }
+
+            const { issues } = validate(schema, message);
+            if (issues.length > 0) {
+                sendWsError(ws, 'validation_error', issues.map(issue => issue.message).join('; '), issues);
+                return;
+            }
+
+            switch(message.type) {
+                case 'voice_start':
+                    if (!agentRegistry.has(message.agentId)) {
+                        sendWsError(ws, 'not_found', `Agent ${message.agentId} not found`, { field: 'agentId' });
+                        break;
+                    }
+
+                    if (!voiceManager.hasSessionCapacity(principal.subject)) {
+                        sendWsError(ws, 'session_limit_reached', `Too many active voice sessions for ${principal.subject}; end one first`, { limit: voiceManager.maxSessionsPerUser });
                         break;
                     }
 
                     try {
+                        const sessionId = `ws_session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                        const conversation = voiceManager.startConversation(sessionId, message.agentId, message.userId || 'websocket_user', { owner: principal.subject });
+                        sessionRelay.open(sessionId, ws, principal.subject);
+
+                        sessionRelay.send(sessionId, {
+                            type: 'voice_started',
+                            agentId: conversation.agentId,
+                            emotionalState: conversation.emotionalState
+                        });
+                    } catch (error) {
+                        sendWsError(ws, 'internal_error', 'Failed to start voice session');
+                    }
+                    break;
+
+                case 'voice_input': {
+                    const sessionId = resolveSession(message.sessionId);
+                    if (!sessionId) break;
+
+                    if (!message.transcript && !message.audioData) {
+                        sendWsError(ws, 'validation_error', 'transcript or audioData is required', [
+                            { field: 'transcript', rule: 'required', message: 'transcript or audioData is required' }
+                        ]);
+                        break;
+                    }
+
+                    // Audio without a transcript is transcribed here; the guest sees what was heard first
+                    let recognition = null;
+                    if (!message.transcript) {
+                        recognition = await transcribeForSession(sessionId, message.audioData, {
+                            format: message.audioFormat,
+                            sampleRate: message.sampleRate,
+                            language: message.language
+                        });
+                        if (!recognition) break;
+
+                        message.transcript = recognition.text;
+                    }
+
+                    try {
+                        if (message.stream) {
+                            await streamVoiceResponse(sessionId, message, recognition);
+                            break;
+                        }
+
                         const response = await voiceManager.processSpeechInput(
-                            currentSession,
+                            sessionId,
                             message.transcript,
-                            message.audioData
+                            message.audioData,
+                            { recognition }
                         );
 
-                        const conversation = voiceManager.conversations.get(currentSession);
+                        const conversation = voiceManager.conversations.get(sessionId);
+                        const signal = voiceManager.activeStreams.get(sessionId)?.controller.signal;
                         let audioResult = null;
 
-                        if (conversation && response.text) {
-                            audioResult = await voiceManager.synthesizeSpeech(response.text, conversation.agentId);
+                        if (conversation && response.text && !response.interrupted) {
+                            audioResult = await voiceManager.synthesizeSpeech(response.text, conversation.agentId, { signal });
                         }
 
-                        ws.send(JSON.stringify({
+                        if (audioResult?.audioUrl) {
+                            voiceManager.recordAudioChunk(sessionId, response.responseId, {
+                                text: response.text,
+                                duration: audioResult.duration,
+                                audioUrl: audioResult.audioUrl
+                            });
+                        }
+
+                        sessionRelay.send(sessionId, {
                             type: 'voice_response',
-                            sessionId: currentSession,
+                            responseId: response.responseId,
+                            interrupted: response.interrupted,
                             response: response.text,
                             emotion: response.emotion,
                             confidence: response.confidence,
                             audioUrl: audioResult?.audioUrl,
                             personalityFactors: response.personalityFactors,
+                            agentId: response.agentId,
+                            ...(response.awaitingStaff && { awaitingStaff: true }),
+                            ...(response.toolCall && { toolCall: response.toolCall }),
                             timestamp: new Date().toISOString()
-                        }));
+                        });
 
                     } catch (error) {
-                        ws.send(JSON.stringify({
-                            type: 'error',
-                            message: 'Failed to process voice input'
-                        }));
+                        sendWsError(ws, 'internal_error', 'Failed to process voice input', { sessionId });
                     }
                     break;
+                }
 
-                case 'agent_message':
-                    const agent = agentConfigs[message.agentId];
-                    if (agent) {
-                        const response = await generateAgentResponse(agent, message.content);
-                        ws.send(JSON.stringify({
-                            type: 'agent_response',
+                case 'voice_interrupt': {
+                    const sessionId = resolveSession(message.sessionId);
+                    if (!sessionId) break;
+
+                    try {
+                        const interruption = voiceManager.interruptResponse(sessionId, {
+                            spokenText: message.spokenText,
+                            playedMs: message.playedMs
+                        });
+
+                        sessionRelay.send(sessionId, {
+                            type: 'voice_interrupted',
+                            responseId: interruption?.responseId || null,
+                            spokenText: interruption?.spokenText ?? null,
+                            timestamp: new Date().toISOString()
+                        });
+                    } catch (error) {
+                        sendWsError(ws, 'internal_error', 'Failed to interrupt voice response', { sessionId });
+                    }
+                    break;
+                }
+
+                case 'voice_handoff': {
+                    const sessionId = resolveSession(message.sessionId);
+                    if (!sessionId) break;
+
+                    if (!agentRegistry.has(message.agentId)) {
+                        sendWsError(ws, 'not_found', `Agent ${message.agentId} not found`, { field: 'agentId' });
+                        break;
+                    }
+                    if (agentRegistry.resolveId(message.agentId) === voiceManager.conversations.get(sessionId)?.agentId) {
+                        sendWsError(ws, 'agent_already_assigned', `${message.agentId} is already handling this conversation`, { sessionId });
+                        break;
+                    }
+
+                    try {
+                        // agent_handoff is sent from the conversationHandoff listener
+                        const { introduction } = await handOffConversation(sessionId, {
                             agentId: message.agentId,
-                            response: response
+                            reason: message.reason,
+                            introduce: message.introduce !== false
+                        });
+
+                        if (introduction) {
+                            sessionRelay.send(sessionId, {
+                                type: 'agent_introduction',
+                                agentId: voiceManager.conversations.get(sessionId)?.agentId,
+                                ...introduction,
+                                timestamp: new Date().toISOString()
+                            });
+                        }
+                    } catch (error) {
+                        sendWsError(ws, 'internal_error', 'Failed to hand off conversation', { sessionId });
+                    }
+                    break;
+                }
+
+                case 'voice_resume':
+                    try {
+                        // Managers can take over a session from another device, e.g. a colleague's tablet
+                        const resumed = sessionRelay.resume(message.sessionId, ws, {
+                            owner: principal.subject,
+                            lastSeq: message.lastSeq,
+                            allowAnyOwner: auth.hasRole(principal, 'manager')
+                        });
+
+                        ws.send(JSON.stringify({
+                            type: 'voice_resumed',
+                            sessionId: message.sessionId,
+                            ...resumed
                         }));
+                    } catch (error) {
+                        sendWsError(ws, 'unknown_session', error.message, { field: 'sessionId', sessionId: message.sessionId });
                     }
                     break;
 
-                default:
+                case 'voice_end': {
+                    const sessionId = resolveSession(message.sessionId);
+                    if (!sessionId) break;
+
+                    // voice_ended is sent from the conversationEnded listener
+                    stopAudioStream(sessionId);
+                    voiceManager.endConversation(sessionId);
+                    break;
+                }
+
+                case 'audio_stream_start': {
+                    const sessionId = resolveSession(message.sessionId);
+                    if (!sessionId) break;
+
+                    startAudioStream(sessionId, message);
+                    break;
+                }
+
+                case 'audio_append': {
+                    const sessionId = resolveSession(message.sessionId);
+                    if (!sessionId) break;
+
+                    pushAudio(sessionId, Buffer.from(message.audio, 'base64'));
+                    break;
+                }
+
+                case 'audio_stream_stop': {
+                    const sessionId = resolveSession(message.sessionId);
+                    if (!sessionId) break;
+
+                    // Whatever the guest was still saying counts as a finished turn
+                    stopAudioStream(sessionId, { flush: true });
+                    sessionRelay.send(sessionId, { type: 'audio_stream_stopped' });
+                    break;
+                }
+
+                case 'agent_message':
+                    if (!auth.hasRole(principal, 'staff')) {
+                        sendWsError(ws, 'forbidden', 'agent_message requires staff role or higher');
+                        break;
+                    }
+
+                    const agent = agentRegistry.get(message.agentId);
+                    if (!agent) {
+                        sendWsError(ws, 'not_found', `Agent ${message.agentId} not found`, { field: 'agentId' });
+                        break;
+                    }
+
+                    const response = await generateAgentResponse(agent, message.content);
                     ws.send(JSON.stringify({
-                        type: 'error',
-                        message: 'Unknown message type'
+                        type: 'agent_response',
+                        agentId: agent.id,
+                        response: response
                     }));
+                    break;
+
+                default:
+                    sendWsError(ws, 'unknown_message_type', 'Unknown message type');
             }
         } catch (error) {
             console.error('WebSocket error:', error);
-            ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Invalid message format'
-            }));
+            sendWsError(ws, 'invalid_message', 'Invalid message format');
         }
     });
 
     ws.on('close', () => {
-        console.log('WebSocket client disconnected');
-        if (currentSession) {
-            voiceManager.conversations.delete(currentSession);
+        for (const sessionId of [...audioStreams.keys()]) {
+            stopAudioStream(sessionId);
         }
+        const detached = sessionRelay.detach(ws);
+        console.log(`WebSocket client disconnected${detached.length ? ` (${detached.length} session(s) held for resume)` : ''}`);
     });
 
     // Send welcome message
     ws.send(JSON.stringify({
         type: 'connected',
         message: 'Connected to Restaurant Voice Agents',
-        features: ['voice_chat', 'real_time_updates'],
+        features: ['voice_chat', 'real_time_updates', 'streaming_responses', 'barge_in', 'multi_session', 'session_resume', 'speech_to_text', 'server_vad', 'agent_handoff', 'staff_escalation', 'agent_tools', 'waitlist', 'table_seating'],
         timestamp: new Date().toISOString()
     }));
 });
@@ -649,31 +1910,88 @@ wss.on('connection', (ws) => {
 app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
-        agents: Object.keys(agentConfigs).length,
+        agents: agentRegistry.list().length,
         elevenLabsConnected: !!ELEVENLABS_API_KEY,
         timestamp: new Date().toISOString()
     });
 });
 
+// Anything unmatched under /api, then the shared error envelope
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
+// Routes or WebSocket messages missing from the OpenAPI / AsyncAPI docs
+function checkApiDocs() {
+    const routes = findUndocumentedRoutes(app);
+    const messages = findUndocumentedMessages();
+
+    return [
+        ...routes.undocumented.map(route => `route ${route} has no ROUTE_DOCS entry in src/api/openapi.js`),
+        ...routes.stale.map(route => `ROUTE_DOCS entry ${route} has no matching route`),
+        ...messages.undocumented.map(type => `WebSocket message ${type} has no CLIENT_MESSAGE_DOCS entry in src/api/asyncapi.js`),
+        ...messages.stale.map(type => `CLIENT_MESSAGE_DOCS entry ${type} has no schema in src/api/schemas.js`)
+    ];
+}
+
 // Start server
 async function startServer() {
-    await loadAgentConfigs();
+    const docProblems = checkApiDocs();
+
+    // npm run docs:check
+    if (process.argv.includes('--check-docs')) {
+        if (docProblems.length === 0) {
+            console.log('✅ OpenAPI and AsyncAPI docs cover every route and message');
+        }
+        docProblems.forEach(problem => console.error(`❌ ${problem}`));
+        process.exit(docProblems.length === 0 ? 0 : 1);
+    }
+
+    docProblems.forEach(problem => console.warn(`⚠️  API docs out of sync: ${problem}`));
+    loadAgentConfigs();
+
+    if (!auth.required) {
+        console.warn('⚠️  API authentication is disabled; set API_KEYS or AUTH_SECRET to enforce roles');
+    } else if (auth.apiKeys.size === 0 && !auth.secret) {
+        console.warn('⚠️  API authentication is required but no API_KEYS or AUTH_SECRET are configured; every request will be rejected');
+    }
     await db.initialize();
     await db.loadExistingData();
+    voiceManager.startCleanupScheduler();
 
-    app.listen(PORT, () => {
+    const scenarioId = process.env.RESTAURANT_SCENARIO || 'fine-dining';
+    const scenario = await new ScenarioManager().findScenario(scenarioId);
+    if (!scenario) {
+        throw new Error(`RESTAURANT_SCENARIO ${scenarioId} not found in scenarios/ or the built-in scenarios`);
+    }
+    reservations.useScenario(scenario);
+    console.log(`📅 Taking reservations for ${scenario.name}: ${scenario.capacity} seats, ${reservations.serviceMinutes} min per table`);
+    waitlist.useScenario(scenario);
+    tables.useScenario(scenario);
+    console.log(`🪑 Floor plan: ${tables.plan.tables.length} tables in ${tables.plan.sections.length} sections, ${tables.plan.capacity} seats`);
+
+    for (const [variable, path] of [['VOICE_WS_PORT', WS_VOICE_PATH], ['MESH_PORT', WS_MESH_PATH]]) {
+        const port = process.env[variable];
+        if (!port || !wsRoutes[path]) continue;
+
+        await listenStandalone(Number(port), auth, wsRoutes, path);
+        console.log(`🔌 ${path} also listening on ws://localhost:${port} (${variable})`);
+    }
+
+    server.listen(PORT, () => {
         console.log(`
 ╔═══════════════════════════════════════════════════════════════════════════════╗
 ║                                                                               ║
 ║  🍽️   Restaurant Voice Agents API Server                                     ║
 ║                                                                               ║
 ║  Server running at: http://localhost:${PORT}                                    ║
-║  WebSocket running at: ws://localhost:3001                                   ║
+║  WebSocket: ws://localhost:${PORT}/ws/voice (agent mesh: /ws/mesh)              ║
 ║                                                                               ║
 ║  Endpoints:                                                                   ║
 ║  GET  /api/agents           - List all agents                                ║
 ║  POST /api/agents/:id/test  - Test agent voice                               ║
-║  POST /api/agents/:id/deploy - Deploy to ConvAI                              ║
+║  POST /api/agents/:id/deploy - Deploy to ConvAI (owner)                      ║
+║  POST /api/auth/token       - Issue a role token (manager+)                  ║
+║  GET  /api/auth/me          - Current caller and role                        ║
 ║                                                                               ║
 ║  Intelligence Features:                                                       ║
 ║  POST /api/intelligence/predict - Predict customer needs                      ║
@@ -687,7 +2005,13 @@ async function startServer() {
 ║  POST /api/voice/start - Start voice conversation                             ║
 ║  POST /api/voice/speak - Process speech input                                 ║
 ║  POST /api/voice/synthesize - Generate speech audio                           ║
+║  POST /api/voice/interrupt/:id - Interrupt the agent (barge-in)               ║
 ║  GET  /api/voice/conversation/:id - Get conversation history                  ║
+║  GET  /api/conversations - Stored conversations (filters, cursor paging)      ║
+║  GET  /api/conversations/:id - Stored conversation with messages              ║
+║  GET  /api/conversations/:id/transcript?format=json|csv|text|vtt              ║
+║                                                                               ║
+║  API Docs: /api/openapi.json, /api/asyncapi.json, /api-docs.html              ║
 ║                                                                               ║
 ║  Web Interfaces:                                                              ║
 ║  🎤 Voice Chat: http://localhost:${PORT}/voice-chat.html                      ║
@@ -699,4 +2023,9 @@ async function startServer() {
     });
 }
 
-startServer();
\ No newline at end of file
+// Imported (by the tests) the app is built but nothing listens
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    startServer();
+}
+
+export { app };
\ No newline at end of file
@@ -5,6 +5,7 @@ export class Agent extends EventEmitter {
   constructor(id, definition) {
     super();
     this.id = id;
+    this.aliases = definition.aliases || [id];
     this.name = definition.name;
     this.role = definition.role;
     this.description = definition.description;
@@ -13,6 +14,7 @@ export class Agent extends EventEmitter {
     this.voiceConfig = definition.voiceConfig;
     this.skills = definition.skills;
     this.workingHours = definition.workingHours;
+    this.prompt = definition.prompt || null;
 
     this.isActive = false;
     this.currentTasks = [];
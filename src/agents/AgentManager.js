@@ -1,5 +1,5 @@
 import { Agent } from './Agent.js';
-import { agentDefinitions } from './definitions.js';
+import { agentRegistry } from './registry.js';
 import chalk from 'chalk';
 
 export class AgentManager {
@@ -11,16 +11,17 @@ export class AgentManager {
   async initialize() {
     console.log(chalk.blue('🤖 Loading restaurant management agents...'));
 
-    for (const [agentId, definition] of Object.entries(agentDefinitions)) {
-      const agent = new Agent(agentId, definition);
+    for (const definition of agentRegistry.list()) {
+      const agent = new Agent(definition.id, definition);
       await agent.initialize();
-      this.agents.set(agentId, agent);
+      this.agents.set(definition.id, agent);
     }
 
     console.log(chalk.green(`✅ Loaded ${this.agents.size} agents successfully`));
   }
 
   async startAgent(agentId) {
+    agentId = agentRegistry.resolveId(agentId) || agentId;
     const agent = this.agents.get(agentId);
     if (!agent) {
       throw new Error(`Agent ${agentId} not found`);
@@ -37,6 +38,7 @@ export class AgentManager {
   }
 
   async stopAgent(agentId) {
+    agentId = agentRegistry.resolveId(agentId) || agentId;
     const agent = this.agents.get(agentId);
     if (!agent) {
       throw new Error(`Agent ${agentId} not found`);
@@ -60,7 +62,7 @@ export class AgentManager {
   }
 
   getAgent(agentId) {
-    return this.agents.get(agentId);
+    return this.agents.get(agentRegistry.resolveId(agentId) || agentId);
   }
 
   getActiveAgents() {
@@ -79,7 +81,7 @@ export class AgentManager {
   async coordinateAgents(task, involvedAgents) {
     console.log(chalk.blue(`🔗 Coordinating agents for task: ${task}`));
 
-    const agents = involvedAgents.map(id => this.agents.get(id)).filter(Boolean);
+    const agents = involvedAgents.map(id => this.getAgent(id)).filter(Boolean);
 
     for (const agent of agents) {
       await agent.receiveTask(task);
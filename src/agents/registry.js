@@ -0,0 +1,243 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { agentDefinitions } from './definitions.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_CONVAI_CONFIG_PATH = path.join(__dirname, '..', '..', 'convai-configs', 'all-agents.json');
+
+const BIG_FIVE_TRAITS = ['openness', 'conscientiousness', 'extraversion', 'agreeableness', 'neuroticism'];
+
+// Default ElevenLabs voices by accent, used when an agent has no explicit voice_id
+export const ACCENT_VOICE_IDS = {
+  'Italian-American': 'EXAVITQu4vr4xnSDxMaL', // Bella
+  'American-Professional': 'pNInz6obpgDQGcFmaJgB', // Adam
+  'French': 'ThT5KcBeYPX3keUQqHPh', // Dorothy
+  'Mexican-American': 'IKne3meq5aSn9XLyUdCD', // Charlie
+  'American-Southern': 'jsCqWAovK2LkecY7zXl4', // Freya
+  'Chinese-American': 'N2lVS1w4EtoT3dr4eOWO', // Callum
+  'Indian-British': 'oWAxZDx7w5VEj9dCyTzz', // Grace
+  'American-Millennial': 'cgSgspJ2msm6clMCkdW9', // Jessica
+  'American-Military': 'bVMeCyTHy58xNoL34h3p', // Jeremy
+  'Korean-American': 'flq6f7yk4E4fJM5XTYuZ' // Michael
+};
+
+// IDs used by older clients that no longer match a definition key
+const LEGACY_ALIASES = {
+  elena: 'chen' // pastry chef profile from the first voice prototype
+};
+
+/**
+ * Convert a 0-10 Big Five profile to the 0-1 scale used by the voice layer
+ */
+export function toUnitScale(bigFive) {
+  return Object.fromEntries(
+    BIG_FIVE_TRAITS.map(trait => [trait, Math.round((bigFive[trait] / 10) * 100) / 100])
+  );
+}
+
+/**
+ * Single source of truth for the agent team.
+ * Merges src/agents/definitions.js with convai-configs/all-agents.json,
+ * normalizes Big Five scores to a 0-10 scale and resolves ID aliases
+ * (e.g. "chef-sophia", "marcus-washington") to canonical IDs.
+ */
+export class AgentRegistry {
+  constructor(options = {}) {
+    this.definitions = options.definitions || agentDefinitions;
+    this.convaiConfigPath = options.convaiConfigPath || DEFAULT_CONVAI_CONFIG_PATH;
+    this.agents = new Map();
+    this.aliases = new Map();
+    this.defaultSettings = {};
+    this.isLoaded = false;
+  }
+
+  load() {
+    const convaiConfig = this.loadConvAIConfig();
+    const convaiAgents = convaiConfig.agents || [];
+    const agents = new Map();
+    const aliases = new Map();
+
+    for (const [id, definition] of Object.entries(this.definitions)) {
+      const convaiAgent = convaiAgents.find(entry => this.matchesDefinition(entry.id, id));
+      const agent = this.normalize(id, definition, convaiAgent);
+      this.validate(agent);
+
+      agents.set(id, agent);
+      for (const alias of agent.aliases) {
+        if (aliases.has(alias) && aliases.get(alias) !== id) {
+          throw new Error(`Agent alias "${alias}" is claimed by both ${aliases.get(alias)} and ${id}`);
+        }
+        aliases.set(alias, id);
+      }
+    }
+
+    for (const entry of convaiAgents) {
+      if (!aliases.has(entry.id.toLowerCase())) {
+        throw new Error(`ConvAI agent "${entry.id}" does not match any agent definition`);
+      }
+    }
+
+    for (const [alias, id] of Object.entries(LEGACY_ALIASES)) {
+      if (agents.has(id)) {
+        aliases.set(alias, id);
+        agents.get(id).aliases.push(alias);
+      }
+    }
+
+    this.agents = agents;
+    this.aliases = aliases;
+    this.defaultSettings = convaiConfig.default_settings || {};
+    this.isLoaded = true;
+
+    return this;
+  }
+
+  loadConvAIConfig() {
+    try {
+      return JSON.parse(fs.readFileSync(this.convaiConfigPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { agents: [] };
+      }
+      throw new Error(`Failed to load ConvAI agent configs: ${error.message}`);
+    }
+  }
+
+  // "chef-sophia" and "marcus-washington" both contain their definition key as a segment
+  matchesDefinition(convaiId, definitionId) {
+    return convaiId.toLowerCase().split('-').includes(definitionId);
+  }
+
+  normalize(id, definition, convaiAgent) {
+    const bigFive = this.normalizeBigFive(
+      definition.personality?.bigFive || convaiAgent?.personality || {}
+    );
+    const accent = definition.voiceConfig?.accent;
+
+    const aliases = new Set([id]);
+    if (convaiAgent) aliases.add(convaiAgent.id.toLowerCase());
+    aliases.add(this.slugify(definition.name || ''));
+
+    return {
+      id,
+      aliases: [...aliases].filter(Boolean),
+      name: definition.name,
+      role: definition.role,
+      description: definition.description,
+      specialties: definition.specialties || [],
+      skills: definition.skills || [],
+      workingHours: definition.workingHours,
+      personality: {
+        ...definition.personality,
+        bigFive
+      },
+      voiceConfig: {
+        ...definition.voiceConfig,
+        voiceId: convaiAgent?.voice_id || ACCENT_VOICE_IDS[accent] || ACCENT_VOICE_IDS['American-Professional']
+      },
+      prompt: convaiAgent?.prompt || null
+    };
+  }
+
+  // Accepts either a 0-1 or a 0-10 profile and always returns 0-10
+  normalizeBigFive(scores) {
+    const values = BIG_FIVE_TRAITS.map(trait => scores[trait]).filter(value => typeof value === 'number');
+    const scale = values.length > 0 && values.every(value => value <= 1) ? 10 : 1;
+
+    return Object.fromEntries(
+      BIG_FIVE_TRAITS.map(trait => [
+        trait,
+        typeof scores[trait] === 'number' ? Math.round(scores[trait] * scale * 10) / 10 : 5
+      ])
+    );
+  }
+
+  validate(agent) {
+    const errors = [];
+
+    if (!agent.name) errors.push('name is required');
+    if (!agent.role) errors.push('role is required');
+    if (!Array.isArray(agent.personality.traits)) errors.push('personality.traits must be an array');
+    if (!agent.personality.responseStyle) errors.push('personality.responseStyle is required');
+    if (!agent.voiceConfig.voiceId) errors.push('voiceConfig.voiceId could not be resolved');
+
+    // Overnight shifts (e.g. security 16-4) wrap past midnight, so only bounds are checked
+    const { start, end } = agent.workingHours || {};
+    if (![start, end].every(hour => Number.isInteger(hour) && hour >= 0 && hour <= 24)) {
+      errors.push('workingHours.start and workingHours.end must be hours between 0 and 24');
+    }
+
+    for (const trait of BIG_FIVE_TRAITS) {
+      const score = agent.personality.bigFive[trait];
+      if (score < 0 || score > 10) {
+        errors.push(`personality.bigFive.${trait} must be between 0 and 10 (got ${score})`);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid agent definition "${agent.id}": ${errors.join('; ')}`);
+    }
+  }
+
+  slugify(value) {
+    return value
+      .toLowerCase()
+      .replace(/["']/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  ensureLoaded() {
+    if (!this.isLoaded) {
+      this.load();
+    }
+  }
+
+  resolveId(idOrAlias) {
+    if (!idOrAlias) return null;
+    this.ensureLoaded();
+    return this.aliases.get(String(idOrAlias).toLowerCase()) || null;
+  }
+
+  get(idOrAlias) {
+    const id = this.resolveId(idOrAlias);
+    return id ? this.agents.get(id) : undefined;
+  }
+
+  has(idOrAlias) {
+    return this.resolveId(idOrAlias) !== null;
+  }
+
+  require(idOrAlias) {
+    const agent = this.get(idOrAlias);
+    if (!agent) {
+      throw new Error(`Agent ${idOrAlias} not found`);
+    }
+    return agent;
+  }
+
+  list() {
+    this.ensureLoaded();
+    return Array.from(this.agents.values());
+  }
+
+  ids() {
+    this.ensureLoaded();
+    return Array.from(this.agents.keys());
+  }
+
+  getVoiceId(idOrAlias) {
+    return this.get(idOrAlias)?.voiceConfig.voiceId || null;
+  }
+
+  getDefaultSettings() {
+    this.ensureLoaded();
+    return this.defaultSettings;
+  }
+}
+
+export const agentRegistry = new AgentRegistry();
+
+export default agentRegistry;
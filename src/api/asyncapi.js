@@ -0,0 +1,508 @@
+/**
+ * AsyncAPI document for the WebSocket channels (/ws/voice, /ws/mesh, /ws/telephony/twilio, /ws/escalations)
+ * Voice and staff console client message payloads come from wsMessageSchemas and staffWsMessageSchemas, the same schemas the
+ * server validates with, so a message type can't be handled without being documented.
+ */
+
+import { schemas, wsMessageSchemas, staffWsMessageSchemas } from './schemas.js';
+
+const CLIENT_MESSAGE_DOCS = {
+    voice_start: 'Start a voice session with an agent; a socket can hold several sessions at once',
+    voice_input: 'Guest utterance for sessionId (default: newest session on the socket), as a transcript or as base64 audioData to transcribe (answered first with voice_transcript); stream=true replies with response_delta / audio_chunk / response_done',
+    voice_interrupt: 'Barge in: stop the current reply and record how much of it was heard',
+    voice_handoff: 'Transfer the session to another agent; answered with agent_handoff, then agent_introduction unless introduce=false',
+    voice_resume: 'Reattach a session after reconnecting; events with seq > lastSeq are replayed with replayed=true',
+    voice_end: 'End a voice session',
+    audio_stream_start: 'Stream raw 16-bit mono PCM for sessionId (as binary frames or audio_append); server-side VAD with turn_detection settings splits it into turns, each transcribed and answered like voice_input with stream=true',
+    audio_append: 'Next chunk of the audio stream, base64-encoded, for clients that cannot send binary frames',
+    audio_stream_stop: 'End the audio stream; speech still in progress is treated as a finished turn',
+    agent_message: 'One-off message to any agent outside a voice session (staff role or higher)'
+};
+
+const STAFF_MESSAGE_DOCS = {
+    escalation_claim: 'Take the ticket\'s conversation over; the agent stops answering and the guest\'s turns arrive as escalation_guest_message',
+    escalation_message: 'Say something to the guest of a ticket you hold, spoken in the agent\'s voice',
+    escalation_release: 'Resolve the ticket and hand the conversation back to the agent; managers can release tickets other staff hold'
+};
+
+// Every session event carries its sessionId and a per-session seq for voice_resume
+const sessionFields = {
+    sessionId: { type: 'string' },
+    seq: { type: 'integer', minimum: 1 },
+    replayed: { type: 'boolean', description: 'Re-sent by voice_resume' }
+};
+
+const turnFields = {
+    ...sessionFields,
+    responseId: { type: 'string' }
+};
+
+// During a staff takeover the agent stays quiet; staff answer with staff_message
+const awaitingStaff = { type: 'boolean', description: 'Present (true) when staff have taken the session over and the reply is empty' };
+
+// A tool run for the guest's turn before the agent replied, e.g. book_table for "a table for four at 7:30 Friday"
+const toolCall = {
+    type: 'object',
+    description: 'Present when a tool ran for this turn (see GET /api/tools)',
+    properties: {
+        tool: { type: 'string' },
+        args: { type: 'object' },
+        ok: { type: 'boolean', description: 'false for outcomes to tell the guest, such as slot_unavailable' },
+        result: { type: 'object' },
+        error: { type: 'object', properties: { code: { type: 'string' }, message: { type: 'string' }, details: {} } },
+        summary: { type: 'string', description: 'The outcome in a sentence the agent can say' }
+    }
+};
+
+const SERVER_MESSAGES = {
+    connected: {
+        summary: 'Sent once after the connection is accepted',
+        properties: {
+            message: { type: 'string' },
+            features: { type: 'array', items: { type: 'string' } },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    voice_started: {
+        summary: 'Reply to voice_start',
+        properties: {
+            ...sessionFields,
+            agentId: { type: 'string' },
+            emotionalState: { type: 'object' }
+        }
+    },
+    voice_response: {
+        summary: 'Complete reply to a non-streaming voice_input',
+        properties: {
+            ...turnFields,
+            interrupted: { type: 'boolean' },
+            response: { type: 'string' },
+            emotion: { type: 'string' },
+            confidence: { type: 'number' },
+            audioUrl: { type: 'string' },
+            personalityFactors: { type: 'object' },
+            agentId: { type: 'string' },
+            awaitingStaff,
+            toolCall,
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    audio_stream_started: {
+        summary: 'Reply to audio_stream_start with the turn detection settings in effect',
+        properties: {
+            ...sessionFields,
+            sampleRate: { type: 'integer' },
+            turn_detection: {
+                type: 'object',
+                properties: {
+                    type: { const: 'server_vad' },
+                    threshold: { type: 'number' },
+                    prefix_padding_ms: { type: 'integer' },
+                    silence_duration_ms: { type: 'integer' }
+                }
+            }
+        }
+    },
+    speech_started: {
+        summary: 'Voice activity detected in the audio stream; interrupts a reply still in progress',
+        properties: { ...sessionFields, audioStartMs: { type: 'integer', description: 'Position in the stream' } }
+    },
+    speech_stopped: {
+        summary: 'silence_duration_ms of silence ended the guest\'s turn; voice_transcript and the reply follow',
+        properties: { ...sessionFields, audioStartMs: { type: 'integer' }, audioEndMs: { type: 'integer' } }
+    },
+    audio_stream_stopped: {
+        summary: 'Reply to audio_stream_stop',
+        properties: sessionFields
+    },
+    voice_transcript: {
+        summary: 'What was recognized in voice_input audioData, sent before the reply',
+        properties: {
+            ...sessionFields,
+            transcript: { type: 'string' },
+            confidence: { type: ['number', 'null'] },
+            language: { type: ['string', 'null'] },
+            duration: { type: ['number', 'null'], description: 'Seconds of audio' },
+            words: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        word: { type: 'string' },
+                        start: { type: 'number' },
+                        end: { type: 'number' },
+                        confidence: { type: ['number', 'null'] }
+                    }
+                }
+            },
+            provider: { type: 'string' }
+        }
+    },
+    response_delta: {
+        summary: 'Next piece of reply text while it is generated',
+        properties: { ...turnFields, index: { type: 'integer' }, delta: { type: 'string' } }
+    },
+    audio_chunk: {
+        summary: 'Synthesized audio for one sentence of the reply, in order',
+        properties: {
+            ...turnFields,
+            sequence: { type: 'integer' },
+            text: { type: 'string' },
+            audioUrl: { type: 'string' },
+            duration: { type: 'number', description: 'Seconds' }
+        }
+    },
+    response_done: {
+        summary: 'End of a streamed reply',
+        properties: {
+            ...turnFields,
+            response: { type: 'string' },
+            interrupted: { type: 'boolean' },
+            emotion: { type: 'string' },
+            confidence: { type: 'number' },
+            personalityFactors: { type: 'object' },
+            agentId: { type: 'string', description: 'Agent who replied; differs from voice_start after a handoff' },
+            awaitingStaff,
+            toolCall,
+            audioChunks: { type: 'integer' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    agent_handoff: {
+        summary: 'Another agent took over the session, on request or because the guest raised their topic; replies now use their voice',
+        properties: {
+            ...sessionFields,
+            fromAgentId: { type: 'string' },
+            toAgentId: { type: 'string' },
+            agentName: { type: 'string' },
+            voice: { type: 'object', properties: { voiceId: { type: 'string' }, accent: { type: 'string' } } },
+            reason: { type: ['string', 'null'] },
+            trigger: { enum: ['explicit', 'intent'] },
+            introduction: { type: ['string', 'null'] },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    escalation_update: {
+        summary: 'Staff were paged for the session (open), took it over (claimed) or handed it back to the agent (resolved, closed)',
+        properties: {
+            ...sessionFields,
+            ticketId: { type: 'string' },
+            status: { type: 'string', enum: ['open', 'claimed', 'resolved', 'closed'] },
+            reason: { type: ['string', 'null'] },
+            staff: { type: ['string', 'null'], description: 'Who claimed the ticket' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    staff_message: {
+        summary: 'A member of staff speaking during a takeover, in the agent\'s voice',
+        properties: {
+            ...sessionFields,
+            staff: { type: 'string' },
+            text: { type: 'string' },
+            audioUrl: { type: ['string', 'null'] },
+            duration: { type: 'number', description: 'Seconds' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    agent_introduction: {
+        summary: 'The new agent introducing themselves after voice_handoff',
+        properties: {
+            ...sessionFields,
+            agentId: { type: 'string' },
+            text: { type: 'string' },
+            audioUrl: { type: ['string', 'null'] },
+            duration: { type: 'number', description: 'Seconds' },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    voice_interrupted: {
+        summary: 'Reply to voice_interrupt',
+        properties: {
+            ...sessionFields,
+            responseId: { type: ['string', 'null'] },
+            spokenText: { type: ['string', 'null'] },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    voice_resumed: {
+        summary: 'Reply to voice_resume, sent after the replayed events',
+        properties: {
+            sessionId: { type: 'string' },
+            replayed: { type: 'integer' },
+            gap: { type: 'boolean', description: 'Some missed events were no longer buffered' },
+            lastSeq: { type: 'integer' }
+        }
+    },
+    voice_ended: {
+        summary: 'Session ended by voice_end, the REST API, idle timeout, or expiry after a disconnect',
+        properties: {
+            ...sessionFields,
+            reason: { type: 'string', enum: ['ended', 'timeout', 'disconnected'] },
+            timestamp: { type: 'string', format: 'date-time' }
+        }
+    },
+    agent_response: {
+        summary: 'Reply to agent_message',
+        properties: { agentId: { type: 'string' }, response: { type: 'object' } }
+    },
+    error: {
+        summary: 'Request failed; code and details match the HTTP error envelope',
+        properties: {
+            code: { type: 'string', examples: ['validation_error', 'no_active_session', 'unknown_session', 'session_limit_reached', 'forbidden', 'invalid_audio', 'no_speech_detected', 'transcription_failed', 'speech_recognition_unavailable', 'no_audio_stream', 'agent_already_assigned', 'ticket_not_found', 'ticket_claimed', 'ticket_closed', 'not_ticket_owner'] },
+            message: { type: 'string' },
+            details: {}
+        }
+    }
+};
+
+// Agents on the mesh send interactions shaped like POST /api/intelligence/learn
+const MESH_MESSAGES = {
+    mesh_interaction: {
+        direction: 'publish',
+        summary: 'An agent shares an interaction for the collective to learn from',
+        schema: schemas.recordLearning.body.properties.interaction
+    },
+    KNOWLEDGE_SYNC: {
+        direction: 'subscribe',
+        summary: 'Sent on connect with recent collective insights and connected agents',
+        schema: {
+            type: 'object',
+            properties: {
+                type: { const: 'KNOWLEDGE_SYNC' },
+                agentId: { type: 'string' },
+                insights: { type: 'array', items: { type: 'object' } },
+                agents: { type: 'array', items: { type: 'string' } },
+                timestamp: { type: 'integer' }
+            }
+        }
+    },
+    COLLECTIVE_LEARNING: {
+        direction: 'subscribe',
+        summary: 'Learning another agent contributed',
+        schema: {
+            type: 'object',
+            properties: {
+                type: { const: 'COLLECTIVE_LEARNING' },
+                source: { type: 'string' },
+                learning: { type: 'object' },
+                timestamp: { type: 'integer' }
+            }
+        }
+    }
+};
+
+// The staff console; escalation_queue, _opened and _updated carry tickets as returned by GET /api/escalations
+const ticket = { type: 'object', description: 'Escalation ticket with its summary and recent transcript' };
+const ESCALATION_MESSAGES = {
+    escalation_queue: {
+        direction: 'subscribe',
+        summary: 'Sent on connect: open tickets (most urgent first), then claimed ones',
+        schema: { type: 'object', properties: { type: { const: 'escalation_queue' }, tickets: { type: 'array', items: ticket }, timestamp: { type: 'string', format: 'date-time' } } }
+    },
+    escalation_opened: {
+        direction: 'subscribe',
+        summary: 'A new ticket joined the queue',
+        schema: { type: 'object', properties: { type: { const: 'escalation_opened' }, ticket } }
+    },
+    escalation_updated: {
+        direction: 'subscribe',
+        summary: 'A ticket was claimed, resolved, or closed because the guest left',
+        schema: { type: 'object', properties: { type: { const: 'escalation_updated' }, ticket } }
+    },
+    escalation_guest_message: {
+        direction: 'subscribe',
+        summary: 'What the guest said in a conversation with an open or claimed ticket',
+        schema: {
+            type: 'object',
+            properties: {
+                type: { const: 'escalation_guest_message' },
+                ticketId: { type: 'string' },
+                sessionId: { type: 'string' },
+                text: { type: 'string' },
+                emotion: { type: ['string', 'null'] },
+                timestamp: { type: 'string', format: 'date-time' }
+            }
+        }
+    },
+    escalation_staff_message: {
+        direction: 'subscribe',
+        summary: 'What staff said to the guest, from any console or the REST API',
+        schema: {
+            type: 'object',
+            properties: {
+                type: { const: 'escalation_staff_message' },
+                ticketId: { type: 'string' },
+                sessionId: { type: 'string' },
+                staff: { type: 'string' },
+                text: { type: 'string' },
+                timestamp: { type: 'string', format: 'date-time' }
+            }
+        }
+    }
+};
+
+// Twilio's Media Streams protocol (event field rather than type); names are prefixed to keep them apart
+const mediaPayload = { type: 'string', description: 'Base64 μ-law audio, 8 kHz mono' };
+const TELEPHONY_MESSAGES = {
+    twilio_start: {
+        direction: 'publish',
+        summary: 'Call started; customParameters carry agentId, from and token (the kiosk credential, required when authentication is on). Only audio/x-mulaw is accepted',
+        schema: {
+            type: 'object',
+            properties: {
+                event: { const: 'start' },
+                streamSid: { type: 'string' },
+                start: {
+                    type: 'object',
+                    properties: {
+                        callSid: { type: 'string' },
+                        customParameters: { type: 'object', additionalProperties: { type: 'string' } },
+                        mediaFormat: { type: 'object' }
+                    }
+                }
+            }
+        }
+    },
+    twilio_media: {
+        direction: 'publish',
+        summary: 'A 20 ms frame of caller audio; turns are found with server-side voice activity detection',
+        schema: { type: 'object', properties: { event: { const: 'media' }, media: { type: 'object', properties: { payload: mediaPayload } } } }
+    },
+    twilio_mark_played: {
+        direction: 'publish',
+        summary: 'Audio up to a mark has been played to the caller (or cleared)',
+        schema: { type: 'object', properties: { event: { const: 'mark' }, mark: { type: 'object', properties: { name: { type: 'string' } } } } }
+    },
+    twilio_stop: {
+        direction: 'publish',
+        summary: 'Caller hung up; the conversation is ended and stored',
+        schema: { type: 'object', properties: { event: { const: 'stop' } } }
+    },
+    twilio_agent_media: {
+        direction: 'subscribe',
+        summary: 'Agent speech, one sentence at a time in 20 ms frames',
+        schema: { type: 'object', properties: { event: { const: 'media' }, streamSid: { type: 'string' }, media: { type: 'object', properties: { payload: mediaPayload } } } }
+    },
+    twilio_mark: {
+        direction: 'subscribe',
+        summary: 'Sent after each sentence so the server learns how much of a reply the caller heard',
+        schema: { type: 'object', properties: { event: { const: 'mark' }, streamSid: { type: 'string' }, mark: { type: 'object', properties: { name: { type: 'string' } } } } }
+    },
+    twilio_clear: {
+        direction: 'subscribe',
+        summary: 'The caller talked over the agent: drop audio not yet played',
+        schema: { type: 'object', properties: { event: { const: 'clear' }, streamSid: { type: 'string' } } }
+    }
+};
+
+/**
+ * Client message types without a CLIENT_MESSAGE_DOCS entry (and docs with no schema)
+ */
+export function findUndocumentedMessages() {
+    return {
+        undocumented: [
+            ...Object.keys(wsMessageSchemas).filter(type => !CLIENT_MESSAGE_DOCS[type]),
+            ...Object.keys(staffWsMessageSchemas).filter(type => !STAFF_MESSAGE_DOCS[type])
+        ],
+        stale: [
+            ...Object.keys(CLIENT_MESSAGE_DOCS).filter(type => !wsMessageSchemas[type]),
+            ...Object.keys(STAFF_MESSAGE_DOCS).filter(type => !staffWsMessageSchemas[type])
+        ]
+    };
+}
+
+export function buildAsyncApiSpec({ version = '1.0.0', url = 'localhost:3000', secure = false } = {}) {
+    const messages = {};
+
+    for (const [type, schema] of Object.entries(wsMessageSchemas)) {
+        messages[type] = toMessage(type, CLIENT_MESSAGE_DOCS[type], schema);
+    }
+    for (const [type, schema] of Object.entries(staffWsMessageSchemas)) {
+        messages[type] = toMessage(type, STAFF_MESSAGE_DOCS[type], schema);
+    }
+    for (const [type, { summary, properties }] of Object.entries(SERVER_MESSAGES)) {
+        messages[type] = toMessage(type, summary, { type: 'object', properties });
+    }
+    for (const [name, { summary, schema }] of Object.entries({ ...MESH_MESSAGES, ...TELEPHONY_MESSAGES, ...ESCALATION_MESSAGES })) {
+        messages[name] = { name, summary, payload: schema };
+    }
+
+    const refs = types => types.map(type => ({ $ref: `#/components/messages/${type}` }));
+    const meshRefs = direction => refs(Object.keys(MESH_MESSAGES).filter(name => MESH_MESSAGES[name].direction === direction));
+    const telephonyRefs = direction => refs(Object.keys(TELEPHONY_MESSAGES).filter(name => TELEPHONY_MESSAGES[name].direction === direction));
+
+    return {
+        asyncapi: '2.6.0',
+        info: {
+            title: 'Restaurant Voice Agents WebSocket',
+            version,
+            description: 'JSON messages over WebSockets on the API port. Authenticate with ?token=<API key or token>. ' +
+                'Every message has a type field. The server pings every WS_HEARTBEAT_MS and drops clients that miss a pong; ' +
+                'a client that falls too far behind is closed with code 1013 and should reconnect with voice_resume.'
+        },
+        servers: {
+            default: { url, protocol: secure ? 'wss' : 'ws' }
+        },
+        channels: {
+            '/ws/voice': {
+                description: 'Guest voice conversations; needs the kiosk role or higher',
+                publish: {
+                    summary: 'Messages the client sends',
+                    message: { oneOf: refs(Object.keys(wsMessageSchemas)) }
+                },
+                subscribe: {
+                    summary: 'Messages the server sends',
+                    message: { oneOf: refs(Object.keys(SERVER_MESSAGES)) }
+                }
+            },
+            '/ws/mesh': {
+                description: 'Agent mesh for collective learning; connect with ?agentId=<id>; needs the staff role or higher',
+                publish: {
+                    summary: 'Messages an agent sends',
+                    message: { oneOf: meshRefs('publish') }
+                },
+                subscribe: {
+                    summary: 'Messages the mesh broadcasts',
+                    message: { oneOf: meshRefs('subscribe') }
+                }
+            },
+            '/ws/escalations': {
+                description: 'The staff console for escalated conversations; needs the staff role or higher. ' +
+                    'The same feed is available read-only as Server-Sent Events from GET /api/escalations/stream',
+                publish: {
+                    summary: 'Messages staff send',
+                    message: { oneOf: refs(Object.keys(staffWsMessageSchemas)) }
+                },
+                subscribe: {
+                    summary: 'Messages the server sends; errors use the voice channel\'s error message',
+                    message: { oneOf: refs([...Object.keys(ESCALATION_MESSAGES), 'error']) }
+                }
+            },
+            '/ws/telephony/twilio': {
+                description: 'Phone calls over the Twilio Media Streams protocol, connected by the TwiML from POST /api/telephony/twilio/voice. ' +
+                    'Authenticated by the token in the start event, not on connect; no heartbeat',
+                publish: {
+                    summary: 'Events Twilio sends',
+                    message: { oneOf: telephonyRefs('publish') }
+                },
+                subscribe: {
+                    summary: 'Events the server sends',
+                    message: { oneOf: telephonyRefs('subscribe') }
+                }
+            }
+        },
+        components: { messages }
+    };
+}
+
+function toMessage(type, summary, schema) {
+    return {
+        name: type,
+        summary,
+        payload: {
+            ...schema,
+            required: ['type', ...(schema.required || [])],
+            properties: { type: { const: type }, ...schema.properties }
+        }
+    };
+}
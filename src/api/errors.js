@@ -0,0 +1,73 @@
+/**
+ * API error envelope
+ * Every failed request is answered with { error: { code, message, details } } where
+ * code is a stable machine-readable string and details (or null) says what went wrong.
+ */
+
+export const ERROR_CODES = {
+    400: 'validation_error',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    416: 'range_not_satisfiable',
+    422: 'unprocessable_entity',
+    500: 'internal_error',
+    502: 'bad_gateway',
+    503: 'service_unavailable'
+};
+
+export class ApiError extends Error {
+    constructor(status, message, { code, details = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code || ERROR_CODES[status] || 'error';
+        this.details = details;
+    }
+
+    static badRequest(message, details) {
+        return new ApiError(400, message, { details });
+    }
+}
+
+export function errorBody(code, message, details = null) {
+    return { error: { code, message, details } };
+}
+
+export function sendError(res, status, message, { code, details = null } = {}) {
+    return res.status(status).json(errorBody(code || ERROR_CODES[status] || 'error', message, details));
+}
+
+/**
+ * Unknown /api paths get a JSON 404 instead of Express's HTML page
+ */
+export function notFoundHandler(req, res) {
+    sendError(res, 404, `No route for ${req.method} ${req.baseUrl}${req.path}`, { code: 'route_not_found' });
+}
+
+/**
+ * Final Express error handler: ApiErrors keep their status, body-parser failures
+ * become 4xx, anything else is logged and reported as internal_error
+ */
+export function errorHandler(error, req, res, next) {
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    if (error instanceof ApiError) {
+        return sendError(res, error.status, error.message, { code: error.code, details: error.details });
+    }
+
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'Request body is not valid JSON', { code: 'invalid_json', details: { reason: error.message } });
+    }
+
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 413, `Request body exceeds ${error.limit} bytes`);
+    }
+
+    console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, error);
+    sendError(res, 500, 'Internal server error');
+}
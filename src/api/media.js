@@ -0,0 +1,61 @@
+/**
+ * Binary responses with HTTP range support
+ * Browsers request audio in byte ranges to seek; the whole file is already in memory
+ * (it comes from the audio store), so ranges are sliced from the buffer.
+ */
+
+import { sendError } from './errors.js';
+
+/**
+ * Send data honouring Range (a single byte range) and If-None-Match
+ */
+export function sendMedia(req, res, data, { contentType, etag = null, cacheControl = null } = {}) {
+    res.set('Accept-Ranges', 'bytes');
+    res.set('Content-Type', contentType);
+    if (etag) res.set('ETag', etag);
+    if (cacheControl) res.set('Cache-Control', cacheControl);
+
+    if (etag && req.get('If-None-Match') === etag) {
+        return res.status(304).end();
+    }
+
+    const range = parseRange(req.get('Range'), data.length);
+    if (range === 'unsatisfiable') {
+        res.set('Content-Range', `bytes */${data.length}`);
+        return sendError(res, 416, `Range not satisfiable; the resource is ${data.length} bytes`);
+    }
+
+    if (!range) {
+        return res.status(200).send(data);
+    }
+
+    res.set('Content-Range', `bytes ${range.start}-${range.end}/${data.length}`);
+    return res.status(206).send(data.subarray(range.start, range.end + 1));
+}
+
+/**
+ * Parse "bytes=start-end", "bytes=start-" or "bytes=-suffix". Returns null to send the
+ * whole body (no header, a malformed one, or several ranges) or 'unsatisfiable'.
+ */
+export function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header?.trim() || '');
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) {
+        return 'unsatisfiable';
+    }
+    return { start, end };
+}
@@ -0,0 +1,630 @@
+/**
+ * OpenAPI document for the HTTP API
+ * Paths, parameters, request bodies and required roles are read from the Express
+ * routes themselves (requireRole / validateRequest middleware); ROUTE_DOCS adds the
+ * human-facing summaries. A route without a ROUTE_DOCS entry is reported by
+ * findUndocumentedRoutes, which `npm run docs:check` turns into a failing exit code.
+ */
+
+import { ROLES } from '../auth/AuthManager.js';
+import { schemas as requestSchemas } from './schemas.js';
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const voiceTurn = {
+    type: 'object',
+    properties: {
+        responseId: { type: 'string' },
+        interrupted: { type: 'boolean' },
+        response: { type: 'string' },
+        emotion: { type: 'string' },
+        confidence: { type: 'number' },
+        audioUrl: { type: 'string' },
+        personalityFactors: { type: 'object' },
+        timestamp: { type: 'string', format: 'date-time' }
+    }
+};
+
+const recognition = {
+    type: 'object',
+    description: 'Speech-to-text result',
+    properties: {
+        confidence: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+        language: { type: ['string', 'null'] },
+        duration: { type: ['number', 'null'], description: 'Seconds of audio' },
+        words: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    word: { type: 'string' },
+                    start: { type: 'number', description: 'Seconds from the start of the audio' },
+                    end: { type: 'number' },
+                    confidence: { type: ['number', 'null'] }
+                }
+            }
+        },
+        provider: { type: 'string', enum: ['whisper', 'fixture'] }
+    }
+};
+
+const transcriptionErrors = {
+    413: 'Audio larger than STT_MAX_AUDIO_BYTES',
+    422: 'No speech recognized (no_speech_detected)',
+    502: 'The speech recognizer failed (transcription_failed)',
+    503: 'Speech recognition is not configured (speech_recognition_unavailable)'
+};
+
+// Voice sessions answer only to the client that started them, and to managers
+const sessionOwnerErrors = {
+    403: 'Credential role is below kiosk, or another client started the session (not_session_owner)'
+};
+
+/**
+ * Documentation for every route, keyed by "METHOD /express/path". Besides tag and
+ * summary: status (success code), response (success body schema), contentTypes,
+ * requestContentTypes (for non-JSON uploads) and errors (extra { status: description }
+ * the route can return).
+ */
+export const ROUTE_DOCS = {
+    'GET /health': { tag: 'System', summary: 'Service health and loaded agent count' },
+    'GET /api/openapi.json': { tag: 'System', summary: 'This OpenAPI document' },
+    'GET /api/asyncapi.json': { tag: 'System', summary: 'AsyncAPI document for the WebSocket messages' },
+
+    'GET /api/auth/me': { tag: 'Auth', summary: 'Identity and role of the calling credential' },
+    'POST /api/auth/token': {
+        tag: 'Auth',
+        summary: 'Issue a signed token for a role up to the caller\'s own',
+        status: 201,
+        errors: { 503: 'AUTH_SECRET is not configured' },
+        response: {
+            type: 'object',
+            properties: {
+                token: { type: 'string' },
+                subject: { type: 'string' },
+                role: { type: 'string', enum: ROLES },
+                expiresAt: { type: 'string', format: 'date-time' }
+            }
+        }
+    },
+
+    'GET /api/agents': { tag: 'Agents', summary: 'List all agents' },
+    'GET /api/agents/:id': { tag: 'Agents', summary: 'Get one agent by id or alias' },
+    'POST /api/agents/:id/test': { tag: 'Agents', summary: 'One-off reply from an agent, with synthesized audio when configured' },
+    'POST /api/agents/:id/deploy': { tag: 'Agents', summary: 'Deploy an agent to ElevenLabs ConvAI' },
+
+    'GET /api/conversations': {
+        tag: 'Conversations',
+        summary: 'Stored conversations, newest first, with filters and cursor paging',
+        response: {
+            type: 'object',
+            properties: {
+                conversations: { type: 'array', items: { type: 'object' } },
+                nextCursor: { type: ['string', 'null'], description: 'Pass as cursor to fetch the next page' }
+            }
+        }
+    },
+    'GET /api/conversations/:sessionId': { tag: 'Conversations', summary: 'Stored conversation with all messages' },
+    'GET /api/conversations/:sessionId/transcript': {
+        tag: 'Conversations',
+        summary: 'Export a conversation as JSON, CSV, plain text or WebVTT',
+        contentTypes: ['application/json', 'text/csv', 'text/plain', 'text/vtt']
+    },
+
+    'POST /api/scenarios/:type': { tag: 'Scenarios', summary: 'Scripted multi-agent scenario (dinner_rush, wine_pairing)' },
+
+    'POST /api/intelligence/predict': { tag: 'Intelligence', summary: 'Predict a customer\'s next order, arrival and churn risk' },
+    'GET /api/intelligence/insights': { tag: 'Intelligence', summary: 'Insights the agents have learned collectively' },
+    'POST /api/intelligence/forecast': { tag: 'Intelligence', summary: 'Forecast covers and peak hours' },
+    'POST /api/intelligence/optimize-staff': { tag: 'Intelligence', summary: 'Staff schedule for forecast demand' },
+    'POST /api/intelligence/anomaly': { tag: 'Intelligence', summary: 'Check service metrics for anomalies' },
+    'POST /api/intelligence/learn': { tag: 'Intelligence', summary: 'Record an agent interaction for collective learning' },
+
+    'POST /api/voice/start': {
+        tag: 'Voice',
+        summary: 'Start a voice conversation with an agent',
+        errors: { 404: 'Unknown agentId', 409: 'The caller already has VOICE_MAX_SESSIONS_PER_USER active sessions' },
+        response: {
+            type: 'object',
+            properties: {
+                sessionId: { type: 'string' },
+                agentId: { type: 'string' },
+                message: { type: 'string' },
+                conversation: { type: 'object' }
+            }
+        }
+    },
+    'POST /api/voice/speak': {
+        tag: 'Voice',
+        summary: 'Send a guest utterance (transcript, or audioData to transcribe) and get the agent\'s reply',
+        response: {
+            ...voiceTurn,
+            properties: {
+                ...voiceTurn.properties,
+                transcript: { type: 'string' },
+                recognition: { ...recognition, type: ['object', 'null'] }
+            }
+        },
+        errors: { ...sessionOwnerErrors, 404: 'Unknown sessionId', ...transcriptionErrors }
+    },
+    'POST /api/voice/transcribe': {
+        tag: 'Voice',
+        summary: 'Transcribe an uploaded utterance with word timings and confidence',
+        requestContentTypes: ['audio/wav', 'audio/L16', 'audio/ogg', 'audio/webm'],
+        response: {
+            ...recognition,
+            properties: { transcript: { type: 'string' }, ...recognition.properties }
+        },
+        errors: transcriptionErrors
+    },
+    'POST /api/voice/synthesize': {
+        tag: 'Voice',
+        summary: 'Synthesize speech for text in an agent\'s voice',
+        errors: { 404: 'Unknown agentId', 503: 'Every text-to-speech provider failed or none is available' }
+    },
+    'POST /api/voice/interrupt/:sessionId': { tag: 'Voice', summary: 'Barge in: stop the agent\'s current reply', errors: sessionOwnerErrors },
+    'POST /api/voice/handoff/:sessionId': {
+        tag: 'Voice',
+        summary: 'Transfer the conversation to another agent, who gets a summary of it and introduces themselves; guests asking for someone else, or about another agent\'s topic, are transferred automatically (VOICE_HANDOFF)',
+        errors: { ...sessionOwnerErrors, 404: 'Unknown sessionId or agentId', 409: 'That agent already has the conversation (agent_already_assigned)' }
+    },
+    'GET /api/voice/conversation/:sessionId': { tag: 'Voice', summary: 'Live conversation state and the last 10 messages', errors: sessionOwnerErrors },
+    'POST /api/voice/end/:sessionId': { tag: 'Voice', summary: 'End a voice conversation', errors: sessionOwnerErrors },
+    'GET /api/audio/:key': {
+        tag: 'Voice',
+        summary: 'Synthesized speech by content hash; use the signed audioUrl from a voice response or API credentials. Supports Range requests',
+        contentTypes: ['audio/mpeg', 'audio/wav'],
+        errors: {
+            401: 'No signature and no credentials',
+            403: 'Signature invalid or expired',
+            416: 'Range outside the audio'
+        }
+    },
+    'POST /api/telephony/twilio/voice': {
+        tag: 'Telephony',
+        summary: 'Twilio voice webhook: answers with TwiML streaming the call to an agent over /ws/telephony/twilio. Authenticated by X-Twilio-Signature (TWILIO_AUTH_TOKEN), not API credentials',
+        requestContentTypes: ['application/x-www-form-urlencoded'],
+        contentTypes: ['text/xml'],
+        errors: {
+            403: 'X-Twilio-Signature does not match',
+            503: 'TWILIO_AUTH_TOKEN or AUTH_SECRET is missing while authentication is on'
+        }
+    },
+    'GET /api/escalations': {
+        tag: 'Escalations',
+        summary: 'Escalation tickets, newest first; status=open is the live queue, high priority (the guest asked for a person or is upset) then oldest first'
+    },
+    'GET /api/escalations/stream': {
+        tag: 'Escalations',
+        summary: 'The live escalation queue as Server-Sent Events: escalation_queue on connect, then the same messages as /ws/escalations',
+        contentTypes: ['text/event-stream']
+    },
+    'POST /api/escalations': {
+        tag: 'Escalations',
+        summary: 'Page staff for a voice session. Tickets also open by themselves when the agent offers to get someone, the guest asks for a person, or replies stay low-confidence or the guest upset (ESCALATION_*)',
+        status: 201,
+        errors: { ...sessionOwnerErrors, 404: 'Unknown sessionId (session_not_found)' }
+    },
+    'POST /api/escalations/:ticketId/claim': {
+        tag: 'Escalations',
+        summary: 'Take the conversation over: the agent stops answering and the guest\'s turns are relayed to staff',
+        errors: { 404: 'Unknown ticketId (ticket_not_found)', 409: 'Claimed by someone else (ticket_claimed) or already closed (ticket_closed)' }
+    },
+    'POST /api/escalations/:ticketId/messages': {
+        tag: 'Escalations',
+        summary: 'Say something to the guest, spoken in the agent\'s voice; claim the ticket first',
+        status: 201,
+        errors: {
+            403: 'Credential role is below staff, or the ticket isn\'t claimed by you (not_ticket_owner)',
+            404: 'Unknown ticketId (ticket_not_found)',
+            409: 'Ticket already closed (ticket_closed)'
+        }
+    },
+    'POST /api/escalations/:ticketId/release': {
+        tag: 'Escalations',
+        summary: 'Resolve the ticket and hand the conversation back to the agent. Managers can release tickets other staff hold',
+        errors: {
+            403: 'Credential role is below staff, or someone else holds the ticket (not_ticket_owner)',
+            404: 'Unknown ticketId (ticket_not_found)',
+            409: 'Ticket already closed (ticket_closed)'
+        }
+    },
+    'GET /api/reservations/availability': {
+        tag: 'Reservations',
+        summary: 'Whether a party fits at a time (with the nearest free times if not), or every free time that day. A booking holds its seats for the scenario\'s averageServiceTime within its capacity (RESTAURANT_SCENARIO)',
+        errors: {
+            409: 'The scenario takes no reservations (reservations_unavailable)',
+            422: 'Party over RESERVATION_MAX_PARTY_SIZE (party_too_large) or time outside RESERVATION_HOURS (outside_service_hours)'
+        }
+    },
+    'GET /api/reservations': {
+        tag: 'Reservations',
+        summary: 'Reservations in time order, for a date or by confirmation code, with the number of guests expected'
+    },
+    'POST /api/reservations': {
+        tag: 'Reservations',
+        summary: 'Book a table; the reply carries the confirmation code guests use to look it up or cancel',
+        status: 201,
+        errors: {
+            409: 'The time is full (slot_unavailable, details.alternatives lists the nearest free times) or the scenario takes no reservations (reservations_unavailable)',
+            422: 'Party too large (party_too_large), time outside service hours (outside_service_hours) or already passed (reservation_in_past)'
+        }
+    },
+    'GET /api/reservations/:reservationId': {
+        tag: 'Reservations',
+        summary: 'A reservation by id or confirmation code',
+        errors: { 404: 'Unknown reservation (reservation_not_found)' }
+    },
+    'PATCH /api/reservations/:reservationId': {
+        tag: 'Reservations',
+        summary: 'Change a booking. A new date, time or party size must be free; status moves booked -> seated -> completed, or booked -> cancelled / no_show',
+        errors: {
+            404: 'Unknown reservation (reservation_not_found)',
+            409: 'The new time is full (slot_unavailable) or the reservation is past changing (reservation_closed)',
+            422: 'Party too large (party_too_large), time outside service hours (outside_service_hours) or already passed (reservation_in_past)'
+        }
+    },
+    'POST /api/reservations/:reservationId/cancel': {
+        tag: 'Reservations',
+        summary: 'Cancel a booking and free its seats',
+        errors: {
+            404: 'Unknown reservation (reservation_not_found)',
+            409: 'Already seated, completed or cancelled (reservation_closed)'
+        }
+    },
+    'GET /api/waitlist': {
+        tag: 'Waitlist',
+        summary: 'Walk-in parties in the order they joined: waiting (with position and current estimatedMinutes), called and seated; or every entry with a status from the last day'
+    },
+    'GET /api/waitlist/quote': {
+        tag: 'Waitlist',
+        summary: 'The wait a party joining now would be quoted, from the parties ahead, the tables seated and reservations due. Tables turn in the scenario\'s averageServiceTime, adjusted by today\'s completed tables',
+        errors: {
+            409: 'The scenario seats no walk-ins (waitlist_unavailable)',
+            422: 'Party over RESERVATION_MAX_PARTY_SIZE or the room (party_too_large)'
+        }
+    },
+    'GET /api/waitlist/stream': {
+        tag: 'Waitlist',
+        summary: 'The waitlist as Server-Sent Events: waitlist_updated with the same entries as GET /api/waitlist on connect and after every change',
+        contentTypes: ['text/event-stream']
+    },
+    'POST /api/waitlist': {
+        tag: 'Waitlist',
+        summary: 'Add a walk-in party with a quoted wait. It is texted (phone) or emailed when its table is ready, automatically when a table frees up for it (WAITLIST_AUTO_NOTIFY) or when a host calls it',
+        status: 201,
+        errors: {
+            409: 'The scenario seats no walk-ins (waitlist_unavailable)',
+            422: 'Party too large (party_too_large)'
+        }
+    },
+    'GET /api/waitlist/:entryId': {
+        tag: 'Waitlist',
+        summary: 'A waitlist entry, with its place in line and the messages sent to it',
+        errors: { 404: 'Unknown entry (entry_not_found)' }
+    },
+    'PATCH /api/waitlist/:entryId': {
+        tag: 'Waitlist',
+        summary: 'Change a party\'s size or contact details, or its status: waiting -> notified -> seated -> completed, or cancelled / no_show. Completing or dropping a party calls the next ones its seats cover',
+        errors: {
+            404: 'Unknown entry (entry_not_found)',
+            409: 'The status can\'t change that way (entry_closed)',
+            422: 'Party too large (party_too_large)'
+        }
+    },
+    'POST /api/waitlist/:entryId/notify': {
+        tag: 'Waitlist',
+        summary: 'Tell the party their table is ready, through NOTIFIER, and mark it notified. Parties without a phone or email are marked for the host to call',
+        errors: {
+            404: 'Unknown entry (entry_not_found)',
+            409: 'Already seated, completed or cancelled (entry_closed)'
+        }
+    },
+    'POST /api/waitlist/:entryId/cancel': {
+        tag: 'Waitlist',
+        summary: 'Take a party off the waitlist',
+        errors: {
+            404: 'Unknown entry (entry_not_found)',
+            409: 'Already seated, completed or cancelled (entry_closed)'
+        }
+    },
+    'GET /api/floor': {
+        tag: 'Floor',
+        summary: 'The scenario\'s floor plan (floorPlan, or one room sized to its capacity) with each table\'s live state and party, section servers and totals. State is kept in memory'
+    },
+    'GET /api/floor/stream': {
+        tag: 'Floor',
+        summary: 'The floor as Server-Sent Events: floor_updated with the same body as GET /api/floor on connect and after every change',
+        contentTypes: ['text/event-stream']
+    },
+    'GET /api/floor/tables': {
+        tag: 'Floor',
+        summary: 'Tables in a section or state (available, seated, dessert, check_dropped, bussing), with totals',
+        errors: { 404: 'Unknown section (section_not_found)' }
+    },
+    'GET /api/floor/suggest': {
+        tag: 'Floor',
+        summary: 'Where the seating engine would seat a party now, best first: a free table or neighbouring combinable ones, fewest empty seats, matching preferences, spread across sections',
+        errors: {
+            409: 'The scenario has no tables (floor_unavailable)',
+            422: 'Larger than any free-standing or combined tables (party_too_large)'
+        }
+    },
+    'POST /api/floor/seat': {
+        tag: 'Floor',
+        summary: 'Seat a party at the host\'s tables or the seating engine\'s pick. Seating a reservation or waitlist entry marks it seated; bussing its tables later marks it completed',
+        status: 201,
+        errors: {
+            404: 'Unknown table, reservation or waitlist entry (table_not_found, reservation_not_found, entry_not_found)',
+            409: 'A chosen table is taken (table_unavailable), nothing free fits (no_table_free), or the booking is already closed (reservation_closed, entry_closed)',
+            422: 'No party size given or known (missing_details), or larger than the floor seats together (party_too_large)'
+        }
+    },
+    'PATCH /api/floor/tables/:tableId': {
+        tag: 'Floor',
+        summary: 'Move a table, and any pushed together with it, along: seated -> dessert -> check_dropped -> bussing -> available',
+        errors: {
+            404: 'Unknown table (table_not_found)',
+            409: 'Not a next state for the table (table_unavailable)'
+        }
+    },
+    'PATCH /api/floor/sections/:sectionId': {
+        tag: 'Floor',
+        summary: 'Assign a server to a section, or unassign it',
+        errors: { 404: 'Unknown section (section_not_found)' }
+    },
+    'GET /api/tools': {
+        tag: 'Agent Tools',
+        summary: 'Tools agents can call mid-conversation, with JSON Schema parameters; the same definitions ConvAI agents are deployed with',
+        errors: { 404: 'Unknown agentId' }
+    },
+    'POST /api/tools/:name': {
+        tag: 'Agent Tools',
+        summary: 'Run a tool (ConvAI webhook). The body is the tool\'s parameters. Outcomes to tell the guest, like a full slot, come back as ok: false with a spoken summary rather than an HTTP error',
+        errors: { 404: 'Unknown tool' }
+    },
+    'GET /api/voice/tts': {
+        tag: 'Voice',
+        summary: 'Text-to-speech providers in failover order, availability and quota cooldowns',
+        response: {
+            type: 'object',
+            properties: {
+                providers: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string', enum: ['elevenlabs', 'local', 'sine', 'silent'] },
+                            available: { type: 'boolean' },
+                            coolingDownUntil: { type: ['string', 'null'], format: 'date-time' },
+                            lastError: { type: ['object', 'null'] }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    'GET /api/voice/audio-cache': {
+        tag: 'Voice',
+        summary: 'Audio cache size, evictions and hit rate',
+        response: {
+            type: 'object',
+            properties: {
+                store: { type: 'string', enum: ['local', 's3'] },
+                entries: { type: 'integer' },
+                bytes: { type: 'integer' },
+                maxBytes: { type: 'integer' },
+                maxAgeMs: { type: 'integer' },
+                hits: { type: 'integer' },
+                misses: { type: 'integer' },
+                writes: { type: 'integer' },
+                evictions: { type: 'integer' },
+                errors: { type: 'integer' },
+                hitRate: { type: ['number', 'null'] }
+            }
+        }
+    }
+};
+
+/**
+ * Routes registered on the app as { method, path, requiredRole, queryToken, schemas }
+ */
+export function listRoutes(app) {
+    const routes = new Map();
+
+    for (const layer of app._router?.stack || []) {
+        if (!layer.route) continue;
+
+        const handlers = layer.route.stack.map(entry => entry.handle);
+        const requiredRole = handlers.find(handler => handler.requiredRole)?.requiredRole || null;
+        const queryToken = handlers.some(handler => handler.queryToken);
+        const schemas = handlers.find(handler => handler.schemas)?.schemas || {};
+
+        for (const method of Object.keys(layer.route.methods)) {
+            const key = `${method.toUpperCase()} ${layer.route.path}`;
+            if (!routes.has(key)) {
+                routes.set(key, { method, path: layer.route.path, requiredRole, queryToken, schemas });
+            }
+        }
+    }
+
+    return [...routes.values()];
+}
+
+/**
+ * Compare the app's routes with ROUTE_DOCS in both directions
+ */
+export function findUndocumentedRoutes(app) {
+    const registered = listRoutes(app).map(route => `${route.method.toUpperCase()} ${route.path}`);
+
+    return {
+        undocumented: registered.filter(key => !ROUTE_DOCS[key]),
+        stale: Object.keys(ROUTE_DOCS).filter(key => !registered.includes(key))
+    };
+}
+
+export function buildOpenApiSpec(app, { version = '1.0.0', serverUrl = '/' } = {}) {
+    const paths = {};
+
+    for (const route of listRoutes(app)) {
+        const docs = ROUTE_DOCS[`${route.method.toUpperCase()} ${route.path}`];
+        if (!docs) continue;
+
+        const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][route.method] = buildOperation(route, docs);
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Restaurant Voice Agents API',
+            version,
+            description: 'Agents, voice conversations, intelligence and scenario endpoints. ' +
+                `Routes marked with x-required-role accept that role or higher (${ROLES.join(' < ')}). ` +
+                'Real-time voice runs over the WebSocket described in /api/asyncapi.json.'
+        },
+        servers: [{ url: serverUrl }],
+        tags: [...new Set(Object.values(ROUTE_DOCS).map(docs => docs.tag))].map(name => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key or signed token' },
+                apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                queryTokenAuth: { type: 'apiKey', in: 'query', name: 'token', description: 'Server-Sent Event streams only, since EventSource can\'t send headers' }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['error'],
+                    properties: {
+                        error: {
+                            type: 'object',
+                            required: ['code', 'message', 'details'],
+                            properties: {
+                                code: { type: 'string', examples: ['validation_error', 'not_found'] },
+                                message: { type: 'string' },
+                                details: {
+                                    description: 'For validation_error, one entry per invalid field',
+                                    oneOf: [
+                                        { type: 'null' },
+                                        { type: 'object' },
+                                        {
+                                            type: 'array',
+                                            items: {
+                                                type: 'object',
+                                                properties: {
+                                                    field: { type: 'string', examples: ['body.transcript'] },
+                                                    rule: { type: 'string', examples: ['required'] },
+                                                    message: { type: 'string' }
+                                                }
+                                            }
+                                        }
+                                    ]
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+function buildOperation(route, docs) {
+    const { params, query, body } = route.schemas;
+    const successContent = (docs.contentTypes || ['application/json']).reduce((content, type) => {
+        content[type] = type === 'application/json' ? { schema: docs.response || { type: 'object' } } : { schema: { type: 'string' } };
+        return content;
+    }, {});
+
+    const operation = {
+        tags: [docs.tag],
+        summary: docs.summary,
+        operationId: operationId(route),
+        parameters: [
+            ...toParameters(params, 'path', route.path),
+            ...toParameters(query, 'query')
+        ],
+        responses: {
+            [docs.status || 200]: { description: 'Success', content: successContent }
+        }
+    };
+
+    if (body) {
+        operation.requestBody = {
+            required: true,
+            content: { 'application/json': { schema: body } }
+        };
+    } else if (docs.requestContentTypes) {
+        operation.requestBody = {
+            required: true,
+            content: Object.fromEntries(docs.requestContentTypes.map(type => [type, { schema: { type: 'string', format: 'binary' } }]))
+        };
+    }
+
+    if (params || query || body) {
+        operation.responses[400] = errorResponse('Invalid request; details lists each field');
+    }
+
+    if (route.requiredRole) {
+        operation['x-required-role'] = route.requiredRole;
+        operation.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }, ...(route.queryToken ? [{ queryTokenAuth: [] }] : [])];
+        operation.description = `Requires the ${route.requiredRole} role or higher.`;
+        operation.responses[401] = errorResponse('Missing or invalid credentials');
+        operation.responses[403] = errorResponse(`Credential role is below ${route.requiredRole}`);
+    }
+
+    if (route.path.includes(':')) {
+        operation.responses[404] = errorResponse('Not found');
+    }
+
+    for (const [status, description] of Object.entries(docs.errors || {})) {
+        operation.responses[status] = errorResponse(description);
+    }
+
+    operation.responses[500] = errorResponse('Unexpected server error');
+    return operation;
+}
+
+function toParameters(schema, location, path = '') {
+    const names = new Set([
+        ...Object.keys(schema?.properties || {}),
+        // Path segments are always parameters, even without a schema
+        ...(location === 'path' ? [...path.matchAll(/:(\w+)/g)].map(match => match[1]) : [])
+    ]);
+
+    return [...names].map(name => {
+        const { description, ...propertySchema } = schema?.properties?.[name] || { type: 'string' };
+        const parameter = {
+            name,
+            in: location,
+            required: location === 'path' || (schema?.required || []).includes(name),
+            schema: propertySchema
+        };
+        if (description) {
+            parameter.description = description;
+        }
+        return parameter;
+    });
+}
+
+// The request schema's name when the route has one, else e.g. "GET /api/agents" -> "getAgents"
+function operationId(route) {
+    const named = Object.entries(requestSchemas).find(([, schemas]) => schemas === route.schemas);
+    if (named) {
+        return named[0];
+    }
+
+    const words = route.path
+        .replace(/^\/api\//, '/')
+        .split(/[/\-.]/)
+        .filter(segment => segment && !segment.startsWith(':'));
+
+    return [route.method, ...words]
+        .map((word, index) => index === 0 ? word : word[0].toUpperCase() + word.slice(1))
+        .join('');
+}
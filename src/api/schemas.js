@@ -0,0 +1,761 @@
+/**
+ * Request schemas for the HTTP API and WebSocket messages
+ * Keyed by operation; server.js wires each one in with validateRequest().
+ */
+
+import { ROLES } from '../auth/AuthManager.js';
+import { TRANSCRIPT_FORMATS } from '../voice/TranscriptExporter.js';
+import { AUDIO_FORMATS } from '../stt/index.js';
+import { ESCALATION_STATUSES } from '../escalation/EscalationQueue.js';
+import { RESERVATION_STATUSES, OCCASIONS, TABLE_PREFERENCES } from '../reservations/ReservationBook.js';
+import { WAITLIST_STATUSES } from '../waitlist/Waitlist.js';
+import { TABLE_STATES } from '../seating/TableBoard.js';
+
+const MAX_UTTERANCE_LENGTH = 2000;
+
+const agentIdParam = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'string', minLength: 1, description: 'Agent id or alias' }
+    }
+};
+
+const sessionIdParam = {
+    type: 'object',
+    required: ['sessionId'],
+    properties: {
+        sessionId: { type: 'string', minLength: 1, maxLength: 200 }
+    }
+};
+
+const ticketIdParam = {
+    type: 'object',
+    required: ['ticketId'],
+    properties: {
+        ticketId: { type: 'string', minLength: 1, maxLength: 100 }
+    }
+};
+
+const resolution = { type: 'string', maxLength: 1000, description: 'How the guest was helped, kept on the ticket' };
+
+const reservationIdParam = {
+    type: 'object',
+    required: ['reservationId'],
+    properties: {
+        reservationId: { type: 'string', minLength: 1, maxLength: 100, description: 'Reservation id or confirmation code' }
+    }
+};
+
+// Reservation times are the restaurant's local time
+const reservationFields = {
+    partySize: { type: 'integer', minimum: 1, maximum: 50 },
+    date: { type: 'string', format: 'date', description: 'YYYY-MM-DD' },
+    time: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', description: '24-hour HH:MM' }
+};
+
+const reservationDetails = {
+    contact: {
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            phone: { type: 'string', maxLength: 30 },
+            email: { type: 'string', format: 'email', maxLength: 200 }
+        }
+    },
+    occasion: { type: 'string', enum: OCCASIONS },
+    tablePreferences: { type: 'array', maxItems: TABLE_PREFERENCES.length, items: { type: 'string', enum: TABLE_PREFERENCES } },
+    notes: { type: 'string', maxLength: 500, description: 'Allergies, accessibility needs, anything for the host' }
+};
+
+const waitlistEntryIdParam = {
+    type: 'object',
+    required: ['entryId'],
+    properties: {
+        entryId: { type: 'string', minLength: 1, maxLength: 100 }
+    }
+};
+
+const waitlistDetails = {
+    contact: {
+        ...reservationDetails.contact,
+        properties: {
+            ...reservationDetails.contact.properties,
+            phone: { ...reservationDetails.contact.properties.phone, description: 'Texted when the table is ready' },
+            email: { ...reservationDetails.contact.properties.email, description: 'Emailed when the table is ready and there is no phone' }
+        }
+    },
+    tablePreferences: reservationDetails.tablePreferences,
+    notes: reservationDetails.notes
+};
+
+const utterance = { type: 'string', minLength: 1, maxLength: MAX_UTTERANCE_LENGTH };
+
+// Guest audio to transcribe when there is no transcript (see VoiceManager.transcribeSpeech)
+const speechAudioFields = {
+    audioFormat: { type: 'string', enum: Object.keys(AUDIO_FORMATS), description: 'Detected from the audio when omitted; required for headerless pcm' },
+    sampleRate: { type: 'integer', minimum: 8000, maximum: 48000, description: 'pcm only (16-bit mono); default 16000' },
+    language: { type: 'string', maxLength: 20, description: 'Spoken language hint, e.g. en-US' }
+};
+
+const interruptionFields = {
+    spokenText: { type: 'string', maxLength: MAX_UTTERANCE_LENGTH, description: 'Text the guest heard before barging in' },
+    playedMs: { type: 'number', minimum: 0, description: 'Milliseconds of the reply that were played' }
+};
+
+const handoffFields = {
+    agentId: { type: 'string', minLength: 1, description: 'Agent taking over' },
+    reason: { type: 'string', maxLength: 500, description: 'Passed to the new agent and logged' },
+    introduce: { type: 'boolean', default: true, description: 'The new agent introduces themselves in their own voice' }
+};
+
+export const schemas = {
+    issueToken: {
+        body: {
+            type: 'object',
+            required: ['role', 'subject'],
+            properties: {
+                role: { type: 'string', enum: ROLES },
+                subject: { type: 'string', minLength: 1, maxLength: 100, pattern: '^[^:,]+$' },
+                ttlSeconds: { type: 'integer', minimum: 1 }
+            }
+        }
+    },
+
+    getAgent: {
+        params: agentIdParam
+    },
+
+    testAgent: {
+        params: agentIdParam,
+        body: {
+            type: 'object',
+            required: ['message'],
+            properties: {
+                message: utterance,
+                synthesize: { type: 'boolean' },
+                context: { type: 'object' }
+            }
+        }
+    },
+
+    deployAgent: {
+        params: agentIdParam
+    },
+
+    listConversations: {
+        query: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                userId: { type: 'string', minLength: 1 },
+                from: { type: 'string', format: 'date-time' },
+                to: { type: 'string', format: 'date-time' },
+                sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative'] },
+                minSentiment: { type: 'number', minimum: 0, maximum: 1 },
+                maxSentiment: { type: 'number', minimum: 0, maximum: 1 },
+                limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+                cursor: { type: 'string', minLength: 1 }
+            }
+        }
+    },
+
+    getConversation: {
+        params: sessionIdParam
+    },
+
+    exportTranscript: {
+        params: sessionIdParam,
+        query: {
+            type: 'object',
+            properties: {
+                format: { type: 'string', enum: [...Object.keys(TRANSCRIPT_FORMATS), 'txt', 'webvtt'], default: 'json' },
+                download: { type: 'boolean', default: true }
+            }
+        }
+    },
+
+    runScenario: {
+        params: {
+            type: 'object',
+            required: ['type'],
+            properties: {
+                type: { type: 'string', minLength: 1 }
+            }
+        }
+    },
+
+    predictCustomerNeeds: {
+        body: {
+            type: 'object',
+            required: ['customerId'],
+            properties: {
+                customerId: { type: 'string', minLength: 1 },
+                context: { type: 'object', default: {} }
+            }
+        }
+    },
+
+    forecastDemand: {
+        body: {
+            type: 'object',
+            properties: {
+                timeframe: { type: 'string', enum: ['day', 'week', 'month'], default: 'week' }
+            }
+        }
+    },
+
+    optimizeStaffing: {
+        body: {
+            type: 'object',
+            properties: {
+                constraints: {
+                    type: 'object',
+                    default: {},
+                    properties: {
+                        maxBudget: { type: 'number', minimum: 0 },
+                        minServiceLevel: { type: 'number', minimum: 0, maximum: 1 }
+                    }
+                }
+            }
+        }
+    },
+
+    detectAnomalies: {
+        body: {
+            type: 'object',
+            required: ['metrics'],
+            properties: {
+                metrics: {
+                    type: 'object',
+                    required: ['waitTime', 'orderErrors', 'staffCount', 'revenue'],
+                    properties: {
+                        waitTime: { type: 'number', minimum: 0, description: 'Average wait in minutes' },
+                        orderErrors: { type: 'integer', minimum: 0 },
+                        staffCount: { type: 'integer', minimum: 0 },
+                        revenue: { type: 'number', minimum: 0 }
+                    }
+                }
+            }
+        }
+    },
+
+    recordLearning: {
+        body: {
+            type: 'object',
+            required: ['agentId', 'interaction'],
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                interaction: {
+                    type: 'object',
+                    required: ['type'],
+                    properties: {
+                        type: {
+                            type: 'string',
+                            enum: ['CUSTOMER_INTERACTION', 'CRISIS_HANDLED', 'SUCCESS_PATTERN', 'EMOTIONAL_READ', 'COLLABORATIVE_SOLUTION']
+                        },
+                        context: { type: 'object' },
+                        outcome: { type: 'object' }
+                    }
+                }
+            }
+        }
+    },
+
+    startVoice: {
+        body: {
+            type: 'object',
+            required: ['agentId'],
+            properties: {
+                agentId: { type: 'string', minLength: 1 },
+                userId: { type: 'string', minLength: 1, maxLength: 200, default: 'anonymous' }
+            }
+        }
+    },
+
+    speak: {
+        body: {
+            type: 'object',
+            required: ['sessionId'],
+            properties: {
+                sessionId: sessionIdParam.properties.sessionId,
+                transcript: { ...utterance, description: 'What the guest said; omit to transcribe audioData' },
+                audioData: { type: 'string', description: 'Base64-encoded audio of the utterance; transcribed when there is no transcript' },
+                ...speechAudioFields
+            }
+        }
+    },
+
+    transcribe: {
+        query: {
+            type: 'object',
+            properties: {
+                format: { ...speechAudioFields.audioFormat, description: 'Overrides the Content-Type (audio/wav, audio/L16;rate=16000, audio/ogg, audio/webm)' },
+                sampleRate: speechAudioFields.sampleRate,
+                language: speechAudioFields.language
+            }
+        }
+    },
+
+    twilioVoice: {
+        query: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1, description: 'Agent answering calls to this number (default TELEPHONY_AGENT_ID)' }
+            }
+        }
+    },
+
+    synthesize: {
+        body: {
+            type: 'object',
+            required: ['text', 'agentId'],
+            properties: {
+                text: { type: 'string', minLength: 1, maxLength: 5000 },
+                agentId: { type: 'string', minLength: 1 }
+            }
+        }
+    },
+
+    interruptVoice: {
+        params: sessionIdParam,
+        body: {
+            type: 'object',
+            properties: interruptionFields
+        }
+    },
+
+    handoffVoice: {
+        params: sessionIdParam,
+        body: {
+            type: 'object',
+            required: ['agentId'],
+            properties: handoffFields
+        }
+    },
+
+    getVoiceConversation: {
+        params: sessionIdParam
+    },
+
+    listEscalations: {
+        query: {
+            type: 'object',
+            properties: {
+                status: { type: 'string', enum: ESCALATION_STATUSES }
+            }
+        }
+    },
+
+    openEscalation: {
+        body: {
+            type: 'object',
+            required: ['sessionId'],
+            properties: {
+                sessionId: sessionIdParam.properties.sessionId,
+                reason: { type: 'string', maxLength: 500 }
+            }
+        }
+    },
+
+    claimEscalation: {
+        params: ticketIdParam
+    },
+
+    messageEscalation: {
+        params: ticketIdParam,
+        body: {
+            type: 'object',
+            required: ['text'],
+            properties: {
+                text: utterance
+            }
+        }
+    },
+
+    releaseEscalation: {
+        params: ticketIdParam,
+        body: {
+            type: 'object',
+            properties: {
+                resolution
+            }
+        }
+    },
+
+    endVoice: {
+        params: sessionIdParam
+    },
+
+    reservationAvailability: {
+        query: {
+            type: 'object',
+            required: ['partySize'],
+            properties: {
+                ...reservationFields,
+                date: { ...reservationFields.date, description: 'YYYY-MM-DD, default today' },
+                time: { ...reservationFields.time, description: 'Check this time and get the nearest free ones; omit to list the day' }
+            }
+        }
+    },
+
+    listReservations: {
+        query: {
+            type: 'object',
+            properties: {
+                date: reservationFields.date,
+                status: { type: 'string', enum: RESERVATION_STATUSES },
+                confirmationCode: { type: 'string', maxLength: 20 }
+            }
+        }
+    },
+
+    createReservation: {
+        body: {
+            type: 'object',
+            required: ['partySize', 'date', 'time', 'contact'],
+            properties: {
+                ...reservationFields,
+                ...reservationDetails,
+                contact: { ...reservationDetails.contact, required: ['name'] }
+            }
+        }
+    },
+
+    getReservation: {
+        params: reservationIdParam
+    },
+
+    updateReservation: {
+        params: reservationIdParam,
+        body: {
+            type: 'object',
+            properties: {
+                ...reservationFields,
+                ...reservationDetails,
+                status: { type: 'string', enum: RESERVATION_STATUSES, description: 'booked -> seated -> completed, or booked -> cancelled / no_show' }
+            }
+        }
+    },
+
+    cancelReservation: {
+        params: reservationIdParam,
+        body: {
+            type: 'object',
+            properties: {
+                reason: { type: 'string', maxLength: 200 }
+            }
+        }
+    },
+
+    listWaitlist: {
+        query: {
+            type: 'object',
+            properties: {
+                status: { type: 'string', enum: WAITLIST_STATUSES, description: 'Entries with this status from the last day; default the parties waiting, called or seated' }
+            }
+        }
+    },
+
+    waitlistQuote: {
+        query: {
+            type: 'object',
+            required: ['partySize'],
+            properties: {
+                partySize: reservationFields.partySize
+            }
+        }
+    },
+
+    joinWaitlist: {
+        body: {
+            type: 'object',
+            required: ['partySize', 'contact'],
+            properties: {
+                partySize: reservationFields.partySize,
+                ...waitlistDetails,
+                contact: { ...waitlistDetails.contact, required: ['name'] }
+            }
+        }
+    },
+
+    getWaitlistEntry: {
+        params: waitlistEntryIdParam
+    },
+
+    updateWaitlistEntry: {
+        params: waitlistEntryIdParam,
+        body: {
+            type: 'object',
+            properties: {
+                partySize: reservationFields.partySize,
+                ...waitlistDetails,
+                status: { type: 'string', enum: WAITLIST_STATUSES, description: 'waiting -> notified -> seated -> completed, or cancelled / no_show' }
+            }
+        }
+    },
+
+    notifyWaitlistEntry: {
+        params: waitlistEntryIdParam,
+        body: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', minLength: 1, maxLength: 320, description: 'Replaces the standard table-ready message' }
+            }
+        }
+    },
+
+    cancelWaitlistEntry: {
+        params: waitlistEntryIdParam,
+        body: {
+            type: 'object',
+            properties: {
+                reason: { type: 'string', maxLength: 200 }
+            }
+        }
+    },
+
+    listTables: {
+        query: {
+            type: 'object',
+            properties: {
+                section: { type: 'string', minLength: 1, maxLength: 50 },
+                state: { type: 'string', enum: TABLE_STATES }
+            }
+        }
+    },
+
+    suggestTable: {
+        query: {
+            type: 'object',
+            required: ['partySize'],
+            properties: {
+                partySize: reservationFields.partySize,
+                tablePreferences: {
+                    type: 'string',
+                    pattern: `^(${TABLE_PREFERENCES.join('|')})(,(${TABLE_PREFERENCES.join('|')}))*$`,
+                    description: 'Comma-separated, e.g. window,quiet'
+                }
+            }
+        }
+    },
+
+    seatParty: {
+        body: {
+            type: 'object',
+            properties: {
+                partySize: { ...reservationFields.partySize, description: 'Defaults to the reservation\'s or waitlist entry\'s' },
+                tableIds: { type: 'array', minItems: 1, maxItems: 10, items: { type: 'string', minLength: 1, maxLength: 20 }, description: 'The host\'s pick; omit to let the seating engine choose' },
+                tablePreferences: reservationDetails.tablePreferences,
+                name: { type: 'string', minLength: 1, maxLength: 100 },
+                reservationId: { type: 'string', minLength: 1, maxLength: 100, description: 'Reservation id or confirmation code; marked seated' },
+                waitlistEntryId: { type: 'string', minLength: 1, maxLength: 100, description: 'Marked seated' }
+            }
+        }
+    },
+
+    updateTable: {
+        params: {
+            type: 'object',
+            required: ['tableId'],
+            properties: {
+                tableId: { type: 'string', minLength: 1, maxLength: 20 }
+            }
+        },
+        body: {
+            type: 'object',
+            required: ['state'],
+            properties: {
+                state: { type: 'string', enum: TABLE_STATES, description: 'seated -> dessert -> check_dropped -> bussing -> available' }
+            }
+        }
+    },
+
+    assignSection: {
+        params: {
+            type: 'object',
+            required: ['sectionId'],
+            properties: {
+                sectionId: { type: 'string', minLength: 1, maxLength: 50 }
+            }
+        },
+        body: {
+            type: 'object',
+            properties: {
+                server: { type: 'string', minLength: 1, maxLength: 100, description: 'Who serves the section; null or omitted to unassign' }
+            }
+        }
+    },
+
+    listTools: {
+        query: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1, description: 'Only the tools this agent can use' }
+            }
+        }
+    },
+
+    invokeTool: {
+        params: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: { type: 'string', minLength: 1, maxLength: 100 }
+            }
+        },
+        query: {
+            type: 'object',
+            properties: {
+                agentId: { type: 'string', minLength: 1, description: 'Agent making the call, kept on what it creates' }
+            }
+        }
+    },
+
+    getAudio: {
+        params: {
+            type: 'object',
+            required: ['key'],
+            properties: {
+                key: { type: 'string', pattern: '^[a-f0-9]{64}\\.(mp3|wav)$' }
+            }
+        },
+        query: {
+            type: 'object',
+            properties: {
+                expires: { type: 'integer', minimum: 0 },
+                sig: { type: 'string', maxLength: 100 }
+            }
+        }
+    }
+};
+
+/**
+ * WebSocket client messages, keyed by message type
+ */
+export const wsMessageSchemas = {
+    voice_start: {
+        type: 'object',
+        required: ['agentId'],
+        properties: {
+            agentId: { type: 'string', minLength: 1 },
+            userId: { type: 'string', minLength: 1, maxLength: 200 }
+        }
+    },
+
+    voice_input: {
+        type: 'object',
+        properties: {
+            sessionId: sessionIdParam.properties.sessionId,
+            transcript: { ...utterance, description: 'What the guest said; omit to transcribe audioData' },
+            audioData: { type: 'string', description: 'Base64-encoded audio of the utterance' },
+            ...speechAudioFields,
+            stream: { type: 'boolean' }
+        }
+    },
+
+    voice_interrupt: {
+        type: 'object',
+        properties: {
+            sessionId: sessionIdParam.properties.sessionId,
+            ...interruptionFields
+        }
+    },
+
+    voice_handoff: {
+        type: 'object',
+        required: ['agentId'],
+        properties: {
+            sessionId: sessionIdParam.properties.sessionId,
+            ...handoffFields
+        }
+    },
+
+    voice_resume: {
+        type: 'object',
+        required: ['sessionId'],
+        properties: {
+            sessionId: sessionIdParam.properties.sessionId,
+            lastSeq: { type: 'integer', minimum: 0, default: 0 }
+        }
+    },
+
+    voice_end: {
+        type: 'object',
+        properties: {
+            sessionId: sessionIdParam.properties.sessionId
+        }
+    },
+
+    audio_stream_start: {
+        type: 'object',
+        properties: {
+            sessionId: sessionIdParam.properties.sessionId,
+            sampleRate: { ...speechAudioFields.sampleRate, description: 'Of the 16-bit mono PCM that follows; default 16000' },
+            language: speechAudioFields.language,
+            turn_detection: {
+                type: 'object',
+                description: 'Overrides for this stream; same fields as a ConvAI agent\'s turn_detection',
+                properties: {
+                    threshold: { type: 'number', minimum: 0, maximum: 1 },
+                    prefix_padding_ms: { type: 'integer', minimum: 0, maximum: 2000 },
+                    silence_duration_ms: { type: 'integer', minimum: 100, maximum: 10000 }
+                }
+            }
+        }
+    },
+
+    audio_append: {
+        type: 'object',
+        required: ['audio'],
+        properties: {
+            sessionId: sessionIdParam.properties.sessionId,
+            audio: { type: 'string', minLength: 1, description: 'Base64-encoded 16-bit mono PCM' }
+        }
+    },
+
+    audio_stream_stop: {
+        type: 'object',
+        properties: {
+            sessionId: sessionIdParam.properties.sessionId
+        }
+    },
+
+    agent_message: {
+        type: 'object',
+        required: ['agentId', 'content'],
+        properties: {
+            agentId: { type: 'string', minLength: 1 },
+            content: utterance
+        }
+    }
+};
+
+/**
+ * Staff console (/ws/escalations) client messages, keyed by message type
+ */
+export const staffWsMessageSchemas = {
+    escalation_claim: {
+        type: 'object',
+        required: ['ticketId'],
+        properties: ticketIdParam.properties
+    },
+
+    escalation_message: {
+        type: 'object',
+        required: ['ticketId', 'text'],
+        properties: {
+            ...ticketIdParam.properties,
+            text: utterance
+        }
+    },
+
+    escalation_release: {
+        type: 'object',
+        required: ['ticketId'],
+        properties: {
+            ...ticketIdParam.properties,
+            resolution
+        }
+    }
+};
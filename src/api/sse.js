@@ -0,0 +1,51 @@
+/**
+ * Server-Sent Events
+ * A set of open event streams to broadcast to. Each message goes out as an event named
+ * after its type, with the message as JSON data.
+ */
+
+const KEEP_ALIVE_MS = 25000;
+
+export class EventStream {
+    constructor() {
+        this.clients = new Set();
+    }
+
+    get size() {
+        return this.clients.size;
+    }
+
+    /**
+     * Hold res open as an event stream, starting with initial, until the client disconnects
+     */
+    open(req, res, initial = null) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        this.clients.add(res);
+        if (initial) this.write(res, initial);
+
+        // A comment line now and then keeps proxies from closing a quiet stream
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+        keepAlive.unref?.();
+
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            this.clients.delete(res);
+        });
+    }
+
+    broadcast(message) {
+        for (const res of this.clients) {
+            this.write(res, message);
+        }
+    }
+
+    write(res, message) {
+        res.write(`event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+    }
+}
+
+export default EventStream;
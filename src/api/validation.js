@@ -0,0 +1,183 @@
+/**
+ * Request validation
+ * Schemas are a JSON Schema subset (type, properties, required, enum, format,
+ * min/max, pattern, items, default) so the same objects can be published as docs.
+ */
+
+import { ApiError } from './errors.js';
+
+const FORMATS = {
+    'date-time': value => !isNaN(new Date(value)),
+    // A calendar day (YYYY-MM-DD) that exists: 2026-02-30 is rejected rather than rolled over
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value)) && new Date(value).toISOString().startsWith(value),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uri: value => {
+        try {
+            new URL(value);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+};
+
+/**
+ * Check value against schema. Returns { value, issues } where value has defaults
+ * applied (and, with coerce, query-string numbers/booleans converted) and each
+ * issue is { field, rule, message }.
+ */
+export function validate(schema, value, { field = '', coerce = false } = {}) {
+    const issues = [];
+    const result = check(schema, value, field, coerce, issues);
+    return { value: result, issues };
+}
+
+function check(schema, value, field, coerce, issues) {
+    const label = field || 'value';
+    const fail = (rule, message) => {
+        issues.push({ field: label, rule, message: `${label} ${message}` });
+        return value;
+    };
+
+    if (value === undefined || value === null) {
+        return schema.default !== undefined ? structuredClone(schema.default) : value;
+    }
+
+    if (coerce && typeof value === 'string') {
+        value = coerceScalar(schema.type, value);
+    }
+
+    if (schema.type && !matchesType(schema.type, value)) {
+        return fail('type', `must be ${article(schema.type)} ${schema.type}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return fail('enum', `must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            return fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return fail('maxLength', `must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            return fail('pattern', `must match ${schema.pattern}`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            return fail('format', `must be a valid ${schema.format}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return fail('minimum', `must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return fail('maximum', `must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return fail('minItems', `must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return fail('maxItems', `must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            return value.map((item, index) => check(schema.items, item, `${label}[${index}]`, coerce, issues));
+        }
+    }
+
+    if (schema.type === 'object') {
+        return checkObject(schema, value, field, coerce, issues);
+    }
+
+    return value;
+}
+
+function checkObject(schema, value, field, coerce, issues) {
+    const properties = schema.properties || {};
+    const result = { ...value };
+    const prefix = field ? `${field}.` : '';
+
+    for (const name of schema.required || []) {
+        if (value[name] === undefined || value[name] === null) {
+            issues.push({ field: `${prefix}${name}`, rule: 'required', message: `${prefix}${name} is required` });
+        }
+    }
+
+    for (const [name, propertySchema] of Object.entries(properties)) {
+        const checked = check(propertySchema, value[name], `${prefix}${name}`, coerce, issues);
+        if (checked !== undefined) {
+            result[name] = checked;
+        }
+    }
+
+    if (schema.additionalProperties === false) {
+        for (const name of Object.keys(value).filter(key => !(key in properties))) {
+            issues.push({ field: `${prefix}${name}`, rule: 'additionalProperties', message: `${prefix}${name} is not a recognized field` });
+        }
+    }
+
+    return result;
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return typeof value === 'object' && !Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+function coerceScalar(type, value) {
+    if ((type === 'integer' || type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+function article(type) {
+    return /^[aeiou]/.test(type) ? 'an' : 'a';
+}
+
+/**
+ * Express middleware validating req.params, req.query and req.body against
+ * { params, query, body } schemas. Validated values (with defaults) replace the
+ * originals; failures go to the error handler as a 400 listing every bad field.
+ */
+export function validateRequest(schemas) {
+    const middleware = (req, res, next) => {
+        const issues = [];
+
+        for (const location of ['params', 'query', 'body']) {
+            if (!schemas[location]) continue;
+
+            const input = location === 'body' && req.body === undefined ? {} : req[location];
+            const result = validate(schemas[location], input, { field: location, coerce: location !== 'body' });
+            issues.push(...result.issues);
+            req[location] = result.value;
+        }
+
+        if (issues.length > 0) {
+            const message = issues.length === 1 ?
+                issues[0].message :
+                `${issues.length} fields are invalid: ${issues.map(issue => issue.field).join(', ')}`;
+            return next(ApiError.badRequest(message, issues));
+        }
+
+        next();
+    };
+
+    // Read by the OpenAPI generator
+    middleware.schemas = schemas;
+    return middleware;
+}
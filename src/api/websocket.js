@@ -0,0 +1,89 @@
+/**
+ * WebSocket upgrade routing
+ * Real-time channels share the HTTP server's port and are picked by path
+ * (/ws/voice, /ws/mesh, /ws/telephony/twilio, /ws/escalations); credentials are checked before the upgrade completes.
+ */
+
+import http from 'http';
+
+/**
+ * Build an HTTP 'upgrade' listener. routes maps a path to
+ * { wss: WebSocketServer created with noServer: true, role: minimum role }.
+ * A route with role: null authenticates its own clients after connecting (Twilio media
+ * streams can't send credentials with the upgrade); req.principal is null for it.
+ * With fallback set, unknown paths go to that route instead of a 404.
+ */
+export function createUpgradeHandler(auth, routes, { fallback = null } = {}) {
+    return (req, socket, head) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const route = routes[pathname] || (fallback && routes[fallback]);
+
+        if (!route) {
+            return rejectUpgrade(socket, 404, 'Not Found');
+        }
+
+        const principal = route.role ? auth.resolvePrincipal(req, { allowQuery: true }) : null;
+        if (route.role && !principal) {
+            return rejectUpgrade(socket, 401, 'Unauthorized');
+        }
+        if (route.role && !auth.hasRole(principal, route.role)) {
+            return rejectUpgrade(socket, 403, 'Forbidden');
+        }
+
+        req.principal = principal;
+        route.wss.handleUpgrade(req, socket, head, (ws) => {
+            route.wss.emit('connection', ws, req);
+        });
+    };
+}
+
+/**
+ * Opt-in dedicated port for one channel, for clients that can't use the shared port.
+ * Any path on it reaches the route; plain HTTP requests get 426.
+ */
+export function listenStandalone(port, auth, routes, path) {
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end(`WebSocket only; connect to ${path}`);
+    });
+
+    server.on('upgrade', createUpgradeHandler(auth, routes, { fallback: path }));
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => resolve(server));
+    });
+}
+
+/**
+ * Ping every client each intervalMs and terminate the ones that did not answer
+ * the previous ping, so half-open connections (a tablet that lost Wi-Fi) are noticed.
+ */
+export function startHeartbeat(wss, intervalMs = parseInt(process.env.WS_HEARTBEAT_MS || '30000', 10)) {
+    wss.on('connection', (ws) => {
+        ws.isAlive = true;
+        ws.on('pong', () => {
+            ws.isAlive = true;
+        });
+    });
+
+    const timer = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (!ws.isAlive) {
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }, intervalMs);
+    timer.unref?.();
+
+    wss.on('close', () => clearInterval(timer));
+    return timer;
+}
+
+function rejectUpgrade(socket, status, reason) {
+    socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    socket.destroy();
+}
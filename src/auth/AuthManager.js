@@ -0,0 +1,178 @@
+/**
+ * API authentication and role-based access
+ * Credentials are static API keys (API_KEYS="key:role[:name],...") or HMAC-signed
+ * tokens issued with AUTH_SECRET. Roles are ranked kiosk < staff < manager < owner.
+ */
+
+import crypto from 'crypto';
+import { ApiError } from '../api/errors.js';
+
+export const ROLES = ['kiosk', 'staff', 'manager', 'owner'];
+
+const DEFAULT_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+export class AuthManager {
+    constructor(options = {}, env = process.env) {
+        this.secret = options.secret ?? env.AUTH_SECRET ?? null;
+        this.apiKeys = this.parseApiKeys(options.apiKeys ?? env.API_KEYS ?? '');
+
+        // Enforced whenever credentials are configured and always in production;
+        // AUTH_REQUIRED=false is the explicit opt-out for local development
+        const hasCredentials = this.apiKeys.size > 0 || Boolean(this.secret);
+        this.required = options.required ?? (env.AUTH_REQUIRED !== undefined ?
+            env.AUTH_REQUIRED === 'true' :
+            env.NODE_ENV === 'production' || hasCredentials);
+    }
+
+    /**
+     * Parse "key:role[:name]" entries; keys are kept as SHA-256 digests
+     */
+    parseApiKeys(value) {
+        const keys = new Map();
+
+        for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+            const [key, role, name] = entry.split(':');
+            if (!key || !ROLES.includes(role)) {
+                throw new Error(`Invalid API_KEYS entry "${key ? `${key.slice(0, 4)}…` : entry}": expected key:role with role one of ${ROLES.join(', ')}`);
+            }
+            keys.set(this.digest(key), { subject: name || `key-${key.slice(0, 4)}`, role });
+        }
+
+        return keys;
+    }
+
+    digest(value) {
+        return crypto.createHash('sha256').update(value).digest('hex');
+    }
+
+    /**
+     * Resolve a bearer credential to a principal, or null if it is not valid
+     */
+    authenticate(credential) {
+        if (!credential) return null;
+
+        const apiKey = this.apiKeys.get(this.digest(credential));
+        if (apiKey) {
+            return { ...apiKey, via: 'api_key' };
+        }
+
+        return this.verifyToken(credential);
+    }
+
+    issueToken({ subject, role, ttlSeconds = DEFAULT_TOKEN_TTL_SECONDS }) {
+        if (!this.secret) {
+            throw new Error('AUTH_SECRET is required to issue tokens');
+        }
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown role "${role}". Expected one of: ${ROLES.join(', ')}`);
+        }
+
+        const payload = Buffer.from(JSON.stringify({
+            sub: subject,
+            role,
+            exp: Math.floor(Date.now() / 1000) + ttlSeconds
+        })).toString('base64url');
+
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    verifyToken(token) {
+        if (!this.secret || typeof token !== 'string') return null;
+
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(this.sign(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        try {
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (!ROLES.includes(claims.role) || claims.exp * 1000 < Date.now()) {
+                return null;
+            }
+            return { subject: claims.sub, role: claims.role, via: 'token', expiresAt: new Date(claims.exp * 1000).toISOString() };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    hasRole(principal, minimumRole) {
+        return Boolean(principal) && ROLES.indexOf(principal.role) >= ROLES.indexOf(minimumRole);
+    }
+
+    /**
+     * Bearer token or X-API-Key header. Browsers opening a WebSocket or an EventSource can't
+     * set headers, so those requests (allowQuery) may pass ?token= instead; nowhere else,
+     * since query strings end up in access logs and browser history.
+     */
+    credentialFromRequest(req, { allowQuery = false } = {}) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            return header.slice(7).trim();
+        }
+
+        if (req.headers['x-api-key']) {
+            return req.headers['x-api-key'];
+        }
+
+        if (!allowQuery) return null;
+        const url = new URL(req.url, 'http://localhost');
+        return url.searchParams.get('token');
+    }
+
+    /**
+     * Principal for a request. With auth disabled every caller is treated as owner.
+     */
+    resolvePrincipal(req, { allowQuery = false } = {}) {
+        const principal = this.authenticate(this.credentialFromRequest(req, { allowQuery }));
+        if (principal || this.required) {
+            return principal;
+        }
+        return { subject: 'anonymous', role: 'owner', via: 'disabled' };
+    }
+
+    /**
+     * Express middleware allowing the given role and anything above it; queryToken also
+     * accepts ?token= (Server-Sent Event streams)
+     */
+    requireRole(minimumRole, { queryToken = false } = {}) {
+        if (!ROLES.includes(minimumRole)) {
+            throw new Error(`Unknown role "${minimumRole}"`);
+        }
+
+        const middleware = (req, res, next) => {
+            const principal = this.resolvePrincipal(req, { allowQuery: queryToken });
+
+            if (!principal) {
+                return next(new ApiError(401, 'Authentication required: send an API key or token as Authorization: Bearer'));
+            }
+
+            if (!this.hasRole(principal, minimumRole)) {
+                return next(new ApiError(403, `Requires ${minimumRole} role or higher`, {
+                    details: { role: principal.role, requiredRole: minimumRole }
+                }));
+            }
+
+            req.principal = principal;
+            next();
+        };
+
+        // Read by the OpenAPI generator
+        middleware.requiredRole = minimumRole;
+        middleware.queryToken = queryToken;
+        return middleware;
+    }
+
+    generateApiKey() {
+        return crypto.randomBytes(24).toString('base64url');
+    }
+}
+
+export default AuthManager;
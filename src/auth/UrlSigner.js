@@ -0,0 +1,45 @@
+/**
+ * Expiring signed URLs
+ * Lets a browser fetch a resource with a plain GET (an <audio> element can't send an
+ * Authorization header): the URL carries ?expires=<unix seconds>&sig=<HMAC of path and expiry>.
+ * Without a configured secret a random one is used, so links stop working on restart.
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_TTL_SECONDS = 60 * 60;
+
+export class UrlSigner {
+    constructor(options = {}, env = process.env) {
+        this.secret = options.secret || env.AUDIO_URL_SECRET || env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+        this.ttlSeconds = options.ttlSeconds ?? parseInt(env.AUDIO_URL_TTL_SECONDS || String(DEFAULT_TTL_SECONDS), 10);
+    }
+
+    /**
+     * Append expires and sig query parameters to pathname
+     */
+    sign(pathname, ttlSeconds = this.ttlSeconds) {
+        const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+        return `${pathname}?expires=${expires}&sig=${this.signature(pathname, expires)}`;
+    }
+
+    /**
+     * Whether sig is valid for pathname and expires is still in the future
+     */
+    verify(pathname, expires, sig) {
+        const expiresAt = Number(expires);
+        if (!Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now() || typeof sig !== 'string') {
+            return false;
+        }
+
+        const expected = Buffer.from(this.signature(pathname, expiresAt));
+        const actual = Buffer.from(sig);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    signature(pathname, expires) {
+        return crypto.createHmac('sha256', this.secret).update(`${pathname}\n${expires}`).digest('base64url');
+    }
+}
+
+export default UrlSigner;
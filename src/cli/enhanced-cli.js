@@ -4,10 +4,19 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import inquirer from 'inquirer';
+import fs from 'fs/promises';
+import path from 'path';
 import { AgentManager } from '../agents/AgentManager.js';
 import { DataEnrichmentEngine } from '../enrichment/DataEnrichmentEngine.js';
 import { ConvAIManager } from '../convai/ConvAIManager.js';
 import { DataPipeline } from '../pipelines/DataPipeline.js';
+import { DatabaseManager } from '../database/db.js';
+import { TranscriptExporter } from '../voice/TranscriptExporter.js';
+import { AuthManager, ROLES } from '../auth/AuthManager.js';
+import { CallSimulator } from '../telephony/CallSimulator.js';
+import { createTTS } from '../tts/index.js';
+import { pcmFromWav, wavFromPcm } from '../tts/wav.js';
+import { resamplePcm } from '../tts/pcm.js';
 import { displayLogo, displaySystemStatus } from './enhanced-display.js';
 
 const program = new Command();
@@ -165,6 +174,80 @@ program
     await exportAgentData(options);
   });
 
+// Conversation transcripts
+const transcripts = program
+  .command('transcripts')
+  .description('📝 Review stored voice conversations');
+
+transcripts
+  .command('export <sessionId>')
+  .description('Export a conversation transcript')
+  .option('--format <type>', 'Export format (json, csv, text, vtt)', 'text')
+  .option('--output <path>', 'Write to a file instead of stdout')
+  .action(async (sessionId, options) => {
+    await exportTranscript(sessionId, options);
+  });
+
+// Database maintenance
+const db = program
+  .command('db')
+  .description('🗄️ Manage the storage backend');
+
+db
+  .command('import')
+  .description('Import data/*.json from file-based storage into the configured database')
+  .option('--backend <name>', 'Database backend to import into (overrides DB_BACKEND)')
+  .action(async (options) => {
+    await importFileData(options);
+  });
+
+db
+  .command('migrate')
+  .description('Apply pending schema migrations to the configured database')
+  .option('--backend <name>', 'Database backend to migrate (overrides DB_BACKEND)')
+  .action(async (options) => {
+    await migrateDatabase(options);
+  });
+
+// API access
+const auth = program
+  .command('auth')
+  .description('🔑 Manage API keys and role tokens');
+
+auth
+  .command('token')
+  .description('Issue a signed token (requires AUTH_SECRET)')
+  .requiredOption('--role <role>', `Role (${ROLES.join(', ')})`)
+  .requiredOption('--subject <name>', 'Who or what the token is for, e.g. front-kiosk-1')
+  .option('--ttl <days>', 'Days until the token expires', '30')
+  .action((options) => {
+    issueToken(options);
+  });
+
+auth
+  .command('key')
+  .description('Generate a random API key entry for API_KEYS')
+  .requiredOption('--role <role>', `Role (${ROLES.join(', ')})`)
+  .option('--name <name>', 'Label shown as the caller\'s subject')
+  .action((options) => {
+    generateApiKey(options);
+  });
+
+// Phone call simulation
+program
+  .command('call')
+  .description('📞 Simulate a phone call against the Twilio media-stream endpoint')
+  .option('--url <url>', 'Media-stream WebSocket URL', `ws://localhost:${process.env.PORT || 3000}/ws/telephony/twilio`)
+  .option('--token <token>', 'Kiosk API key or token (needed when authentication is on)')
+  .option('--agent <id>', 'Agent to call (default: the server\'s TELEPHONY_AGENT_ID)')
+  .option('--say <text>', 'Caller line, synthesized with the configured TTS (repeatable)', (text, lines) => [...lines, text], [])
+  .option('--audio <file>', 'Caller audio as a WAV file (repeatable)', (file, files) => [...files, file], [])
+  .option('--out <file>', 'Write what the agent said to a WAV file')
+  .option('--fast', 'Send audio as fast as possible instead of in real time')
+  .action(async (options) => {
+    await simulateCall(options);
+  });
+
 // Interactive functions
 async function createAllAgents(options) {
   console.log(chalk.cyan('\n🎭 Creating all 11 restaurant voice agents...\n'));
@@ -436,4 +519,195 @@ async function downloadSampleData() {
   await dataPipeline.fetchHuggingFaceData('blended_skill_talk', 100);
 }
 
-program.parse();
\ No newline at end of file
+async function importFileData(options) {
+  if (options.backend) {
+    process.env.DB_BACKEND = options.backend;
+  }
+
+  const database = new DatabaseManager();
+  const spinner = ora(`Importing ${database.dataPath} into ${database.backend}...`).start();
+
+  try {
+    await database.initialize();
+    const summary = await database.importFromFiles();
+
+    spinner.succeed('Import complete');
+    console.log(chalk.white(`  Customers:     ${summary.customers}`));
+    console.log(chalk.white(`  Interactions:  ${summary.interactions}`));
+    console.log(chalk.white(`  Agent states:  ${summary.agentStates}`));
+    console.log(chalk.white(`  Insights:      ${summary.insights}`));
+    console.log(chalk.white(`  Conversations: ${summary.conversations} (${summary.conversationMessages} messages)`));
+    console.log(chalk.white(`  Reservations:  ${summary.reservations}`));
+    console.log(chalk.white(`  Waitlist:      ${summary.waitlist}`));
+
+    if (summary.skipped.length > 0) {
+      console.log(chalk.yellow(`  Skipped ${summary.skipped.join(', ')} (table already has data)`));
+    }
+  } catch (error) {
+    spinner.fail(`Import failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+async function exportTranscript(sessionId, options) {
+  const database = new DatabaseManager();
+
+  // Keep stdout clean for piping; storage status messages go to stderr
+  const log = console.log;
+  console.log = (...args) => console.error(...args);
+
+  try {
+    await database.initialize();
+    await database.loadExistingData();
+
+    const conversation = await database.getConversation(sessionId);
+    if (!conversation) {
+      throw new Error(`Conversation ${sessionId} not found`);
+    }
+
+    const transcript = new TranscriptExporter().render(conversation, options.format);
+
+    if (options.output) {
+      await fs.mkdir(path.dirname(path.resolve(options.output)), { recursive: true });
+      await fs.writeFile(options.output, transcript.body);
+      console.error(chalk.green(`✅ Transcript written to ${options.output}`));
+    } else {
+      process.stdout.write(transcript.body);
+    }
+  } catch (error) {
+    console.error(chalk.red(`Transcript export failed: ${error.message}`));
+    process.exitCode = 1;
+  } finally {
+    console.log = log;
+    await database.close();
+  }
+}
+
+async function migrateDatabase(options) {
+  if (options.backend) {
+    process.env.DB_BACKEND = options.backend;
+  }
+
+  const database = new DatabaseManager();
+  if (database.backend === 'file') {
+    console.log(chalk.yellow('File-based storage has no schema; set DB_BACKEND=sqlite or postgres'));
+    return;
+  }
+
+  const spinner = ora(`Migrating ${database.backend} database...`).start();
+
+  try {
+    // Pending migrations are applied as part of initialization
+    await database.initialize();
+    spinner.succeed(`${database.backend} schema is up to date`);
+  } catch (error) {
+    spinner.fail(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+function issueToken(options) {
+  const ttlDays = Number(options.ttl);
+
+  try {
+    if (!(ttlDays > 0)) {
+      throw new Error('--ttl must be a positive number of days');
+    }
+
+    const manager = new AuthManager();
+    const token = manager.issueToken({
+      subject: options.subject,
+      role: options.role,
+      ttlSeconds: Math.round(ttlDays * 24 * 60 * 60)
+    });
+    const { expiresAt } = manager.verifyToken(token);
+
+    console.error(chalk.green(`✅ ${options.role} token for ${options.subject}, expires ${expiresAt}`));
+    console.log(token);
+  } catch (error) {
+    console.error(chalk.red(`Token issue failed: ${error.message}`));
+    process.exitCode = 1;
+  }
+}
+
+function generateApiKey(options) {
+  if (!ROLES.includes(options.role)) {
+    console.error(chalk.red(`Unknown role "${options.role}". Expected one of: ${ROLES.join(', ')}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const key = new AuthManager({ apiKeys: '' }).generateApiKey();
+  const entry = [key, options.role, options.name].filter(Boolean).join(':');
+
+  console.error(chalk.green('✅ Add this entry to API_KEYS (comma-separated):'));
+  console.log(entry);
+}
+
+async function simulateCall(options) {
+  const simulator = new CallSimulator({
+    url: options.url,
+    token: options.token,
+    agentId: options.agent,
+    realtime: !options.fast
+  });
+
+  try {
+    const lines = await callerAudio(options);
+
+    await simulator.connect();
+    console.log(chalk.cyan(`📞 Calling ${options.url} (${simulator.callSid})`));
+
+    const greeting = await simulator.waitForReply();
+    console.log(chalk.green(`🤖 Agent answered with ${greeting.toFixed(1)}s of audio`));
+
+    for (const line of lines) {
+      console.log(chalk.white(`🗣️  Caller: ${line.label}`));
+      await simulator.say(line.pcm);
+
+      const reply = await simulator.waitForReply();
+      console.log(reply > 0 ?
+        chalk.green(`🤖 Agent replied with ${reply.toFixed(1)}s of audio`) :
+        chalk.yellow('🤖 No reply'));
+    }
+
+    const { code, reason } = await simulator.hangUp();
+    console.log(chalk.cyan(`📞 Call ended (${code}${reason ? ` ${reason}` : ''})`));
+
+    if (options.out) {
+      await fs.mkdir(path.dirname(path.resolve(options.out)), { recursive: true });
+      await fs.writeFile(options.out, wavFromPcm(simulator.recordedAudio(), 8000));
+      console.log(chalk.green(`✅ Agent audio written to ${options.out}`));
+    }
+  } catch (error) {
+    console.error(chalk.red(`Call failed: ${error.message}`));
+    process.exitCode = 1;
+    simulator.ws?.terminate();
+  }
+}
+
+// Caller lines as 8 kHz PCM: WAV files first, then synthesized text
+async function callerAudio(options) {
+  const lines = [];
+
+  for (const file of options.audio) {
+    const { pcm, sampleRate } = pcmFromWav(await fs.readFile(file));
+    lines.push({ label: file, pcm: resamplePcm(pcm, sampleRate, 8000) });
+  }
+
+  if (options.say.length > 0) {
+    const tts = createTTS();
+    for (const text of options.say) {
+      const { result } = await tts.run(null, provider => provider.synthesizePcm({ text, voice: {} }));
+      lines.push({ label: text, pcm: resamplePcm(result.pcm, result.sampleRate, 8000) });
+    }
+  }
+
+  return lines;
+}
+
+program.parse();
@@ -3,6 +3,174 @@ import path from 'path';
 import chalk from 'chalk';
 import { EventEmitter } from 'events';
 
+// Written to scenarios/ on first run; also used when the directory is missing. A floorPlan lists
+// each section's tables: runs of `count` tables with `seats` each, numbered after the section's
+// prefix (M1, M2, ...); neighbours in a combinable run can be pushed together for larger parties
+export const DEFAULT_SCENARIOS = [
+  {
+    id: 'fine-dining',
+    name: 'Fine Dining Restaurant',
+    description: 'Upscale restaurant with premium service and cuisine',
+    capacity: 80,
+    serviceStyle: 'full-service',
+    priceRange: '$$$',
+    agentConfiguration: {
+      required: ['sophia', 'marcus', 'isabella', 'amara', 'chen'],
+      optional: ['victor', 'zara'],
+      priorities: ['quality', 'service', 'ambiance']
+    },
+    floorPlan: {
+      sections: [
+        {
+          id: 'main', name: 'Main Dining', prefix: 'M',
+          tables: [
+            { seats: 2, count: 8, combinable: true },
+            { seats: 4, count: 8, combinable: true, features: ['accessible'] }
+          ]
+        },
+        { id: 'window', name: 'Window', prefix: 'W', tables: [{ seats: 2, count: 6, combinable: true, features: ['window'] }] },
+        { id: 'booths', name: 'Booths', prefix: 'B', tables: [{ seats: 4, count: 3, features: ['booth', 'quiet'] }] },
+        { id: 'private', name: 'Private Dining', prefix: 'P', tables: [{ seats: 8, count: 1, features: ['private', 'quiet', 'accessible'] }] }
+      ]
+    },
+    workflowRules: {
+      reservationRequired: true,
+      dresscode: 'business-casual',
+      averageServiceTime: 90,
+      specialFeatures: ['wine-pairing', 'chef-table', 'private-dining']
+    }
+  },
+  {
+    id: 'fast-casual',
+    name: 'Fast Casual Restaurant',
+    description: 'Quick service with quality ingredients and efficient operations',
+    capacity: 60,
+    serviceStyle: 'counter-service',
+    priceRange: '$$',
+    agentConfiguration: {
+      required: ['sophia', 'marcus', 'diego', 'amara'],
+      optional: ['luna', 'oliver'],
+      priorities: ['speed', 'efficiency', 'value']
+    },
+    floorPlan: {
+      sections: [
+        {
+          id: 'dining', name: 'Dining Room', prefix: 'D',
+          tables: [
+            { seats: 2, count: 10, combinable: true },
+            { seats: 4, count: 6, combinable: true, features: ['accessible'] }
+          ]
+        },
+        { id: 'counter', name: 'Counter', prefix: 'C', tables: [{ seats: 1, count: 8, combinable: true, features: ['bar'] }] },
+        { id: 'patio', name: 'Patio', prefix: 'P', tables: [{ seats: 4, count: 2, combinable: true, features: ['patio'] }] }
+      ]
+    },
+    workflowRules: {
+      reservationRequired: false,
+      averageServiceTime: 15,
+      specialFeatures: ['mobile-ordering', 'loyalty-program', 'quick-pickup']
+    }
+  },
+  {
+    id: 'cafe-bakery',
+    name: 'Cafe & Bakery',
+    description: 'Cozy cafe with fresh baked goods and coffee',
+    capacity: 40,
+    serviceStyle: 'cafe-style',
+    priceRange: '$',
+    agentConfiguration: {
+      required: ['chen', 'marcus', 'amara'],
+      optional: ['luna', 'oliver'],
+      priorities: ['freshness', 'comfort', 'community']
+    },
+    floorPlan: {
+      sections: [
+        {
+          id: 'cafe', name: 'Cafe', prefix: 'C',
+          tables: [
+            { seats: 2, count: 8, combinable: true, features: ['window'] },
+            { seats: 4, count: 3, features: ['accessible'] }
+          ]
+        },
+        {
+          id: 'patio', name: 'Patio', prefix: 'P',
+          tables: [
+            { seats: 2, count: 2, combinable: true, features: ['patio'] },
+            { seats: 4, count: 2, combinable: true, features: ['patio'] }
+          ]
+        }
+      ]
+    },
+    workflowRules: {
+      reservationRequired: false,
+      averageServiceTime: 20,
+      specialFeatures: ['daily-specials', 'coffee-program', 'takeaway']
+    }
+  },
+  {
+    id: 'sports-bar',
+    name: 'Sports Bar & Grill',
+    description: 'Lively atmosphere with games, drinks, and casual dining',
+    capacity: 120,
+    serviceStyle: 'bar-service',
+    priceRange: '$$',
+    agentConfiguration: {
+      required: ['sophia', 'marcus', 'diego', 'victor'],
+      optional: ['isabella', 'luna'],
+      priorities: ['entertainment', 'speed', 'atmosphere']
+    },
+    floorPlan: {
+      sections: [
+        { id: 'bar', name: 'Bar', prefix: 'BR', tables: [{ seats: 1, count: 16, combinable: true, features: ['bar'] }] },
+        { id: 'floor', name: 'Main Floor', prefix: 'F', tables: [{ seats: 4, count: 12, combinable: true, features: ['accessible'] }] },
+        { id: 'booths', name: 'Booths', prefix: 'B', tables: [{ seats: 6, count: 6, features: ['booth'] }] },
+        { id: 'patio', name: 'Patio', prefix: 'P', tables: [{ seats: 4, count: 5, combinable: true, features: ['patio'] }] }
+      ]
+    },
+    workflowRules: {
+      reservationRequired: false,
+      averageServiceTime: 45,
+      specialFeatures: ['game-day-specials', 'large-groups', 'bar-seating']
+    }
+  },
+  {
+    id: 'food-truck',
+    name: 'Mobile Food Truck',
+    description: 'Mobile kitchen serving street food and quick bites',
+    capacity: 0,
+    serviceStyle: 'takeout-only',
+    priceRange: '$',
+    agentConfiguration: {
+      required: ['sophia', 'diego'],
+      optional: ['luna', 'oliver'],
+      priorities: ['mobility', 'speed', 'innovation']
+    },
+    workflowRules: {
+      reservationRequired: false,
+      averageServiceTime: 8,
+      specialFeatures: ['location-tracking', 'social-media', 'limited-menu']
+    }
+  },
+  {
+    id: 'catering',
+    name: 'Catering Service',
+    description: 'Off-site catering for events and special occasions',
+    capacity: 500,
+    serviceStyle: 'catering',
+    priceRange: '$$$',
+    agentConfiguration: {
+      required: ['sophia', 'marcus', 'raj', 'zara'],
+      optional: ['isabella', 'chen', 'victor'],
+      priorities: ['planning', 'logistics', 'presentation']
+    },
+    workflowRules: {
+      reservationRequired: true,
+      averageServiceTime: 240,
+      specialFeatures: ['event-planning', 'custom-menus', 'equipment-rental']
+    }
+  }
+];
+
 export class ScenarioManager extends EventEmitter {
   constructor() {
     super();
@@ -42,119 +210,7 @@ export class ScenarioManager extends EventEmitter {
   async createDefaultScenarios() {
     await fs.mkdir(this.scenarioPath, { recursive: true });
 
-    const defaultScenarios = [
-      {
-        id: 'fine-dining',
-        name: 'Fine Dining Restaurant',
-        description: 'Upscale restaurant with premium service and cuisine',
-        capacity: 80,
-        serviceStyle: 'full-service',
-        priceRange: '$$$',
-        agentConfiguration: {
-          required: ['sophia', 'marcus', 'isabella', 'amara', 'chen'],
-          optional: ['victor', 'zara'],
-          priorities: ['quality', 'service', 'ambiance']
-        },
-        workflowRules: {
-          reservationRequired: true,
-          dresscode: 'business-casual',
-          averageServiceTime: 90,
-          specialFeatures: ['wine-pairing', 'chef-table', 'private-dining']
-        }
-      },
-      {
-        id: 'fast-casual',
-        name: 'Fast Casual Restaurant',
-        description: 'Quick service with quality ingredients and efficient operations',
-        capacity: 60,
-        serviceStyle: 'counter-service',
-        priceRange: '$$',
-        agentConfiguration: {
-          required: ['sophia', 'marcus', 'diego', 'amara'],
-          optional: ['luna', 'oliver'],
-          priorities: ['speed', 'efficiency', 'value']
-        },
-        workflowRules: {
-          reservationRequired: false,
-          averageServiceTime: 15,
-          specialFeatures: ['mobile-ordering', 'loyalty-program', 'quick-pickup']
-        }
-      },
-      {
-        id: 'cafe-bakery',
-        name: 'Cafe & Bakery',
-        description: 'Cozy cafe with fresh baked goods and coffee',
-        capacity: 40,
-        serviceStyle: 'cafe-style',
-        priceRange: '$',
-        agentConfiguration: {
-          required: ['chen', 'marcus', 'amara'],
-          optional: ['luna', 'oliver'],
-          priorities: ['freshness', 'comfort', 'community']
-        },
-        workflowRules: {
-          reservationRequired: false,
-          averageServiceTime: 20,
-          specialFeatures: ['daily-specials', 'coffee-program', 'takeaway']
-        }
-      },
-      {
-        id: 'sports-bar',
-        name: 'Sports Bar & Grill',
-        description: 'Lively atmosphere with games, drinks, and casual dining',
-        capacity: 120,
-        serviceStyle: 'bar-service',
-        priceRange: '$$',
-        agentConfiguration: {
-          required: ['sophia', 'marcus', 'diego', 'victor'],
-          optional: ['isabella', 'luna'],
-          priorities: ['entertainment', 'speed', 'atmosphere']
-        },
-        workflowRules: {
-          reservationRequired: false,
-          averageServiceTime: 45,
-          specialFeatures: ['game-day-specials', 'large-groups', 'bar-seating']
-        }
-      },
-      {
-        id: 'food-truck',
-        name: 'Mobile Food Truck',
-        description: 'Mobile kitchen serving street food and quick bites',
-        capacity: 0,
-        serviceStyle: 'takeout-only',
-        priceRange: '$',
-        agentConfiguration: {
-          required: ['sophia', 'diego'],
-          optional: ['luna', 'oliver'],
-          priorities: ['mobility', 'speed', 'innovation']
-        },
-        workflowRules: {
-          reservationRequired: false,
-          averageServiceTime: 8,
-          specialFeatures: ['location-tracking', 'social-media', 'limited-menu']
-        }
-      },
-      {
-        id: 'catering',
-        name: 'Catering Service',
-        description: 'Off-site catering for events and special occasions',
-        capacity: 500,
-        serviceStyle: 'catering',
-        priceRange: '$$$',
-        agentConfiguration: {
-          required: ['sophia', 'marcus', 'raj', 'zara'],
-          optional: ['isabella', 'chen', 'victor'],
-          priorities: ['planning', 'logistics', 'presentation']
-        },
-        workflowRules: {
-          reservationRequired: true,
-          averageServiceTime: 240,
-          specialFeatures: ['event-planning', 'custom-menus', 'equipment-rental']
-        }
-      }
-    ];
-
-    for (const scenario of defaultScenarios) {
+    for (const scenario of DEFAULT_SCENARIOS) {
       await this.saveScenario(scenario);
     }
 
@@ -349,6 +405,17 @@ export class ScenarioManager extends EventEmitter {
     return this.scenarios.get(id);
   }
 
+  /**
+   * A scenario from scenarios/, or the built-in default with that id; unlike initialize(),
+   * nothing is written
+   */
+  async findScenario(id) {
+    if (this.scenarios.size === 0) {
+      await this.loadScenarios().catch(() => {});
+    }
+    return this.scenarios.get(id) || DEFAULT_SCENARIOS.find(scenario => scenario.id === id) || null;
+  }
+
   getAllScenarios() {
     return Array.from(this.scenarios.values());
   }
@@ -4,6 +4,11 @@ import fs from 'fs/promises';
 import path from 'path';
 import chalk from 'chalk';
 import { EventEmitter } from 'events';
+import { agentRegistry, ACCENT_VOICE_IDS } from '../agents/registry.js';
+import { turnDetectionConfig } from '../voice/TurnDetector.js';
+import { RESERVATION_TOOLS } from '../reservations/tools.js';
+import { WAITLIST_TOOLS } from '../waitlist/tools.js';
+import { SEATING_TOOLS } from '../seating/tools.js';
 
 const execAsync = promisify(exec);
 
@@ -94,6 +99,10 @@ export class ConvAIManager extends EventEmitter {
   }
 
   async createAgent(enrichedAgent) {
+    enrichedAgent = {
+      ...enrichedAgent,
+      id: agentRegistry.resolveId(enrichedAgent.id) || enrichedAgent.id
+    };
     console.log(chalk.cyan(`🎭 Creating ConvAI agent: ${enrichedAgent.name}`));
 
     if (!this.isAuthenticated) {
@@ -150,12 +159,8 @@ export class ConvAIManager extends EventEmitter {
       },
       conversation: {
         max_duration: 3600, // 1 hour
-        turn_detection: {
-          type: "server_vad",
-          threshold: 0.5,
-          prefix_padding_ms: 300,
-          silence_duration_ms: 800
-        }
+        // Shared with local sessions' server-side VAD (VAD_* environment settings)
+        turn_detection: turnDetectionConfig()
       },
       tools: await this.generateTools(enrichedAgent),
       evaluation: {
@@ -260,26 +265,33 @@ Customer Approach: ${enrichedAgent.industryTraits.customerApproach?.attentivenes
   }
 
   async selectVoiceId(enrichedAgent) {
-    // Map accents to ElevenLabs voice IDs (these would be actual voice IDs in production)
-    const voiceMap = {
-      'Italian-American': 'EXAVITQu4vr4xnSDxMaL', // Bella
-      'American-Professional': 'pNInz6obpgDQGcFmaJgB', // Adam
-      'French': 'ThT5KcBeYPX3keUQqHPh', // Dorothy
-      'Mexican-American': 'IKne3meq5aSn9XLyUdCD', // Charlie
-      'American-Southern': 'jsCqWAovK2LkecY7zXl4', // Freya
-      'Chinese-American': 'N2lVS1w4EtoT3dr4eOWO', // Callum
-      'Indian-British': 'oWAxZDx7w5VEj9dCyTzz', // Grace
-      'American-Millennial': 'cgSgspJ2msm6clMCkdW9', // Jessica
-      'American-Military': 'bVMeCyTHy58xNoL34h3p', // Jeremy
-      'Korean-American': 'flq6f7yk4E4fJM5XTYuZ'  // Michael
-    };
+    const registeredVoiceId = agentRegistry.getVoiceId(enrichedAgent.id);
+    if (registeredVoiceId) {
+      return registeredVoiceId;
+    }
 
     const accent = enrichedAgent.voiceConfig?.accent || 'American-Professional';
-    return voiceMap[accent] || voiceMap['American-Professional'];
+    return ACCENT_VOICE_IDS[accent] || ACCENT_VOICE_IDS['American-Professional'];
   }
 
   async generateTools(enrichedAgent) {
     const tools = [];
+    const agentId = agentRegistry.resolveId(enrichedAgent.id) || enrichedAgent.id;
+
+    // Served by this server's POST /api/tools/:name
+    const toolsUrl = (process.env.AGENT_TOOLS_URL || process.env.TELEPHONY_PUBLIC_URL || 'http://localhost:3000').replace(/\/$/, '');
+    for (const tool of [...WAITLIST_TOOLS, ...SEATING_TOOLS, ...RESERVATION_TOOLS].filter(tool => tool.agents.includes(agentId))) {
+      tools.push({
+        name: tool.name,
+        description: tool.description,
+        webhook: {
+          url: `${toolsUrl}/api/tools/${tool.name}`,
+          method: "POST",
+          ...(process.env.AGENT_TOOLS_API_KEY && { headers: { "X-API-Key": process.env.AGENT_TOOLS_API_KEY } })
+        },
+        parameters: tool.parameters
+      });
+    }
 
     // Add role-specific tools
     if (enrichedAgent.role === 'Head Chef') {
@@ -302,26 +314,6 @@ Customer Approach: ${enrichedAgent.industryTraits.customerApproach?.attentivenes
       });
     }
 
-    if (enrichedAgent.role === 'Front of House Manager') {
-      tools.push({
-        name: "check_reservations",
-        description: "Check current reservation status",
-        webhook: {
-          url: "https://your-api.com/reservations/check",
-          method: "GET"
-        }
-      });
-
-      tools.push({
-        name: "manage_waitlist",
-        description: "Manage restaurant waitlist",
-        webhook: {
-          url: "https://your-api.com/waitlist/manage",
-          method: "POST"
-        }
-      });
-    }
-
     if (enrichedAgent.role === 'Master Sommelier') {
       tools.push({
         name: "wine_pairing",
@@ -414,6 +406,7 @@ Customer Approach: ${enrichedAgent.industryTraits.customerApproach?.attentivenes
   }
 
   async deleteAgent(agentId) {
+    agentId = agentRegistry.resolveId(agentId) || agentId;
     const deployedAgent = this.deployedAgents.get(agentId);
     if (!deployedAgent) {
       throw new Error(`Agent ${agentId} not found`);
@@ -430,6 +423,7 @@ Customer Approach: ${enrichedAgent.industryTraits.customerApproach?.attentivenes
   }
 
   async testAgent(agentId, testMessage) {
+    agentId = agentRegistry.resolveId(agentId) || agentId;
     const deployedAgent = this.deployedAgents.get(agentId);
     if (!deployedAgent) {
       throw new Error(`Agent ${agentId} not deployed`);
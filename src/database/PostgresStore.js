@@ -0,0 +1,189 @@
+/**
+ * PostgreSQL storage backend for DatabaseManager
+ * Used in production when DATABASE_URL is set, or anywhere with DB_BACKEND=postgres.
+ * Pool size: PG_POOL_MAX (default 10); DATABASE_SSL=true for managed hosts with self-signed certs.
+ */
+
+import pg from 'pg';
+import { loadMigrations } from './migrations/index.js';
+import { getTableSpec, toRow, fromRow, buildWhere } from './schema.js';
+
+const { Pool } = pg;
+
+// Arbitrary constant so concurrent instances don't run migrations at the same time
+const MIGRATION_LOCK_ID = 72173;
+
+export class PostgresStore {
+    constructor(options = {}) {
+        this.name = 'postgres';
+        this.connectionString = options.connectionString || process.env.DATABASE_URL;
+        this.pool = null;
+        this.executor = null;
+        this.poolOptions = {
+            max: options.max || parseInt(process.env.PG_POOL_MAX || '10', 10),
+            ssl: options.ssl ?? (process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined)
+        };
+    }
+
+    async initialize() {
+        if (!this.connectionString) {
+            throw new Error('DATABASE_URL is required for the postgres backend');
+        }
+
+        this.pool = new Pool({ connectionString: this.connectionString, ...this.poolOptions });
+        this.pool.on('error', (error) => {
+            console.error('Idle PostgreSQL client error:', error.message);
+        });
+        this.executor = this.pool;
+
+        const applied = await this.migrate();
+        if (applied.length > 0) {
+            console.log(`🗄️  Applied PostgreSQL migrations: ${applied.join(', ')}`);
+        }
+    }
+
+    async migrate() {
+        const migrations = await loadMigrations('postgres');
+
+        return this.transaction(async (tx) => {
+            await tx.executor.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_ID]);
+            await tx.executor.query(`
+                CREATE TABLE IF NOT EXISTS schema_migrations (
+                    version INTEGER PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+                )
+            `);
+
+            const { rows } = await tx.executor.query('SELECT version FROM schema_migrations');
+            const applied = new Set(rows.map(row => row.version));
+            const pending = migrations.filter(migration => !applied.has(migration.version));
+
+            for (const migration of pending) {
+                await tx.executor.query(migration.sql);
+                await tx.executor.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    [migration.version, migration.name]
+                );
+            }
+
+            return pending.map(migration => `${migration.version}_${migration.name}`);
+        });
+    }
+
+    /**
+     * Run callback(tx) inside BEGIN/COMMIT on a single pooled client.
+     * tx exposes the same API as the store; any error rolls the whole transaction back.
+     */
+    async transaction(callback) {
+        if (this.executor !== this.pool) {
+            // Already inside a transaction: join it
+            return callback(this);
+        }
+
+        const client = await this.pool.connect();
+        const tx = Object.create(this, { executor: { value: client } });
+
+        try {
+            await client.query('BEGIN');
+            const result = await callback(tx);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async save(table, id, data) {
+        const spec = getTableSpec(table);
+        const { rows } = await this.executor.query(...this.buildSave(table, spec, toRow(spec, id, data)));
+
+        return spec.generatedKey ? { ...data, [spec.key]: String(rows[0][spec.key]) } : data;
+    }
+
+    /**
+     * Write many records in one transaction; entries are { id, data }
+     */
+    async saveMany(table, entries) {
+        const spec = getTableSpec(table);
+        if (entries.length === 0) return 0;
+
+        await this.transaction(async (tx) => {
+            for (const { id, data } of entries) {
+                await tx.executor.query(...tx.buildSave(table, spec, toRow(spec, id, data)));
+            }
+        });
+
+        return entries.length;
+    }
+
+    async get(table, id) {
+        const spec = getTableSpec(table);
+        const { rows } = await this.executor.query(`SELECT * FROM ${table} WHERE ${spec.key} = $1`, [String(id)]);
+        return rows.length > 0 ? fromRow(spec, rows[0]) : null;
+    }
+
+    /**
+     * Query records oldest first; filters.limit keeps the most recent N
+     */
+    async query(table, filters = {}) {
+        const spec = getTableSpec(table);
+        const { where, params } = buildWhere(spec, filters, index => `$${index}`);
+
+        let sql = `SELECT * FROM ${table}${where} ORDER BY ${spec.orderBy}`;
+        if (filters.limit) {
+            params.push(filters.limit);
+            sql = `SELECT * FROM (SELECT * FROM ${table}${where} ORDER BY ${spec.orderBy} DESC LIMIT $${params.length}) AS recent ORDER BY ${spec.orderBy}`;
+        }
+
+        const { rows } = await this.executor.query(sql, params);
+        return rows.map(row => fromRow(spec, row, { withKey: true }));
+    }
+
+    /**
+     * Newest-first page of records; pass filters.before ({ timestamp, key }) to continue after a page
+     */
+    async page(table, filters = {}, limit = 20) {
+        const spec = getTableSpec(table);
+        const { where, params } = buildWhere(spec, filters, index => `$${index}`);
+        params.push(limit);
+        const sql = `SELECT * FROM ${table}${where} ORDER BY ${spec.timestampColumn} DESC, ${spec.key} DESC LIMIT $${params.length}`;
+
+        const { rows } = await this.executor.query(sql, params);
+        return rows.map(row => fromRow(spec, row, { withKey: true }));
+    }
+
+    async count(table) {
+        getTableSpec(table);
+        const { rows } = await this.executor.query(`SELECT COUNT(*)::int AS count FROM ${table}`);
+        return rows[0].count;
+    }
+
+    async close() {
+        await this.pool?.end();
+        this.pool = null;
+        this.executor = null;
+    }
+
+    buildSave(table, spec, row) {
+        const columns = Object.keys(row);
+        const placeholders = columns.map((_, index) => `$${index + 1}`).join(', ');
+        let sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`;
+
+        if (spec.generatedKey) {
+            sql += ` RETURNING ${spec.key}`;
+        } else {
+            const updates = columns
+                .filter(column => column !== spec.key)
+                .map(column => `${column} = EXCLUDED.${column}`);
+            sql += ` ON CONFLICT (${spec.key}) DO UPDATE SET ${updates.join(', ')}`;
+        }
+
+        return [sql, Object.values(row)];
+    }
+}
+
+export default PostgresStore;
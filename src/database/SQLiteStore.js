@@ -0,0 +1,161 @@
+/**
+ * Embedded SQLite storage backend for DatabaseManager
+ * Enable with DB_BACKEND=sqlite (database file: SQLITE_PATH, default data/restaurant.db)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { loadMigrations } from './migrations/index.js';
+import { getTableSpec, toRow, fromRow, buildWhere } from './schema.js';
+
+export class SQLiteStore {
+    constructor(options = {}) {
+        this.name = 'sqlite';
+        this.filename = options.filename || path.join(process.cwd(), 'data', 'restaurant.db');
+        this.db = null;
+    }
+
+    async initialize() {
+        if (this.filename !== ':memory:') {
+            await fs.mkdir(path.dirname(this.filename), { recursive: true });
+        }
+
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+
+        const applied = await this.migrate();
+        if (applied.length > 0) {
+            console.log(`🗄️  Applied SQLite migrations: ${applied.join(', ')}`);
+        }
+    }
+
+    async migrate() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TEXT NOT NULL
+            )
+        `);
+
+        const applied = new Set(this.db.prepare('SELECT version FROM schema_migrations').pluck().all());
+        const pending = (await loadMigrations('sqlite')).filter(migration => !applied.has(migration.version));
+
+        const apply = this.db.transaction((migration) => {
+            this.db.exec(migration.sql);
+            this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+                .run(migration.version, migration.name, new Date().toISOString());
+        });
+
+        for (const migration of pending) {
+            apply(migration);
+        }
+
+        return pending.map(migration => `${migration.version}_${migration.name}`);
+    }
+
+    /**
+     * Run callback(tx) inside BEGIN/COMMIT; any error rolls the whole transaction back.
+     * There is one connection, so the callback should only await store calls.
+     */
+    async transaction(callback) {
+        if (this.db.inTransaction) {
+            return callback(this);
+        }
+
+        this.db.exec('BEGIN IMMEDIATE');
+        try {
+            const result = await callback(this);
+            this.db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            if (this.db.inTransaction) {
+                this.db.exec('ROLLBACK');
+            }
+            throw error;
+        }
+    }
+
+    async save(table, id, data) {
+        const spec = getTableSpec(table);
+        const row = toRow(spec, id, data);
+        const result = this.prepareSave(table, spec, Object.keys(row)).run(row);
+
+        return spec.generatedKey ? { ...data, [spec.key]: String(result.lastInsertRowid) } : data;
+    }
+
+    /**
+     * Write many records in one transaction; entries are { id, data }
+     */
+    async saveMany(table, entries) {
+        const spec = getTableSpec(table);
+        const rows = entries.map(({ id, data }) => toRow(spec, id, data));
+        if (rows.length === 0) return 0;
+
+        const statement = this.prepareSave(table, spec, Object.keys(rows[0]));
+        this.db.transaction(() => rows.forEach(row => statement.run(row)))();
+
+        return rows.length;
+    }
+
+    async get(table, id) {
+        const spec = getTableSpec(table);
+        const row = this.db.prepare(`SELECT * FROM ${table} WHERE ${spec.key} = ?`).get(String(id));
+        return row ? fromRow(spec, row) : null;
+    }
+
+    /**
+     * Query records oldest first; filters.limit keeps the most recent N
+     */
+    async query(table, filters = {}) {
+        const spec = getTableSpec(table);
+        const { where, params } = buildWhere(spec, filters, () => '?');
+
+        let sql = `SELECT * FROM ${table}${where} ORDER BY ${spec.orderBy}`;
+        if (filters.limit) {
+            sql = `SELECT * FROM (SELECT * FROM ${table}${where} ORDER BY ${spec.orderBy} DESC LIMIT ?) ORDER BY ${spec.orderBy}`;
+            params.push(filters.limit);
+        }
+
+        return this.db.prepare(sql).all(...params).map(row => fromRow(spec, row, { withKey: true }));
+    }
+
+    /**
+     * Newest-first page of records; pass filters.before ({ timestamp, key }) to continue after a page
+     */
+    async page(table, filters = {}, limit = 20) {
+        const spec = getTableSpec(table);
+        const { where, params } = buildWhere(spec, filters, () => '?');
+        const sql = `SELECT * FROM ${table}${where} ORDER BY ${spec.timestampColumn} DESC, ${spec.key} DESC LIMIT ?`;
+
+        return this.db.prepare(sql).all(...params, limit).map(row => fromRow(spec, row, { withKey: true }));
+    }
+
+    async count(table) {
+        getTableSpec(table);
+        return this.db.prepare(`SELECT COUNT(*) FROM ${table}`).pluck().get();
+    }
+
+    async close() {
+        this.db?.close();
+        this.db = null;
+    }
+
+    prepareSave(table, spec, columns) {
+        const placeholders = columns.map(column => `@${column}`).join(', ');
+        let sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`;
+
+        if (!spec.generatedKey) {
+            const updates = columns
+                .filter(column => column !== spec.key)
+                .map(column => `${column} = excluded.${column}`);
+            sql += ` ON CONFLICT (${spec.key}) DO UPDATE SET ${updates.join(', ')}`;
+        }
+
+        return this.db.prepare(sql);
+    }
+}
+
+export default SQLiteStore;
@@ -1,40 +1,91 @@
 /**
  * Database configuration for production deployment
+ * Storage backend (DB_BACKEND): postgres (default in production when DATABASE_URL is set),
+ * sqlite for the embedded database, or file for JSON files under DATA_PATH
  */
 
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
 
+// Conversation sentiment is the mean 0-1 score of the guest's messages; the bands are
+// half-open so every score falls in exactly one: [0, 0.4), [0.4, 0.6), [0.6, 1]
+const SENTIMENT_RANGES = {
+    positive: { min: 0.6 },
+    neutral: { min: 0.4, below: 0.6 },
+    negative: { below: 0.4 }
+};
+
 export class DatabaseManager {
     constructor() {
         this.dataPath = process.env.DATA_PATH || path.join(process.cwd(), 'data');
         this.isProduction = process.env.NODE_ENV === 'production';
+        this.backend = (process.env.DB_BACKEND ||
+            (this.isProduction && process.env.DATABASE_URL ? 'postgres' : 'file')).toLowerCase();
+        this.store = null;
 
         // In-memory storage for development/demo
         this.memory = {
             customers: new Map(),
             interactions: [],
             insights: new Map(),
-            agentStates: new Map()
+            agentStates: new Map(),
+            conversations: new Map(),
+            reservations: new Map(),
+            waitlist: new Map()
         };
+        // File backend: one write queue per JSON file
+        this.fileWrites = new Map();
     }
 
     async initialize() {
-        if (this.isProduction && process.env.DATABASE_URL) {
-            // Initialize PostgreSQL connection
-            console.log('🗄️  Connecting to production database...');
-            // Add PostgreSQL client here when needed
-        } else {
+        if (this.backend === 'postgres') {
+            console.log('🗄️  Connecting to PostgreSQL...');
+            const { PostgresStore } = await import('./PostgresStore.js');
+            this.store = new PostgresStore({ connectionString: process.env.DATABASE_URL });
+            await this.store.initialize();
+            console.log('🗄️  Using PostgreSQL storage');
+        } else if (this.backend === 'sqlite') {
+            // Loaded on demand so file-based storage doesn't need the native module
+            const { SQLiteStore } = await import('./SQLiteStore.js');
+            this.store = new SQLiteStore({
+                filename: process.env.SQLITE_PATH || path.join(this.dataPath, 'restaurant.db')
+            });
+            await this.store.initialize();
+            console.log(`🗄️  Using SQLite storage at ${this.store.filename}`);
+        } else if (this.backend === 'file') {
             // Create local data directory
             await fs.mkdir(this.dataPath, { recursive: true });
             console.log('📁 Using file-based storage');
+        } else {
+            throw new Error(`Unknown DB_BACKEND "${this.backend}". Expected one of: postgres, sqlite, file`);
         }
     }
 
+    usesDatabase() {
+        return Boolean(this.store);
+    }
+
+    /**
+     * Run callback(db) atomically. The callback gets a DatabaseManager bound to the
+     * transaction, so the usual save/get methods all commit or roll back together.
+     * File-based storage has no transactions and runs the callback directly.
+     */
+    async transaction(callback) {
+        if (!this.store) {
+            return callback(this);
+        }
+
+        return this.store.transaction(tx => callback(Object.create(this, { store: { value: tx } })));
+    }
+
+    async close() {
+        await this.store?.close();
+    }
+
     // Customer management
     async saveCustomer(customerId, data) {
-        if (this.isProduction) {
-            // Save to PostgreSQL
+        if (this.usesDatabase()) {
             return this.saveToDatabase('customers', customerId, data);
         } else {
             // Save to memory and file
@@ -45,7 +96,7 @@ export class DatabaseManager {
     }
 
     async getCustomer(customerId) {
-        if (this.isProduction) {
+        if (this.usesDatabase()) {
             return this.getFromDatabase('customers', customerId);
         } else {
             return this.memory.customers.get(customerId);
@@ -54,8 +105,11 @@ export class DatabaseManager {
 
     // Interaction logging
     async logInteraction(interaction) {
-        if (this.isProduction) {
-            return this.saveToDatabase('interactions', null, interaction);
+        if (this.usesDatabase()) {
+            return this.saveToDatabase('interactions', null, {
+                ...interaction,
+                timestamp: new Date().toISOString()
+            });
         } else {
             this.memory.interactions.push({
                 ...interaction,
@@ -68,7 +122,7 @@ export class DatabaseManager {
     }
 
     async getInteractions(filters = {}) {
-        if (this.isProduction) {
+        if (this.usesDatabase()) {
             return this.queryDatabase('interactions', filters);
         } else {
             let interactions = [...this.memory.interactions];
@@ -81,6 +135,14 @@ export class DatabaseManager {
                 interactions = interactions.filter(i => i.customerId === filters.customerId);
             }
 
+            if (filters.since) {
+                interactions = interactions.filter(i => new Date(i.timestamp) >= new Date(filters.since));
+            }
+
+            if (filters.until) {
+                interactions = interactions.filter(i => new Date(i.timestamp) <= new Date(filters.until));
+            }
+
             if (filters.limit) {
                 interactions = interactions.slice(-filters.limit);
             }
@@ -89,10 +151,249 @@ export class DatabaseManager {
         }
     }
 
+    // Voice conversation history
+    async saveConversation(conversation) {
+        if (this.usesDatabase()) {
+            return this.saveToDatabase('conversations', conversation.sessionId, conversation);
+        } else {
+            const existing = this.memory.conversations.get(conversation.sessionId);
+            this.memory.conversations.set(conversation.sessionId, {
+                ...conversation,
+                messages: existing?.messages || []
+            });
+            await this.saveConversationsFile();
+            return conversation;
+        }
+    }
+
+    /**
+     * Insert or update one message; messages are keyed by id and ordered by seq
+     */
+    async saveConversationMessage(message) {
+        if (this.usesDatabase()) {
+            return this.saveToDatabase('conversation_messages', message.id, message);
+        } else {
+            const conversation = this.memory.conversations.get(message.sessionId);
+            if (!conversation) {
+                throw new Error(`Conversation ${message.sessionId} not found`);
+            }
+
+            const index = conversation.messages.findIndex(existing => existing.id === message.id);
+            if (index === -1) {
+                conversation.messages.push(message);
+                conversation.messages.sort((a, b) => a.seq - b.seq);
+            } else {
+                conversation.messages[index] = message;
+            }
+
+            await this.saveConversationsFile();
+            return message;
+        }
+    }
+
+    async getConversation(sessionId, { includeMessages = true } = {}) {
+        if (this.usesDatabase()) {
+            const conversation = await this.getFromDatabase('conversations', sessionId);
+            if (!conversation || !includeMessages) {
+                return conversation;
+            }
+            return {
+                ...conversation,
+                messages: await this.queryDatabase('conversation_messages', { sessionId })
+            };
+        } else {
+            const conversation = this.memory.conversations.get(sessionId);
+            if (!conversation) {
+                return null;
+            }
+            if (includeMessages) {
+                return { ...conversation, messages: [...conversation.messages] };
+            }
+            const { messages, ...summary } = conversation;
+            return summary;
+        }
+    }
+
+    /**
+     * List conversations newest first.
+     *
+     * @param {Object} filters
+     * @param {string} [filters.agentId]
+     * @param {string} [filters.userId]
+     * @param {string} [filters.from] - Started at or after (ISO date)
+     * @param {string} [filters.to] - Started at or before (ISO date)
+     * @param {string} [filters.sentiment] - positive | neutral | negative
+     * @param {number} [filters.minSentiment]
+     * @param {number} [filters.maxSentiment]
+     * @param {number} [filters.limit] - Page size (default 20, max 100)
+     * @param {string} [filters.cursor] - nextCursor from the previous page
+     * @returns {Promise<{conversations: Object[], nextCursor: string|null}>}
+     */
+    async listConversations(filters = {}) {
+        const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+        const sentiment = { ...SENTIMENT_RANGES[filters.sentiment] };
+
+        if (filters.sentiment && !SENTIMENT_RANGES[filters.sentiment]) {
+            throw new Error(`Unknown sentiment "${filters.sentiment}". Expected one of: ${Object.keys(SENTIMENT_RANGES).join(', ')}`);
+        }
+        if (filters.minSentiment !== undefined) sentiment.min = Number(filters.minSentiment);
+        if (filters.maxSentiment !== undefined) sentiment.max = Number(filters.maxSentiment);
+
+        const query = {
+            agentId: filters.agentId,
+            userId: filters.userId,
+            sentiment: Object.keys(sentiment).length > 0 ? sentiment : undefined,
+            since: filters.from,
+            until: filters.to,
+            before: filters.cursor ? this.decodeCursor(filters.cursor) : undefined
+        };
+
+        // Fetch one extra row to know whether another page exists
+        const rows = this.usesDatabase() ?
+            await this.store.page('conversations', query, limit + 1) :
+            this.pageConversationsInMemory(query, limit + 1);
+
+        const conversations = rows.slice(0, limit);
+        const last = conversations[conversations.length - 1];
+
+        return {
+            conversations,
+            nextCursor: rows.length > limit ? this.encodeCursor(last) : null
+        };
+    }
+
+    pageConversationsInMemory(query, limit) {
+        const inRange = (value, range) => value !== null && value !== undefined &&
+            (range.min === undefined || value >= range.min) &&
+            (range.max === undefined || value <= range.max) &&
+            (range.below === undefined || value < range.below);
+
+        const newestFirst = (a, b) =>
+            new Date(b.startedAt) - new Date(a.startedAt) || (a.sessionId < b.sessionId ? 1 : -1);
+
+        return Array.from(this.memory.conversations.values())
+            .filter(c => !query.agentId || c.agentId === query.agentId)
+            .filter(c => !query.userId || c.userId === query.userId)
+            .filter(c => !query.sentiment || inRange(c.sentiment, query.sentiment))
+            .filter(c => !query.since || new Date(c.startedAt) >= new Date(query.since))
+            .filter(c => !query.until || new Date(c.startedAt) <= new Date(query.until))
+            .filter(c => !query.before ||
+                newestFirst(c, { startedAt: query.before.timestamp, sessionId: query.before.key }) > 0)
+            .sort(newestFirst)
+            .slice(0, limit)
+            .map(({ messages, ...summary }) => summary);
+    }
+
+    encodeCursor(conversation) {
+        return Buffer.from(JSON.stringify({
+            t: conversation.startedAt,
+            k: conversation.sessionId
+        })).toString('base64url');
+    }
+
+    decodeCursor(cursor) {
+        try {
+            const { t, k } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+            if (!t || !k || isNaN(new Date(t))) throw new Error();
+            return { timestamp: t, key: k };
+        } catch (error) {
+            throw new Error('Invalid cursor');
+        }
+    }
+
+    async saveConversationsFile() {
+        await this.saveToFile('conversations.json', Object.fromEntries(this.memory.conversations));
+    }
+
+    // Reservations
+    async saveReservation(reservation) {
+        if (this.usesDatabase()) {
+            return this.saveToDatabase('reservations', reservation.id, reservation);
+        } else {
+            this.memory.reservations.set(reservation.id, reservation);
+            await this.saveToFile('reservations.json', Object.fromEntries(this.memory.reservations));
+            return reservation;
+        }
+    }
+
+    async getReservation(id) {
+        if (this.usesDatabase()) {
+            return this.getFromDatabase('reservations', id);
+        } else {
+            return this.memory.reservations.get(id);
+        }
+    }
+
+    /**
+     * Reservations in time order
+     *
+     * @param {Object} filters
+     * @param {string} [filters.from] - Starting at or after (ISO date)
+     * @param {string} [filters.to] - Starting at or before (ISO date)
+     * @param {string} [filters.status]
+     * @param {string} [filters.confirmationCode]
+     */
+    async findReservations(filters = {}) {
+        if (this.usesDatabase()) {
+            return this.queryDatabase('reservations', {
+                since: filters.from,
+                until: filters.to,
+                status: filters.status,
+                confirmationCode: filters.confirmationCode
+            });
+        } else {
+            return [...this.memory.reservations.values()]
+                .filter(reservation => !filters.from || new Date(reservation.startsAt) >= new Date(filters.from))
+                .filter(reservation => !filters.to || new Date(reservation.startsAt) <= new Date(filters.to))
+                .filter(reservation => !filters.status || reservation.status === filters.status)
+                .filter(reservation => !filters.confirmationCode || reservation.confirmationCode === filters.confirmationCode)
+                .sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+        }
+    }
+
+    // Waitlist
+    async saveWaitlistEntry(entry) {
+        if (this.usesDatabase()) {
+            return this.saveToDatabase('waitlist', entry.id, entry);
+        } else {
+            this.memory.waitlist.set(entry.id, entry);
+            await this.saveToFile('waitlist.json', Object.fromEntries(this.memory.waitlist));
+            return entry;
+        }
+    }
+
+    /**
+     * Waitlist entries in the order they joined
+     *
+     * @param {Object} filters
+     * @param {string} [filters.from] - Joined at or after (ISO date)
+     * @param {string} [filters.to] - Joined at or before (ISO date)
+     * @param {string} [filters.status]
+     */
+    async findWaitlistEntries(filters = {}) {
+        if (this.usesDatabase()) {
+            return this.queryDatabase('waitlist', {
+                since: filters.from,
+                until: filters.to,
+                status: filters.status
+            });
+        } else {
+            return [...this.memory.waitlist.values()]
+                .filter(entry => !filters.from || new Date(entry.joinedAt) >= new Date(filters.from))
+                .filter(entry => !filters.to || new Date(entry.joinedAt) <= new Date(filters.to))
+                .filter(entry => !filters.status || entry.status === filters.status)
+                .sort((a, b) => a.joinedAt.localeCompare(b.joinedAt));
+        }
+    }
+
     // Agent state management
     async saveAgentState(agentId, state) {
-        if (this.isProduction) {
-            return this.saveToDatabase('agent_states', agentId, state);
+        if (this.usesDatabase()) {
+            await this.saveToDatabase('agent_states', agentId, {
+                ...state,
+                lastUpdated: new Date().toISOString()
+            });
+            return state;
         } else {
             this.memory.agentStates.set(agentId, {
                 ...state,
@@ -104,7 +405,7 @@ export class DatabaseManager {
     }
 
     async getAgentState(agentId) {
-        if (this.isProduction) {
+        if (this.usesDatabase()) {
             return this.getFromDatabase('agent_states', agentId);
         } else {
             return this.memory.agentStates.get(agentId);
@@ -113,8 +414,12 @@ export class DatabaseManager {
 
     // Insights storage
     async saveInsight(type, data) {
-        if (this.isProduction) {
-            return this.saveToDatabase('insights', type, data);
+        if (this.usesDatabase()) {
+            await this.saveToDatabase('insights', type, {
+                ...data,
+                timestamp: new Date().toISOString()
+            });
+            return data;
         } else {
             this.memory.insights.set(type, {
                 ...data,
@@ -126,8 +431,12 @@ export class DatabaseManager {
     }
 
     async getInsights(type = null) {
-        if (this.isProduction) {
-            return this.queryDatabase('insights', { type });
+        if (this.usesDatabase()) {
+            if (type) {
+                return this.getFromDatabase('insights', type);
+            }
+            const insights = await this.queryDatabase('insights', {});
+            return Object.fromEntries(insights.map(({ type: insightType, ...insight }) => [insightType, insight]));
         } else {
             if (type) {
                 return this.memory.insights.get(type);
@@ -136,13 +445,40 @@ export class DatabaseManager {
         }
     }
 
-    // File operations for development
-    async saveToFile(filename, data) {
+    /**
+     * File operations for development. Writes to a file run one at a time; a save made while
+     * another is still waiting its turn just hands that one the newer data, so a burst of
+     * message updates costs one rewrite rather than one each.
+     */
+    saveToFile(filename, data) {
+        const queue = this.fileWrites.get(filename) || { running: Promise.resolve(), waiting: null };
+        this.fileWrites.set(filename, queue);
+
+        if (queue.waiting) {
+            queue.waiting.data = data;
+            return queue.waiting.done;
+        }
+
+        const write = { data };
+        write.done = queue.running.then(() => {
+            queue.waiting = null;
+            return this.writeFile(filename, write.data);
+        });
+        queue.waiting = write;
+        queue.running = write.done;
+        return write.done;
+    }
+
+    // Write then rename so a crash mid-write never leaves half a file behind
+    async writeFile(filename, data) {
+        const filepath = path.join(this.dataPath, filename);
+        const partial = `${filepath}.${crypto.randomUUID()}.partial`;
         try {
-            const filepath = path.join(this.dataPath, filename);
-            await fs.writeFile(filepath, JSON.stringify(data, null, 2));
+            await fs.writeFile(partial, JSON.stringify(data, null, 2));
+            await fs.rename(partial, filepath);
         } catch (error) {
             console.error(`Failed to save ${filename}:`, error);
+            await fs.rm(partial, { force: true });
         }
     }
 
@@ -156,28 +492,78 @@ export class DatabaseManager {
         }
     }
 
-    // Database operations for production (placeholder)
+    // Database operations, delegated to the configured store
     async saveToDatabase(table, id, data) {
-        // TODO: Implement PostgreSQL operations
-        console.log(`Would save to ${table}:`, { id, data });
-        return data;
+        return this.store.save(table, id, data);
     }
 
     async getFromDatabase(table, id) {
-        // TODO: Implement PostgreSQL operations
-        console.log(`Would get from ${table}:`, id);
-        return null;
+        return this.store.get(table, id);
     }
 
     async queryDatabase(table, filters) {
-        // TODO: Implement PostgreSQL operations
-        console.log(`Would query ${table}:`, filters);
-        return [];
+        return this.store.query(table, filters);
+    }
+
+    /**
+     * One-shot import of the JSON files written by file-based storage into the database.
+     * Keyed records are upserted, so re-running is safe; interactions are only
+     * imported into an empty table to avoid duplicating the log.
+     */
+    async importFromFiles() {
+        if (!this.store) {
+            throw new Error('Importing requires a database backend (set DB_BACKEND)');
+        }
+
+        const entriesOf = (records) => Object.entries(records || {}).map(([id, data]) => ({ id, data }));
+        const customers = await this.loadFromFile('customers.json');
+        const agentStates = await this.loadFromFile('agent-states.json');
+        const insights = await this.loadFromFile('insights.json');
+        const interactions = await this.loadFromFile('interactions.json') || [];
+        const conversations = await this.loadFromFile('conversations.json');
+        const reservations = await this.loadFromFile('reservations.json');
+        const waitlist = await this.loadFromFile('waitlist.json');
+
+        // All or nothing, so a failed import can simply be re-run
+        const summary = await this.store.transaction(async (tx) => {
+            const result = {
+                customers: await tx.saveMany('customers', entriesOf(customers)),
+                agentStates: await tx.saveMany('agent_states', entriesOf(agentStates)),
+                insights: await tx.saveMany('insights', entriesOf(insights)),
+                reservations: await tx.saveMany('reservations', entriesOf(reservations)),
+                waitlist: await tx.saveMany('waitlist', entriesOf(waitlist)),
+                conversations: 0,
+                conversationMessages: 0,
+                interactions: 0,
+                skipped: []
+            };
+
+            for (const { messages = [], ...conversation } of Object.values(conversations || {})) {
+                result.conversations += await tx.saveMany('conversations', [{ id: conversation.sessionId, data: conversation }]);
+                result.conversationMessages += await tx.saveMany(
+                    'conversation_messages',
+                    messages.map(message => ({ id: message.id, data: message }))
+                );
+            }
+
+            if (interactions.length > 0 && await tx.count('interactions') > 0) {
+                result.skipped.push('interactions');
+            } else {
+                result.interactions = await tx.saveMany(
+                    'interactions',
+                    interactions.map(({ id, ...interaction }) => ({ id: null, data: interaction }))
+                );
+            }
+
+            return result;
+        });
+
+        return summary;
     }
 
     // Load existing data on startup
     async loadExistingData() {
-        if (!this.isProduction) {
+        if (!this.usesDatabase()) {
             try {
                 const customers = await this.loadFromFile('customers.json');
                 if (customers) {
@@ -199,6 +585,21 @@ export class DatabaseManager {
                     this.memory.insights = new Map(Object.entries(insights));
                 }
 
+                const conversations = await this.loadFromFile('conversations.json');
+                if (conversations) {
+                    this.memory.conversations = new Map(Object.entries(conversations));
+                }
+
+                const reservations = await this.loadFromFile('reservations.json');
+                if (reservations) {
+                    this.memory.reservations = new Map(Object.entries(reservations));
+                }
+
+                const waitlist = await this.loadFromFile('waitlist.json');
+                if (waitlist) {
+                    this.memory.waitlist = new Map(Object.entries(waitlist));
+                }
+
                 console.log(`📊 Loaded ${this.memory.customers.size} customers, ${this.memory.interactions.length} interactions`);
             } catch (error) {
                 console.error('Failed to load existing data:', error);
@@ -209,7 +610,7 @@ export class DatabaseManager {
     // Analytics helpers
     async getAnalytics() {
         const interactions = await this.getInteractions();
-        const customers = this.isProduction ?
+        const customers = this.usesDatabase() ?
             await this.queryDatabase('customers', {}) :
             Array.from(this.memory.customers.values());
 
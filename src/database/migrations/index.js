@@ -0,0 +1,42 @@
+/**
+ * Versioned schema migrations
+ * Files live in migrations/<dialect>/ and are named NNN_description.sql;
+ * they are applied in version order and recorded in schema_migrations.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+
+export async function loadMigrations(dialect) {
+    const directory = path.join(__dirname, dialect);
+    const files = await fs.readdir(directory);
+    const migrations = [];
+
+    for (const file of files) {
+        const match = file.match(MIGRATION_FILE);
+        if (!match) continue;
+
+        migrations.push({
+            version: parseInt(match[1], 10),
+            name: match[2],
+            sql: await fs.readFile(path.join(directory, file), 'utf8')
+        });
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate ${dialect} migration version ${migrations[i].version}`);
+        }
+    }
+
+    return migrations;
+}
+
+export default loadMigrations;
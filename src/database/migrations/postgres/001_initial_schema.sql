@@ -0,0 +1,33 @@
+-- Core tables for DatabaseManager: one JSONB document per record,
+-- with filterable fields promoted to indexed columns
+
+CREATE TABLE customers (
+    id TEXT PRIMARY KEY,
+    data JSONB NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE interactions (
+    id BIGSERIAL PRIMARY KEY,
+    agent_id TEXT,
+    customer_id TEXT,
+    sentiment DOUBLE PRECISION,
+    timestamp TIMESTAMPTZ NOT NULL,
+    data JSONB NOT NULL
+);
+
+CREATE INDEX idx_interactions_agent ON interactions (agent_id, timestamp);
+CREATE INDEX idx_interactions_customer ON interactions (customer_id, timestamp);
+CREATE INDEX idx_interactions_timestamp ON interactions (timestamp);
+
+CREATE TABLE agent_states (
+    agent_id TEXT PRIMARY KEY,
+    data JSONB NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE insights (
+    type TEXT PRIMARY KEY,
+    data JSONB NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL
+);
@@ -0,0 +1,13 @@
+-- Table reservations; starts_at is the booked time
+
+CREATE TABLE reservations (
+    id TEXT PRIMARY KEY,
+    confirmation_code TEXT NOT NULL,
+    status TEXT NOT NULL,
+    party_size INTEGER NOT NULL,
+    starts_at TIMESTAMPTZ NOT NULL,
+    data JSONB NOT NULL
+);
+
+CREATE INDEX idx_reservations_starts ON reservations (starts_at);
+CREATE UNIQUE INDEX idx_reservations_code ON reservations (confirmation_code);
@@ -0,0 +1,33 @@
+-- Core tables for DatabaseManager: one JSON document per record,
+-- with filterable fields promoted to indexed columns
+
+CREATE TABLE customers (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+CREATE TABLE interactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    agent_id TEXT,
+    customer_id TEXT,
+    sentiment REAL,
+    timestamp TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+
+CREATE INDEX idx_interactions_agent ON interactions (agent_id, timestamp);
+CREATE INDEX idx_interactions_customer ON interactions (customer_id, timestamp);
+CREATE INDEX idx_interactions_timestamp ON interactions (timestamp);
+
+CREATE TABLE agent_states (
+    agent_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+CREATE TABLE insights (
+    type TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
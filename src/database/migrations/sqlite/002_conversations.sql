@@ -0,0 +1,26 @@
+-- Voice conversation sessions and their messages
+
+CREATE TABLE conversations (
+    session_id TEXT PRIMARY KEY,
+    agent_id TEXT,
+    user_id TEXT,
+    sentiment REAL,
+    started_at TEXT NOT NULL,
+    ended_at TEXT,
+    data TEXT NOT NULL
+);
+
+CREATE INDEX idx_conversations_started ON conversations (started_at, session_id);
+CREATE INDEX idx_conversations_agent ON conversations (agent_id, started_at);
+CREATE INDEX idx_conversations_user ON conversations (user_id, started_at);
+
+CREATE TABLE conversation_messages (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL REFERENCES conversations (session_id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+
+CREATE UNIQUE INDEX idx_conversation_messages_session ON conversation_messages (session_id, seq);
@@ -0,0 +1,12 @@
+-- Walk-in waitlist; joined_at orders the queue
+
+CREATE TABLE waitlist (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    party_size INTEGER NOT NULL,
+    joined_at TEXT NOT NULL,
+    data TEXT NOT NULL
+);
+
+CREATE INDEX idx_waitlist_joined ON waitlist (joined_at);
+CREATE INDEX idx_waitlist_status ON waitlist (status);
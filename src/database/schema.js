@@ -0,0 +1,183 @@
+/**
+ * Table layout shared by the SQL storage backends
+ * Each record is stored as a JSON document, with the fields we filter on
+ * lifted into real (indexed) columns.
+ */
+
+export const TABLES = {
+    customers: {
+        key: 'id',
+        keyField: 'customerId',
+        timestampColumn: 'updated_at',
+        orderBy: 'updated_at'
+    },
+    interactions: {
+        key: 'id',
+        generatedKey: true,
+        timestampColumn: 'timestamp',
+        timestampField: 'timestamp',
+        orderBy: 'id',
+        columns: {
+            agent_id: 'agentId',
+            customer_id: 'customerId',
+            sentiment: 'sentiment'
+        }
+    },
+    agent_states: {
+        key: 'agent_id',
+        keyField: 'agentId',
+        timestampColumn: 'updated_at',
+        timestampField: 'lastUpdated',
+        orderBy: 'updated_at'
+    },
+    insights: {
+        key: 'type',
+        keyField: 'type',
+        timestampColumn: 'updated_at',
+        timestampField: 'timestamp',
+        orderBy: 'updated_at'
+    },
+    conversations: {
+        key: 'session_id',
+        keyField: 'sessionId',
+        timestampColumn: 'started_at',
+        timestampField: 'startedAt',
+        orderBy: 'started_at',
+        columns: {
+            agent_id: 'agentId',
+            user_id: 'userId',
+            sentiment: 'sentiment',
+            ended_at: 'endedAt'
+        }
+    },
+    conversation_messages: {
+        key: 'id',
+        timestampColumn: 'timestamp',
+        timestampField: 'timestamp',
+        orderBy: 'seq',
+        columns: {
+            session_id: 'sessionId',
+            seq: 'seq',
+            type: 'type'
+        }
+    },
+    reservations: {
+        key: 'id',
+        keyField: 'id',
+        timestampColumn: 'starts_at',
+        timestampField: 'startsAt',
+        orderBy: 'starts_at',
+        columns: {
+            confirmation_code: 'confirmationCode',
+            status: 'status',
+            party_size: 'partySize'
+        }
+    },
+    waitlist: {
+        key: 'id',
+        keyField: 'id',
+        timestampColumn: 'joined_at',
+        timestampField: 'joinedAt',
+        orderBy: 'joined_at',
+        columns: {
+            status: 'status',
+            party_size: 'partySize'
+        }
+    }
+};
+
+export function getTableSpec(table) {
+    const spec = TABLES[table];
+    if (!spec) {
+        throw new Error(`Unknown table: ${table}`);
+    }
+    return spec;
+}
+
+/**
+ * Flatten a record into column values for insert/upsert
+ */
+export function toRow(spec, id, data) {
+    const row = {};
+
+    if (!spec.generatedKey) {
+        if (id === null || id === undefined) {
+            throw new Error(`A ${spec.key} is required`);
+        }
+        row[spec.key] = String(id);
+    }
+
+    for (const [column, field] of Object.entries(spec.columns || {})) {
+        row[column] = data[field] ?? null;
+    }
+
+    const timestamp = spec.timestampField && data[spec.timestampField];
+    row[spec.timestampColumn] = timestamp ? new Date(timestamp).toISOString() : new Date().toISOString();
+    row.data = JSON.stringify(data);
+
+    return row;
+}
+
+/**
+ * Rebuild a record from a row. Keys are only attached to query results,
+ * where the caller has no other way to tell records apart.
+ */
+export function fromRow(spec, row, { withKey = false } = {}) {
+    const record = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+
+    if (spec.generatedKey) {
+        record[spec.key] = String(row[spec.key]);
+    } else if (withKey && spec.keyField) {
+        record[spec.keyField] = row[spec.key];
+    }
+
+    return record;
+}
+
+/**
+ * Build a WHERE clause from DatabaseManager filters: indexed fields such as
+ * agentId/customerId (a value, or { min, max, below } for a range; below is exclusive), plus since/until
+ * on the timestamp column and an optional keyset `before` cursor for paging.
+ *
+ * @param {Function} placeholder - Maps a 1-based parameter index to the dialect's placeholder
+ */
+export function buildWhere(spec, filters = {}, placeholder) {
+    const clauses = [];
+    const params = [];
+
+    const param = (value) => {
+        params.push(value);
+        return placeholder(params.length);
+    };
+
+    for (const [column, field] of Object.entries(spec.columns || {})) {
+        const value = filters[field];
+        if (value === undefined || value === null) continue;
+
+        if (typeof value === 'object') {
+            if (value.min !== undefined) clauses.push(`${column} >= ${param(value.min)}`);
+            if (value.max !== undefined) clauses.push(`${column} <= ${param(value.max)}`);
+            if (value.below !== undefined) clauses.push(`${column} < ${param(value.below)}`);
+        } else {
+            clauses.push(`${column} = ${param(value)}`);
+        }
+    }
+
+    if (filters.since) clauses.push(`${spec.timestampColumn} >= ${param(new Date(filters.since).toISOString())}`);
+    if (filters.until) clauses.push(`${spec.timestampColumn} <= ${param(new Date(filters.until).toISOString())}`);
+
+    if (filters.before) {
+        const column = spec.timestampColumn;
+        const timestamp = new Date(filters.before.timestamp).toISOString();
+        clauses.push(
+            `(${column} < ${param(timestamp)} OR (${column} = ${param(timestamp)} AND ${spec.key} < ${param(filters.before.key)}))`
+        );
+    }
+
+    return {
+        where: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+        params
+    };
+}
+
+export default TABLES;
@@ -0,0 +1,279 @@
+/**
+ * Escalation Queue
+ * Tickets asking a person to step into a voice conversation the agents can't handle. A ticket
+ * is opened when the agent offers to get someone ("let me get a manager"), the guest asks for
+ * a real person or a manager, the agent's replies stay low-confidence or the guest stays upset; or
+ * explicitly through the API. Staff claim a ticket to take the session over (the agent stops
+ * answering and their typed messages are spoken to the guest), then release it to hand the
+ * conversation back.
+ *
+ *   ESCALATION_MIN_CONFIDENCE (default 0.5), ESCALATION_LOW_CONFIDENCE_STREAK (default 2),
+ *   ESCALATION_NEGATIVE_STREAK (default 2)
+ */
+
+import EventEmitter from 'events';
+
+export const ESCALATION_TRIGGERS = ['agent', 'guest_request', 'low_confidence', 'negative_sentiment', 'manual'];
+export const ESCALATION_STATUSES = ['open', 'claimed', 'resolved', 'closed'];
+
+const HIGH_PRIORITY_TRIGGERS = ['guest_request', 'negative_sentiment'];
+const TRANSCRIPT_MESSAGES = 10;
+// Closed tickets kept for GET /api/escalations before the oldest are dropped
+const MAX_CLOSED_TICKETS = 500;
+
+const AGENT_REQUEST = /\b(?:let me|i(?:'ll| will)|i'm going to)\s+(?:get|grab|find|fetch|bring|call)\s+(?:a|the|my|our)\s+(?:manager|supervisor|team member|staff member|colleague)\b/i;
+const GUEST_REQUEST = /\b(?:real|actual|live)\s+(?:person|human)\b|\bhuman being\b|\b(?:talk|speak)\s+(?:to|with)\s+(?:a\s+)?(?:human|person|someone real|staff member)\b|\b(?:(?:talk|speak)\s+(?:to|with)|get|see|want|need|(?:transfer|connect|put)\s+me\s+(?:through\s+)?(?:to|with))\s+(?:(?:a|the|your)\s+)?(?:manager|supervisor|person in charge)\b(?!'s|\s+of\b)/i;
+
+/**
+ * Whether the guest is asking for a member of staff ("can I speak to a manager?"); checked
+ * before agent handoffs, so a request for a manager pages a person instead of another agent
+ */
+export function asksForStaff(transcript) {
+    return GUEST_REQUEST.test(transcript || '');
+}
+
+/**
+ * Escalation failure with a stable code the API reports as-is
+ *   ticket_not_found, ticket_closed, ticket_claimed, not_ticket_owner, session_not_found
+ */
+export class EscalationError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'EscalationError';
+        this.code = code;
+    }
+}
+
+export class EscalationQueue extends EventEmitter {
+    constructor(options = {}, env = process.env) {
+        super();
+        this.voiceManager = options.voiceManager;
+        this.minConfidence = options.minConfidence ?? parseFloat(env.ESCALATION_MIN_CONFIDENCE || '0.5');
+        this.lowConfidenceStreak = options.lowConfidenceStreak ?? parseInt(env.ESCALATION_LOW_CONFIDENCE_STREAK || '2', 10);
+        this.negativeStreak = options.negativeStreak ?? parseInt(env.ESCALATION_NEGATIVE_STREAK || '2', 10);
+
+        this.tickets = new Map();
+        // sessionId -> when its last ticket closed; turns before that don't count again
+        this.closedAt = new Map();
+    }
+
+    /**
+     * Watch every conversation turn for reasons to escalate, and close tickets whose guest left
+     */
+    attach() {
+        this.voiceManager.on('conversationUpdated', ({ sessionId, userMessage }) => {
+            const conversation = this.voiceManager.conversations.get(sessionId);
+            if (!conversation) return;
+
+            const ticket = this.activeTicketFor(sessionId);
+            if (ticket) {
+                // Staff following a claimed ticket see the guest's side live
+                this.emit('guestMessage', { ticket, message: userMessage });
+                return;
+            }
+
+            const trigger = this.evaluate(conversation);
+            if (trigger) {
+                this.open(sessionId, trigger);
+            }
+        });
+
+        this.voiceManager.on('conversationEnded', ({ sessionId }) => {
+            const ticket = this.activeTicketFor(sessionId);
+            if (ticket) {
+                this.close(ticket, 'closed', 'Guest left the conversation');
+            }
+            this.closedAt.delete(sessionId);
+        });
+
+        return this;
+    }
+
+    /**
+     * Why the conversation needs a person after its latest turn, or null
+     *
+     * @returns {{trigger: string, reason: string}|null}
+     */
+    evaluate(conversation) {
+        const since = this.closedAt.get(conversation.sessionId) || 0;
+        const messages = conversation.messages.filter(message => message.timestamp > since);
+        const guestMessages = messages.filter(message => message.type === 'user');
+        const agentMessages = messages.filter(message => message.type === 'agent');
+        const lastGuest = guestMessages[guestMessages.length - 1];
+        const lastAgent = agentMessages[agentMessages.length - 1];
+
+        if (lastGuest && asksForStaff(lastGuest.content)) {
+            return { trigger: 'guest_request', reason: 'Guest asked for a person' };
+        }
+
+        if (lastAgent && AGENT_REQUEST.test(lastAgent.fullContent || lastAgent.content)) {
+            return { trigger: 'agent', reason: 'Agent offered to get a member of staff' };
+        }
+
+        const recentGuests = guestMessages.slice(-this.negativeStreak);
+        if (this.negativeStreak > 0 && recentGuests.length === this.negativeStreak &&
+            recentGuests.every(message => message.emotion === 'negative')) {
+            return { trigger: 'negative_sentiment', reason: `Guest unhappy for ${this.negativeStreak} turns in a row` };
+        }
+
+        const recentReplies = agentMessages.slice(-this.lowConfidenceStreak);
+        if (this.lowConfidenceStreak > 0 && recentReplies.length === this.lowConfidenceStreak &&
+            recentReplies.every(message => typeof message.confidence === 'number' && message.confidence <= this.minConfidence)) {
+            return { trigger: 'low_confidence', reason: `Agent confidence at or below ${this.minConfidence} for ${this.lowConfidenceStreak} replies` };
+        }
+
+        return null;
+    }
+
+    /**
+     * Open a ticket for sessionId, or return the one already open or claimed for it
+     */
+    open(sessionId, { trigger = 'manual', reason = null } = {}) {
+        const existing = this.activeTicketFor(sessionId);
+        if (existing) {
+            return existing;
+        }
+
+        const conversation = this.voiceManager.conversations.get(sessionId);
+        if (!conversation) {
+            throw new EscalationError('session_not_found', `Conversation ${sessionId} not found`);
+        }
+
+        const ticket = {
+            id: `esc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            sessionId,
+            agentId: conversation.agentId,
+            userId: conversation.userId,
+            trigger,
+            reason,
+            priority: HIGH_PRIORITY_TRIGGERS.includes(trigger) ? 'high' : 'normal',
+            status: 'open',
+            openedAt: new Date().toISOString(),
+            claimedBy: null,
+            claimedAt: null,
+            resolvedBy: null,
+            resolvedAt: null,
+            resolution: null,
+            summary: this.voiceManager.summarizeConversation(conversation),
+            transcript: conversation.messages.slice(-TRANSCRIPT_MESSAGES)
+                .filter(message => message.type !== 'handoff')
+                .map(message => ({
+                    type: message.type,
+                    agentId: message.type === 'user' ? null : message.agentId || conversation.agentId,
+                    content: message.content,
+                    timestamp: new Date(message.timestamp).toISOString()
+                }))
+        };
+
+        this.tickets.set(ticket.id, ticket);
+        this.emit('ticketOpened', ticket);
+        return ticket;
+    }
+
+    /**
+     * staff takes the conversation over
+     */
+    claim(ticketId, staff) {
+        const ticket = this.require(ticketId);
+
+        if (ticket.status === 'claimed' && ticket.claimedBy !== staff) {
+            throw new EscalationError('ticket_claimed', `Ticket ${ticketId} was already claimed by ${ticket.claimedBy}`);
+        }
+        if (ticket.status === 'claimed') {
+            return ticket;
+        }
+
+        this.voiceManager.beginStaffTakeover(ticket.sessionId, staff);
+        Object.assign(ticket, { status: 'claimed', claimedBy: staff, claimedAt: new Date().toISOString() });
+
+        this.emit('ticketUpdated', ticket);
+        return ticket;
+    }
+
+    /**
+     * A message from the staff member holding the ticket, for the guest
+     */
+    sendMessage(ticketId, text, staff) {
+        const ticket = this.require(ticketId);
+
+        if (ticket.status !== 'claimed' || ticket.claimedBy !== staff) {
+            throw new EscalationError('not_ticket_owner', `Claim ticket ${ticketId} before messaging the guest`);
+        }
+
+        const message = this.voiceManager.recordStaffMessage(ticket.sessionId, text, staff);
+        this.emit('staffMessage', { ticket, message });
+        return message;
+    }
+
+    /**
+     * Resolve the ticket and give the conversation back to the agent. Only the staff member
+     * holding a claimed ticket (or force, for managers) can release it.
+     */
+    release(ticketId, staff, { resolution = null, force = false } = {}) {
+        const ticket = this.require(ticketId);
+
+        if (ticket.status === 'claimed' && ticket.claimedBy !== staff && !force) {
+            throw new EscalationError('not_ticket_owner', `Ticket ${ticketId} is held by ${ticket.claimedBy}`);
+        }
+
+        this.close(ticket, 'resolved', resolution, staff);
+        return ticket;
+    }
+
+    close(ticket, status, resolution, staff = null) {
+        if (ticket.status === 'claimed') {
+            this.voiceManager.endStaffTakeover(ticket.sessionId);
+        }
+
+        Object.assign(ticket, {
+            status,
+            resolution,
+            resolvedBy: staff,
+            resolvedAt: new Date().toISOString()
+        });
+        this.closedAt.set(ticket.sessionId, Date.now());
+        this.emit('ticketUpdated', ticket);
+
+        const closed = [...this.tickets.values()].filter(entry => entry.status === 'resolved' || entry.status === 'closed');
+        for (const entry of closed.slice(0, Math.max(0, closed.length - MAX_CLOSED_TICKETS))) {
+            this.tickets.delete(entry.id);
+        }
+    }
+
+    require(ticketId) {
+        const ticket = this.tickets.get(ticketId);
+        if (!ticket) {
+            throw new EscalationError('ticket_not_found', `Ticket ${ticketId} not found`);
+        }
+        if (ticket.status === 'resolved' || ticket.status === 'closed') {
+            throw new EscalationError('ticket_closed', `Ticket ${ticketId} is already ${ticket.status}`);
+        }
+        return ticket;
+    }
+
+    activeTicketFor(sessionId) {
+        for (const ticket of this.tickets.values()) {
+            if (ticket.sessionId === sessionId && (ticket.status === 'open' || ticket.status === 'claimed')) {
+                return ticket;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Tickets, newest first; the live queue (status open) puts high priority first
+     */
+    list({ status = null } = {}) {
+        const tickets = [...this.tickets.values()]
+            .filter(ticket => !status || ticket.status === status)
+            .sort((a, b) => b.openedAt.localeCompare(a.openedAt));
+
+        if (status === 'open') {
+            tickets.sort((a, b) => (a.priority === 'high' ? 0 : 1) - (b.priority === 'high' ? 0 : 1) ||
+                a.openedAt.localeCompare(b.openedAt));
+        }
+        return tickets;
+    }
+}
+
+export default EscalationQueue;
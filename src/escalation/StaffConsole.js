@@ -0,0 +1,136 @@
+/**
+ * Staff Console
+ * The live escalation queue for staff. WebSocket clients (/ws/escalations) get the queue on
+ * connect, every change to it and both sides of claimed conversations, and can claim a
+ * ticket, type to the guest and release it. Server-Sent Events clients
+ * (GET /api/escalations/stream) get the same feed read-only.
+ */
+
+import { validate } from '../api/validation.js';
+import { staffWsMessageSchemas } from '../api/schemas.js';
+import { EscalationError } from './EscalationQueue.js';
+import { EventStream } from '../api/sse.js';
+
+const ACTIVE_STATUSES = ['open', 'claimed'];
+
+export class StaffConsole {
+    constructor(queue, options = {}) {
+        this.queue = queue;
+        this.auth = options.auth;
+        this.log = options.log || console;
+
+        this.sockets = new Set();
+        this.streams = new EventStream();
+    }
+
+    attach() {
+        this.queue.on('ticketOpened', (ticket) => this.broadcast({ type: 'escalation_opened', ticket }));
+        this.queue.on('ticketUpdated', (ticket) => this.broadcast({ type: 'escalation_updated', ticket }));
+        this.queue.on('guestMessage', ({ ticket, message }) => this.broadcast({
+            type: 'escalation_guest_message',
+            ticketId: ticket.id,
+            sessionId: ticket.sessionId,
+            text: message.content,
+            emotion: message.emotion,
+            timestamp: new Date(message.timestamp).toISOString()
+        }));
+        this.queue.on('staffMessage', ({ ticket, message }) => this.broadcast({
+            type: 'escalation_staff_message',
+            ticketId: ticket.id,
+            sessionId: ticket.sessionId,
+            staff: message.staff,
+            text: message.content,
+            timestamp: new Date(message.timestamp).toISOString()
+        }));
+        return this;
+    }
+
+    // Open and claimed tickets, most urgent first
+    snapshot() {
+        return {
+            type: 'escalation_queue',
+            tickets: ACTIVE_STATUSES.flatMap(status => this.queue.list({ status })),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    handleConnection(ws, req) {
+        const principal = req.principal;
+        this.sockets.add(ws);
+        this.send(ws, this.snapshot());
+
+        ws.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                return this.sendError(ws, 'invalid_json', 'Messages must be JSON');
+            }
+
+            const schema = staffWsMessageSchemas[message?.type];
+            if (!schema) {
+                return this.sendError(ws, 'unknown_message_type', `Unknown message type: ${message?.type}`, { supported: Object.keys(staffWsMessageSchemas) });
+            }
+
+            const { issues } = validate(schema, message);
+            if (issues.length > 0) {
+                return this.sendError(ws, 'validation_error', issues.map(issue => issue.message).join('; '), issues);
+            }
+
+            try {
+                this.handleMessage(message, principal);
+            } catch (error) {
+                if (!(error instanceof EscalationError)) {
+                    this.log.error('Staff console error:', error);
+                    return this.sendError(ws, 'processing_error', 'Failed to process message');
+                }
+                this.sendError(ws, error.code, error.message, { ticketId: message.ticketId });
+            }
+        });
+
+        ws.on('close', () => this.sockets.delete(ws));
+    }
+
+    handleMessage(message, principal) {
+        switch (message.type) {
+            case 'escalation_claim':
+                this.queue.claim(message.ticketId, principal.subject);
+                break;
+            case 'escalation_message':
+                this.queue.sendMessage(message.ticketId, message.text, principal.subject);
+                break;
+            case 'escalation_release':
+                this.queue.release(message.ticketId, principal.subject, {
+                    resolution: message.resolution,
+                    force: this.auth.hasRole(principal, 'manager')
+                });
+                break;
+        }
+    }
+
+    /**
+     * Follow the queue as Server-Sent Events until the client disconnects
+     */
+    handleStream(req, res) {
+        this.streams.open(req, res, this.snapshot());
+    }
+
+    broadcast(message) {
+        for (const ws of this.sockets) {
+            this.send(ws, message);
+        }
+        this.streams.broadcast(message);
+    }
+
+    send(ws, message) {
+        if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    }
+
+    sendError(ws, code, message, details = null) {
+        this.send(ws, { type: 'error', code, message, details });
+    }
+}
+
+export default StaffConsole;
@@ -25,24 +25,50 @@ export class CollectiveIntelligence extends EventEmitter {
       successPatterns: new Map()
     };
 
-    this.initializeCollectiveNetwork();
   }
 
-  initializeCollectiveNetwork() {
-    // Connect all agents in a mesh network
-    this.meshNetwork = new WebSocket.Server({ port: 8765 });
-
-    this.meshNetwork.on('connection', (ws, req) => {
-      const agentId = this.extractAgentId(req);
-      this.agents.set(agentId, ws);
+  /**
+   * Join an agent to the mesh network. The server owns the socket lifecycle and
+   * routes /ws/mesh?agentId=<id> connections here (or MESH_PORT, when set).
+   */
+  handleConnection(ws, req) {
+    const agentId = this.extractAgentId(req);
+    this.agents.set(agentId, ws);
 
-      ws.on('message', (data) => {
+    ws.on('message', (data) => {
+      try {
         this.processAgentCommunication(agentId, JSON.parse(data));
-      });
+      } catch (error) {
+        ws.send(JSON.stringify({ type: 'error', message: `Could not process message: ${error.message}` }));
+      }
+    });
 
-      // Share collective knowledge with new agent
-      this.syncAgentKnowledge(agentId);
+    ws.on('close', () => {
+      if (this.agents.get(agentId) === ws) {
+        this.agents.delete(agentId);
+      }
     });
+
+    // Share collective knowledge with new agent
+    this.syncAgentKnowledge(agentId);
+  }
+
+  extractAgentId(req) {
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('agentId') || `agent_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+  }
+
+  syncAgentKnowledge(agentId) {
+    const ws = this.agents.get(agentId);
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+    ws.send(JSON.stringify({
+      type: 'KNOWLEDGE_SYNC',
+      agentId,
+      insights: this.insights.slice(-20),
+      agents: [...this.agents.keys()],
+      timestamp: Date.now()
+    }));
   }
 
   /**
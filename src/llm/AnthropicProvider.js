@@ -0,0 +1,116 @@
+/**
+ * Anthropic Messages API provider
+ */
+
+import axios from 'axios';
+import { LLMProvider } from './LLMProvider.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+export class AnthropicProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ name: 'anthropic', model: 'claude-3-5-haiku-latest', ...options });
+        this.apiKey = options.apiKey || null;
+        this.baseUrl = (options.baseUrl || 'https://api.anthropic.com').replace(/\/$/, '');
+    }
+
+    async generate(request) {
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/v1/messages`,
+                this.buildBody(request),
+                { headers: this.buildHeaders(), timeout: this.timeout, signal: request.signal }
+            );
+
+            const text = (response.data.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('')
+                .trim();
+
+            if (!text) {
+                throw new Error('Empty completion');
+            }
+
+            return {
+                text,
+                provider: this.name,
+                model: response.data.model || this.model,
+                finishReason: response.data.stop_reason,
+                usage: response.data.usage
+            };
+        } catch (error) {
+            throw new Error(`Anthropic completion failed: ${this.describeError(error)}`);
+        }
+    }
+
+    async stream(request, onDelta) {
+        let text = '';
+        let model = this.model;
+        let finishReason = null;
+
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/v1/messages`,
+                { ...this.buildBody(request), stream: true },
+                { headers: this.buildHeaders(), timeout: this.timeout, responseType: 'stream', signal: request.signal }
+            );
+
+            for await (const { event, data } of this.readServerSentEvents(response.data)) {
+                const payload = JSON.parse(data);
+
+                if (event === 'message_start') {
+                    model = payload.message?.model || model;
+                } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+                    text += payload.delta.text;
+                    onDelta(payload.delta.text);
+                } else if (event === 'message_delta') {
+                    finishReason = payload.delta?.stop_reason || finishReason;
+                } else if (event === 'error') {
+                    throw new Error(payload.error?.message || 'Stream error');
+                } else if (event === 'message_stop') {
+                    break;
+                }
+            }
+        } catch (error) {
+            throw new Error(`Anthropic stream failed: ${this.describeError(error)}`);
+        }
+
+        if (!text.trim()) {
+            throw new Error('Anthropic stream failed: Empty completion');
+        }
+
+        return {
+            text: text.trim(),
+            provider: this.name,
+            model,
+            finishReason
+        };
+    }
+
+    buildHeaders() {
+        return {
+            'x-api-key': this.apiKey,
+            'anthropic-version': ANTHROPIC_VERSION,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    buildBody({ systemPrompt, messages, temperature = 0.7, maxTokens = 300 }) {
+        // The Messages API requires the first turn to come from the user
+        const turns = this.mergeConsecutiveTurns(messages);
+        while (turns.length > 0 && turns[0].role !== 'user') {
+            turns.shift();
+        }
+
+        return {
+            model: this.model,
+            system: systemPrompt,
+            messages: turns,
+            temperature,
+            max_tokens: maxTokens
+        };
+    }
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,104 @@
+/**
+ * Base class for agent response backends
+ * Providers turn an agent system prompt plus the rolling conversation into a reply
+ */
+
+export class LLMProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'base';
+        this.model = options.model || null;
+        this.timeout = options.timeout || 20000;
+    }
+
+    /**
+     * Generate a reply.
+     *
+     * @param {Object} request
+     * @param {string} request.systemPrompt - Agent prompt from ConvAIManager.generateSystemPrompt
+     * @param {Array<{role: 'user'|'assistant', content: string}>} request.messages - Rolling conversation
+     * @param {Object} [request.agent] - Registry agent definition
+     * @param {number} [request.temperature]
+     * @param {number} [request.maxTokens]
+     * @param {Object} [request.interruption] - Set when the guest cut off the agent's previous reply
+     * @param {Object} [request.handoff] - Set on the first reply after another agent transferred the guest
+     * @param {Object} [request.toolCall] - Set when a tool (see AgentTools) ran for the guest's latest turn
+     * @param {AbortSignal} [request.signal] - Aborts the request when the guest barges in
+     * @returns {Promise<{text: string, emotion?: string, confidence?: number, provider: string, model: string}>}
+     */
+    async generate(request) {
+        throw new Error(`${this.constructor.name} does not implement generate()`);
+    }
+
+    /**
+     * Stream a reply, calling onDelta with each text fragment as it arrives.
+     * Providers without native streaming deliver the whole reply as one delta.
+     *
+     * @param {Object} request - Same shape as generate()
+     * @param {(delta: string) => void} onDelta
+     * @returns {Promise<Object>} The complete reply, as returned by generate()
+     */
+    async stream(request, onDelta) {
+        const result = await this.generate(request);
+        onDelta(result.text);
+        return result;
+    }
+
+    /**
+     * Parse a text/event-stream response body into { event, data } records
+     */
+    async *readServerSentEvents(stream) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const chunk of stream) {
+            // Decode incrementally so multi-byte characters split across chunks survive
+            buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                const event = { event: 'message', data: '' };
+                for (const line of rawEvent.split('\n')) {
+                    if (line.startsWith('event:')) {
+                        event.event = line.slice(6).trim();
+                    } else if (line.startsWith('data:')) {
+                        event.data += line.slice(5).trim();
+                    }
+                }
+
+                if (event.data) {
+                    yield event;
+                }
+            }
+        }
+    }
+
+    /**
+     * Collapse consecutive messages from the same role; chat APIs expect alternating turns
+     */
+    mergeConsecutiveTurns(messages) {
+        const merged = [];
+
+        for (const message of messages) {
+            if (!message.content) continue;
+
+            const previous = merged[merged.length - 1];
+            if (previous && previous.role === message.role) {
+                previous.content += `\n${message.content}`;
+            } else {
+                merged.push({ role: message.role, content: message.content });
+            }
+        }
+
+        return merged;
+    }
+
+    describeError(error) {
+        const detail = error.response?.data?.error?.message || error.response?.data?.error || error.message;
+        return typeof detail === 'string' ? detail : JSON.stringify(detail);
+    }
+}
+
+export default LLMProvider;
@@ -0,0 +1,269 @@
+/**
+ * Local Rule/Template Provider
+ * Deterministic stand-in for a hosted LLM: same conversation in, same reply out.
+ * Used for offline demos, tests and as a fallback when a remote provider fails.
+ */
+
+import { LLMProvider } from './LLMProvider.js';
+
+const INTENT_RULES = [
+    { intent: 'dietary', pattern: /gluten|celiac|coeliac|vegan|vegetarian|dairy|lactose|allerg|\bnuts?\b|shellfish|halal|kosher/ },
+    { intent: 'reservation', pattern: /reserv|\bbook\b|table for/ },
+    { intent: 'hours', pattern: /\bopen\b|\bclose\b|closing|\bhours\b/ },
+    { intent: 'complaint', pattern: /problem|issue|wrong|\bcold\b|terrible|awful|disappointed|complain/ },
+    { intent: 'wine', pattern: /wine|drink|beverage|pairing|cocktail/ },
+    { intent: 'dessert', pattern: /dessert|sweet|cake|pastry|chocolate/ },
+    { intent: 'recommendation', pattern: /recommend|suggest|what should|special/ },
+    { intent: 'compliment', pattern: /great|wonderful|amazing|delicious|perfect|excellent/ },
+    { intent: 'greeting', pattern: /\b(hello|hi|hey|good (morning|afternoon|evening)|ciao|bonjour)\b/ }
+];
+
+// A canned reply to a real question it didn't recognise is a guess; short acknowledgements
+// ("okay", "thanks") aren't
+const UNRECOGNIZED_CONFIDENCE = 0.4;
+const ACKNOWLEDGEMENT_CONFIDENCE = 0.6;
+const QUESTION_WORDS = 4;
+
+const DIETARY_TERMS = {
+    gluten: 'gluten-free',
+    celiac: 'gluten-free',
+    coeliac: 'gluten-free',
+    vegan: 'vegan',
+    vegetarian: 'vegetarian',
+    dairy: 'dairy-free',
+    lactose: 'dairy-free',
+    allerg: 'allergy-safe',
+    nut: 'nut-free',
+    shellfish: 'shellfish-free',
+    halal: 'halal',
+    kosher: 'kosher'
+};
+
+// Phrase categories to draw from for each intent, in order of preference
+const INTENT_PHRASES = {
+    greeting: ['greetings'],
+    recommendation: ['suggestions', 'innovation', 'enthusiasm'],
+    complaint: ['concerns', 'problem_solving'],
+    wine: ['wine_education', 'pairings'],
+    dessert: ['creativity', 'craftsmanship'],
+    compliment: ['compliments', 'enthusiasm']
+};
+
+// Signature phrases per agent, keyed by canonical registry ID
+const AGENT_PHRASES = {
+    sophia: {
+        greetings: [
+            "Ciao! Welcome to my kitchen!",
+            "Buongiorno! What brings you to my domain?",
+            "Ah, wonderful! Let me share my passion with you!"
+        ],
+        compliments: [
+            "Perfetto! You have excellent taste!",
+            "Magnifico! I can see you appreciate quality!",
+            "Bellissimo! That's exactly what I would choose!"
+        ],
+        suggestions: [
+            "Let me suggest something that will make your heart sing!",
+            "I have the perfect dish that captures the essence of Italy!",
+            "Trust me, this recipe has been in my family for generations!"
+        ],
+        concerns: [
+            "Madonna mia! That's not how we do things in my kitchen!",
+            "No, no, no! We must respect the ingredients!",
+            "I understand your concern, but let me explain why quality matters!"
+        ]
+    },
+    marcus: {
+        greetings: [
+            "Good evening! It's wonderful to have you with us tonight.",
+            "Welcome! I'm here to ensure your experience is nothing short of exceptional.",
+            "Thank you for choosing us. How may I make your evening special?"
+        ],
+        problem_solving: [
+            "I completely understand your concern, and I'm here to make this right.",
+            "Let me personally take care of this for you immediately.",
+            "I appreciate you bringing this to my attention. Here's what I can do..."
+        ],
+        coordination: [
+            "I'll coordinate with our team to ensure everything is perfect.",
+            "Let me speak with the kitchen and get back to you shortly.",
+            "I'm going to personally oversee this to meet our standards."
+        ]
+    },
+    isabella: {
+        greetings: [
+            "Bonsoir! I'm delighted to guide you through our wine selection.",
+            "Ah, bonjour! What a pleasure to share the art of wine with you.",
+            "Welcome! Let me introduce you to some magnificent terroirs."
+        ],
+        wine_education: [
+            "This wine tells a beautiful story of its terroir...",
+            "The winemaker's technique here is absolutely exquisite...",
+            "Notice how the tannins dance with the acidity..."
+        ],
+        pairings: [
+            "This pairing will create a symphony on your palate...",
+            "The wine will elevate the dish while the food awakens the wine...",
+            "Together, they create something greater than the sum of their parts..."
+        ]
+    },
+    raj: {
+        greetings: [
+            "Namaste! I'm excited to take you on a flavor journey!",
+            "Welcome! Let me share some incredible fusion creations with you!",
+            "Great to meet you! I've been experimenting with some amazing combinations!"
+        ],
+        innovation: [
+            "What if we took this traditional spice and paired it with...",
+            "I've been working on a fusion that combines the best of both worlds...",
+            "This technique transforms familiar flavors into something extraordinary..."
+        ],
+        enthusiasm: [
+            "Oh, you're going to love this! The flavors are absolutely incredible!",
+            "This is one of my favorite creations - it tells a story with every bite!",
+            "I'm so excited to share this with you - it's pure culinary magic!"
+        ]
+    },
+    chen: {
+        greetings: [
+            "Hello! I've been dreaming up something sweet just for you!",
+            "Welcome to my world of dessert artistry!",
+            "Good to see you! Let me paint you a picture with flavors!"
+        ],
+        creativity: [
+            "Each layer tells a story, building to a beautiful crescendo...",
+            "I design desserts like paintings - every element has meaning...",
+            "This creation is inspired by the colors of a sunset..."
+        ],
+        craftsmanship: [
+            "The technique here requires patience and precise timing...",
+            "Every detail is carefully crafted to create the perfect moment...",
+            "I temper this chocolate seven times to achieve the perfect snap..."
+        ]
+    }
+};
+
+export class LocalProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ name: 'local', model: 'local-rules', ...options });
+        this.phrases = options.phrases || AGENT_PHRASES;
+    }
+
+    async generate({ messages, agent, interruption, handoff, toolCall }) {
+        const userTurns = messages.filter(message => message.role === 'user');
+        const input = (userTurns[userTurns.length - 1]?.content || '').toLowerCase();
+        const intent = this.detectIntent(input);
+
+        // Rotate through phrases by turn number so replies vary but stay reproducible
+        const turn = userTurns.length;
+        const reply = toolCall ?
+            this.reportToolCall(toolCall, agent) :
+            this.composeReply(intent, input, agent, turn);
+        let text = interruption ? `Sorry, go ahead. ${reply}` : reply;
+        if (handoff && !handoff.introduced) {
+            text = `Hi, I'm ${agent.name}, ${agent.role}. ${text}`;
+        }
+
+        return {
+            text,
+            confidence: toolCall ? 0.9 : intent === 'general' ? this.generalConfidence(input) : 0.85,
+            intent,
+            provider: this.name,
+            model: this.model
+        };
+    }
+
+    async stream(request, onDelta) {
+        const result = await this.generate(request);
+
+        // Emit word by word so streaming clients see the same cadence as a hosted model
+        for (const token of result.text.match(/\S+\s*/g) || []) {
+            if (request.signal?.aborted) {
+                throw new Error('Local reply cancelled');
+            }
+            onDelta(token);
+        }
+
+        return result;
+    }
+
+    // A tool's summary is written to be read to the guest as-is
+    reportToolCall(toolCall, agent = {}) {
+        const style = agent.personality?.responseStyle || {};
+        return toolCall.ok ? `${style.request || 'Certainly!'} ${toolCall.summary}` : toolCall.summary;
+    }
+
+    generalConfidence(input) {
+        return input.split(/\s+/).filter(Boolean).length >= QUESTION_WORDS ? UNRECOGNIZED_CONFIDENCE : ACKNOWLEDGEMENT_CONFIDENCE;
+    }
+
+    detectIntent(input) {
+        const rule = INTENT_RULES.find(({ pattern }) => pattern.test(input));
+        return rule ? rule.intent : 'general';
+    }
+
+    composeReply(intent, input, agent = {}, turn) {
+        const style = agent.personality?.responseStyle || {};
+        const specialty = agent.specialties?.[0];
+
+        switch (intent) {
+            case 'dietary': {
+                const restriction = this.extractDietaryRestriction(input);
+                const dish = this.extractDish(input);
+                return `${style.question || 'Great question!'} We can prepare ${dish ? `${restriction} ${dish}` : `${restriction} options`} on request. I'll flag it for the kitchen so it's made separately and safely for you.`;
+            }
+
+            case 'reservation':
+                return `${style.request || 'Happy to help!'} I can help with a reservation. What day and time would you like, and how many guests will be joining?`;
+
+            case 'hours':
+                if (agent.workingHours) {
+                    return `${style.question || 'Good question!'} I'm here from ${agent.workingHours.start}:00 until ${agent.workingHours.end % 24}:00. Is there anything I can help you plan?`;
+                }
+                return `${style.question || 'Good question!'} Let me check today's hours for you.`;
+
+            case 'complaint':
+                return `${this.pickPhrase(agent.id, intent, turn) || style.complaint || "I'm sorry to hear that."} Can you tell me a little more about what happened so I can make it right?`;
+
+            case 'general':
+                return `${style.general || 'Hello!'} ${specialty ? `My specialty is ${specialty.toLowerCase()}, but I'm` : "I'm"} happy to help with anything you need.`;
+
+            default: {
+                const phrase = this.pickPhrase(agent.id, intent, turn);
+                if (phrase) {
+                    return phrase;
+                }
+                const opener = intent === 'greeting' ? style.general : style.question;
+                return `${opener || 'Hello!'} ${agent.personality?.introPhrase || 'How can I help you today?'}`;
+            }
+        }
+    }
+
+    pickPhrase(agentId, intent, turn) {
+        const agentPhrases = this.phrases[agentId];
+        if (!agentPhrases) return null;
+
+        for (const category of INTENT_PHRASES[intent] || []) {
+            const options = agentPhrases[category];
+            if (options && options.length > 0) {
+                return options[turn % options.length];
+            }
+        }
+
+        return null;
+    }
+
+    extractDietaryRestriction(input) {
+        const term = Object.keys(DIETARY_TERMS).find(key => input.includes(key));
+        return DIETARY_TERMS[term] || 'special-diet';
+    }
+
+    extractDish(input) {
+        // "do you have gluten-free pasta?" -> "pasta"
+        const match = input.match(/(?:gluten|dairy|nut|shellfish)[- ]free\s+([a-z]+)|(?:vegan|vegetarian|halal|kosher)\s+([a-z]+)/);
+        const dish = match && (match[1] || match[2]);
+        return dish && !['options', 'food', 'dishes', 'menu', 'items'].includes(dish) ? dish : null;
+    }
+}
+
+export default LocalProvider;
@@ -0,0 +1,105 @@
+/**
+ * OpenAI-compatible Chat Completions provider
+ * Works with OpenAI and any server exposing /chat/completions (vLLM, Ollama, LM Studio)
+ */
+
+import axios from 'axios';
+import { LLMProvider } from './LLMProvider.js';
+
+export class OpenAIProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ name: 'openai', model: 'gpt-4o-mini', ...options });
+        this.apiKey = options.apiKey || null;
+        this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+    }
+
+    async generate(request) {
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/chat/completions`,
+                this.buildBody(request),
+                { headers: this.buildHeaders(), timeout: this.timeout, signal: request.signal }
+            );
+
+            const choice = response.data.choices?.[0];
+            if (!choice?.message?.content) {
+                throw new Error('Empty completion');
+            }
+
+            return {
+                text: choice.message.content.trim(),
+                provider: this.name,
+                model: response.data.model || this.model,
+                finishReason: choice.finish_reason,
+                usage: response.data.usage
+            };
+        } catch (error) {
+            throw new Error(`OpenAI-compatible completion failed: ${this.describeError(error)}`);
+        }
+    }
+
+    async stream(request, onDelta) {
+        let text = '';
+        let model = this.model;
+        let finishReason = null;
+
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/chat/completions`,
+                { ...this.buildBody(request), stream: true },
+                { headers: this.buildHeaders(), timeout: this.timeout, responseType: 'stream', signal: request.signal }
+            );
+
+            for await (const { data } of this.readServerSentEvents(response.data)) {
+                if (data === '[DONE]') break;
+
+                const chunk = JSON.parse(data);
+                const choice = chunk.choices?.[0];
+                const delta = choice?.delta?.content;
+
+                if (delta) {
+                    text += delta;
+                    onDelta(delta);
+                }
+
+                model = chunk.model || model;
+                finishReason = choice?.finish_reason || finishReason;
+            }
+        } catch (error) {
+            throw new Error(`OpenAI-compatible stream failed: ${this.describeError(error)}`);
+        }
+
+        if (!text.trim()) {
+            throw new Error('OpenAI-compatible stream failed: Empty completion');
+        }
+
+        return {
+            text: text.trim(),
+            provider: this.name,
+            model,
+            finishReason
+        };
+    }
+
+    buildHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    buildBody({ systemPrompt, messages, temperature = 0.7, maxTokens = 300 }) {
+        return {
+            model: this.model,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                ...this.mergeConsecutiveTurns(messages)
+            ],
+            temperature,
+            max_tokens: maxTokens
+        };
+    }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,46 @@
+/**
+ * LLM provider factory
+ * Selects the agent response backend from options or environment:
+ *   LLM_PROVIDER=openai|anthropic|local (default: local)
+ *   LLM_MODEL, LLM_BASE_URL, LLM_API_KEY (falls back to OPENAI_API_KEY / ANTHROPIC_API_KEY)
+ */
+
+import { LLMProvider } from './LLMProvider.js';
+import { OpenAIProvider } from './OpenAIProvider.js';
+import { AnthropicProvider } from './AnthropicProvider.js';
+import { LocalProvider } from './LocalProvider.js';
+
+const PROVIDERS = {
+    openai: OpenAIProvider,
+    anthropic: AnthropicProvider,
+    local: LocalProvider
+};
+
+export function createLLMProvider(options = {}, env = process.env) {
+    const name = (options.provider || env.LLM_PROVIDER || 'local').toLowerCase();
+    const Provider = PROVIDERS[name];
+
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    const apiKeyFallbacks = {
+        openai: env.OPENAI_API_KEY,
+        anthropic: env.ANTHROPIC_API_KEY
+    };
+
+    const config = {
+        apiKey: options.apiKey || env.LLM_API_KEY || apiKeyFallbacks[name],
+        baseUrl: options.baseUrl || env.LLM_BASE_URL,
+        timeout: options.timeout || (env.LLM_TIMEOUT_MS ? parseInt(env.LLM_TIMEOUT_MS, 10) : undefined)
+    };
+
+    const model = options.model || env.LLM_MODEL;
+    if (model) {
+        config.model = model;
+    }
+
+    return new Provider(config);
+}
+
+export { LLMProvider, OpenAIProvider, AnthropicProvider, LocalProvider };
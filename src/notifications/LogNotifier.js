@@ -0,0 +1,20 @@
+/**
+ * Log notifications
+ * Prints each message instead of sending it, for development.
+ */
+
+import { Notifier } from './Notifier.js';
+
+export class LogNotifier extends Notifier {
+    constructor(options = {}) {
+        super({ name: 'log' });
+        this.log = options.log || console;
+    }
+
+    async deliver(notification) {
+        this.log.log(`✉️  ${notification.channel} to ${notification.to}: ${notification.text}`);
+        return 'sent';
+    }
+}
+
+export default LogNotifier;
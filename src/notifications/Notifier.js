@@ -0,0 +1,58 @@
+/**
+ * Base class for guest notifications
+ * Notifiers deliver short messages to a guest by text or email, such as "your table is
+ * ready". Real SMS and email gateways plug in by implementing deliver().
+ */
+
+import crypto from 'crypto';
+
+export const NOTIFICATION_CHANNELS = ['sms', 'email'];
+
+export class Notifier {
+    constructor(options = {}) {
+        this.name = options.name || 'base';
+    }
+
+    /**
+     * Send a message to a guest.
+     *
+     * @param {Object} message
+     * @param {'sms'|'email'} message.channel
+     * @param {string} message.to - Phone number or email address
+     * @param {string} [message.subject] - Email only
+     * @param {string} message.text
+     * @param {Object} [message.metadata] - What it's about, e.g. { type: 'table_ready', entryId }
+     * @returns {Promise<{id: string, channel: string, to: string, status: string, notifier: string, createdAt: string}>}
+     */
+    async send(message) {
+        if (!NOTIFICATION_CHANNELS.includes(message.channel)) {
+            throw new Error(`Unknown notification channel "${message.channel}". Expected one of: ${NOTIFICATION_CHANNELS.join(', ')}`);
+        }
+        if (!message.to) {
+            throw new Error(`A ${message.channel} notification needs a recipient`);
+        }
+
+        const notification = {
+            id: `ntf_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+            channel: message.channel,
+            to: message.to,
+            subject: message.subject || null,
+            text: message.text,
+            metadata: message.metadata || {},
+            createdAt: new Date().toISOString()
+        };
+        const status = await this.deliver(notification);
+
+        const { id, channel, to, createdAt } = notification;
+        return { id, channel, to, status, notifier: this.name, createdAt };
+    }
+
+    /**
+     * Hand one notification to the gateway; returns its status (queued, sent)
+     */
+    async deliver(notification) {
+        throw new Error(`${this.constructor.name} does not implement deliver()`);
+    }
+}
+
+export default Notifier;
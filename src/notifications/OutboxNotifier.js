@@ -0,0 +1,50 @@
+/**
+ * Outbox notifications
+ * Stands in for an SMS or email gateway: each message is written as a JSON file to an
+ * outbox directory (NOTIFY_OUTBOX_DIR), where a delivery worker or a person testing can
+ * pick it up.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { Notifier } from './Notifier.js';
+
+export class OutboxNotifier extends Notifier {
+    constructor(options = {}) {
+        super({ name: 'outbox' });
+        this.directory = options.directory ||
+            path.join(process.env.DATA_PATH || path.join(process.cwd(), 'data'), 'outbox');
+    }
+
+    async deliver(notification) {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        // Write then rename so a worker never picks up half a file
+        const target = path.join(this.directory, `${notification.id}.json`);
+        const partial = `${target}.partial`;
+        await fs.writeFile(partial, JSON.stringify({ ...notification, status: 'queued' }, null, 2));
+        await fs.rename(partial, target);
+
+        return 'queued';
+    }
+
+    /**
+     * Messages waiting in the outbox, oldest first
+     */
+    async list() {
+        let names;
+        try {
+            names = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const messages = await Promise.all(names
+            .filter(name => name.endsWith('.json'))
+            .map(async name => JSON.parse(await fs.readFile(path.join(this.directory, name), 'utf8'))));
+        return messages.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+}
+
+export default OutboxNotifier;
@@ -0,0 +1,36 @@
+/**
+ * Guest notification factory
+ * Selects how texts and emails to guests are delivered from options or environment:
+ *   NOTIFIER=outbox|log (default: outbox)
+ *   outbox: NOTIFY_OUTBOX_DIR (default: DATA_PATH/outbox)
+ */
+
+import { Notifier, NOTIFICATION_CHANNELS } from './Notifier.js';
+import { OutboxNotifier } from './OutboxNotifier.js';
+import { LogNotifier } from './LogNotifier.js';
+
+const NOTIFIERS = {
+    outbox: OutboxNotifier,
+    log: LogNotifier
+};
+
+export function createNotifier(options = {}, env = process.env) {
+    const name = (options.notifier || env.NOTIFIER || 'outbox').toLowerCase();
+
+    if (!NOTIFIERS[name]) {
+        throw new Error(`Unknown notifier "${name}". Expected one of: ${Object.keys(NOTIFIERS).join(', ')}`);
+    }
+
+    if (name === 'log') {
+        return new LogNotifier({ log: options.log });
+    }
+
+    return new OutboxNotifier({ directory: options.directory || env.NOTIFY_OUTBOX_DIR });
+}
+
+export {
+    Notifier,
+    NOTIFICATION_CHANNELS,
+    OutboxNotifier,
+    LogNotifier
+};
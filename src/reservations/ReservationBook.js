@@ -0,0 +1,363 @@
+/**
+ * Reservation Book
+ * Table reservations and availability. A booking holds its party's seats for the scenario's
+ * workflowRules.averageServiceTime minutes, and a time is available while the seats booked
+ * across that window stay within the scenario's capacity. Dates and times are the
+ * restaurant's local time (TZ).
+ *
+ *   RESERVATION_HOURS (first-last seating, default 17:00-22:00), RESERVATION_SLOT_MINUTES
+ *   (default 15), RESERVATION_MAX_PARTY_SIZE (default 12)
+ */
+
+import crypto from 'crypto';
+import EventEmitter from 'events';
+
+export const RESERVATION_STATUSES = ['booked', 'seated', 'completed', 'cancelled', 'no_show'];
+export const OCCASIONS = ['birthday', 'anniversary', 'date_night', 'business', 'celebration', 'other'];
+export const TABLE_PREFERENCES = ['window', 'booth', 'patio', 'bar', 'quiet', 'private', 'accessible', 'high_chair'];
+
+// Statuses whose party is holding seats
+const HOLDING_STATUSES = ['booked', 'seated'];
+const STATUS_CHANGES = {
+    booked: ['seated', 'cancelled', 'no_show'],
+    seated: ['completed'],
+    completed: [],
+    cancelled: [],
+    no_show: []
+};
+const DEFAULT_SERVICE_MINUTES = 90;
+const DAY_MINUTES = 24 * 60;
+const ALTERNATIVE_TIMES = 4;
+// Confirmation codes skip look-alike characters (0/O, 1/I) so they can be read out
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Reservation failure with a stable code the API reports as-is; messages can be read to a guest
+ *   reservation_not_found, slot_unavailable (details.alternatives), outside_service_hours,
+ *   party_too_large, reservation_in_past, reservations_unavailable, reservation_closed,
+ *   missing_details
+ */
+export class ReservationError extends Error {
+    constructor(code, message, details = null) {
+        super(message);
+        this.name = 'ReservationError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export class ReservationBook extends EventEmitter {
+    constructor(options = {}, env = process.env) {
+        super();
+        this.db = options.db;
+        this.slotMinutes = options.slotMinutes ?? parseInt(env.RESERVATION_SLOT_MINUTES || '15', 10);
+        this.maxPartySize = options.maxPartySize ?? parseInt(env.RESERVATION_MAX_PARTY_SIZE || '12', 10);
+        this.now = options.now || (() => new Date());
+
+        const hours = (options.hours || env.RESERVATION_HOURS || '17:00-22:00').split('-').map(time => time.trim());
+        if (hours.length !== 2 || !hours.every(time => TIME.test(time))) {
+            throw new Error(`RESERVATION_HOURS must look like 17:00-22:00, got "${options.hours || env.RESERVATION_HOURS}"`);
+        }
+        this.openMinutes = toMinutes(hours[0]);
+        // A last seating before the first one runs past midnight
+        this.lastSeatingMinutes = toMinutes(hours[1]) + (toMinutes(hours[1]) <= this.openMinutes ? DAY_MINUTES : 0);
+
+        this.useScenario(options.scenario || null);
+        // Bookings are checked and saved one at a time so two can't take the same seats
+        this.writes = Promise.resolve();
+    }
+
+    useScenario(scenario) {
+        this.scenario = scenario;
+        this.capacity = scenario?.capacity ?? 0;
+        this.serviceMinutes = scenario?.workflowRules?.averageServiceTime || DEFAULT_SERVICE_MINUTES;
+        return this;
+    }
+
+    /**
+     * Open times for a party on a date. With a time, whether that time is free and the nearest
+     * free times around it; without one, every free time that day.
+     *
+     * @returns {Promise<{date: string, time?: string, partySize: number, durationMinutes: number,
+     *   available: boolean, seatsLeft?: number, times: string[]}>}
+     */
+    async availability({ date, time = null, partySize }, { excludeId = null } = {}) {
+        this.checkParty(partySize);
+
+        const reservations = (await this.holdingOn(date)).filter(reservation => reservation.id !== excludeId);
+        const now = this.now();
+        const slots = [];
+        for (let minutes = this.openMinutes; minutes <= this.lastSeatingMinutes; minutes += this.slotMinutes) {
+            const start = atLocalTime(date, minutes);
+            const seatsLeft = this.seatsLeft(reservations, start);
+            slots.push({ time: formatMinutes(minutes), start, available: start > now && seatsLeft >= partySize });
+        }
+        const free = slots.filter(slot => slot.available);
+        const result = { date, partySize, durationMinutes: this.serviceMinutes };
+
+        if (!time) {
+            return { ...result, available: free.length > 0, times: free.map(slot => slot.time) };
+        }
+
+        this.checkServiceHours(time);
+        const start = atLocalTime(date, this.serviceMinutesOf(time));
+        const seatsLeft = this.seatsLeft(reservations, start);
+        const nearest = free
+            .filter(slot => slot.time !== time)
+            .sort((a, b) => Math.abs(a.start - start) - Math.abs(b.start - start))
+            .slice(0, ALTERNATIVE_TIMES)
+            .sort((a, b) => a.start - b.start);
+
+        return {
+            ...result,
+            time,
+            available: start > now && seatsLeft >= partySize,
+            seatsLeft: Math.max(0, seatsLeft),
+            times: nearest.map(slot => slot.time)
+        };
+    }
+
+    /**
+     * Book a table if the time is free
+     *
+     * @param {Object} details - partySize, date, time, contact { name, phone, email }, and
+     *   optionally occasion, tablePreferences, notes, source, sessionId, agentId
+     */
+    async book(details) {
+        return this.serialize(async () => {
+            const { partySize, date, time } = details;
+            const startsAt = this.checkSlot(date, time, partySize);
+            await this.requireAvailable({ date, time, partySize });
+
+            const now = this.now().toISOString();
+            const reservation = {
+                id: `res_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                confirmationCode: await this.newConfirmationCode(),
+                status: 'booked',
+                partySize,
+                date,
+                time,
+                startsAt: startsAt.toISOString(),
+                endsAt: addMinutes(startsAt, this.serviceMinutes).toISOString(),
+                durationMinutes: this.serviceMinutes,
+                contact: {
+                    name: details.contact.name,
+                    phone: details.contact.phone || null,
+                    email: details.contact.email || null
+                },
+                occasion: details.occasion || null,
+                tablePreferences: details.tablePreferences || [],
+                notes: details.notes || null,
+                source: details.source || 'api',
+                sessionId: details.sessionId || null,
+                agentId: details.agentId || null,
+                createdAt: now,
+                updatedAt: now,
+                seatedAt: null,
+                completedAt: null,
+                cancelledAt: null,
+                cancellationReason: null
+            };
+
+            await this.db.saveReservation(reservation);
+            this.emit('reservationBooked', reservation);
+            return reservation;
+        });
+    }
+
+    /**
+     * A reservation by id or confirmation code
+     */
+    async get(reference) {
+        const reservation = reference.startsWith('res_') ?
+            await this.db.getReservation(reference) :
+            (await this.db.findReservations({ confirmationCode: reference.toUpperCase() }))[0];
+
+        if (!reservation) {
+            throw new ReservationError('reservation_not_found', `I couldn't find a reservation ${reference}`);
+        }
+        return reservation;
+    }
+
+    /**
+     * Reservations for a date (every date when omitted), in time order
+     */
+    async list({ date = null, status = null } = {}) {
+        const reservations = await this.db.findReservations({
+            from: date ? atLocalTime(date, 0).toISOString() : undefined,
+            // Past-midnight seatings still belong to the date they were booked for
+            to: date ? atLocalTime(date, 2 * DAY_MINUTES).toISOString() : undefined,
+            status: status || undefined
+        });
+
+        return date ? reservations.filter(reservation => reservation.date === date) : reservations;
+    }
+
+    /**
+     * Change a reservation. Moving it (date, time, partySize) needs the new time to be free;
+     * status follows booked -> seated -> completed, or booked -> cancelled / no_show.
+     */
+    async update(reference, changes) {
+        return this.serialize(async () => {
+            const reservation = { ...await this.get(reference) };
+            const moved = ['date', 'time', 'partySize'].some(field => changes[field] !== undefined && changes[field] !== reservation[field]);
+
+            if (moved) {
+                if (reservation.status !== 'booked') {
+                    throw new ReservationError('reservation_closed', `Reservation ${reservation.confirmationCode} is already ${reservation.status}`);
+                }
+
+                const slot = {
+                    date: changes.date ?? reservation.date,
+                    time: changes.time ?? reservation.time,
+                    partySize: changes.partySize ?? reservation.partySize
+                };
+                const startsAt = this.checkSlot(slot.date, slot.time, slot.partySize);
+                await this.requireAvailable(slot, { excludeId: reservation.id });
+
+                Object.assign(reservation, slot, {
+                    startsAt: startsAt.toISOString(),
+                    endsAt: addMinutes(startsAt, reservation.durationMinutes).toISOString()
+                });
+            }
+
+            if (changes.status && changes.status !== reservation.status) {
+                if (!STATUS_CHANGES[reservation.status].includes(changes.status)) {
+                    throw new ReservationError('reservation_closed', `Reservation ${reservation.confirmationCode} is ${reservation.status} and can't become ${changes.status}`);
+                }
+                reservation.status = changes.status;
+                // When parties sit down and leave is what the waitlist's turnover is measured from
+                if (changes.status === 'seated') reservation.seatedAt = this.now().toISOString();
+                if (changes.status === 'completed') reservation.completedAt = this.now().toISOString();
+                if (changes.status === 'cancelled') {
+                    reservation.cancelledAt = this.now().toISOString();
+                    reservation.cancellationReason = changes.cancellationReason || null;
+                }
+            }
+
+            if (changes.contact) reservation.contact = { ...reservation.contact, ...changes.contact };
+            for (const field of ['occasion', 'tablePreferences', 'notes']) {
+                if (changes[field] !== undefined) reservation[field] = changes[field];
+            }
+            reservation.updatedAt = this.now().toISOString();
+
+            await this.db.saveReservation(reservation);
+            this.emit('reservationUpdated', reservation);
+            return reservation;
+        });
+    }
+
+    async cancel(reference, { reason = null } = {}) {
+        return this.update(reference, { status: 'cancelled', cancellationReason: reason });
+    }
+
+    // Throws unless the party fits and the time is a future seating; returns when it starts
+    checkSlot(date, time, partySize) {
+        this.checkParty(partySize);
+        this.checkServiceHours(time);
+
+        const startsAt = atLocalTime(date, this.serviceMinutesOf(time));
+        if (startsAt <= this.now()) {
+            throw new ReservationError('reservation_in_past', `${time} on ${date} has already passed`);
+        }
+        return startsAt;
+    }
+
+    checkParty(partySize) {
+        if (this.capacity <= 0) {
+            throw new ReservationError('reservations_unavailable', `${this.scenario?.name || 'This restaurant'} doesn't take reservations`);
+        }
+        if (partySize > Math.min(this.maxPartySize, this.capacity)) {
+            throw new ReservationError('party_too_large', `We can book parties of up to ${Math.min(this.maxPartySize, this.capacity)}; larger groups need to speak with a manager`);
+        }
+    }
+
+    checkServiceHours(time) {
+        const minutes = this.serviceMinutesOf(time);
+        if (minutes < this.openMinutes || minutes > this.lastSeatingMinutes) {
+            throw new ReservationError('outside_service_hours',
+                `We seat guests from ${formatMinutes(this.openMinutes)} until ${formatMinutes(this.lastSeatingMinutes)}`,
+                { firstSeating: formatMinutes(this.openMinutes), lastSeating: formatMinutes(this.lastSeatingMinutes) });
+        }
+    }
+
+    async requireAvailable(slot, options) {
+        const availability = await this.availability(slot, options);
+        if (!availability.available) {
+            throw new ReservationError('slot_unavailable',
+                `We're fully booked for ${slot.partySize} at ${slot.time} on ${slot.date}`,
+                { alternatives: availability.times });
+        }
+    }
+
+    // Seats still free for a party arriving at start and staying serviceMinutes
+    seatsLeft(reservations, start) {
+        const end = addMinutes(start, this.serviceMinutes);
+        const overlapping = reservations
+            .map(reservation => ({ start: new Date(reservation.startsAt), end: new Date(reservation.endsAt), seats: reservation.partySize }))
+            .filter(booking => booking.start < end && booking.end > start);
+
+        // The busiest moment is when someone is seated, or when the window opens
+        const moments = [start, ...overlapping.map(booking => booking.start).filter(moment => moment > start)];
+        const peak = Math.max(0, ...moments.map(moment => overlapping
+            .filter(booking => booking.start <= moment && booking.end > moment)
+            .reduce((seats, booking) => seats + booking.seats, 0)));
+
+        return this.capacity - peak;
+    }
+
+    // Parties whose stay could overlap a seating on date
+    async holdingOn(date) {
+        const reservations = await this.db.findReservations({
+            from: atLocalTime(date, this.openMinutes - 2 * this.serviceMinutes).toISOString(),
+            to: atLocalTime(date, this.lastSeatingMinutes + this.serviceMinutes).toISOString()
+        });
+        return reservations.filter(reservation => HOLDING_STATUSES.includes(reservation.status));
+    }
+
+    // Minutes after midnight of the service day; with a past-midnight last seating, 00:30 is 24:30
+    serviceMinutesOf(time) {
+        const minutes = toMinutes(time);
+        return this.lastSeatingMinutes >= DAY_MINUTES && minutes < this.openMinutes ? minutes + DAY_MINUTES : minutes;
+    }
+
+    async newConfirmationCode() {
+        for (;;) {
+            const code = [...crypto.randomBytes(6)].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+            // A digit keeps codes apart from words when picked out of speech
+            if (!/\d/.test(code)) continue;
+            if ((await this.db.findReservations({ confirmationCode: code })).length === 0) {
+                return code;
+            }
+        }
+    }
+
+    serialize(write) {
+        const result = this.writes.then(write);
+        this.writes = result.catch(() => {});
+        return result;
+    }
+}
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function formatMinutes(minutes) {
+    const inDay = minutes % DAY_MINUTES;
+    return `${String(Math.floor(inDay / 60)).padStart(2, '0')}:${String(inDay % 60).padStart(2, '0')}`;
+}
+
+function atLocalTime(date, minutes) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day, 0, minutes);
+}
+
+function addMinutes(when, minutes) {
+    return new Date(when.getTime() + minutes * 60000);
+}
+
+export default ReservationBook;
@@ -0,0 +1,220 @@
+/**
+ * Booking requests in plain speech
+ * Picks a reservation request out of what a guest said: "a table for four at 7:30 Friday",
+ * "party of six tomorrow at eight under Rivera", "cancel reservation K7M2QP", "my name is
+ * Jane Doe, phone 555-123-4567". Whatever
+ * wasn't mentioned comes back null; days like "tomorrow" and "Friday" are resolved
+ * against now, in local time.
+ */
+
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+    eighteen: 18, nineteen: 19, twenty: 20
+};
+const MINUTE_WORDS = { 'o\'clock': 0, oh: 0, fifteen: 15, thirty: 30, 'forty five': 45, 'forty-five': 45 };
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const NUMBER = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})`;
+const PARTY_PATTERNS = [
+    new RegExp(`\\b(?:table|reservation|booking|seats?|room)\\s+for\\s+${NUMBER}\\b`, 'i'),
+    new RegExp(`\\bparty\\s+of\\s+${NUMBER}\\b`, 'i'),
+    new RegExp(`\\b${NUMBER}\\s+(?:people|persons|guests|adults|of us)\\b`, 'i'),
+    new RegExp(`\\bfor\\s+${NUMBER}\\b(?!\\s*(?::|a\\.?m\\b|p\\.?m\\b|o'clock))`, 'i')
+];
+const MONTH = `(${MONTHS.join('|')}|${MONTHS.map(month => month.slice(0, 3)).join('|')})\\.?`;
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const MINUTES = `(${Object.keys(MINUTE_WORDS).join('|')})`;
+
+const OCCASION_PATTERNS = {
+    birthday: /\bbirthday\b/i,
+    anniversary: /\banniversary\b/i,
+    date_night: /\bdate night\b|\bon a date\b/i,
+    business: /\bbusiness\b|\bclients?\b|\bwork (?:dinner|lunch)\b/i,
+    celebration: /\bcelebrat\w*\b|\bgraduation\b|\bengagement\b|\bpromotion\b|\bretirement\b/i
+};
+const PREFERENCE_PATTERNS = {
+    window: /\bwindow\b/i,
+    booth: /\bbooth\b/i,
+    patio: /\bpatio\b|\boutside\b|\boutdoors?\b|\bterrace\b/i,
+    bar: /\bat the bar\b|\bbar seat/i,
+    quiet: /\bquiet\b/i,
+    private: /\bprivate\b/i,
+    accessible: /\bwheelchair\b|\baccessib\w*\b/i,
+    high_chair: /\bhigh ?chair\b|\bbooster\b/i
+};
+
+// Confirmation codes as ReservationBook issues them: six of A-Z (no I or O) and 2-9, with a digit
+const CODE = /^(?=.*\d)[A-HJ-NP-Z2-9]{6}$/;
+const PHONE = /\+?\(?\d[\d\s().-]{5,}\d/g;
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const NAME_STOP_WORDS = new Set([...WEEKDAYS, ...MONTHS, 'the', 'a', 'an', 'tonight', 'tomorrow', 'today'].map(word => word.toLowerCase()));
+
+/**
+ * @returns {{intent: 'book'|'cancel'|'lookup'|null, question: boolean, partySize: number|null,
+ *   date: string|null, time: string|null, name: string|null, phone: string|null,
+ *   email: string|null, occasion: string|null, tablePreferences: string[],
+ *   confirmationCode: string|null}}
+ */
+export function parseReservationRequest(text, now = new Date()) {
+    const confirmationCode = parseConfirmationCode(text);
+
+    return {
+        intent: parseIntent(text, confirmationCode),
+        question: /\b(?:do you have|have you got|is there|are there|any (?:tables?|room|availability)|available|can you fit|could you fit)\b/i.test(text),
+        partySize: parsePartySize(text),
+        date: parseDate(text, now),
+        time: parseTime(text),
+        name: parseName(text),
+        phone: parsePhone(text),
+        email: text.match(EMAIL)?.[0] || null,
+        occasion: Object.keys(OCCASION_PATTERNS).find(occasion => OCCASION_PATTERNS[occasion].test(text)) || null,
+        tablePreferences: Object.keys(PREFERENCE_PATTERNS).filter(preference => PREFERENCE_PATTERNS[preference].test(text)),
+        confirmationCode
+    };
+}
+
+function parseIntent(text, confirmationCode) {
+    if (/\bcancel\w*\b|\bcall off\b/i.test(text) && (confirmationCode || /\b(?:reservation|booking|table)\b/i.test(text))) {
+        return 'cancel';
+    }
+    if (confirmationCode) {
+        return 'lookup';
+    }
+    if (/\b(?:book|reserve|reservation|booking|table for|party of|get a table|seat us)\b/i.test(text)) {
+        return 'book';
+    }
+    return null;
+}
+
+function parsePartySize(text) {
+    for (const pattern of PARTY_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) {
+            const size = toNumber(match[1]);
+            if (size > 0) return size;
+        }
+    }
+    return null;
+}
+
+function parseTime(text) {
+    const evening = /\btonight\b|\bevening\b|\bdinner\b/i.test(text);
+    let match;
+
+    if (/\bnoon\b|\bmidday\b/i.test(text)) return '12:00';
+
+    // 7:30, 7:30pm, 7 pm, 7.30 p.m.
+    match = text.match(/\b(\d{1,2})[:.](\d{2})\s*([ap])?\.?\s?m?\b/i) || text.match(/\b(\d{1,2})\s*([ap])\.?\s?m\b/i);
+    if (match) {
+        const minutes = match.length === 4 ? Number(match[2]) : 0;
+        const meridiem = match.length === 4 ? match[3] : match[2];
+        return toTime(Number(match[1]), minutes, meridiem, evening);
+    }
+
+    // at 8, at eight, at seven thirty, at half past seven
+    match = text.match(new RegExp(`\\b(?:at|around|about|by)\\s+half\\s+past\\s+${NUMBER}`, 'i'));
+    if (match) return toTime(toNumber(match[1]), 30, null, evening);
+
+    match = text.match(new RegExp(`\\b(?:at|around|about|by)\\s+${NUMBER}(?:\\s+${MINUTES})?(?:\\s*([ap])\\.?\\s?m\\b)?`, 'i'));
+    if (match) return toTime(toNumber(match[1]), MINUTE_WORDS[match[2]?.toLowerCase()] ?? 0, match[3], evening);
+
+    return null;
+}
+
+// Without am or pm, 1 to 10 o'clock means the evening: nobody books dinner for 7:30 in the morning
+function toTime(hour, minutes, meridiem, evening) {
+    if (hour > 23 || minutes > 59) return null;
+
+    let hours = hour;
+    const marker = meridiem?.toLowerCase();
+    if (marker === 'p' && hours < 12) hours += 12;
+    if (marker === 'a' && hours === 12) hours = 0;
+    if (!marker && hours >= 1 && hours <= (evening ? 11 : 10)) hours += 12;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function parseDate(text, now) {
+    let match;
+
+    match = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+    if (match) return match[0];
+
+    if (/\btoday\b|\btonight\b|\bthis evening\b/i.test(text)) return formatDate(now);
+    if (/\btomorrow\b/i.test(text)) return formatDate(addDays(now, 1));
+
+    match = text.match(new RegExp(`\\b(?:(next|this)\\s+)?(${WEEKDAYS.join('|')})\\b`, 'i'));
+    if (match) {
+        const ahead = (WEEKDAYS.indexOf(match[2].toLowerCase()) - now.getDay() + 7) % 7;
+        return formatDate(addDays(now, ahead === 0 && match[1] ? 7 : ahead));
+    }
+
+    match = text.match(new RegExp(`\\b${MONTH}\\s+${DAY}\\b`, 'i'));
+    if (match) return nextDate(now, monthIndex(match[1]), Number(match[2]));
+
+    match = text.match(new RegExp(`\\b${DAY}\\s+of\\s+${MONTH}`, 'i'));
+    if (match) return nextDate(now, monthIndex(match[2]), Number(match[1]));
+
+    match = text.match(/\bthe\s+(\d{1,2})(?:st|nd|rd|th)\b/i);
+    if (match) {
+        const day = Number(match[1]);
+        const month = day >= now.getDate() ? now.getMonth() : now.getMonth() + 1;
+        return nextDate(now, month % 12, day);
+    }
+
+    return null;
+}
+
+function parseName(text) {
+    const match = text.match(/\b(?:under|name is|name's|in the name of|it's for|this is)\s+(?:the\s+)?([A-Z][a-zA-Z'-]+(?:\s+[A-Z][a-zA-Z'-]+)?)/);
+    if (!match) return null;
+
+    const words = match[1].split(/\s+/).filter(word => !NAME_STOP_WORDS.has(word.toLowerCase()));
+    return words.length > 0 ? words.join(' ') : null;
+}
+
+// Phone numbers as written or read out: 555-123-4567, (555) 123 4567, +1 555 123 4567
+function parsePhone(text) {
+    const number = (text.match(PHONE) || []).find(candidate => candidate.replace(/\D/g, '').length >= 7);
+    return number ? number.trim() : null;
+}
+
+function parseConfirmationCode(text) {
+    // Read out after a keyword, possibly spaced: "confirmation code K 7 M 2 Q P"
+    const spoken = text.match(/\b(?:confirmation\s+(?:code|number)|confirmation|code|reservation(?:\s+(?:code|number))?)\s*(?:is\s+|:\s*)?([A-Za-z0-9][A-Za-z0-9\s-]{5,16})/i);
+    if (spoken) {
+        const code = spoken[1].replace(/[\s-]/g, '').slice(0, 6).toUpperCase();
+        if (CODE.test(code)) return code;
+    }
+
+    const bare = text.match(/\b(?=[A-Z2-9]*\d)[A-HJ-NP-Z2-9]{6}\b/);
+    return bare ? bare[0] : null;
+}
+
+function toNumber(value) {
+    return /^\d+$/.test(value) ? Number(value) : NUMBER_WORDS[value.toLowerCase()] ?? null;
+}
+
+function monthIndex(name) {
+    return MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+}
+
+// The next month/day on or after today
+function nextDate(now, month, day) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    let date = new Date(now.getFullYear(), month, day);
+    if (date < today) date = new Date(now.getFullYear() + 1, month, day);
+    return formatDate(date);
+}
+
+function addDays(when, days) {
+    return new Date(when.getFullYear(), when.getMonth(), when.getDate() + days);
+}
+
+export function formatDate(when) {
+    return `${when.getFullYear()}-${String(when.getMonth() + 1).padStart(2, '0')}-${String(when.getDate()).padStart(2, '0')}`;
+}
+
+export default parseReservationRequest;
@@ -0,0 +1,297 @@
+/**
+ * Reservation tools
+ * What Amara and Marcus can do with the reservation book mid-conversation. The definitions
+ * (name, description, JSON Schema parameters) are what ConvAI agents are given as webhook
+ * tools; createReservationTools() adds the functions behind them for AgentTools, and for
+ * local sessions an intent() that reads a call straight out of the guest's words.
+ */
+
+import { OCCASIONS, TABLE_PREFERENCES, RESERVATION_STATUSES, ReservationError } from './ReservationBook.js';
+import { parseReservationRequest, formatDate } from './bookingRequest.js';
+
+const RESERVATION_AGENTS = ['amara', 'marcus'];
+const SPOKEN_TIMES = 5;
+const PHONE = /^\+?[\d\s().-]{7,}$/;
+
+const DATE = { type: 'string', format: 'date', description: 'YYYY-MM-DD, defaults to today' };
+const TIME = { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', description: '24-hour HH:MM' };
+const PARTY_SIZE = { type: 'integer', minimum: 1, maximum: 50 };
+const CONFIRMATION_CODE = { type: 'string', pattern: '^[A-Za-z0-9]{6}$' };
+
+export const RESERVATION_TOOLS = [
+    {
+        name: 'check_availability',
+        description: 'Check whether a table is free for a party, at a time or across a day',
+        agents: RESERVATION_AGENTS,
+        parameters: {
+            type: 'object',
+            properties: { partySize: PARTY_SIZE, date: DATE, time: TIME },
+            required: ['partySize'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'book_table',
+        description: 'Book a table under the guest\'s name; returns a confirmation code to read back to the guest',
+        agents: RESERVATION_AGENTS,
+        parameters: {
+            type: 'object',
+            properties: {
+                partySize: PARTY_SIZE,
+                date: DATE,
+                time: TIME,
+                name: { type: 'string', minLength: 1, maxLength: 100 },
+                phone: { type: 'string', maxLength: 30 },
+                email: { type: 'string', format: 'email' },
+                occasion: { type: 'string', enum: OCCASIONS },
+                tablePreferences: { type: 'array', items: { type: 'string', enum: TABLE_PREFERENCES } },
+                notes: { type: 'string', maxLength: 500 }
+            },
+            required: ['partySize', 'time', 'name'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'check_reservations',
+        description: 'Look up a reservation by confirmation code, or the reservations for a day',
+        agents: RESERVATION_AGENTS,
+        parameters: {
+            type: 'object',
+            properties: {
+                confirmationCode: CONFIRMATION_CODE,
+                date: DATE,
+                status: { type: 'string', enum: RESERVATION_STATUSES }
+            },
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'cancel_reservation',
+        description: 'Cancel a reservation by its confirmation code',
+        agents: RESERVATION_AGENTS,
+        parameters: {
+            type: 'object',
+            properties: {
+                confirmationCode: CONFIRMATION_CODE,
+                reason: { type: 'string', maxLength: 200 }
+            },
+            required: ['confirmationCode'],
+            additionalProperties: false
+        }
+    }
+];
+
+/**
+ * The reservation tools, working against book
+ *
+ * @param {import('./ReservationBook.js').ReservationBook} book
+ */
+export function createReservationTools(book) {
+    const today = () => formatDate(book.now());
+    const describe = (date, time) => describeSlot(date, time, book.now());
+
+    const executors = {
+        async check_availability({ partySize, date = today(), time }) {
+            const availability = await book.availability({ date, time, partySize });
+            const times = availability.times.slice(0, SPOKEN_TIMES).map(formatTime);
+            let summary;
+
+            if (time && availability.available) {
+                summary = `We have a table for ${partySize} ${describe(date, time)}.`;
+            } else if (time) {
+                summary = `We're fully booked for ${partySize} ${describe(date, time)}` +
+                    (times.length > 0 ? `; the closest times we have are ${listOf(times)}.` : ', and the rest of that day too.');
+            } else if (availability.available) {
+                summary = `For ${partySize} ${describe(date)}, we have tables at ${listOf(times)}` +
+                    (availability.times.length > SPOKEN_TIMES ? ' and later.' : '.');
+            } else {
+                summary = `I'm afraid we're fully booked for ${partySize} ${describe(date)}.`;
+            }
+
+            return { ...availability, summary };
+        },
+
+        async book_table(args, context = {}) {
+            const date = args.date || today();
+            const fullSummary = (error) => {
+                const times = error.details.alternatives.map(formatTime);
+                return `I'm sorry, we're fully booked for ${args.partySize} ${describe(date, args.time)}` +
+                    (times.length > 0 ? `. I could do ${listOf(times, 'or')} instead.` : ', and the rest of that day too.');
+            };
+
+            // Nothing is booked without a name; the guest's answer picks the request back up
+            if (!args.name) {
+                const availability = await book.availability({ date, time: args.time, partySize: args.partySize });
+                const error = availability.available ?
+                    new ReservationError('missing_details', 'What name should I put the reservation under?', { missing: ['name'] }) :
+                    new ReservationError('slot_unavailable', `No table for ${args.partySize} at ${args.time}`, { alternatives: availability.times });
+                error.summary = availability.available ?
+                    `I have a table for ${args.partySize} ${describe(date, args.time)}. What name should I put it under?` :
+                    fullSummary(error);
+                throw error;
+            }
+
+            let reservation;
+            try {
+                reservation = await book.book({
+                    partySize: args.partySize,
+                    date,
+                    time: args.time,
+                    contact: { name: args.name, phone: args.phone, email: args.email },
+                    occasion: args.occasion,
+                    tablePreferences: args.tablePreferences,
+                    notes: args.notes,
+                    source: context.source || 'agent',
+                    sessionId: context.sessionId,
+                    agentId: context.agentId
+                });
+            } catch (error) {
+                if (error.code === 'slot_unavailable') {
+                    error.summary = fullSummary(error);
+                }
+                throw error;
+            }
+
+            return {
+                reservation,
+                summary: `You're booked: a table for ${reservation.partySize} ${describe(reservation.date, reservation.time)}` +
+                    ` under ${reservation.contact.name}. ` +
+                    `Your confirmation code is ${spell(reservation.confirmationCode)}.`
+            };
+        },
+
+        async check_reservations({ confirmationCode, date, status }) {
+            if (confirmationCode) {
+                const reservation = await book.get(confirmationCode);
+                return {
+                    reservation,
+                    summary: `Reservation ${spell(reservation.confirmationCode)} is a table for ${reservation.partySize} ` +
+                        `${describe(reservation.date, reservation.time)} under ${reservation.contact.name}, ${reservation.status.replace('_', ' ')}.`
+                };
+            }
+
+            const day = date || today();
+            const reservations = await book.list({ date: day, status });
+            const guests = reservations.reduce((total, reservation) => total + reservation.partySize, 0);
+            return {
+                date: day,
+                reservations: reservations.map(({ confirmationCode, status, partySize, time, contact, occasion, tablePreferences }) => (
+                    { confirmationCode, status, partySize, time, name: contact.name, occasion, tablePreferences }
+                )),
+                summary: reservations.length === 0 ?
+                    `There are no reservations ${describe(day)}.` :
+                    `${reservations.length} reservation${reservations.length === 1 ? '' : 's'} ${describe(day)}, ${guests} guests in all.`
+            };
+        },
+
+        async cancel_reservation({ confirmationCode, reason }) {
+            const reservation = await book.cancel(confirmationCode, { reason });
+            return {
+                reservation,
+                summary: `Your reservation for ${reservation.partySize} ${describe(reservation.date, reservation.time)} is cancelled.`
+            };
+        }
+    };
+
+    return RESERVATION_TOOLS.map(tool => ({
+        ...tool,
+        execute: executors[tool.name],
+        intent: (transcript, context = {}) => intents[tool.name]({
+            ...context,
+            request: readRequest(transcript, { conversation: context.conversation, now: book.now() })
+        })
+    }));
+}
+
+/**
+ * Read a tool call out of a guest's turn for local sessions. A time without a party size
+ * (or the reverse) picks up what the guest said in the turns before, so "how about 8:15?"
+ * after a full slot tries again for the same party and day.
+ */
+const intents = {
+    cancel_reservation({ request }) {
+        return request.intent === 'cancel' && request.confirmationCode ?
+            { confirmationCode: request.confirmationCode } : null;
+    },
+    check_reservations({ request }) {
+        return request.intent === 'lookup' ? { confirmationCode: request.confirmationCode } : null;
+    },
+    book_table({ request, userId }) {
+        if (!(request.intent === 'book' || request.followUp) || request.question || !request.partySize || !request.time) return null;
+        return withoutEmpty({
+            partySize: request.partySize,
+            date: request.date,
+            time: request.time,
+            name: request.name,
+            phone: request.phone || (PHONE.test(userId || '') ? userId : null),
+            email: request.email,
+            occasion: request.occasion,
+            tablePreferences: request.tablePreferences.length > 0 ? request.tablePreferences : null
+        });
+    },
+    check_availability({ request }) {
+        if (!(request.intent === 'book' || request.followUp) || !request.partySize) return null;
+        if (!request.question && !(request.date && !request.time)) return null;
+        return withoutEmpty({ partySize: request.partySize, date: request.date, time: request.time });
+    }
+};
+
+/**
+ * The guest's reservation request so far: this turn, filled in from their earlier turns
+ * (and marked followUp) while they're still talking to the agent about a table. A booking
+ * that went through ends the request, so details given after it don't book it again.
+ */
+export function readRequest(transcript, { conversation = null, now = new Date() } = {}) {
+    const request = parseReservationRequest(transcript, now);
+    if (!conversation || (request.partySize && request.time && request.date && request.name)) return request;
+
+    const recent = conversation.messages.slice(-6, -1);
+    const lastCall = recent.filter(message => message.toolCall).pop()?.toolCall;
+    const discussingTable = lastCall && ['check_availability', 'book_table', 'manage_waitlist'].includes(lastCall.tool) &&
+        !(lastCall.tool === 'book_table' && lastCall.ok);
+    if (!discussingTable || request.intent === 'cancel' || request.intent === 'lookup') return request;
+
+    request.followUp = true;
+    for (const message of recent.filter(message => message.type === 'user').reverse()) {
+        const earlier = parseReservationRequest(message.content, now);
+        for (const field of ['partySize', 'date', 'time', 'name', 'phone', 'email', 'occasion']) {
+            request[field] = request[field] ?? earlier[field];
+        }
+    }
+    return request;
+}
+
+function withoutEmpty(args) {
+    return Object.fromEntries(Object.entries(args).filter(([, value]) => value !== null && value !== undefined));
+}
+
+// "tonight at 7:30 pm", "tomorrow at 8 pm", "on Friday, October 24 at 7:30 pm"
+function describeSlot(date, time, now) {
+    const [year, month, day] = date.split('-').map(Number);
+    const when = new Date(year, month - 1, day);
+    const daysAway = Math.round((when - new Date(now.getFullYear(), now.getMonth(), now.getDate())) / 86400000);
+
+    let spokenDay;
+    if (daysAway === 0) spokenDay = time && time >= '17:00' ? 'tonight' : 'today';
+    else if (daysAway === 1) spokenDay = 'tomorrow';
+    else spokenDay = `on ${when.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}`;
+
+    return time ? `${spokenDay} at ${formatTime(time)}` : spokenDay;
+}
+
+function formatTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const hour = hours % 12 || 12;
+    return `${hour}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''} ${hours < 12 ? 'am' : 'pm'}`;
+}
+
+function listOf(items, conjunction = 'and') {
+    return items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} ${conjunction} ${items[items.length - 1]}`;
+}
+
+// Codes read one character at a time: "K-7-M-2-Q-P"
+function spell(code) {
+    return code.split('').join('-');
+}
+
+export default createReservationTools;
@@ -0,0 +1,128 @@
+/**
+ * Floor Plan
+ * The restaurant's tables, grouped into sections, from the scenario's floorPlan. Sections list
+ * runs of tables ({ seats, count, features, combinable }) numbered after the section's prefix,
+ * or single tables with their own id and combinableWith. Scenarios without a floorPlan get one
+ * room of four-tops (and one smaller table for the remainder) that seats their capacity.
+ */
+
+export class FloorPlan {
+    /**
+     * @param {Array<{id: string, name: string, server?: string}>} sections
+     * @param {Array<{id: string, section: string, seats: number, features?: string[], combinableWith?: string[]}>} tables
+     */
+    constructor(sections, tables) {
+        this.sections = sections.map(section => ({ id: section.id, name: section.name || section.id, server: section.server || null }));
+        this.tables = tables.map(table => ({
+            id: table.id,
+            section: table.section,
+            seats: table.seats,
+            features: table.features || [],
+            combinableWith: [...(table.combinableWith || [])]
+        }));
+        this.byId = new Map(this.tables.map(table => [table.id, table]));
+
+        this.check();
+    }
+
+    static fromScenario(scenario) {
+        const spec = scenario?.floorPlan || generatedPlan(scenario?.capacity || 0);
+        const sections = [];
+        const tables = [];
+
+        for (const section of spec.sections || []) {
+            sections.push(section);
+
+            let number = 0;
+            for (const run of section.tables || []) {
+                const count = run.count ?? 1;
+                const made = [];
+                for (let i = 0; i < count; i++) {
+                    made.push({
+                        id: run.id && count === 1 ? run.id : `${section.prefix || section.id.toUpperCase()}${++number}`,
+                        section: section.id,
+                        seats: run.seats,
+                        features: run.features,
+                        combinableWith: [...(run.combinableWith || [])]
+                    });
+                }
+
+                // Neighbours in a combinable run push together: M1+M2, M2+M3, ...
+                if (run.combinable) {
+                    made.slice(1).forEach((table, i) => made[i].combinableWith.push(table.id));
+                }
+                tables.push(...made);
+            }
+        }
+
+        // Combining goes both ways
+        for (const table of tables) {
+            for (const other of table.combinableWith) {
+                const neighbour = tables.find(candidate => candidate.id === other);
+                if (neighbour && !neighbour.combinableWith.includes(table.id)) {
+                    neighbour.combinableWith.push(table.id);
+                }
+            }
+        }
+
+        return new FloorPlan(sections, tables);
+    }
+
+    get capacity() {
+        return this.tables.reduce((seats, table) => seats + table.seats, 0);
+    }
+
+    table(tableId) {
+        return this.byId.get(tableId) || null;
+    }
+
+    section(sectionId) {
+        return this.sections.find(section => section.id === sectionId) || null;
+    }
+
+    tablesIn(sectionId) {
+        return this.tables.filter(table => table.section === sectionId);
+    }
+
+    check() {
+        const sectionIds = new Set();
+        for (const section of this.sections) {
+            if (!section.id || sectionIds.has(section.id)) {
+                throw new Error(`Floor plan section ids must be present and unique (${section.id})`);
+            }
+            sectionIds.add(section.id);
+        }
+
+        const tableIds = new Set();
+        for (const table of this.tables) {
+            if (tableIds.has(table.id)) {
+                throw new Error(`Floor plan has two tables called ${table.id}`);
+            }
+            if (!Number.isInteger(table.seats) || table.seats < 1) {
+                throw new Error(`Table ${table.id} needs a whole number of seats`);
+            }
+            tableIds.add(table.id);
+        }
+
+        for (const table of this.tables) {
+            const unknown = table.combinableWith.find(id => !tableIds.has(id));
+            if (unknown) {
+                throw new Error(`Table ${table.id} combines with ${unknown}, which isn't on the floor plan`);
+            }
+        }
+    }
+
+    toJSON() {
+        return { sections: this.sections, tables: this.tables, capacity: this.capacity };
+    }
+}
+
+function generatedPlan(capacity) {
+    if (capacity <= 0) return { sections: [] };
+
+    const tables = [{ seats: 4, count: Math.floor(capacity / 4), combinable: true }];
+    if (capacity % 4 > 0) tables.push({ seats: capacity % 4, count: 1 });
+    return { sections: [{ id: 'main', name: 'Dining Room', prefix: 'T', tables: tables.filter(run => run.count > 0) }] };
+}
+
+export default FloorPlan;
@@ -0,0 +1,115 @@
+/**
+ * Seating Engine
+ * Picks tables for a party from the ones free right now: a single table or neighbouring
+ * combinable ones, as few empty seats and pushed-together tables as possible, matching the
+ * party's table preferences, and spreading parties across sections so no server is swamped.
+ */
+
+// Most tables pushed together for one party
+const MAX_COMBINED = 4;
+
+// Score weights; lower scores are better
+const EMPTY_SEAT = 2;
+const EXTRA_TABLE = 4;
+const MISSED_PREFERENCE = 5;
+const PARTY_IN_SECTION = 1;
+// Tables kept for guests who ask for them
+const UNREQUESTED_FEATURE = { private: 6, bar: 2 };
+
+export class SeatingEngine {
+    /**
+     * @param {import('./FloorPlan.js').FloorPlan} plan
+     */
+    constructor(plan) {
+        this.plan = plan;
+    }
+
+    /**
+     * Ways to seat a party, best first
+     *
+     * @param {Object} party - partySize and tablePreferences
+     * @param {Object} floor
+     * @param {Set<string>} floor.free - Ids of the tables free now
+     * @param {Object<string, number>} [floor.partiesBySection] - Parties seated in each section
+     * @returns {Array<{tableIds: string[], seats: number, section: string, emptySeats: number,
+     *   matched: string[], missing: string[], score: number}>}
+     */
+    rank({ partySize, tablePreferences = [] }, { free, partiesBySection = {} }, limit = 3) {
+        return this.candidates(partySize, free)
+            .map(tables => this.score(tables, partySize, tablePreferences, partiesBySection))
+            .sort((a, b) => a.score - b.score || a.tableIds.length - b.tableIds.length || a.tableIds[0].localeCompare(b.tableIds[0], undefined, { numeric: true }))
+            .slice(0, limit);
+    }
+
+    best(party, floor) {
+        return this.rank(party, floor, 1)[0] || null;
+    }
+
+    /**
+     * The most the floor could seat at once with everything free
+     */
+    largestParty() {
+        const all = new Set(this.plan.tables.map(table => table.id));
+        return Math.max(0, ...this.groups(all).map(group => group.reduce((seats, table) => seats + table.seats, 0)));
+    }
+
+    // Free tables and groups of free neighbouring tables with enough seats
+    candidates(partySize, free) {
+        return this.groups(free).filter(group => group.reduce((seats, table) => seats + table.seats, 0) >= partySize);
+    }
+
+    // Every connected group of up to MAX_COMBINED free tables
+    groups(free) {
+        const seen = new Set();
+        const groups = [];
+        let frontier = [...free].map(id => [this.plan.table(id)]).filter(([table]) => table);
+
+        for (let size = 1; size <= MAX_COMBINED && frontier.length > 0; size++) {
+            const next = [];
+            for (const group of frontier) {
+                const key = group.map(table => table.id).sort().join('+');
+                if (seen.has(key)) continue;
+                seen.add(key);
+                groups.push(group);
+
+                for (const table of group) {
+                    for (const id of table.combinableWith) {
+                        if (free.has(id) && !group.some(member => member.id === id)) {
+                            next.push([...group, this.plan.table(id)]);
+                        }
+                    }
+                }
+            }
+            frontier = next;
+        }
+        return groups;
+    }
+
+    score(tables, partySize, tablePreferences, partiesBySection) {
+        const seats = tables.reduce((total, table) => total + table.seats, 0);
+        const features = new Set(tables.flatMap(table => table.features));
+        const matched = tablePreferences.filter(preference => features.has(preference));
+        const missing = tablePreferences.filter(preference => !features.has(preference));
+        const section = tables[0].section;
+
+        let score = (seats - partySize) * EMPTY_SEAT +
+            (tables.length - 1) * EXTRA_TABLE +
+            missing.length * MISSED_PREFERENCE +
+            (partiesBySection[section] || 0) * PARTY_IN_SECTION;
+        for (const [feature, cost] of Object.entries(UNREQUESTED_FEATURE)) {
+            if (features.has(feature) && !tablePreferences.includes(feature)) score += cost;
+        }
+
+        return {
+            tableIds: tables.map(table => table.id).sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+            seats,
+            section,
+            emptySeats: seats - partySize,
+            matched,
+            missing,
+            score
+        };
+    }
+}
+
+export default SeatingEngine;
@@ -0,0 +1,283 @@
+/**
+ * Table Board
+ * The live state of every table on the scenario's floor plan. A party is seated at the tables
+ * the SeatingEngine picks (or the host chooses), and its tables go
+ * seated -> dessert -> check_dropped -> bussing -> available as the meal goes on. Seating a
+ * reservation or waitlist party marks it seated there too, and bussing its tables marks it
+ * completed, which frees its seats for the waitlist. State is kept in memory.
+ */
+
+import EventEmitter from 'events';
+import { FloorPlan } from './FloorPlan.js';
+import { SeatingEngine } from './SeatingEngine.js';
+
+export const TABLE_STATES = ['available', 'seated', 'dessert', 'check_dropped', 'bussing'];
+
+const STATE_CHANGES = {
+    available: ['seated'],
+    seated: ['dessert', 'check_dropped', 'bussing'],
+    dessert: ['check_dropped', 'bussing'],
+    check_dropped: ['bussing'],
+    bussing: ['available']
+};
+// Tables whose party is on its way out
+const FINISHING_STATES = ['dessert', 'check_dropped'];
+
+/**
+ * Seating failure with a stable code the API reports as-is; messages can be read to a guest
+ *   table_not_found, section_not_found, table_unavailable, no_table_free, party_too_large,
+ *   floor_unavailable, missing_details
+ */
+export class SeatingError extends Error {
+    constructor(code, message, details = null) {
+        super(message);
+        this.name = 'SeatingError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export class TableBoard extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.reservations = options.reservations || null;
+        this.waitlist = options.waitlist || null;
+        this.now = options.now || (() => new Date());
+        this.log = options.log || console;
+
+        this.useScenario(options.scenario || null);
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Lay out the scenario's floor plan with every table available
+     */
+    useScenario(scenario) {
+        this.scenario = scenario;
+        this.plan = FloorPlan.fromScenario(scenario);
+        this.engine = new SeatingEngine(this.plan);
+        this.largestParty = this.engine.largestParty();
+
+        const since = this.now().toISOString();
+        this.tables = new Map(this.plan.tables.map(table => [table.id, { state: 'available', since, partyId: null }]));
+        this.parties = new Map();
+        return this;
+    }
+
+    /**
+     * Sections with their servers and tables, and totals by state
+     */
+    floor() {
+        const tables = this.list();
+        return {
+            scenario: this.scenario?.name || null,
+            capacity: this.plan.capacity,
+            largestParty: this.largestParty,
+            sections: this.plan.sections.map(section => ({
+                ...section,
+                tables: tables.filter(table => table.section === section.id)
+            })),
+            summary: this.summary(tables)
+        };
+    }
+
+    list({ section = null, state = null } = {}) {
+        if (section && !this.plan.section(section)) {
+            throw new SeatingError('section_not_found', `There's no ${section} section`);
+        }
+        return this.plan.tables
+            .filter(table => !section || table.section === section)
+            .map(table => this.describe(table))
+            .filter(table => !state || table.state === state);
+    }
+
+    get(tableId) {
+        return this.describe(this.requireTable(tableId));
+    }
+
+    summary(tables = this.list()) {
+        const count = (states) => tables.filter(table => states.includes(table.state));
+        const available = count(['available']);
+
+        return {
+            tables: tables.length,
+            seats: tables.reduce((seats, table) => seats + table.seats, 0),
+            available: { tables: available.length, seats: available.reduce((seats, table) => seats + table.seats, 0) },
+            finishing: count(FINISHING_STATES).length,
+            byState: Object.fromEntries(TABLE_STATES.map(state => [state, count([state]).length])),
+            parties: this.parties.size,
+            guests: [...this.parties.values()].reduce((guests, party) => guests + party.partySize, 0)
+        };
+    }
+
+    /**
+     * The best tables free now for a party, with the runners-up
+     */
+    suggest({ partySize, tablePreferences = [] }) {
+        this.checkParty(partySize);
+        const options = this.engine.rank({ partySize, tablePreferences }, this.freeTables())
+            .map(option => ({ ...option, server: this.plan.section(option.section).server }));
+
+        return { partySize, tablePreferences, options, finishing: this.summary().finishing };
+    }
+
+    /**
+     * Seat a party: a reservation, a waitlist entry or a walk-in. Without tableIds the seating
+     * engine picks the tables; size, name and preferences default to the reservation's or entry's.
+     *
+     * @param {Object} details - partySize, tableIds, tablePreferences, name, reservationId, waitlistEntryId
+     */
+    async seat(details) {
+        const party = await this.serialize(async () => {
+            const booking = details.reservationId ? await this.reservations.get(details.reservationId) :
+                details.waitlistEntryId ? await this.waitlist.get(details.waitlistEntryId) : null;
+            const partySize = details.partySize ?? booking?.partySize;
+            if (!partySize) {
+                throw new SeatingError('missing_details', 'How many are in the party?');
+            }
+            const tablePreferences = details.tablePreferences ?? booking?.tablePreferences ?? [];
+
+            let tableIds = details.tableIds;
+            if (tableIds) {
+                for (const tableId of tableIds) {
+                    const table = this.tables.get(this.requireTable(tableId).id);
+                    if (table.state !== 'available') {
+                        throw new SeatingError('table_unavailable', `Table ${tableId} is ${table.state.replace('_', ' ')}`);
+                    }
+                }
+            } else {
+                this.checkParty(partySize);
+                const best = this.engine.best({ partySize, tablePreferences }, this.freeTables());
+                if (!best) {
+                    const finishing = this.summary().finishing;
+                    throw new SeatingError('no_table_free', `There's no table free for ${partySize} right now` +
+                        (finishing > 0 ? `; ${finishing} ${finishing === 1 ? 'table is' : 'tables are'} finishing up` : ''), { finishing });
+                }
+                tableIds = best.tableIds;
+            }
+
+            if (details.reservationId) {
+                await this.reservations.update(booking.id, { status: 'seated' });
+            } else if (details.waitlistEntryId) {
+                await this.waitlist.update(booking.id, { status: 'seated' });
+            }
+
+            const party = {
+                id: `party_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                partySize,
+                name: details.name || booking?.contact?.name || null,
+                tableIds,
+                tablePreferences,
+                reservationId: details.reservationId ? booking.id : null,
+                waitlistEntryId: details.waitlistEntryId ? booking.id : null,
+                seatedAt: this.now().toISOString()
+            };
+            this.parties.set(party.id, party);
+            for (const tableId of tableIds) {
+                this.tables.set(tableId, { state: 'seated', since: party.seatedAt, partyId: party.id });
+            }
+            return party;
+        });
+
+        this.emit('partySeated', party);
+        this.emit('changed');
+        return { party, tables: party.tableIds.map(tableId => this.get(tableId)) };
+    }
+
+    /**
+     * Move a table (and the tables pushed together with it) to its next state. Bussing means
+     * the party has left: its reservation or waitlist entry is completed.
+     */
+    async setState(tableId, state) {
+        const table = this.tables.get(this.requireTable(tableId).id);
+        if (table.state === state) return this.get(tableId);
+        if (!STATE_CHANGES[table.state].includes(state)) {
+            throw new SeatingError('table_unavailable', `Table ${tableId} is ${table.state.replace('_', ' ')} and can't go to ${state.replace('_', ' ')}`);
+        }
+
+        const party = table.partyId ? this.parties.get(table.partyId) : null;
+        const since = this.now().toISOString();
+        for (const id of party ? party.tableIds : [tableId]) {
+            this.tables.set(id, { state, since, partyId: state === 'bussing' ? null : this.tables.get(id).partyId });
+        }
+
+        if (party && state === 'bussing') {
+            this.parties.delete(party.id);
+            await this.finish(party);
+        }
+
+        this.emit('changed');
+        return this.get(tableId);
+    }
+
+    /**
+     * Give a section to a server, or take it back with null
+     */
+    assignServer(sectionId, server) {
+        const section = this.plan.section(sectionId);
+        if (!section) {
+            throw new SeatingError('section_not_found', `There's no ${sectionId} section`);
+        }
+        section.server = server || null;
+        this.emit('changed');
+        return { ...section, tables: this.list({ section: sectionId }) };
+    }
+
+    // Mark the party's reservation or waitlist entry completed; a host may have closed it already
+    async finish(party) {
+        try {
+            if (party.reservationId) await this.reservations.update(party.reservationId, { status: 'completed' });
+            if (party.waitlistEntryId) await this.waitlist.update(party.waitlistEntryId, { status: 'completed' });
+        } catch (error) {
+            if (!error.code) throw error;
+            this.log.warn(`Party ${party.id} left, but its booking couldn't be completed: ${error.message}`);
+        }
+    }
+
+    describe(table) {
+        const live = this.tables.get(table.id);
+        const party = live.partyId ? this.parties.get(live.partyId) : null;
+        return {
+            ...table,
+            server: this.plan.section(table.section).server,
+            state: live.state,
+            since: live.since,
+            party: party || null
+        };
+    }
+
+    freeTables() {
+        const partiesBySection = {};
+        for (const party of this.parties.values()) {
+            const section = this.plan.table(party.tableIds[0]).section;
+            partiesBySection[section] = (partiesBySection[section] || 0) + 1;
+        }
+        const free = new Set([...this.tables].filter(([, table]) => table.state === 'available').map(([id]) => id));
+        return { free, partiesBySection };
+    }
+
+    requireTable(tableId) {
+        const table = this.plan.table(tableId);
+        if (!table) {
+            throw new SeatingError('table_not_found', `There's no table ${tableId}`);
+        }
+        return table;
+    }
+
+    checkParty(partySize) {
+        if (this.plan.tables.length === 0) {
+            throw new SeatingError('floor_unavailable', `${this.scenario?.name || 'This restaurant'} has no tables to seat`);
+        }
+        if (partySize > this.largestParty) {
+            throw new SeatingError('party_too_large', `The most we can seat together is ${this.largestParty}`, { largestParty: this.largestParty });
+        }
+    }
+
+    serialize(write) {
+        const result = this.writes.then(write);
+        this.writes = result.catch(() => {});
+        return result;
+    }
+}
+
+export default TableBoard;
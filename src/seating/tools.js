@@ -0,0 +1,94 @@
+/**
+ * Seating tools
+ * Lets Amara and Marcus look at the floor mid-conversation: which tables are free right now,
+ * which are finishing up, and where a party would be seated. Read-only; hosts seat parties
+ * through /api/floor.
+ */
+
+import { TABLE_PREFERENCES } from '../reservations/ReservationBook.js';
+import { readRequest } from '../reservations/tools.js';
+
+const SEATING_AGENTS = ['amara', 'marcus'];
+
+const TABLES_NOW = /\b(?:right now|at the moment|currently|just now)\b|\b(?:open|free) tables?\b|\btables? (?:open|free)\b|\bhow (?:busy|full) (?:are you|is it)\b/i;
+
+export const SEATING_TOOLS = [
+    {
+        name: 'check_tables',
+        description: 'See which tables are free right now and which are finishing up, and the best table for a party',
+        agents: SEATING_AGENTS,
+        parameters: {
+            type: 'object',
+            properties: {
+                partySize: { type: 'integer', minimum: 1, maximum: 50 },
+                section: { type: 'string', description: 'Only this section of the floor' },
+                tablePreferences: { type: 'array', items: { type: 'string', enum: TABLE_PREFERENCES } }
+            },
+            additionalProperties: false
+        }
+    }
+];
+
+/**
+ * The seating tools, reading board
+ *
+ * @param {import('./TableBoard.js').TableBoard} board
+ */
+export function createSeatingTools(board) {
+    const executors = {
+        async check_tables({ partySize, section, tablePreferences = [] }) {
+            const tables = board.list({ section });
+            const summary = board.summary(tables);
+            const where = section ? ` in the ${board.plan.section(section).name}` : '';
+            const soon = summary.finishing > 0 ?
+                ` ${summary.finishing} ${summary.finishing === 1 ? 'table is' : 'tables are'} on dessert or have the check, so more will open up soon.` : '';
+
+            if (!partySize) {
+                return {
+                    summary: summary.available.tables === 0 ?
+                        `Every table${where} is taken right now.${soon}` :
+                        `We have ${summary.available.tables} ${summary.available.tables === 1 ? 'table' : 'tables'} open${where} right now, ${summary.available.seats} seats in all.${soon}`,
+                    tables: summary
+                };
+            }
+
+            const suggestion = board.suggest({ partySize, tablePreferences });
+            const best = suggestion.options.find(option => !section || option.section === section);
+            if (!best) {
+                return { summary: `There's nothing free for ${partySize}${where} right now.${soon}`, tables: summary, suggestion };
+            }
+
+            const sectionName = board.plan.section(best.section).name;
+            const missed = best.missing.length > 0 ? ` It isn't ${best.missing.map(preference => preference.replace('_', ' ')).join(' or ')} seating, I'm afraid.` : '';
+            return {
+                summary: `We can seat ${partySize} right now at ${best.tableIds.length === 1 ? `table ${best.tableIds[0]}` : `tables ${best.tableIds.join(' and ')} pushed together`} in the ${sectionName}.${missed}`,
+                tables: summary,
+                suggestion: best
+            };
+        }
+    };
+
+    return SEATING_TOOLS.map(tool => ({
+        ...tool,
+        execute: executors[tool.name],
+        intent: (transcript, context = {}) => intents[tool.name]({
+            transcript,
+            request: readRequest(transcript, { conversation: context.conversation, now: board.now() })
+        })
+    }));
+}
+
+// "Do you have a table for two right now?", "any open tables on the patio?"
+const intents = {
+    check_tables({ transcript, request }) {
+        if (!TABLES_NOW.test(transcript) || request.time || (request.date && !/\btonight\b|\btoday\b/i.test(transcript))) return null;
+
+        const preferences = request.tablePreferences;
+        return Object.fromEntries(Object.entries({
+            partySize: request.partySize,
+            tablePreferences: preferences.length > 0 ? preferences : null
+        }).filter(([, value]) => value !== null && value !== undefined));
+    }
+};
+
+export default createSeatingTools;
@@ -0,0 +1,42 @@
+/**
+ * Base class for synthesized audio storage
+ * Stores are flat key/value blob stores; AudioCache decides the keys and what to evict.
+ */
+
+export class AudioStore {
+    constructor(options = {}) {
+        this.name = options.name || 'base';
+    }
+
+    /**
+     * @param {string} key
+     * @param {Buffer} data
+     * @param {Object} [metadata]
+     * @param {string} [metadata.contentType]
+     */
+    async put(key, data, metadata = {}) {
+        throw new Error(`${this.constructor.name} does not implement put()`);
+    }
+
+    /**
+     * @returns {Promise<Buffer|null>} The stored bytes, or null if the key is missing
+     */
+    async get(key) {
+        throw new Error(`${this.constructor.name} does not implement get()`);
+    }
+
+    async delete(key) {
+        throw new Error(`${this.constructor.name} does not implement delete()`);
+    }
+
+    /**
+     * Every stored object, used to rebuild the cache index at startup
+     *
+     * @returns {Promise<Array<{key: string, size: number, modifiedAt: number}>>}
+     */
+    async list() {
+        throw new Error(`${this.constructor.name} does not implement list()`);
+    }
+}
+
+export default AudioStore;
@@ -0,0 +1,66 @@
+/**
+ * Audio storage on the local disk
+ * One file per key under a single directory (AUDIO_CACHE_DIR).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { AudioStore } from './AudioStore.js';
+
+export class LocalAudioStore extends AudioStore {
+    constructor(options = {}) {
+        super({ name: 'local' });
+        this.directory = options.directory || path.join(process.cwd(), 'temp', 'audio-cache');
+    }
+
+    async put(key, data) {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        // Write then rename so a reader never sees half a file
+        const target = this.pathFor(key);
+        const partial = `${target}.${crypto.randomUUID()}.partial`;
+        await fs.writeFile(partial, data);
+        await fs.rename(partial, target);
+    }
+
+    async get(key) {
+        try {
+            return await fs.readFile(this.pathFor(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        await fs.rm(this.pathFor(key), { force: true });
+    }
+
+    async list() {
+        let names;
+        try {
+            names = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const objects = [];
+        for (const name of names.filter(name => !name.endsWith('.partial'))) {
+            const stats = await fs.stat(path.join(this.directory, name));
+            objects.push({ key: name, size: stats.size, modifiedAt: stats.mtimeMs });
+        }
+        return objects;
+    }
+
+    pathFor(key) {
+        // Keys are generated by AudioCache, but never let one escape the directory
+        if (key !== path.basename(key)) {
+            throw new Error(`Invalid audio key: ${key}`);
+        }
+        return path.join(this.directory, key);
+    }
+}
+
+export default LocalAudioStore;
@@ -0,0 +1,189 @@
+/**
+ * Audio storage in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2)
+ * Requests are signed with AWS Signature Version 4 and use path-style URLs,
+ * which every S3-compatible server accepts.
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import { AudioStore } from './AudioStore.js';
+
+export class S3AudioStore extends AudioStore {
+    constructor(options = {}) {
+        super({ name: 's3' });
+
+        if (!options.bucket) {
+            throw new Error('S3 audio storage needs a bucket (AUDIO_S3_BUCKET)');
+        }
+        if (!options.accessKeyId || !options.secretAccessKey) {
+            throw new Error('S3 audio storage needs AUDIO_S3_ACCESS_KEY_ID and AUDIO_S3_SECRET_ACCESS_KEY');
+        }
+
+        this.bucket = options.bucket;
+        this.region = options.region || 'us-east-1';
+        this.endpoint = (options.endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/$/, '');
+        this.prefix = options.prefix ?? 'audio/';
+        this.accessKeyId = options.accessKeyId;
+        this.secretAccessKey = options.secretAccessKey;
+        this.timeout = options.timeout || 10000;
+    }
+
+    async put(key, data, metadata = {}) {
+        await this.request('PUT', this.prefix + key, {
+            body: data,
+            headers: { 'Content-Type': metadata.contentType || 'application/octet-stream' }
+        });
+    }
+
+    async get(key) {
+        const response = await this.request('GET', this.prefix + key, { allowMissing: true });
+        return response ? Buffer.from(response.data) : null;
+    }
+
+    async delete(key) {
+        await this.request('DELETE', this.prefix + key, { allowMissing: true });
+    }
+
+    async list() {
+        const objects = [];
+        let continuationToken = null;
+
+        do {
+            const query = { 'list-type': '2', prefix: this.prefix };
+            if (continuationToken) {
+                query['continuation-token'] = continuationToken;
+            }
+
+            const response = await this.request('GET', '', { query });
+            const xml = Buffer.from(response.data).toString('utf8');
+
+            for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                const key = decodeXml(readTag(contents, 'Key'));
+                objects.push({
+                    key: key.slice(this.prefix.length),
+                    size: Number(readTag(contents, 'Size')),
+                    modifiedAt: Date.parse(readTag(contents, 'LastModified'))
+                });
+            }
+
+            continuationToken = readTag(xml, 'IsTruncated') === 'true' ? decodeXml(readTag(xml, 'NextContinuationToken')) : null;
+        } while (continuationToken);
+
+        return objects;
+    }
+
+    async request(method, key, { query = {}, body = null, headers = {}, allowMissing = false } = {}) {
+        const url = new URL(`${this.endpoint}/${encodePath(this.bucket)}${key ? `/${encodePath(key)}` : ''}`);
+        for (const [name, value] of Object.entries(query)) {
+            url.searchParams.set(name, value);
+        }
+
+        const signed = signRequest({
+            method,
+            url,
+            headers,
+            body: body || '',
+            region: this.region,
+            service: 's3',
+            accessKeyId: this.accessKeyId,
+            secretAccessKey: this.secretAccessKey
+        });
+
+        try {
+            return await axios({
+                method,
+                url: url.toString(),
+                data: body ?? undefined,
+                headers: signed,
+                responseType: 'arraybuffer',
+                timeout: this.timeout
+            });
+        } catch (error) {
+            if (allowMissing && error.response?.status === 404) {
+                return null;
+            }
+            const detail = error.response ? readTag(Buffer.from(error.response.data).toString('utf8'), 'Message') : '';
+            throw new Error(`S3 ${method} ${key || this.bucket} failed: ${detail || error.message}`);
+        }
+    }
+}
+
+/**
+ * AWS Signature Version 4. Returns the headers to send, including Authorization.
+ * Signs host, x-amz-date, x-amz-content-sha256 and any headers passed in.
+ */
+export function signRequest({ method, url, headers = {}, body = '', region, service, accessKeyId, secretAccessKey, date = new Date() }) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256(body);
+
+    const allHeaders = {
+        ...headers,
+        host: url.host,
+        'x-amz-date': amzDate,
+        'x-amz-content-sha256': payloadHash
+    };
+    const canonical = Object.entries(allHeaders)
+        .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+        .sort(([a], [b]) => (a < b ? -1 : 1));
+    const signedHeaders = canonical.map(([name]) => name).join(';');
+
+    const canonicalQuery = [...url.searchParams.entries()]
+        .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+        .sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : 1) : (a < b ? -1 : 1)))
+        .map(([name, value]) => `${name}=${value}`)
+        .join('&');
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        canonicalQuery,
+        canonical.map(([name, value]) => `${name}:${value}\n`).join(''),
+        signedHeaders,
+        payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = [dateStamp, region, service, 'aws4_request']
+        .reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const { host, ...sendHeaders } = allHeaders;
+    return {
+        ...sendHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodePath(value) {
+    return value.split('/').map(encodeRfc3986).join('/');
+}
+
+function readTag(xml, tag) {
+    return xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`))?.[1] ?? '';
+}
+
+function decodeXml(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+export default S3AudioStore;
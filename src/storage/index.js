@@ -0,0 +1,41 @@
+/**
+ * Audio storage factory
+ * Selects where synthesized speech is kept from options or environment:
+ *   AUDIO_STORE=local|s3 (default: local)
+ *   local: AUDIO_CACHE_DIR (default: temp/audio-cache)
+ *   s3: AUDIO_S3_BUCKET, AUDIO_S3_ENDPOINT (e.g. http://localhost:9000 for MinIO), AUDIO_S3_REGION,
+ *       AUDIO_S3_PREFIX, AUDIO_S3_ACCESS_KEY_ID / AUDIO_S3_SECRET_ACCESS_KEY (fall back to AWS_*)
+ */
+
+import { AudioStore } from './AudioStore.js';
+import { LocalAudioStore } from './LocalAudioStore.js';
+import { S3AudioStore } from './S3AudioStore.js';
+
+const STORES = {
+    local: LocalAudioStore,
+    s3: S3AudioStore
+};
+
+export function createAudioStore(options = {}, env = process.env) {
+    const name = (options.store || env.AUDIO_STORE || 'local').toLowerCase();
+    const Store = STORES[name];
+
+    if (!Store) {
+        throw new Error(`Unknown audio store "${name}". Expected one of: ${Object.keys(STORES).join(', ')}`);
+    }
+
+    if (name === 's3') {
+        return new S3AudioStore({
+            bucket: options.bucket || env.AUDIO_S3_BUCKET,
+            endpoint: options.endpoint || env.AUDIO_S3_ENDPOINT,
+            region: options.region || env.AUDIO_S3_REGION || env.AWS_REGION,
+            prefix: options.prefix ?? env.AUDIO_S3_PREFIX,
+            accessKeyId: options.accessKeyId || env.AUDIO_S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: options.secretAccessKey || env.AUDIO_S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY
+        });
+    }
+
+    return new LocalAudioStore({ directory: options.directory || env.AUDIO_CACHE_DIR });
+}
+
+export { AudioStore, LocalAudioStore, S3AudioStore };
@@ -0,0 +1,114 @@
+/**
+ * Speech-to-text from recorded fixtures, for tests and offline demos
+ * Each audio file in the fixtures directory (.wav, .pcm, .ogg, .webm) has a sibling
+ * .json ({ text, words?, confidence?, language? }) or .txt transcript. Uploads are matched
+ * by a hash of their normalized audio, so the same recording always yields the same result.
+ * Fixtures without word timings get them spread evenly over the audio.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { STTProvider, TranscriptionError } from './STTProvider.js';
+import { prepareAudio } from './audio.js';
+
+const AUDIO_EXTENSIONS = { '.wav': 'wav', '.pcm': 'pcm', '.ogg': 'opus', '.opus': 'opus', '.webm': 'webm' };
+
+// Typical conversational pace, for fixtures without timings or a known duration
+const SECONDS_PER_WORD = 0.4;
+
+export class FixtureSTTProvider extends STTProvider {
+    constructor(options = {}) {
+        super({ name: 'fixture' });
+        this.directory = options.directory || null;
+        this.sampleRate = options.sampleRate || 16000;
+
+        // audio hash -> transcription
+        this.fixtures = new Map();
+        this.loaded = null;
+
+        for (const { audio, ...transcription } of options.fixtures || []) {
+            this.add(audio, transcription);
+        }
+    }
+
+    /**
+     * Register a transcript for audio (a Buffer in any supported format)
+     */
+    add(audio, transcription, { format = null } = {}) {
+        const prepared = prepareAudio(audio, { format, sampleRate: this.sampleRate });
+        this.fixtures.set(hash(prepared.audio), typeof transcription === 'string' ? { text: transcription } : transcription);
+    }
+
+    async load() {
+        if (!this.directory) return;
+
+        const names = await fs.readdir(this.directory);
+        for (const name of names) {
+            const extension = path.extname(name).toLowerCase();
+            if (!AUDIO_EXTENSIONS[extension]) continue;
+
+            const base = path.join(this.directory, path.basename(name, extension));
+            const transcription = await readTranscript(base);
+            if (!transcription) {
+                console.warn(`⚠️  STT fixture ${name} has no ${path.basename(base)}.json or .txt transcript`);
+                continue;
+            }
+
+            this.add(await fs.readFile(path.join(this.directory, name)), transcription, { format: AUDIO_EXTENSIONS[extension] });
+        }
+    }
+
+    async transcribe({ audio, duration = null }) {
+        this.loaded ??= this.load();
+        await this.loaded;
+
+        const key = hash(audio);
+        const fixture = this.fixtures.get(key);
+        if (!fixture) {
+            throw new TranscriptionError('transcription_failed', `No transcript fixture for audio ${key.slice(0, 12)}`);
+        }
+
+        const text = fixture.text.trim();
+        return {
+            text,
+            language: fixture.language || null,
+            confidence: fixture.confidence ?? 1,
+            duration: fixture.duration ?? duration,
+            words: fixture.words || spreadWords(text, fixture.duration ?? duration)
+        };
+    }
+}
+
+async function readTranscript(base) {
+    try {
+        return JSON.parse(await fs.readFile(`${base}.json`, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    try {
+        return { text: await fs.readFile(`${base}.txt`, 'utf8') };
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return null;
+    }
+}
+
+function spreadWords(text, duration) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const step = duration ? duration / Math.max(words.length, 1) : SECONDS_PER_WORD;
+
+    return words.map((word, index) => ({
+        word,
+        start: Math.round(index * step * 1000) / 1000,
+        end: Math.round((index + 1) * step * 1000) / 1000,
+        confidence: 1
+    }));
+}
+
+function hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+export default FixtureSTTProvider;
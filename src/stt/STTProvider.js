@@ -0,0 +1,50 @@
+/**
+ * Base class for speech-to-text backends
+ * Providers turn one utterance of audio (already normalized by prepareAudio) into a
+ * transcript with per-word timings and confidence.
+ */
+
+export class STTProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'base';
+    }
+
+    /**
+     * Whether the provider can be used at all (server URL configured, fixtures loaded)
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Transcribe speech.
+     *
+     * @param {Object} request
+     * @param {Buffer} request.audio - Audio in request.format
+     * @param {string} request.format - wav, opus (Ogg) or webm
+     * @param {string} request.mimeType
+     * @param {string} request.filename - Name with the right extension, for servers that sniff it
+     * @param {number|null} [request.duration] - Seconds, when known from the container
+     * @param {string} [request.language] - BCP 47 tag or ISO 639-1 code, e.g. en-US
+     * @param {AbortSignal} [request.signal]
+     * @returns {Promise<{text: string, language: ?string, confidence: ?number, duration: ?number,
+     *   words: Array<{word: string, start: number, end: number, confidence: ?number}>}>}
+     */
+    async transcribe(request) {
+        throw new Error(`${this.constructor.name} does not implement transcribe()`);
+    }
+}
+
+/**
+ * Speech-to-text failure with a stable code the API reports as-is
+ *   invalid_audio, audio_too_large, speech_recognition_unavailable, transcription_failed, no_speech_detected
+ */
+export class TranscriptionError extends Error {
+    constructor(code, message, options = {}) {
+        super(message, options);
+        this.name = 'TranscriptionError';
+        this.code = code;
+    }
+}
+
+export default STTProvider;
@@ -0,0 +1,95 @@
+/**
+ * Speech-to-text through a Whisper-compatible transcription server
+ * Talks the OpenAI /audio/transcriptions API, which local engines also serve
+ * (faster-whisper-server, whisper.cpp's server, LocalAI), so audio can stay on site.
+ * Word timings come from verbose_json with word timestamps; confidence from each word's
+ * probability when the server reports it, otherwise from its segment's average log-probability.
+ */
+
+import axios from 'axios';
+import { STTProvider, TranscriptionError } from './STTProvider.js';
+
+export class WhisperProvider extends STTProvider {
+    constructor(options = {}) {
+        super({ name: 'whisper' });
+        this.baseUrl = options.baseUrl ? options.baseUrl.replace(/\/$/, '') : null;
+        this.apiKey = options.apiKey || null;
+        this.model = options.model || 'whisper-1';
+        this.timeout = options.timeout || 60000;
+    }
+
+    isAvailable() {
+        return Boolean(this.baseUrl);
+    }
+
+    async transcribe({ audio, mimeType, filename, language, signal }) {
+        const form = new FormData();
+        form.append('file', new Blob([audio], { type: mimeType }), filename);
+        form.append('model', this.model);
+        form.append('response_format', 'verbose_json');
+        form.append('timestamp_granularities[]', 'word');
+        form.append('timestamp_granularities[]', 'segment');
+        if (language) {
+            // Whisper takes ISO 639-1 codes; browsers send en-US
+            form.append('language', language.split('-')[0].toLowerCase());
+        }
+
+        let response;
+        try {
+            response = await axios.post(`${this.baseUrl}/audio/transcriptions`, form, {
+                headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+                timeout: this.timeout,
+                signal
+            });
+        } catch (error) {
+            const detail = error.response?.data?.error?.message || error.response?.data?.detail || error.message;
+            throw new TranscriptionError('transcription_failed', `Whisper transcription failed: ${detail}`, { cause: error });
+        }
+
+        return this.parse(response.data);
+    }
+
+    /**
+     * verbose_json -> transcription. Servers put words at the top level, inside segments, or both.
+     */
+    parse(data) {
+        const segments = data.segments || [];
+        const segmentConfidence = (time) => {
+            const segment = segments.find(candidate => time >= candidate.start && time <= candidate.end);
+            return segment?.avg_logprob !== undefined ? logprobToConfidence(segment.avg_logprob) : null;
+        };
+
+        const rawWords = data.words?.length ? data.words : segments.flatMap(segment => segment.words || []);
+        const words = rawWords
+            .map(word => ({
+                word: word.word.trim(),
+                start: round(word.start),
+                end: round(word.end),
+                confidence: word.probability !== undefined ? round(word.probability) : segmentConfidence(word.start)
+            }))
+            .filter(word => word.word);
+
+        const scored = words.length ?
+            words.map(word => word.confidence) :
+            segments.map(segment => segment.avg_logprob !== undefined ? logprobToConfidence(segment.avg_logprob) : null);
+        const known = scored.filter(score => score !== null);
+
+        return {
+            text: (data.text || '').trim(),
+            language: data.language || null,
+            confidence: known.length ? round(known.reduce((total, score) => total + score, 0) / known.length) : null,
+            duration: data.duration ?? null,
+            words
+        };
+    }
+}
+
+function logprobToConfidence(logprob) {
+    return round(Math.min(1, Math.max(0, Math.exp(logprob))));
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+export default WhisperProvider;
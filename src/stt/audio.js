@@ -0,0 +1,122 @@
+/**
+ * Uploaded audio normalization
+ * Clients send WAV, raw 16-bit PCM, or Opus in an Ogg or WebM container (what
+ * MediaRecorder produces). PCM is wrapped as WAV so every provider gets a file it can read.
+ */
+
+import { wavFromPcm } from '../tts/wav.js';
+import { TranscriptionError } from './STTProvider.js';
+
+export const AUDIO_FORMATS = {
+    wav: { mimeType: 'audio/wav', extension: 'wav' },
+    pcm: { mimeType: 'audio/L16', extension: 'pcm' },
+    opus: { mimeType: 'audio/ogg', extension: 'ogg' },
+    webm: { mimeType: 'audio/webm', extension: 'webm' }
+};
+
+// Content-Type -> format for raw uploads
+const MIME_FORMATS = {
+    'audio/wav': 'wav',
+    'audio/wave': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/l16': 'pcm',
+    'audio/pcm': 'pcm',
+    'audio/ogg': 'opus',
+    'audio/opus': 'opus',
+    'audio/webm': 'webm'
+};
+
+const DEFAULT_PCM_SAMPLE_RATE = 16000;
+
+/**
+ * Format from the file's magic bytes, or null for headerless data (PCM) and unknown files
+ */
+export function detectAudioFormat(data) {
+    if (data.length >= 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WAVE') {
+        return 'wav';
+    }
+    if (data.length >= 4 && data.toString('ascii', 0, 4) === 'OggS') {
+        return 'opus';
+    }
+    if (data.length >= 4 && data.readUInt32BE(0) === 0x1a45dfa3) {
+        return 'webm';
+    }
+    return null;
+}
+
+/**
+ * Format and parameters from a Content-Type such as "audio/L16; rate=8000" or "audio/webm;codecs=opus"
+ */
+export function formatFromContentType(contentType = '') {
+    const [type, ...parameters] = contentType.split(';').map(part => part.trim());
+    const rate = parameters.find(parameter => parameter.toLowerCase().startsWith('rate='));
+
+    return {
+        format: MIME_FORMATS[type.toLowerCase()] || null,
+        sampleRate: rate ? parseInt(rate.slice(5), 10) : undefined
+    };
+}
+
+/**
+ * Check and normalize one upload for a provider.
+ * format is detected when omitted; PCM needs it stated since it has no header.
+ *
+ * @returns {{audio: Buffer, format: string, mimeType: string, filename: string, duration: ?number}}
+ */
+export function prepareAudio(data, { format = null, sampleRate = DEFAULT_PCM_SAMPLE_RATE, channels = 1 } = {}) {
+    if (!data || data.length === 0) {
+        throw new TranscriptionError('invalid_audio', 'Audio is empty');
+    }
+
+    const detected = detectAudioFormat(data);
+    const declared = format || detected;
+
+    if (!declared || !AUDIO_FORMATS[declared]) {
+        throw new TranscriptionError('invalid_audio', `Unrecognized audio format; expected one of: ${Object.keys(AUDIO_FORMATS).join(', ')}`);
+    }
+    if (declared !== 'pcm' && detected !== declared) {
+        throw new TranscriptionError('invalid_audio', `Audio is not valid ${declared}`);
+    }
+
+    let audio = data;
+    if (declared === 'pcm') {
+        if (data.length % (2 * channels) !== 0) {
+            throw new TranscriptionError('invalid_audio', 'PCM audio must be 16-bit samples');
+        }
+        audio = wavFromPcm(data, sampleRate, channels);
+    }
+
+    const outputFormat = declared === 'pcm' ? 'wav' : declared;
+    return {
+        audio,
+        format: outputFormat,
+        mimeType: AUDIO_FORMATS[outputFormat].mimeType,
+        filename: `speech.${AUDIO_FORMATS[outputFormat].extension}`,
+        duration: outputFormat === 'wav' ? wavDuration(audio) : null
+    };
+}
+
+/**
+ * Seconds of audio in a PCM WAV file, from the fmt byte rate and the data chunk size
+ */
+export function wavDuration(wav) {
+    let offset = 12;
+    let byteRate = null;
+
+    while (offset + 8 <= wav.length) {
+        const id = wav.toString('ascii', offset, offset + 4);
+        const size = wav.readUInt32LE(offset + 4);
+
+        if (id === 'fmt ' && offset + 16 <= wav.length) {
+            byteRate = wav.readUInt32LE(offset + 16);
+        } else if (id === 'data') {
+            // Streamed WAVs may leave the size unset; use what is actually there
+            const dataSize = Math.min(size, wav.length - offset - 8);
+            return byteRate ? dataSize / byteRate : null;
+        }
+
+        offset += 8 + size + (size % 2);
+    }
+
+    return null;
+}
@@ -0,0 +1,50 @@
+/**
+ * Speech-to-text provider factory
+ * Selects the recognizer from options or environment:
+ *   STT_PROVIDER=whisper|fixture (default: whisper)
+ *   whisper: STT_WHISPER_URL (base URL of an OpenAI-compatible server, e.g. http://localhost:8000/v1),
+ *            STT_WHISPER_API_KEY, STT_WHISPER_MODEL (default whisper-1)
+ *   fixture: STT_FIXTURES_DIR (recordings with .json/.txt transcripts)
+ */
+
+import { STTProvider, TranscriptionError } from './STTProvider.js';
+import { WhisperProvider } from './WhisperProvider.js';
+import { FixtureSTTProvider } from './FixtureSTTProvider.js';
+import { AUDIO_FORMATS, detectAudioFormat, formatFromContentType, prepareAudio } from './audio.js';
+
+const PROVIDERS = {
+    whisper: WhisperProvider,
+    fixture: FixtureSTTProvider
+};
+
+export function createSTT(options = {}, env = process.env) {
+    const name = (options.provider || env.STT_PROVIDER || 'whisper').toLowerCase();
+
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown STT provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    if (name === 'fixture') {
+        return new FixtureSTTProvider({
+            directory: options.directory || env.STT_FIXTURES_DIR,
+            fixtures: options.fixtures
+        });
+    }
+
+    return new WhisperProvider({
+        baseUrl: options.baseUrl || env.STT_WHISPER_URL,
+        apiKey: options.apiKey || env.STT_WHISPER_API_KEY,
+        model: options.model || env.STT_WHISPER_MODEL
+    });
+}
+
+export {
+    STTProvider,
+    TranscriptionError,
+    WhisperProvider,
+    FixtureSTTProvider,
+    AUDIO_FORMATS,
+    detectAudioFormat,
+    formatFromContentType,
+    prepareAudio
+};
@@ -0,0 +1,199 @@
+/**
+ * Call Simulator
+ * Plays the carrier's side of a Twilio Media Streams call against our own media-stream
+ * endpoint, so phone calls can be tested without a phone number: it sends connected and
+ * start, streams caller audio as 20 ms μ-law frames, echoes each mark once its audio would
+ * have finished playing, honours clear, and records what the agent said.
+ */
+
+import crypto from 'crypto';
+import WebSocket from 'ws';
+import { decodeMulaw, encodeMulaw } from './mulaw.js';
+
+const SAMPLE_RATE = 8000;
+const FRAME_MS = 20;
+const FRAME_BYTES = SAMPLE_RATE * FRAME_MS / 1000;
+// μ-law encoding of a zero sample
+const MULAW_SILENCE = 0xFF;
+
+export class CallSimulator {
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error('CallSimulator needs the media-stream url');
+        }
+
+        this.url = options.url;
+        this.token = options.token;
+        this.agentId = options.agentId;
+        this.from = options.from || '+15555550100';
+        // Real time paces frames and playback like a phone line; otherwise everything is immediate
+        this.realtime = options.realtime ?? true;
+        this.trailingSilenceMs = options.trailingSilenceMs ?? 1500;
+        this.replyIdleMs = options.replyIdleMs ?? 1500;
+        this.replyTimeoutMs = options.replyTimeoutMs ?? 30000;
+
+        this.callSid = `CA${crypto.randomBytes(16).toString('hex')}`;
+        this.streamSid = `MZ${crypto.randomBytes(16).toString('hex')}`;
+        this.ws = null;
+        this.sequence = 0;
+        this.chunk = 0;
+        this.closed = null;
+
+        // Agent audio not yet "played": playback ends at playbackEndsAt, marks echo in order
+        this.playbackEndsAt = 0;
+        this.markTimers = new Map();
+        this.recording = [];
+        this.lastActivityAt = 0;
+        this.receivedFrames = 0;
+        // Agent frames received before the current caller turn began
+        this.turnStartFrames = 0;
+        this.clears = 0;
+    }
+
+    async connect() {
+        this.ws = new WebSocket(this.url);
+
+        await new Promise((resolve, reject) => {
+            this.ws.once('open', resolve);
+            this.ws.once('error', reject);
+        });
+
+        this.closed = new Promise(resolve => this.ws.once('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+        this.ws.on('message', (data) => this.handle(JSON.parse(data)));
+
+        this.send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+        this.send({
+            event: 'start',
+            streamSid: this.streamSid,
+            start: {
+                streamSid: this.streamSid,
+                callSid: this.callSid,
+                tracks: ['inbound'],
+                customParameters: {
+                    ...(this.agentId && { agentId: this.agentId }),
+                    from: this.from,
+                    ...(this.token && { token: this.token })
+                },
+                mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: SAMPLE_RATE, channels: 1 }
+            }
+        });
+        return this;
+    }
+
+    handle(message) {
+        this.lastActivityAt = Date.now();
+
+        switch (message.event) {
+            case 'media': {
+                const pcm = decodeMulaw(Buffer.from(message.media.payload, 'base64'));
+                this.recording.push(pcm);
+                this.receivedFrames++;
+
+                const durationMs = pcm.length / 2 / SAMPLE_RATE * 1000;
+                this.playbackEndsAt = Math.max(this.playbackEndsAt, Date.now()) + durationMs;
+                break;
+            }
+            case 'mark': {
+                const name = message.mark.name;
+                const delay = this.realtime ? Math.max(0, this.playbackEndsAt - Date.now()) : 0;
+                this.markTimers.set(name, setTimeout(() => this.echoMark(name), delay));
+                break;
+            }
+            case 'clear':
+                // Twilio drops queued audio and returns the marks that will now never play
+                this.clears++;
+                this.playbackEndsAt = 0;
+                for (const name of [...this.markTimers.keys()]) {
+                    clearTimeout(this.markTimers.get(name));
+                    this.echoMark(name);
+                }
+                break;
+        }
+    }
+
+    echoMark(name) {
+        this.markTimers.delete(name);
+        this.send({ event: 'mark', streamSid: this.streamSid, mark: { name } });
+    }
+
+    /**
+     * Speak 16-bit 8 kHz PCM into the call, followed by trailingSilenceMs of silence so the
+     * agent's turn detection hears the caller stop
+     */
+    async say(pcm) {
+        const mulaw = Buffer.concat([
+            encodeMulaw(pcm),
+            Buffer.alloc(Math.round(SAMPLE_RATE * this.trailingSilenceMs / 1000), MULAW_SILENCE)
+        ]);
+        const startedAt = Date.now();
+        // The agent may answer before the trailing silence has been sent
+        this.turnStartFrames = this.receivedFrames;
+
+        for (let offset = 0, frame = 0; offset < mulaw.length; offset += FRAME_BYTES, frame++) {
+            if (this.ws.readyState !== WebSocket.OPEN) return;
+
+            this.send({
+                event: 'media',
+                streamSid: this.streamSid,
+                sequenceNumber: String(++this.sequence),
+                media: {
+                    track: 'inbound',
+                    chunk: String(++this.chunk),
+                    timestamp: String(frame * FRAME_MS),
+                    payload: mulaw.subarray(offset, offset + FRAME_BYTES).toString('base64')
+                }
+            });
+
+            if (this.realtime) {
+                // Pace against the start time so timer drift doesn't accumulate
+                const wait = startedAt + (frame + 1) * FRAME_MS - Date.now();
+                if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+            }
+        }
+    }
+
+    /**
+     * Wait until the agent has answered the last turn (audio arrived, every mark was played and
+     * the line has been quiet for replyIdleMs). Resolves to the seconds of agent audio in the answer.
+     */
+    async waitForReply() {
+        const framesBefore = this.turnStartFrames;
+        const deadline = Date.now() + this.replyTimeoutMs;
+
+        while (Date.now() < deadline && this.ws.readyState === WebSocket.OPEN) {
+            const answered = this.receivedFrames > framesBefore && this.markTimers.size === 0;
+            if (answered && Date.now() - this.lastActivityAt >= this.replyIdleMs) break;
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        this.turnStartFrames = this.receivedFrames;
+        return (this.receivedFrames - framesBefore) * FRAME_MS / 1000;
+    }
+
+    /**
+     * Everything the agent said, as 16-bit 8 kHz PCM
+     */
+    recordedAudio() {
+        return Buffer.concat(this.recording);
+    }
+
+    async hangUp() {
+        for (const timer of this.markTimers.values()) clearTimeout(timer);
+        this.markTimers.clear();
+
+        if (this.ws.readyState === WebSocket.OPEN) {
+            this.send({ event: 'stop', streamSid: this.streamSid, stop: { callSid: this.callSid } });
+            // The endpoint closes the socket on stop; don't wait forever if it doesn't
+            setTimeout(() => this.ws.close(), 2000).unref();
+        }
+        return this.closed;
+    }
+
+    send(message) {
+        if (this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+}
+
+export default CallSimulator;
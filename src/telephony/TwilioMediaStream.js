@@ -0,0 +1,321 @@
+/**
+ * Twilio Media Streams bridge
+ * One phone call over the Media Streams WebSocket protocol: Twilio sends connected, start,
+ * media (base64 μ-law at 8 kHz), mark, dtmf and stop events; we answer with media, mark and
+ * clear. Caller audio goes through the same turn detection, speech-to-text and agent replies
+ * as a browser session, and the agent's voice is sent back one sentence at a time.
+ *
+ * Stream URLs can't carry credentials, so the start event's customParameters.token is
+ * checked instead (see streamTwiml).
+ */
+
+import { decodeMulaw, encodeMulaw } from './mulaw.js';
+import { TurnDetector } from '../voice/TurnDetector.js';
+import { SentenceSegmenter } from '../voice/SentenceSegmenter.js';
+import { TranscriptionError } from '../stt/index.js';
+
+const SAMPLE_RATE = 8000;
+// Twilio sends 20 ms frames; replies are sent in the same size
+const FRAME_BYTES = 160;
+const START_TIMEOUT_MS = 10000;
+const DEFAULT_GREETING = 'Thank you for calling. This is {name}, how can I help you today?';
+const APOLOGY = 'I\'m sorry, I didn\'t catch that. Could you say it again?';
+
+export class TwilioMediaStream {
+    constructor(ws, options = {}) {
+        this.ws = ws;
+        this.voiceManager = options.voiceManager;
+        this.auth = options.auth;
+        this.agentRegistry = options.agentRegistry;
+        this.defaultAgentId = options.defaultAgentId || process.env.TELEPHONY_AGENT_ID || 'marcus';
+        this.greeting = options.greeting ?? process.env.TELEPHONY_GREETING ?? DEFAULT_GREETING;
+        this.language = options.language || process.env.TELEPHONY_LANGUAGE || 'en-US';
+        this.log = options.log || console;
+
+        this.streamSid = null;
+        this.callSid = null;
+        this.sessionId = null;
+        this.agentId = null;
+        this.detector = null;
+        this.turns = Promise.resolve();
+        this.ended = false;
+
+        // Reply audio Twilio hasn't played yet, by mark name; it echoes each mark once played
+        this.pendingMarks = new Map();
+        this.heardText = [];
+        this.responding = false;
+        this.markCounter = 0;
+
+        // During a staff takeover, what staff type is spoken to the caller
+        this.onStaffMessage = ({ sessionId, message }) => {
+            if (sessionId !== this.sessionId) return;
+            this.speak(message.content, `staff_${++this.markCounter}`, message)
+                .catch(error => this.log.error(`Call ${this.callSid} staff message failed:`, error));
+        };
+    }
+
+    attach() {
+        const startTimer = setTimeout(() => {
+            if (!this.sessionId) this.ws.close(1008, 'No start event');
+        }, START_TIMEOUT_MS);
+        startTimer.unref?.();
+
+        this.ws.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                return;
+            }
+
+            this.handle(message).catch(error => this.log.error(`Media stream ${this.streamSid} error:`, error));
+        });
+
+        this.ws.on('close', () => {
+            clearTimeout(startTimer);
+            this.end('disconnected');
+        });
+
+        return this;
+    }
+
+    async handle(message) {
+        switch (message.event) {
+            case 'connected':
+                break;
+            case 'start':
+                await this.start(message.start || {}, message.streamSid);
+                break;
+            case 'media':
+                if (this.detector && (message.media?.track || 'inbound') === 'inbound') {
+                    this.detector.push(decodeMulaw(Buffer.from(message.media.payload, 'base64')));
+                }
+                break;
+            case 'mark':
+                this.markPlayed(message.mark?.name);
+                break;
+            case 'dtmf':
+                this.log.log(`📞 ${this.callSid} pressed ${message.dtmf?.digit}`);
+                break;
+            case 'stop':
+                this.end('ended');
+                this.ws.close(1000);
+                break;
+        }
+    }
+
+    async start(start, streamSid) {
+        if (this.sessionId) return;
+
+        const parameters = start.customParameters || {};
+        const principal = this.authenticate(parameters.token);
+        if (!principal) {
+            this.ws.close(1008, 'Unauthorized');
+            return;
+        }
+
+        const encoding = start.mediaFormat?.encoding;
+        if (encoding && encoding !== 'audio/x-mulaw') {
+            this.log.error(`Media stream ${streamSid} uses ${encoding}; only audio/x-mulaw is supported`);
+            this.ws.close(1003, 'Unsupported media format');
+            return;
+        }
+
+        this.streamSid = streamSid || start.streamSid;
+        this.callSid = start.callSid || this.streamSid;
+        this.agentId = this.agentRegistry.has(parameters.agentId) ? parameters.agentId : this.defaultAgentId;
+        const sessionId = `call_${this.callSid}`;
+
+        try {
+            this.voiceManager.startConversation(sessionId, this.agentId, parameters.from || this.callSid, { owner: principal.subject });
+        } catch (error) {
+            this.log.error(`Call ${this.callSid} rejected: ${error.message}`);
+            this.ws.close(1013, 'Session limit reached');
+            return;
+        }
+        this.sessionId = sessionId;
+        this.voiceManager.on('staffMessage', this.onStaffMessage);
+
+        this.detector = new TurnDetector({ sampleRate: SAMPLE_RATE });
+        this.detector.on('speech_started', () => this.bargeIn());
+        this.detector.on('turn', (turn) => {
+            this.turns = this.turns.then(() => this.respond(turn))
+                .catch(error => this.log.error(`Call ${this.callSid} turn failed:`, error));
+        });
+
+        this.log.log(`📞 Call ${this.callSid} from ${parameters.from || 'unknown'} answered by ${this.agentId}`);
+
+        if (this.greeting) {
+            const agent = this.agentRegistry.get(this.agentId);
+            await this.speak(this.greeting.replace('{name}', agent.name), `greeting_${this.callSid}`);
+        }
+    }
+
+    authenticate(token) {
+        const principal = token ? this.auth.authenticate(token) : null;
+        if (principal) {
+            return this.auth.hasRole(principal, 'kiosk') ? principal : null;
+        }
+        return this.auth.required ? null : { subject: 'telephony', role: 'owner', via: 'disabled' };
+    }
+
+    /**
+     * One caller turn: transcribe it, stream the reply, speak each sentence as it completes
+     */
+    async respond(turn) {
+        if (this.ended) return;
+
+        let recognition;
+        try {
+            recognition = await this.voiceManager.transcribeSpeech(turn.audio, {
+                format: 'pcm',
+                sampleRate: turn.sampleRate,
+                language: this.language
+            });
+        } catch (error) {
+            // Coughs and line noise aren't worth an answer
+            if (error instanceof TranscriptionError && error.code === 'no_speech_detected') return;
+
+            this.log.error(`Call ${this.callSid} transcription failed: ${error.message}`);
+            await this.speak(APOLOGY, `apology_${++this.markCounter}`);
+            return;
+        }
+
+        if (this.ended) return;
+
+        const activeResponse = this.voiceManager.beginResponse(this.sessionId);
+        const { responseId } = activeResponse;
+        const { signal } = activeResponse.controller;
+        const segmenter = new SentenceSegmenter();
+        let sequence = 0;
+        let audioQueue = Promise.resolve();
+
+        this.responding = true;
+        this.heardText = [];
+
+        // Synthesis starts as soon as a sentence is complete, but is sent in order
+        const speakSentence = (text) => {
+            const mark = `${responseId}:${sequence++}`;
+            const synthesis = this.voiceManager.synthesizePcm(text, this.currentAgentId(), { sampleRate: SAMPLE_RATE, signal });
+
+            audioQueue = audioQueue.then(async () => {
+                const audio = await synthesis;
+                if (signal.aborted || this.ended) return;
+
+                if (audio.error) {
+                    this.log.error(`Call ${this.callSid} speech failed: ${audio.error}`);
+                    return;
+                }
+
+                this.voiceManager.recordAudioChunk(this.sessionId, responseId, {
+                    text,
+                    duration: audio.duration,
+                    audioUrl: audio.audioUrl
+                });
+                this.sendAudio(audio.pcm, mark, { text, responseId });
+            });
+        };
+
+        try {
+            await this.voiceManager.processSpeechInput(this.sessionId, recognition.text, turn.audio, {
+                response: activeResponse,
+                recognition,
+                onDelta: (delta) => segmenter.push(delta).forEach(speakSentence)
+            });
+
+            if (!signal.aborted) {
+                segmenter.flush().forEach(speakSentence);
+            }
+            await audioQueue;
+        } finally {
+            this.responding = false;
+        }
+    }
+
+    // A handoff moves the call to another agent, and their voice
+    currentAgentId() {
+        return this.voiceManager.conversations.get(this.sessionId)?.agentId || this.agentId;
+    }
+
+    /**
+     * Speak text outside a reply (greeting, apology, staff message); a staff message keeps its audio
+     */
+    async speak(text, mark, staffMessage = null) {
+        const audio = await this.voiceManager.synthesizePcm(text, this.currentAgentId(), { sampleRate: SAMPLE_RATE });
+        if (audio.error || this.ended) {
+            if (audio.error) this.log.error(`Call ${this.callSid} speech failed: ${audio.error}`);
+            return;
+        }
+
+        if (staffMessage) {
+            this.voiceManager.recordStaffAudio(this.sessionId, staffMessage, { text, duration: audio.duration, audioUrl: audio.audioUrl });
+        }
+        this.sendAudio(audio.pcm, mark);
+    }
+
+    /**
+     * Queue PCM for the caller as μ-law frames, followed by a mark so we learn when it was played
+     */
+    sendAudio(pcm, mark, reply = {}) {
+        const mulaw = encodeMulaw(pcm);
+
+        for (let offset = 0; offset < mulaw.length; offset += FRAME_BYTES) {
+            this.send({
+                event: 'media',
+                streamSid: this.streamSid,
+                media: { payload: mulaw.subarray(offset, offset + FRAME_BYTES).toString('base64') }
+            });
+        }
+
+        this.pendingMarks.set(mark, reply);
+        this.send({ event: 'mark', streamSid: this.streamSid, mark: { name: mark } });
+    }
+
+    markPlayed(name) {
+        const played = this.pendingMarks.get(name);
+        if (!played) return;
+
+        this.pendingMarks.delete(name);
+        if (played.text) {
+            this.heardText.push(played.text);
+        }
+    }
+
+    /**
+     * The caller talked over the agent: drop audio Twilio hasn't played and
+     * cut the reply down to what was heard
+     */
+    bargeIn() {
+        if (!this.responding && this.pendingMarks.size === 0) return;
+
+        // A greeting or apology being cut off leaves the last reply alone
+        const replyPending = this.responding || [...this.pendingMarks.values()].some(pending => pending.responseId);
+
+        this.send({ event: 'clear', streamSid: this.streamSid });
+        this.pendingMarks.clear();
+
+        if (replyPending && this.voiceManager.conversations.has(this.sessionId)) {
+            this.voiceManager.interruptResponse(this.sessionId, { spokenText: this.heardText.join(' ') });
+        }
+    }
+
+    end(reason) {
+        if (this.ended) return;
+        this.ended = true;
+
+        this.detector?.removeAllListeners();
+        this.voiceManager.off('staffMessage', this.onStaffMessage);
+        if (this.sessionId && this.voiceManager.conversations.has(this.sessionId)) {
+            this.voiceManager.endConversation(this.sessionId, { reason });
+            this.log.log(`📞 Call ${this.callSid} ${reason === 'ended' ? 'hung up' : 'disconnected'}`);
+        }
+    }
+
+    send(message) {
+        if (this.ws.readyState === this.ws.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+}
+
+export default TwilioMediaStream;
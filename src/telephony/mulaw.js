@@ -0,0 +1,51 @@
+/**
+ * G.711 μ-law codec
+ * Phone networks (and Twilio Media Streams) carry 8 kHz audio as one μ-law byte per sample.
+ */
+
+const BIAS = 0x84;
+const CLIP = 32635;
+
+const DECODE_TABLE = new Int16Array(256);
+for (let byte = 0; byte < 256; byte++) {
+    const value = ~byte & 0xff;
+    const exponent = (value >> 4) & 0x07;
+    const mantissa = value & 0x0f;
+    const magnitude = (((mantissa << 3) + BIAS) << exponent) - BIAS;
+    DECODE_TABLE[byte] = value & 0x80 ? -magnitude : magnitude;
+}
+
+/**
+ * μ-law bytes -> 16-bit little-endian PCM
+ */
+export function decodeMulaw(mulaw) {
+    const pcm = Buffer.alloc(mulaw.length * 2);
+    for (let i = 0; i < mulaw.length; i++) {
+        pcm.writeInt16LE(DECODE_TABLE[mulaw[i]], i * 2);
+    }
+    return pcm;
+}
+
+/**
+ * 16-bit little-endian PCM -> μ-law bytes
+ */
+export function encodeMulaw(pcm) {
+    const mulaw = Buffer.alloc(Math.floor(pcm.length / 2));
+    for (let i = 0; i < mulaw.length; i++) {
+        mulaw[i] = encodeSample(pcm.readInt16LE(i * 2));
+    }
+    return mulaw;
+}
+
+function encodeSample(sample) {
+    const sign = sample < 0 ? 0x80 : 0;
+    let magnitude = Math.min(Math.abs(sample), CLIP) + BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+    return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
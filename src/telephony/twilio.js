@@ -0,0 +1,48 @@
+/**
+ * Twilio webhook helpers
+ * Incoming calls hit a voice webhook that answers with TwiML connecting the call to our
+ * media-stream WebSocket. Twilio signs each webhook with the account's auth token
+ * (X-Twilio-Signature), which is how the webhook is authenticated.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Whether signature is Twilio's HMAC-SHA1 of url followed by each POST parameter
+ * (sorted by name, name then value), keyed with authToken
+ */
+export function validateTwilioSignature(authToken, url, params, signature) {
+    if (!authToken || typeof signature !== 'string') {
+        return false;
+    }
+
+    const data = Object.keys(params)
+        .sort()
+        .reduce((text, name) => text + name + params[name], url);
+    const expected = Buffer.from(crypto.createHmac('sha1', authToken).update(data).digest('base64'));
+    const actual = Buffer.from(signature);
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * TwiML answering a call by streaming it to url. Stream URLs can't carry a query
+ * string, so anything the stream needs (agent, credentials) goes in parameters.
+ */
+export function streamTwiml(url, parameters = {}) {
+    const tags = Object.entries(parameters)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `<Parameter name="${escapeXml(name)}" value="${escapeXml(value)}"/>`)
+        .join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?><Response><Connect><Stream url="${escapeXml(url)}">${tags}</Stream></Connect></Response>`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,125 @@
+/**
+ * ElevenLabs text-to-speech provider
+ * Voice settings come from the agent's voiceConfig (stability, clarity, style) over
+ * the defaults below; the model is fixed per environment for predictable latency.
+ */
+
+import axios from 'axios';
+import { TTSProvider } from './TTSProvider.js';
+
+const DEFAULT_SETTINGS = {
+    stability: 0.8,
+    similarity_boost: 0.85,
+    style: 0.7,
+    use_speaker_boost: true
+};
+
+// Raw PCM output_format for synthesizePcm
+const PCM_SAMPLE_RATE = 16000;
+
+// 401: key revoked, 402/429: quota or rate limit; all affect every request, not just this one
+const QUOTA_STATUSES = [401, 402, 429];
+
+export class ElevenLabsProvider extends TTSProvider {
+    constructor(options = {}) {
+        super({ name: 'elevenlabs', format: 'mp3', contentType: 'audio/mpeg' });
+        this.apiKey = options.apiKey || null;
+        this.baseUrl = (options.baseUrl || 'https://api.elevenlabs.io/v1').replace(/\/$/, '');
+        this.model = options.model || 'eleven_turbo_v2';
+        this.useAgentSettings = options.useAgentSettings ?? false;
+        this.timeout = options.timeout || 30000;
+    }
+
+    isAvailable() {
+        return Boolean(this.apiKey);
+    }
+
+    async synthesize({ text, voice = {}, signal }) {
+        return this.request(text, voice, signal);
+    }
+
+    async synthesizePcm({ text, voice = {}, signal }) {
+        const pcm = await this.request(text, voice, signal, { output_format: `pcm_${PCM_SAMPLE_RATE}` });
+        return { pcm, sampleRate: PCM_SAMPLE_RATE };
+    }
+
+    async request(text, voice, signal, params = undefined) {
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/text-to-speech/${voice.voiceId}`,
+                {
+                    text,
+                    model_id: this.modelFor(voice),
+                    voice_settings: this.settingsFor(voice)
+                },
+                {
+                    headers: {
+                        'xi-api-key': this.apiKey,
+                        'Content-Type': 'application/json'
+                    },
+                    params,
+                    responseType: 'arraybuffer',
+                    timeout: this.timeout,
+                    signal
+                }
+            );
+
+            return Buffer.from(response.data);
+        } catch (error) {
+            throw new Error(`ElevenLabs synthesis failed: ${this.describeError(error)}`, { cause: error });
+        }
+    }
+
+    cacheParams({ text, voice = {} }) {
+        return {
+            provider: this.name,
+            text,
+            voiceId: voice.voiceId,
+            modelId: this.modelFor(voice),
+            settings: this.settingsFor(voice),
+            format: this.format
+        };
+    }
+
+    isQuotaError(error) {
+        const response = error.cause?.response;
+        return QUOTA_STATUSES.includes(response?.status) || /quota/i.test(error.message);
+    }
+
+    modelFor(voice) {
+        return this.useAgentSettings && voice.model ? voice.model : this.model;
+    }
+
+    /**
+     * Per-agent settings are only used when useAgentSettings is set (the CLI's voice tests);
+     * the live server keeps one consistent profile
+     */
+    settingsFor(voice) {
+        if (!this.useAgentSettings) {
+            return DEFAULT_SETTINGS;
+        }
+
+        return {
+            ...DEFAULT_SETTINGS,
+            ...(voice.stability !== undefined && { stability: voice.stability }),
+            ...(voice.clarity !== undefined && { similarity_boost: voice.clarity }),
+            ...(voice.style !== undefined && { style: voice.style })
+        };
+    }
+
+    describeError(error) {
+        let detail = error.response?.data;
+        if (detail instanceof ArrayBuffer || Buffer.isBuffer(detail)) {
+            try {
+                detail = JSON.parse(Buffer.from(detail).toString('utf8'));
+            } catch (parseError) {
+                detail = null;
+            }
+        }
+
+        const message = detail?.detail?.message || detail?.detail?.status || detail?.detail;
+        return typeof message === 'string' ? message : error.message;
+    }
+}
+
+export default ElevenLabsProvider;
@@ -0,0 +1,101 @@
+/**
+ * Offline text-to-speech with a locally installed engine
+ *   espeak (espeak-ng or espeak): small, robotic, available in most package managers
+ *   piper: neural voices; needs a downloaded .onnx model (TTS_PIPER_MODEL)
+ * The agent's voiceConfig.localVoice picks the espeak voice or piper model when set.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { TTSProvider } from './TTSProvider.js';
+import { wavFromPcm } from './wav.js';
+
+const ENGINES = {
+    espeak: { binaries: ['espeak-ng', 'espeak'] },
+    piper: { binaries: ['piper'] }
+};
+
+export class LocalTTSProvider extends TTSProvider {
+    constructor(options = {}) {
+        super({ name: 'local', format: 'wav', contentType: 'audio/wav' });
+        this.engine = (options.engine || 'espeak').toLowerCase();
+
+        if (!ENGINES[this.engine]) {
+            throw new Error(`Unknown local TTS engine "${this.engine}". Expected one of: ${Object.keys(ENGINES).join(', ')}`);
+        }
+
+        this.binary = options.binary || ENGINES[this.engine].binaries.find(findOnPath) || null;
+        this.voice = options.voice || (this.engine === 'espeak' ? 'en-us' : null);
+        this.piperModel = options.piperModel || null;
+        this.sampleRate = options.sampleRate || 22050;
+        this.timeout = options.timeout || 30000;
+    }
+
+    isAvailable() {
+        if (!this.binary || !(path.isAbsolute(this.binary) ? fs.existsSync(this.binary) : findOnPath(this.binary))) {
+            return false;
+        }
+        return this.engine !== 'piper' || Boolean(this.piperModel);
+    }
+
+    async synthesize({ text, voice = {}, signal }) {
+        const localVoice = voice.localVoice || (this.engine === 'piper' ? this.piperModel : this.voice);
+
+        if (this.engine === 'piper') {
+            // Raw 16-bit mono PCM on stdout, wrapped as WAV here
+            const pcm = await this.run(['--model', localVoice, '--output-raw'], text, signal);
+            return wavFromPcm(pcm, this.sampleRate);
+        }
+
+        return this.run(['--stdout', '-v', localVoice], text, signal);
+    }
+
+    cacheParams({ text, voice = {} }) {
+        return {
+            provider: `${this.name}:${this.engine}`,
+            text,
+            voiceId: voice.localVoice || (this.engine === 'piper' ? this.piperModel : this.voice),
+            format: this.format
+        };
+    }
+
+    /**
+     * Run the engine with text on stdin and collect stdout
+     */
+    run(args, text, signal) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.binary, args, { signal, timeout: this.timeout });
+            const chunks = [];
+            let stderr = '';
+
+            child.stdout.on('data', chunk => chunks.push(chunk));
+            child.stderr.on('data', chunk => {
+                stderr += chunk;
+            });
+            child.on('error', error => reject(new Error(`${this.engine} failed: ${error.message}`, { cause: error })));
+            child.on('close', (code) => {
+                if (code === 0) {
+                    resolve(Buffer.concat(chunks));
+                } else {
+                    reject(new Error(`${this.engine} exited with code ${code}: ${stderr.trim().slice(0, 200)}`));
+                }
+            });
+
+            child.stdin.end(text);
+        });
+    }
+}
+
+function findOnPath(binary) {
+    return (process.env.PATH || '').split(path.delimiter).some(directory => {
+        try {
+            fs.accessSync(path.join(directory, binary), fs.constants.X_OK);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    });
+}
+
+export default LocalTTSProvider;
@@ -0,0 +1,84 @@
+/**
+ * Ordered text-to-speech providers with failover
+ * Each request tries the agent's preferred provider (voiceConfig.provider) first, then the
+ * environment's chain. A provider whose quota ran out is skipped for cooldownMs instead of
+ * failing every request until someone notices.
+ */
+
+export class TTSFailover {
+    constructor(providers, { order = Object.keys(providers), cooldownMs = 5 * 60 * 1000 } = {}) {
+        this.providers = providers;
+        this.order = order.filter(name => providers[name]);
+        this.cooldownMs = cooldownMs;
+
+        // name -> { until, reason }
+        this.cooldowns = new Map();
+        this.lastErrors = new Map();
+    }
+
+    /**
+     * Providers to try, in order, for an agent preferring preferred
+     */
+    candidates(preferred = null) {
+        const names = preferred && this.providers[preferred] ?
+            [preferred, ...this.order.filter(name => name !== preferred)] :
+            this.order;
+
+        return names
+            .map(name => this.providers[name])
+            .filter(provider => provider.isAvailable() && !this.isCoolingDown(provider.name));
+    }
+
+    /**
+     * Call attempt(provider) with each candidate until one succeeds.
+     * Resolves to { provider, result }; rejects if every provider failed or the signal aborted.
+     */
+    async run(preferred, attempt, { signal } = {}) {
+        const candidates = this.candidates(preferred);
+        const failures = [];
+
+        if (candidates.length === 0) {
+            throw new Error('No text-to-speech provider is available');
+        }
+
+        for (const provider of candidates) {
+            try {
+                const result = await attempt(provider);
+                this.lastErrors.delete(provider.name);
+                return { provider, result };
+            } catch (error) {
+                if (signal?.aborted) throw error;
+
+                failures.push(`${provider.name}: ${error.message}`);
+                this.lastErrors.set(provider.name, { message: error.message, at: new Date().toISOString() });
+
+                if (provider.isQuotaError(error)) {
+                    this.cooldowns.set(provider.name, { until: Date.now() + this.cooldownMs, reason: error.message });
+                    console.warn(`⚠️  ${provider.name} text-to-speech paused for ${Math.round(this.cooldownMs / 1000)}s: ${error.message}`);
+                }
+            }
+        }
+
+        throw new Error(`Speech synthesis failed (${failures.join('; ')})`);
+    }
+
+    isCoolingDown(name) {
+        const cooldown = this.cooldowns.get(name);
+        if (cooldown && cooldown.until <= Date.now()) {
+            this.cooldowns.delete(name);
+            return false;
+        }
+        return Boolean(cooldown);
+    }
+
+    status() {
+        return this.order.map(name => ({
+            name,
+            available: this.providers[name].isAvailable(),
+            coolingDownUntil: this.isCoolingDown(name) ? new Date(this.cooldowns.get(name).until).toISOString() : null,
+            lastError: this.lastErrors.get(name) || null
+        }));
+    }
+}
+
+export default TTSFailover;
@@ -0,0 +1,66 @@
+/**
+ * Base class for text-to-speech backends
+ * Providers turn text in an agent's voice into an audio buffer. The voice is the agent's
+ * registry voiceConfig ({ voiceId, model, stability, clarity, style, localVoice, ... }),
+ * so each provider picks out the fields it understands.
+ */
+
+import { pcmFromWav } from './wav.js';
+
+export class TTSProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'base';
+        this.format = options.format || 'wav';
+        this.contentType = options.contentType || 'audio/wav';
+    }
+
+    /**
+     * Whether the provider can be used at all (API key present, binary installed)
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Synthesize speech.
+     *
+     * @param {Object} request
+     * @param {string} request.text
+     * @param {Object} [request.voice] - Agent voiceConfig
+     * @param {AbortSignal} [request.signal] - Aborts synthesis when the guest barges in
+     * @returns {Promise<Buffer>} Audio in this.format
+     */
+    async synthesize(request) {
+        throw new Error(`${this.constructor.name} does not implement synthesize()`);
+    }
+
+    /**
+     * Synthesize speech as raw 16-bit mono PCM, for phone calls and other non-file outputs.
+     * WAV providers get this for free; others override it.
+     *
+     * @returns {Promise<{pcm: Buffer, sampleRate: number}>}
+     */
+    async synthesizePcm(request) {
+        if (this.format !== 'wav') {
+            throw new Error(`${this.constructor.name} does not implement synthesizePcm()`);
+        }
+        return pcmFromWav(await this.synthesize(request));
+    }
+
+    /**
+     * Everything that changes the audio for a request, for the audio cache key
+     */
+    cacheParams({ text, voice = {} }) {
+        return { provider: this.name, text, voiceId: voice.voiceId || null, format: this.format };
+    }
+
+    /**
+     * Whether an error means the provider should be skipped for a while
+     * (quota exhausted, key revoked) rather than just failing this request
+     */
+    isQuotaError(error) {
+        return false;
+    }
+}
+
+export default TTSProvider;
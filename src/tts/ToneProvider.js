@@ -0,0 +1,43 @@
+/**
+ * Test provider that needs nothing installed: a quiet sine tone (or silence) lasting
+ * about as long as the text would take to say, so playback timing and barge-in can be
+ * exercised offline and in tests.
+ */
+
+import { TTSProvider } from './TTSProvider.js';
+import { wavFromPcm } from './wav.js';
+
+const SAMPLE_RATE = 16000;
+// ~150 words per minute at ~5 characters per word, the same pace VoiceManager estimates
+const SECONDS_PER_CHARACTER = 60 / (150 * 5);
+const FREQUENCY_HZ = 440;
+const AMPLITUDE = 0.2;
+
+export class ToneProvider extends TTSProvider {
+    constructor(options = {}) {
+        const waveform = options.waveform === 'silent' ? 'silent' : 'sine';
+        super({ name: waveform, format: 'wav', contentType: 'audio/wav' });
+        this.waveform = waveform;
+    }
+
+    async synthesize({ text }) {
+        const seconds = Math.max(0.3, text.length * SECONDS_PER_CHARACTER);
+        const samples = Math.round(seconds * SAMPLE_RATE);
+        const pcm = Buffer.alloc(samples * 2);
+
+        if (this.waveform === 'sine') {
+            for (let i = 0; i < samples; i++) {
+                const value = Math.sin((2 * Math.PI * FREQUENCY_HZ * i) / SAMPLE_RATE) * AMPLITUDE;
+                pcm.writeInt16LE(Math.round(value * 32767), i * 2);
+            }
+        }
+
+        return wavFromPcm(pcm, SAMPLE_RATE);
+    }
+
+    cacheParams({ text }) {
+        return { provider: this.name, text, format: this.format };
+    }
+}
+
+export default ToneProvider;
@@ -0,0 +1,67 @@
+/**
+ * Text-to-speech provider factory
+ * Selects the speech backends from options or environment:
+ *   TTS_PROVIDER=elevenlabs|local|sine|silent (default: elevenlabs)
+ *   TTS_FALLBACK=comma-separated providers tried after it (default: local)
+ *   ELEVENLABS_API_KEY, ELEVENLABS_MODEL (default eleven_turbo_v2)
+ *   TTS_LOCAL_ENGINE=espeak|piper, TTS_LOCAL_BINARY, TTS_LOCAL_VOICE, TTS_PIPER_MODEL, TTS_PIPER_SAMPLE_RATE
+ *   TTS_FAILOVER_COOLDOWN_MS (default 300000)
+ * Agents can prefer a provider with voiceConfig.provider.
+ */
+
+import { TTSProvider } from './TTSProvider.js';
+import { ElevenLabsProvider } from './ElevenLabsProvider.js';
+import { LocalTTSProvider } from './LocalTTSProvider.js';
+import { ToneProvider } from './ToneProvider.js';
+import { TTSFailover } from './TTSFailover.js';
+
+export const TTS_PROVIDERS = ['elevenlabs', 'local', 'sine', 'silent'];
+
+export function createTTSProvider(name, options = {}, env = process.env) {
+    switch (name) {
+        case 'elevenlabs':
+            return new ElevenLabsProvider({
+                apiKey: options.elevenLabsApiKey ?? env.ELEVENLABS_API_KEY,
+                model: options.model || env.ELEVENLABS_MODEL,
+                useAgentSettings: options.useAgentSettings
+            });
+        case 'local':
+            return new LocalTTSProvider({
+                engine: options.localEngine || env.TTS_LOCAL_ENGINE,
+                binary: options.localBinary || env.TTS_LOCAL_BINARY,
+                voice: options.localVoice || env.TTS_LOCAL_VOICE,
+                piperModel: options.piperModel || env.TTS_PIPER_MODEL,
+                sampleRate: env.TTS_PIPER_SAMPLE_RATE ? parseInt(env.TTS_PIPER_SAMPLE_RATE, 10) : undefined
+            });
+        case 'sine':
+        case 'silent':
+            return new ToneProvider({ waveform: name });
+        default:
+            throw new Error(`Unknown TTS provider "${name}". Expected one of: ${TTS_PROVIDERS.join(', ')}`);
+    }
+}
+
+/**
+ * The environment's provider chain, plus every other provider so per-agent
+ * preferences can be honoured
+ */
+export function createTTS(options = {}, env = process.env) {
+    const primary = (options.provider || env.TTS_PROVIDER || 'elevenlabs').toLowerCase();
+    const fallback = (options.fallback ?? env.TTS_FALLBACK ?? 'local')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    const order = [...new Set([primary, ...fallback])];
+    const providers = {};
+    for (const name of new Set([...order, ...TTS_PROVIDERS])) {
+        providers[name] = createTTSProvider(name, options, env);
+    }
+
+    return new TTSFailover(providers, {
+        order,
+        cooldownMs: options.cooldownMs ?? (env.TTS_FAILOVER_COOLDOWN_MS ? parseInt(env.TTS_FAILOVER_COOLDOWN_MS, 10) : undefined)
+    });
+}
+
+export { TTSProvider, ElevenLabsProvider, LocalTTSProvider, ToneProvider, TTSFailover };
@@ -0,0 +1,38 @@
+/**
+ * Sample-rate conversion for 16-bit mono PCM
+ * Good enough for speech: downsampling averages each output window (a box filter
+ * against aliasing), upsampling interpolates linearly.
+ */
+
+export function resamplePcm(pcm, fromRate, toRate) {
+    if (fromRate === toRate) return pcm;
+
+    const inputSamples = Math.floor(pcm.length / 2);
+    const outputSamples = Math.floor(inputSamples * toRate / fromRate);
+    const output = Buffer.alloc(outputSamples * 2);
+    const step = fromRate / toRate;
+
+    for (let i = 0; i < outputSamples; i++) {
+        let sample;
+
+        if (step > 1) {
+            const start = Math.floor(i * step);
+            const end = Math.min(inputSamples, Math.max(start + 1, Math.floor((i + 1) * step)));
+            let sum = 0;
+            for (let j = start; j < end; j++) {
+                sum += pcm.readInt16LE(j * 2);
+            }
+            sample = sum / (end - start);
+        } else {
+            const position = i * step;
+            const index = Math.floor(position);
+            const next = Math.min(index + 1, inputSamples - 1);
+            const fraction = position - index;
+            sample = pcm.readInt16LE(index * 2) * (1 - fraction) + pcm.readInt16LE(next * 2) * fraction;
+        }
+
+        output.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample))), i * 2);
+    }
+
+    return output;
+}
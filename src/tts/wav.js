@@ -0,0 +1,74 @@
+/**
+ * WAV container for 16-bit PCM, used by the local and tone providers and to
+ * get raw samples back out for phone calls
+ */
+
+export function wavFromPcm(pcm, sampleRate, channels = 1) {
+    const header = Buffer.alloc(44);
+    const byteRate = sampleRate * channels * 2;
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(byteRate, 28);
+    header.writeUInt16LE(channels * 2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(pcm.length, 40);
+
+    return Buffer.concat([header, pcm]);
+}
+
+/**
+ * 16-bit PCM samples and sample rate from a WAV file (first channel only)
+ */
+export function pcmFromWav(wav) {
+    if (wav.length < 12 || wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= wav.length) {
+        const id = wav.toString('ascii', offset, offset + 4);
+        const size = wav.readUInt32LE(offset + 4);
+
+        if (id === 'fmt ') {
+            format = {
+                encoding: wav.readUInt16LE(offset + 8),
+                channels: wav.readUInt16LE(offset + 10),
+                sampleRate: wav.readUInt32LE(offset + 12),
+                bitsPerSample: wav.readUInt16LE(offset + 22)
+            };
+        } else if (id === 'data') {
+            if (!format || format.encoding !== 1 || format.bitsPerSample !== 16) {
+                throw new Error('Only 16-bit PCM WAV is supported');
+            }
+
+            // Engines writing to a pipe (espeak --stdout) can't fill in the real size
+            const data = wav.subarray(offset + 8, Math.min(wav.length, offset + 8 + size));
+            return { pcm: firstChannel(data, format.channels), sampleRate: format.sampleRate };
+        }
+
+        offset += 8 + size + (size % 2);
+    }
+
+    throw new Error('WAV file has no data chunk');
+}
+
+function firstChannel(data, channels) {
+    const usable = data.subarray(0, data.length - (data.length % (2 * channels)));
+    if (channels === 1) return usable;
+
+    const mono = Buffer.alloc(usable.length / channels);
+    for (let frame = 0; frame < mono.length / 2; frame++) {
+        mono.writeInt16LE(usable.readInt16LE(frame * channels * 2), frame * 2);
+    }
+    return mono;
+}
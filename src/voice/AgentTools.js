@@ -0,0 +1,73 @@
+/**
+ * Agent Tools
+ * Functions agents call mid-conversation, such as booking a table. Each tool has a name,
+ * a description, JSON Schema parameters, the agents allowed to use it and an execute
+ * function. ConvAI agents call tools over POST /api/tools/:name; in local sessions a tool's
+ * intent() reads the call out of the guest's turn and it runs before the agent replies,
+ * so the reply can report what actually happened.
+ */
+
+export class AgentTools {
+    constructor(tools = []) {
+        this.tools = new Map();
+        tools.forEach(tool => this.register(tool));
+    }
+
+    register(tool) {
+        this.tools.set(tool.name, tool);
+        return this;
+    }
+
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    forAgent(agentId) {
+        return [...this.tools.values()].filter(tool => !tool.agents || tool.agents.includes(agentId));
+    }
+
+    /**
+     * Run a tool. Failures with a code (a full slot, an unknown confirmation code) are
+     * results the agent should tell the guest about, so they come back as ok: false;
+     * anything else is thrown.
+     *
+     * @returns {Promise<{tool: string, ok: boolean, result?: Object, error?: Object, summary: string}>}
+     */
+    async invoke(name, args, context = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+
+        try {
+            const { summary, ...result } = await tool.execute(args, context);
+            return { tool: name, ok: true, result, summary };
+        } catch (error) {
+            if (!error.code) throw error;
+            return {
+                tool: name,
+                ok: false,
+                error: { code: error.code, message: error.message, details: error.details ?? null },
+                summary: error.summary || error.message
+            };
+        }
+    }
+
+    /**
+     * The first tool call the guest's turn asks for, run, or null
+     *
+     * @param {Object} context - agentId, sessionId, userId and the conversation so far
+     */
+    async intercept(transcript, context) {
+        for (const tool of this.forAgent(context.agentId)) {
+            const args = tool.intent?.(transcript, context);
+            if (args) {
+                const call = await this.invoke(tool.name, args, { ...context, source: 'voice' });
+                return { ...call, args };
+            }
+        }
+        return null;
+    }
+}
+
+export default AgentTools;
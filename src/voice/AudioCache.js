@@ -0,0 +1,204 @@
+/**
+ * Audio Cache
+ * Content-addressed cache for synthesized speech: the key is a hash of everything that
+ * affects the audio (provider, text, voice, model, voice settings), so repeated greetings and
+ * stock phrases are synthesized once. Entries live in an AudioStore and are evicted by
+ * age and, least recently used first, by total size.
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_MAX_BYTES = 500 * 1024 * 1024;
+const DEFAULT_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+export class AudioCache {
+    constructor(options = {}) {
+        if (!options.store) {
+            throw new Error('AudioCache needs a store');
+        }
+
+        this.store = options.store;
+        this.maxBytes = options.maxBytes ?? parseInt(process.env.AUDIO_CACHE_MAX_BYTES || String(DEFAULT_MAX_BYTES), 10);
+        this.maxAgeMs = options.maxAgeMs ?? parseInt(process.env.AUDIO_CACHE_MAX_AGE_MS || String(DEFAULT_MAX_AGE_MS), 10);
+
+        // key -> { size, createdAt, lastAccessedAt }
+        this.entries = new Map();
+        this.bytes = 0;
+        this.ready = null;
+        // key -> promise of the synthesis already under way for it
+        this.pending = new Map();
+        this.metrics = { hits: 0, misses: 0, writes: 0, evictions: 0, errors: 0 };
+    }
+
+    /**
+     * Cache key for one synthesized utterance (see TTSProvider.cacheParams)
+     */
+    static keyFor({ provider = null, text, voiceId = null, modelId = null, settings = {}, format = 'mp3' }) {
+        const sortedSettings = Object.keys(settings).sort().map(name => [name, settings[name]]);
+        const hash = crypto.createHash('sha256')
+            .update(JSON.stringify([provider, text, voiceId, modelId, sortedSettings, format]))
+            .digest('hex');
+        return `${hash}.${format}`;
+    }
+
+    /**
+     * Rebuild the index from the store, so a restart keeps what was already synthesized
+     */
+    async initialize() {
+        const objects = await this.store.list();
+
+        this.entries.clear();
+        this.bytes = 0;
+        for (const { key, size, modifiedAt } of objects) {
+            this.entries.set(key, { size, createdAt: modifiedAt, lastAccessedAt: modifiedAt });
+            this.bytes += size;
+        }
+
+        await this.evict();
+    }
+
+    /**
+     * Return the cached audio for params, calling synthesize() to create it on a miss.
+     * synthesize resolves to a Buffer (or null when nothing could be produced). Callers asking
+     * for a key that is already being synthesized wait for that instead of synthesizing again.
+     *
+     * @returns {Promise<{key: string, hit: boolean, size: number}|null>}
+     */
+    async getOrCreate(params, synthesize, { contentType = 'audio/mpeg' } = {}) {
+        this.ready ??= this.initialize().catch(error => {
+            this.metrics.errors++;
+            console.error('Audio cache index could not be loaded:', error.message);
+        });
+        await this.ready;
+
+        const key = AudioCache.keyFor(params);
+        const entry = this.entries.get(key);
+
+        if (entry && Date.now() - entry.createdAt <= this.maxAgeMs) {
+            entry.lastAccessedAt = Date.now();
+            this.metrics.hits++;
+            return { key, hit: true, size: entry.size };
+        }
+
+        const pending = this.pending.get(key);
+        if (pending) {
+            this.metrics.hits++;
+            const created = await pending;
+            return created && { ...created, hit: true };
+        }
+
+        this.metrics.misses++;
+        const creating = this.create(key, synthesize, contentType);
+        this.pending.set(key, creating);
+        try {
+            return await creating;
+        } finally {
+            this.pending.delete(key);
+        }
+    }
+
+    async create(key, synthesize, contentType) {
+        const data = await synthesize();
+        if (!data) {
+            return null;
+        }
+
+        await this.store.put(key, data, { contentType });
+        this.remember(key, data.length);
+        this.metrics.writes++;
+
+        await this.evict({ keep: key });
+        return { key, hit: false, size: data.length };
+    }
+
+    /**
+     * Stored bytes for key, or null if it is not (or no longer) cached
+     */
+    async read(key) {
+        const data = await this.store.get(key);
+        const entry = this.entries.get(key);
+
+        if (!data) {
+            if (entry) this.forget(key);
+            return null;
+        }
+
+        if (entry) {
+            entry.lastAccessedAt = Date.now();
+        } else {
+            // Written by another instance sharing the store
+            this.remember(key, data.length);
+        }
+        return data;
+    }
+
+    /**
+     * Drop entries past maxAgeMs, then least recently used ones until under maxBytes
+     */
+    async evict({ keep = null } = {}) {
+        const now = Date.now();
+        const expired = [...this.entries.entries()]
+            .filter(([key, entry]) => key !== keep && now - entry.createdAt > this.maxAgeMs)
+            .map(([key]) => key);
+
+        const byLastAccess = [...this.entries.entries()]
+            .filter(([key]) => key !== keep && !expired.includes(key))
+            .sort(([, a], [, b]) => a.lastAccessedAt - b.lastAccessedAt);
+
+        let bytes = this.bytes - expired.reduce((total, key) => total + this.entries.get(key).size, 0);
+        const victims = [...expired];
+        for (const [key, entry] of byLastAccess) {
+            if (this.maxBytes <= 0 || bytes <= this.maxBytes) break;
+            victims.push(key);
+            bytes -= entry.size;
+        }
+
+        for (const key of victims) {
+            try {
+                await this.store.delete(key);
+                this.forget(key);
+                this.metrics.evictions++;
+            } catch (error) {
+                this.metrics.errors++;
+                console.error(`Failed to evict cached audio ${key}:`, error.message);
+            }
+        }
+
+        return victims;
+    }
+
+    remember(key, size) {
+        const existing = this.entries.get(key);
+        if (existing) {
+            this.bytes -= existing.size;
+        }
+
+        const now = Date.now();
+        this.entries.set(key, { size, createdAt: now, lastAccessedAt: now });
+        this.bytes += size;
+    }
+
+    forget(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        this.bytes -= entry.size;
+        this.entries.delete(key);
+    }
+
+    getMetrics() {
+        const lookups = this.metrics.hits + this.metrics.misses;
+
+        return {
+            store: this.store.name,
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
+            maxAgeMs: this.maxAgeMs,
+            ...this.metrics,
+            hitRate: lookups > 0 ? Math.round((this.metrics.hits / lookups) * 1000) / 1000 : null
+        };
+    }
+}
+
+export default AudioCache;
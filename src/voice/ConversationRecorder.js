@@ -0,0 +1,147 @@
+/**
+ * Conversation Recorder
+ * Writes VoiceManager sessions and messages through DatabaseManager as they happen,
+ * so history outlives the in-memory conversation map.
+ */
+
+// 0-1 score per guest emotion from VoiceManager.analyzeSpeechEmotion
+const EMOTION_SENTIMENT = {
+    positive: 1,
+    excited: 1,
+    curious: 0.6,
+    neutral: 0.5,
+    negative: 0
+};
+
+export class ConversationRecorder {
+    constructor(voiceManager, db) {
+        this.voiceManager = voiceManager;
+        this.db = db;
+        this.queues = new Map();
+    }
+
+    attach() {
+        this.voiceManager.on('conversationStarted', (conversation) => {
+            this.enqueue(conversation.sessionId, () => this.db.saveConversation(this.toSummary(conversation)));
+        });
+
+        this.voiceManager.on('conversationUpdated', ({ sessionId, userMessage, agentMessage }) => {
+            const conversation = this.voiceManager.conversations.get(sessionId);
+            this.enqueue(sessionId, async () => {
+                await this.db.saveConversationMessage(this.toRecord(sessionId, userMessage));
+                // No agent reply while staff have taken over
+                if (agentMessage) {
+                    await this.db.saveConversationMessage(this.toRecord(sessionId, agentMessage));
+                }
+                if (conversation) {
+                    await this.db.saveConversation(this.toSummary(conversation));
+                }
+            });
+        });
+
+        // Audio chunks and barge-in truncation change a message after it was first stored
+        this.voiceManager.on('messageUpdated', ({ sessionId, message }) => {
+            this.enqueue(sessionId, () => this.db.saveConversationMessage(this.toRecord(sessionId, message)));
+        });
+
+        this.voiceManager.on('staffMessage', ({ sessionId, message }) => {
+            this.enqueue(sessionId, () => this.db.saveConversationMessage(this.toRecord(sessionId, message)));
+        });
+
+        // The handoff note (and any introduction) lands between the guest's message and the reply
+        this.voiceManager.on('conversationHandoff', ({ sessionId, message, introduction }) => {
+            const conversation = this.voiceManager.conversations.get(sessionId);
+            this.enqueue(sessionId, async () => {
+                await this.db.saveConversationMessage(this.toRecord(sessionId, message));
+                if (introduction) {
+                    await this.db.saveConversationMessage(this.toRecord(sessionId, introduction));
+                }
+                if (conversation) {
+                    await this.db.saveConversation(this.toSummary(conversation));
+                }
+            });
+        });
+
+        this.voiceManager.on('responseInterrupted', ({ sessionId, agentMessage }) => {
+            this.enqueue(sessionId, () => this.db.saveConversationMessage(this.toRecord(sessionId, agentMessage)));
+        });
+
+        this.voiceManager.on('conversationEnded', (conversation) => {
+            const { sessionId } = conversation;
+            const last = this.enqueue(sessionId, () => this.db.saveConversation(this.toSummary(conversation)));
+            // A resumed session may have queued more writes since; those keep the queue
+            last.then(() => {
+                if (this.queues.get(sessionId) === last) this.queues.delete(sessionId);
+            });
+        });
+
+        return this;
+    }
+
+    /**
+     * Writes for a session run one at a time, in event order
+     */
+    enqueue(sessionId, write) {
+        const previous = this.queues.get(sessionId) || Promise.resolve();
+        const next = previous
+            .then(write)
+            .catch(error => console.error(`Failed to record conversation ${sessionId}:`, error.message));
+
+        this.queues.set(sessionId, next);
+        return next;
+    }
+
+    toSummary(conversation) {
+        const guestMessages = conversation.messages.filter(message => message.type === 'user');
+        const scores = guestMessages
+            .map(message => EMOTION_SENTIMENT[message.emotion])
+            .filter(score => score !== undefined);
+        const lastMessage = conversation.messages[conversation.messages.length - 1];
+
+        return {
+            sessionId: conversation.sessionId,
+            agentId: conversation.agentId,
+            userId: conversation.userId,
+            startedAt: new Date(conversation.startTime).toISOString(),
+            endedAt: conversation.endTime ? new Date(conversation.endTime).toISOString() : null,
+            endReason: conversation.endReason || null,
+            lastMessageAt: lastMessage ? new Date(lastMessage.timestamp).toISOString() : null,
+            messageCount: conversation.messages.length,
+            sentiment: scores.length > 0 ?
+                Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 100) / 100 :
+                null,
+            emotionalState: conversation.emotionalState,
+            interruptions: conversation.context.interruptions.length,
+            handoffs: conversation.context.handoffs.map(({ fromAgentId, toAgentId, reason, trigger, timestamp }) => ({
+                fromAgentId,
+                toAgentId,
+                reason,
+                trigger,
+                timestamp: new Date(timestamp).toISOString()
+            }))
+        };
+    }
+
+    toRecord(sessionId, message) {
+        return {
+            id: message.id,
+            sessionId,
+            seq: message.seq,
+            type: message.type,
+            agentId: message.agentId || null,
+            staff: message.staff || null,
+            content: message.content,
+            timestamp: new Date(message.timestamp).toISOString(),
+            emotion: message.emotion || null,
+            confidence: message.confidence ?? null,
+            personalityFactors: message.personalityFactors || null,
+            audio: (message.audio || []).map(chunk => ({ ...chunk })),
+            interrupted: Boolean(message.interrupted),
+            fullContent: message.fullContent || null,
+            handoff: message.handoff || null,
+            toolCall: message.toolCall || null
+        };
+    }
+}
+
+export default ConversationRecorder;
@@ -0,0 +1,112 @@
+/**
+ * Handoff Router
+ * Decides when a guest should be passed to another agent mid-conversation: explicitly
+ * ("can I talk to the sommelier?", "put Isabella on") or by intent, when the guest raises a
+ * topic another agent owns (wine pairings while talking to the host).
+ *
+ * VOICE_HANDOFF=auto (both, the default) | explicit (only when asked) | off
+ */
+
+import { agentRegistry } from '../agents/registry.js';
+import { asksForStaff } from '../escalation/EscalationQueue.js';
+
+export const HANDOFF_MODES = ['auto', 'explicit', 'off'];
+
+// Titles guests use for each agent, besides their first name (the agent ID)
+const AGENT_TITLES = {
+    sophia: ['head chef', 'the chef', 'executive chef'],
+    marcus: ['manager', 'front of house'],
+    isabella: ['sommelier', 'wine expert', 'wine steward'],
+    diego: ['expediter', 'expeditor', 'the kitchen'],
+    amara: ['host', 'hostess', 'reservations'],
+    chen: ['pastry chef', 'dessert chef'],
+    raj: ['accounts', 'billing', 'finance'],
+    luna: ['marketing', 'social media'],
+    victor: ['security'],
+    zara: ['training'],
+    oliver: ['tech support', 'it support']
+};
+
+// Topics that belong to one agent; raising one with anybody else hands the guest over
+const TOPIC_OWNERS = {
+    isabella: ['wine', 'pairing', 'sommelier', 'cocktail', 'champagne', 'prosecco', 'corkage'],
+    amara: ['reservation', 'book a table', 'reserve a table', 'waitlist', 'wait list', 'party of'],
+    chen: ['dessert', 'pastry', 'pastries', 'birthday cake', 'tiramisu', 'macaron'],
+    sophia: ['allergy', 'allergic', 'allergen', 'gluten', 'ingredients', 'vegan'],
+    raj: ['invoice', 'refund', 'overcharged', 'receipt'],
+    oliver: ['wifi', 'wi-fi', 'app not working', 'online ordering']
+};
+
+const EXPLICIT_REQUEST = /\b(?:talk|speak|chat|transfer|connect|switch|put|pass|hand)\b[^.?!]*?\b(?:to|with|me to|through to|on)\b\s+([^.?!,]+)/i;
+
+export class HandoffRouter {
+    constructor(options = {}) {
+        this.mode = (options.mode || process.env.VOICE_HANDOFF || 'auto').toLowerCase();
+
+        if (!HANDOFF_MODES.includes(this.mode)) {
+            throw new Error(`Unknown VOICE_HANDOFF mode "${this.mode}". Expected one of: ${HANDOFF_MODES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Where the guest should go next, or null to stay with currentAgentId. Guests asking for
+     * a manager or a person stay put; the escalation queue pages staff for them.
+     *
+     * @returns {{agentId: string, trigger: 'explicit'|'intent', reason: string}|null}
+     */
+    route(transcript, currentAgentId) {
+        if (this.mode === 'off' || !transcript || asksForStaff(transcript)) {
+            return null;
+        }
+
+        const explicit = this.findRequestedAgent(transcript);
+        if (explicit) {
+            return explicit.agentId === currentAgentId ? null : explicit;
+        }
+
+        return this.mode === 'auto' ? this.findTopicOwner(transcript, currentAgentId) : null;
+    }
+
+    findRequestedAgent(transcript) {
+        const match = transcript.match(EXPLICIT_REQUEST);
+        if (!match) {
+            return null;
+        }
+
+        const target = match[1].toLowerCase();
+        const agentId = agentRegistry.ids().find(id => new RegExp(`\\b${id}\\b`).test(target)) ||
+            this.findByTitle(target);
+
+        if (!agentId) {
+            return null;
+        }
+
+        return { agentId, trigger: 'explicit', reason: `Guest asked for ${agentRegistry.get(agentId).name}` };
+    }
+
+    // Longest title first, so "pastry chef" isn't taken for "the chef"
+    findByTitle(text) {
+        const titles = Object.entries(AGENT_TITLES)
+            .flatMap(([agentId, names]) => names.map(name => ({ agentId, name })))
+            .sort((a, b) => b.name.length - a.name.length);
+
+        return titles.find(({ name }) => text.includes(name))?.agentId || null;
+    }
+
+    // An agent keeps a guest who mentions any of its own topics ("a dessert wine" stays with Isabella)
+    findTopicOwner(transcript, currentAgentId) {
+        const text = transcript.toLowerCase();
+        const matches = Object.entries(TOPIC_OWNERS)
+            .map(([agentId, topics]) => ({ agentId, topic: topics.find(keyword => text.includes(keyword)) }))
+            .filter(match => match.topic);
+
+        if (matches.length === 0 || matches.some(match => match.agentId === currentAgentId)) {
+            return null;
+        }
+
+        const { agentId, topic } = matches[0];
+        return { agentId, trigger: 'intent', reason: `Guest asked about ${topic}` };
+    }
+}
+
+export default HandoffRouter;
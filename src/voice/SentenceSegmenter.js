@@ -0,0 +1,53 @@
+/**
+ * Sentence Segmenter
+ * Splits a streamed reply into speakable sentences so TTS can start
+ * on the first sentence while the rest is still being generated
+ */
+
+// Terminal punctuation (plus closing quotes/brackets) followed by whitespace;
+// "7.30" or "Dr.Smith" never split because no whitespace follows the period
+const SENTENCE_BOUNDARY = /[.!?…]+["')\]]*\s+/g;
+
+export class SentenceSegmenter {
+    constructor(options = {}) {
+        this.buffer = '';
+        // Short exclamations ("Ah!") are merged into the next sentence
+        this.minLength = options.minLength || 20;
+    }
+
+    /**
+     * Add a streamed fragment and return any sentences it completed
+     */
+    push(delta) {
+        this.buffer += delta;
+        const sentences = [];
+
+        let start = 0;
+        let match;
+        SENTENCE_BOUNDARY.lastIndex = 0;
+
+        while ((match = SENTENCE_BOUNDARY.exec(this.buffer)) !== null) {
+            const end = match.index + match[0].length;
+            const candidate = this.buffer.slice(start, end).trim();
+
+            if (candidate.length >= this.minLength) {
+                sentences.push(candidate);
+                start = end;
+            }
+        }
+
+        this.buffer = this.buffer.slice(start);
+        return sentences;
+    }
+
+    /**
+     * Return whatever text remains once the stream has finished
+     */
+    flush() {
+        const remainder = this.buffer.trim();
+        this.buffer = '';
+        return remainder ? [remainder] : [];
+    }
+}
+
+export default SentenceSegmenter;
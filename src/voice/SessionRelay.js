@@ -0,0 +1,152 @@
+/**
+ * Session Relay
+ * Delivers voice session events to whichever WebSocket the session is attached to.
+ * Events are numbered per session and the most recent ones are kept, so a client
+ * that reconnects can resume a session and have everything it missed replayed.
+ */
+
+import EventEmitter from 'events';
+
+const DEFAULT_BUFFER_SIZE = 500;
+const DEFAULT_RESUME_TTL_MS = 2 * 60 * 1000;
+const DEFAULT_MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// "Try Again Later": the client should reconnect and voice_resume
+const CLOSE_SLOW_CONSUMER = 1013;
+
+export class SessionRelay extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.bufferSize = options.bufferSize || DEFAULT_BUFFER_SIZE;
+        this.resumeTtlMs = options.resumeTtlMs ?? parseInt(process.env.WS_RESUME_TTL_MS || String(DEFAULT_RESUME_TTL_MS), 10);
+        this.maxBufferedBytes = options.maxBufferedBytes ?? parseInt(process.env.WS_MAX_BUFFERED_BYTES || String(DEFAULT_MAX_BUFFERED_BYTES), 10);
+
+        // sessionId -> { ws, owner, seq, events, detachedAt, expiryTimer }
+        this.sessions = new Map();
+    }
+
+    /**
+     * Start relaying a new session to ws. owner is the principal subject allowed to resume it.
+     */
+    open(sessionId, ws, owner) {
+        this.sessions.set(sessionId, {
+            ws,
+            owner,
+            seq: 0,
+            events: [],
+            detachedAt: null,
+            expiryTimer: null
+        });
+    }
+
+    has(sessionId) {
+        return this.sessions.has(sessionId);
+    }
+
+    isAttached(sessionId, ws) {
+        return this.sessions.get(sessionId)?.ws === ws;
+    }
+
+    /**
+     * Sessions attached to ws, oldest first
+     */
+    sessionsFor(ws) {
+        return [...this.sessions.entries()]
+            .filter(([, session]) => session.ws === ws)
+            .map(([sessionId]) => sessionId);
+    }
+
+    /**
+     * Number, buffer and (if attached) deliver an event for a session.
+     * A socket that stops draining is closed rather than queueing without bound;
+     * the events stay buffered here for the client's voice_resume.
+     */
+    send(sessionId, payload) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return null;
+
+        const event = { ...payload, sessionId, seq: ++session.seq };
+        session.events.push(event);
+        if (session.events.length > this.bufferSize) {
+            session.events.shift();
+        }
+
+        const ws = session.ws;
+        if (ws?.readyState !== ws?.OPEN) {
+            return event;
+        }
+
+        if (this.maxBufferedBytes > 0 && ws.bufferedAmount > this.maxBufferedBytes) {
+            this.emit('slowConsumer', { sessionId, bufferedAmount: ws.bufferedAmount });
+            ws.close(CLOSE_SLOW_CONSUMER, 'Client is not keeping up; resume the session');
+            return event;
+        }
+
+        ws.send(JSON.stringify(event));
+        return event;
+    }
+
+    /**
+     * Detach every session on a closed socket; each expires unless resumed within resumeTtlMs
+     */
+    detach(ws) {
+        const sessionIds = this.sessionsFor(ws);
+
+        for (const sessionId of sessionIds) {
+            const session = this.sessions.get(sessionId);
+            session.ws = null;
+            session.detachedAt = Date.now();
+            session.expiryTimer = setTimeout(() => this.expire(sessionId), this.resumeTtlMs);
+            session.expiryTimer.unref?.();
+        }
+
+        return sessionIds;
+    }
+
+    /**
+     * Reattach a session to ws and replay events after lastSeq.
+     * Returns { replayed, gap } where gap means older events were no longer buffered.
+     */
+    resume(sessionId, ws, { owner, lastSeq = 0, allowAnyOwner = false } = {}) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            throw new Error(`Session ${sessionId} not found or expired`);
+        }
+        if (session.owner !== owner && !allowAnyOwner) {
+            throw new Error(`Session ${sessionId} belongs to another client`);
+        }
+
+        // A session can only be live on one socket; the previous one stops receiving it
+        clearTimeout(session.expiryTimer);
+        session.expiryTimer = null;
+        session.detachedAt = null;
+        session.ws = ws;
+
+        const missed = session.events.filter(event => event.seq > lastSeq);
+        const gap = missed.length > 0 && missed[0].seq > lastSeq + 1;
+        missed.forEach(event => ws.send(JSON.stringify({ ...event, replayed: true })));
+
+        return { replayed: missed.length, gap, lastSeq: session.seq };
+    }
+
+    expire(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session || session.ws) return;
+
+        this.emit('expired', { sessionId, detachedAt: session.detachedAt });
+        this.close(sessionId);
+    }
+
+    /**
+     * Stop relaying a session and drop its buffered events
+     */
+    close(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) return;
+
+        clearTimeout(session.expiryTimer);
+        this.sessions.delete(sessionId);
+    }
+}
+
+export default SessionRelay;
@@ -0,0 +1,214 @@
+/**
+ * Transcript Exporter
+ * Renders a stored conversation (DatabaseManager.getConversation) as JSON, CSV,
+ * plain text or WebVTT captions timed to the synthesized audio.
+ */
+
+import { agentRegistry } from '../agents/registry.js';
+import { estimateAudioDuration } from './VoiceManager.js';
+
+export const TRANSCRIPT_FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    text: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+    vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' }
+};
+
+const FORMAT_ALIASES = {
+    txt: 'text',
+    webvtt: 'vtt'
+};
+
+const CSV_COLUMNS = [
+    'session_id', 'seq', 'timestamp', 'speaker', 'type', 'content',
+    'emotion', 'confidence', 'interrupted', 'audio_duration', 'audio_urls'
+];
+
+export class TranscriptExporter {
+    /**
+     * @param {Object} conversation - Conversation summary with messages
+     * @param {string} requestedFormat - json | csv | text (txt) | vtt (webvtt)
+     * @returns {{body: string, contentType: string, filename: string}}
+     */
+    render(conversation, requestedFormat = 'json') {
+        const format = FORMAT_ALIASES[requestedFormat] || requestedFormat;
+        const target = TRANSCRIPT_FORMATS[format];
+        if (!target) {
+            throw new Error(`Unknown transcript format "${requestedFormat}". Expected one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`);
+        }
+
+        const renderers = {
+            json: () => this.toJSON(conversation),
+            csv: () => this.toCSV(conversation),
+            text: () => this.toText(conversation),
+            vtt: () => this.toWebVTT(conversation)
+        };
+
+        return {
+            body: renderers[format](),
+            contentType: target.contentType,
+            filename: `${conversation.sessionId}.${target.extension}`
+        };
+    }
+
+    toJSON(conversation) {
+        return JSON.stringify({
+            ...conversation,
+            agentName: this.getAgentName(conversation.agentId),
+            exportedAt: new Date().toISOString()
+        }, null, 2);
+    }
+
+    toCSV(conversation) {
+        const rows = (conversation.messages || []).map(message => [
+            conversation.sessionId,
+            message.seq,
+            message.timestamp,
+            this.getSpeaker(conversation, message),
+            message.type,
+            message.content,
+            message.emotion,
+            message.confidence,
+            message.interrupted ? 'true' : 'false',
+            this.getSpokenDuration(message).toFixed(2),
+            (message.audio || []).map(chunk => chunk.audioUrl).filter(Boolean).join(' ')
+        ]);
+
+        return [CSV_COLUMNS, ...rows]
+            .map(row => row.map(value => this.escapeCSV(value)).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    toText(conversation) {
+        const lines = [
+            `Conversation ${conversation.sessionId}`,
+            `Agent: ${this.getAgentName(conversation.agentId)} (${conversation.agentId})`,
+            `Guest: ${conversation.userId || 'anonymous'}`,
+            `Started: ${conversation.startedAt}`,
+            `Ended: ${conversation.endedAt || 'in progress'}`
+        ];
+
+        if (conversation.sentiment !== null && conversation.sentiment !== undefined) {
+            lines.push(`Sentiment: ${conversation.sentiment}`);
+        }
+        lines.push('');
+
+        for (const message of conversation.messages || []) {
+            const time = new Date(message.timestamp).toISOString().slice(11, 19);
+            const details = [message.emotion];
+            if (typeof message.confidence === 'number') {
+                details.push(`${Math.round(message.confidence * 100)}%`);
+            }
+
+            const label = details.filter(Boolean).length > 0 ?
+                `${this.getSpeaker(conversation, message)} (${details.filter(Boolean).join(', ')})` :
+                this.getSpeaker(conversation, message);
+
+            lines.push(`[${time}] ${label}: ${message.content}`);
+
+            if (message.interrupted) {
+                const unheard = (message.fullContent || '').slice(message.content.length).trim();
+                lines.push(`           (interrupted${unheard ? ` before: "${unheard}"` : ''})`);
+            }
+
+            const audioUrls = (message.audio || []).map(chunk => chunk.audioUrl).filter(Boolean);
+            if (audioUrls.length > 0) {
+                lines.push(`           audio: ${audioUrls.join(', ')}`);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Captions start at each message's offset from the start of the conversation and
+     * last as long as its audio. Agent replies get one cue per synthesized sentence.
+     */
+    toWebVTT(conversation) {
+        const startedAt = new Date(conversation.startedAt).getTime();
+        const cues = [];
+        let cursor = 0;
+
+        for (const message of (conversation.messages || []).filter(message => message.type !== 'handoff')) {
+            const offset = (new Date(message.timestamp).getTime() - startedAt) / 1000;
+            let start = Math.max(offset, cursor);
+            const speaker = this.getSpeaker(conversation, message);
+
+            for (const segment of this.getCaptionSegments(message)) {
+                const end = start + segment.duration;
+                cues.push({ start, end, speaker, text: segment.text });
+                start = end;
+            }
+
+            cursor = start;
+        }
+
+        const blocks = cues.map((cue, index) => [
+            String(index + 1),
+            `${this.formatTimestamp(cue.start)} --> ${this.formatTimestamp(cue.end)}`,
+            `<v ${this.escapeVTT(cue.speaker)}>${this.escapeVTT(cue.text)}`
+        ].join('\n'));
+
+        return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+    }
+
+    getCaptionSegments(message) {
+        const chunks = (message.audio || []).filter(chunk => chunk.text);
+
+        // Interrupted replies only caption what the guest heard, so chunk timings no longer apply
+        if (chunks.length === 0 || message.interrupted) {
+            return message.content ?
+                [{ text: message.content, duration: estimateAudioDuration(message.content) }] :
+                [];
+        }
+
+        return chunks.map(chunk => ({
+            text: chunk.text,
+            duration: chunk.duration ?? estimateAudioDuration(chunk.text)
+        }));
+    }
+
+    getSpokenDuration(message) {
+        return this.getCaptionSegments(message).reduce((total, segment) => total + segment.duration, 0);
+    }
+
+    // Replies name the agent who gave them, which changes after a handoff
+    getSpeaker(conversation, message) {
+        if (message.type === 'handoff') return 'Transfer';
+        if (message.type === 'staff') return `Staff (${message.staff})`;
+        return message.type === 'agent' ? this.getAgentName(message.agentId || conversation.agentId) : 'Guest';
+    }
+
+    getAgentName(agentId) {
+        return agentRegistry.get(agentId)?.name || agentId;
+    }
+
+    formatTimestamp(seconds) {
+        const totalMs = Math.round(seconds * 1000);
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+            `${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+    }
+
+    // Text starting with = + - @ (or a tab or CR) would run as a formula in a spreadsheet, so it gets a leading '
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Cue text may not contain "-->" and must escape markup characters
+    escapeVTT(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\n+/g, ' ');
+    }
+}
+
+export default TranscriptExporter;
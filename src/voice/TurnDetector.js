@@ -0,0 +1,172 @@
+/**
+ * Turn Detector
+ * Server-side voice activity detection over streamed 16-bit mono PCM. It takes the same
+ * turn_detection settings ConvAIManager writes for ConvAI agents (threshold, prefix_padding_ms,
+ * silence_duration_ms), so a local session decides the guest has finished speaking the way a
+ * deployed agent does.
+ *
+ * Each 20 ms window gets a 0-1 speech score from its loudness above an adaptive noise floor;
+ * threshold is the score that counts as speech, so raising it needs louder speech.
+ */
+
+import EventEmitter from 'events';
+
+export const DEFAULT_TURN_DETECTION = {
+    type: 'server_vad',
+    threshold: 0.5,
+    prefix_padding_ms: 300,
+    silence_duration_ms: 800
+};
+
+const WINDOW_MS = 20;
+// Speech shorter than this (clicks, taps) doesn't start a turn
+const MIN_SPEECH_MS = 60;
+// A window this far above the noise floor scores 0.5; each SCORE_SLOPE_DB moves the score along a logistic curve
+const SPEECH_MARGIN_DB = 12;
+const SCORE_SLOPE_DB = 3;
+const INITIAL_NOISE_FLOOR_DB = -60;
+const MIN_NOISE_FLOOR_DB = -80;
+const SILENT_DB = -100;
+
+/**
+ * The turn_detection block: defaults, then VAD_THRESHOLD / VAD_PREFIX_PADDING_MS /
+ * VAD_SILENCE_DURATION_MS, then per-session overrides
+ */
+export function turnDetectionConfig(overrides = {}, env = process.env) {
+    const config = { ...DEFAULT_TURN_DETECTION };
+
+    if (env.VAD_THRESHOLD) config.threshold = parseFloat(env.VAD_THRESHOLD);
+    if (env.VAD_PREFIX_PADDING_MS) config.prefix_padding_ms = parseInt(env.VAD_PREFIX_PADDING_MS, 10);
+    if (env.VAD_SILENCE_DURATION_MS) config.silence_duration_ms = parseInt(env.VAD_SILENCE_DURATION_MS, 10);
+
+    for (const [name, value] of Object.entries(overrides || {})) {
+        if (value !== undefined && value !== null) config[name] = value;
+    }
+    return config;
+}
+
+export class TurnDetector extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.sampleRate = options.sampleRate || 16000;
+        this.config = turnDetectionConfig(options.turnDetection);
+        // A guest who never pauses still gets an answer
+        this.maxTurnMs = options.maxTurnMs ?? parseInt(process.env.VAD_MAX_TURN_MS || '30000', 10);
+
+        this.windowBytes = Math.round(this.sampleRate * WINDOW_MS / 1000) * 2;
+        this.prefixWindows = Math.ceil(this.config.prefix_padding_ms / WINDOW_MS) + MIN_SPEECH_MS / WINDOW_MS;
+        this.pending = Buffer.alloc(0);
+        this.noiseFloorDb = INITIAL_NOISE_FLOOR_DB;
+        this.positionMs = 0;
+        this.reset();
+    }
+
+    reset() {
+        this.speaking = false;
+        this.prefix = [];
+        this.windows = [];
+        this.voicedMs = 0;
+        this.silenceMs = 0;
+        this.speechStartMs = null;
+    }
+
+    /**
+     * Feed PCM of any length; emits speech_started, speech_stopped and turn as they happen
+     */
+    push(frame) {
+        let data = this.pending.length > 0 ? Buffer.concat([this.pending, frame]) : frame;
+
+        while (data.length >= this.windowBytes) {
+            this.processWindow(data.subarray(0, this.windowBytes));
+            data = data.subarray(this.windowBytes);
+        }
+
+        // Copy the remainder so the caller's buffer can be reused
+        this.pending = Buffer.from(data);
+    }
+
+    /**
+     * End of stream: finish any turn in progress
+     */
+    flush() {
+        this.pending = Buffer.alloc(0);
+        if (this.speaking) {
+            this.endTurn();
+        }
+    }
+
+    processWindow(window) {
+        const level = levelDb(window);
+        const voiced = this.score(level) >= this.config.threshold;
+        this.positionMs += WINDOW_MS;
+
+        if (!this.speaking) {
+            if (!voiced) {
+                this.updateNoiseFloor(level);
+            }
+
+            this.prefix.push(window);
+            if (this.prefix.length > this.prefixWindows) {
+                this.prefix.shift();
+            }
+
+            this.voicedMs = voiced ? this.voicedMs + WINDOW_MS : 0;
+            if (this.voicedMs >= MIN_SPEECH_MS) {
+                this.speaking = true;
+                this.windows = this.prefix;
+                this.prefix = [];
+                this.speechStartMs = this.positionMs - this.voicedMs;
+                this.silenceMs = 0;
+                this.emit('speech_started', { audioStartMs: this.speechStartMs });
+            }
+            return;
+        }
+
+        this.windows.push(window);
+        this.silenceMs = voiced ? 0 : this.silenceMs + WINDOW_MS;
+
+        if (this.silenceMs >= this.config.silence_duration_ms || this.positionMs - this.speechStartMs >= this.maxTurnMs) {
+            this.endTurn();
+        }
+    }
+
+    endTurn() {
+        const audioStartMs = this.speechStartMs;
+        const audioEndMs = this.positionMs - this.silenceMs;
+        const trailingSilence = this.silenceMs / WINDOW_MS;
+        const audio = Buffer.concat(this.windows.slice(0, this.windows.length - trailingSilence));
+
+        this.reset();
+        this.emit('speech_stopped', { audioStartMs, audioEndMs });
+        this.emit('turn', { audio, sampleRate: this.sampleRate, audioStartMs, audioEndMs });
+    }
+
+    /**
+     * Speech probability for a window level: 0.5 at SPEECH_MARGIN_DB above the noise floor
+     */
+    score(level) {
+        return 1 / (1 + Math.exp(-(level - this.noiseFloorDb - SPEECH_MARGIN_DB) / SCORE_SLOPE_DB));
+    }
+
+    // Falls quickly to quieter background noise, rises slowly so a pause doesn't learn speech as noise
+    updateNoiseFloor(level) {
+        const rate = level < this.noiseFloorDb ? 0.5 : 0.01;
+        this.noiseFloorDb = Math.max(MIN_NOISE_FLOOR_DB, this.noiseFloorDb + (level - this.noiseFloorDb) * rate);
+    }
+}
+
+/**
+ * RMS level of 16-bit little-endian samples in dBFS
+ */
+function levelDb(window) {
+    let sum = 0;
+    for (let offset = 0; offset < window.length; offset += 2) {
+        const sample = window.readInt16LE(offset);
+        sum += sample * sample;
+    }
+
+    const rms = Math.sqrt(sum / (window.length / 2));
+    return rms > 0 ? Math.max(SILENT_DB, 20 * Math.log10(rms / 32768)) : SILENT_DB;
+}
+
+export default TurnDetector;
@@ -4,40 +4,87 @@
  */
 
 import EventEmitter from 'events';
-import axios from 'axios';
-import fs from 'fs/promises';
-import path from 'path';
+import { agentRegistry, toUnitScale } from '../agents/registry.js';
+import { ConvAIManager } from '../convai/ConvAIManager.js';
+import { createLLMProvider, LocalProvider } from '../llm/index.js';
+import { createAudioStore } from '../storage/index.js';
+import { createTTS } from '../tts/index.js';
+import { pcmFromWav, wavFromPcm } from '../tts/wav.js';
+import { resamplePcm } from '../tts/pcm.js';
+import { createSTT, prepareAudio, TranscriptionError } from '../stt/index.js';
+import { AudioCache } from './AudioCache.js';
+import { HandoffRouter } from './HandoffRouter.js';
+
+// Replies that admit the agent doesn't know or didn't follow the guest
+const HEDGING = /\b(?:i'm not (?:sure|certain)|i am not (?:sure|certain)|i don't know|i do not know|i'm afraid i (?:can't|don't)|i (?:didn't|did not) (?:catch|understand|follow)|could you (?:repeat|rephrase|say that again)|not sure i understand|i can't help with)\b/i;
+
+/**
+ * Estimate spoken duration in seconds; also used to time transcript captions
+ */
+export function estimateAudioDuration(text) {
+    // Rough estimate: 150 words per minute, average 5 characters per word
+    const wordsPerMinute = 150;
+    const avgCharsPerWord = 5;
+    const words = text.length / avgCharsPerWord;
+    return (words / wordsPerMinute) * 60; // Duration in seconds
+}
 
 export class VoiceManager extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
         this.conversations = new Map();
         this.activeStreams = new Map();
-        this.elevenLabsApiKey = process.env.ELEVENLABS_API_KEY;
-        this.voiceSettings = {
-            stability: 0.8,
-            similarity_boost: 0.85,
-            style: 0.7,
-            use_speaker_boost: true
-        };
+        this.llmProvider = options.llmProvider || createLLMProvider();
+        this.fallbackProvider = new LocalProvider();
+        this.convaiManager = options.convaiManager || new ConvAIManager();
+        this.systemPrompts = new Map();
+        this.historyLimit = options.historyLimit || 12;
+        this.handoffRouter = options.handoffRouter || new HandoffRouter();
+        // Tools (an AgentTools) run from what the guest says before the agent replies
+        this.agentTools = options.agentTools || null;
+
+        // Sessions nobody has spoken in for idleTtlMs are ended by cleanup(); 0 disables either limit
+        this.idleTtlMs = options.idleTtlMs ?? parseInt(process.env.VOICE_SESSION_IDLE_TTL_MS || String(15 * 60 * 1000), 10);
+        this.maxSessionsPerUser = options.maxSessionsPerUser ?? parseInt(process.env.VOICE_MAX_SESSIONS_PER_USER || '5', 10);
+        this.cleanupTimer = null;
+        this.tts = options.tts || createTTS();
+        this.stt = options.stt || createSTT();
+        this.maxAudioBytes = options.maxAudioBytes ?? parseInt(process.env.STT_MAX_AUDIO_BYTES || String(10 * 1024 * 1024), 10);
+        this.audioCache = options.audioCache || new AudioCache({ store: createAudioStore() });
+        // Turns a cache key into the URL clients fetch it from (server.js signs it)
+        this.audioUrlFor = options.audioUrlFor || (key => `/api/audio/${key}`);
     }
 
     /**
      * Start a new conversation session
      */
-    startConversation(sessionId, agentId, userId = 'anonymous') {
+    startConversation(sessionId, agentId, userId = 'anonymous', { owner = userId } = {}) {
+        const agent = agentRegistry.require(agentId);
+
+        if (!this.hasSessionCapacity(owner)) {
+            throw new Error(`${owner} already has ${this.maxSessionsPerUser} active voice sessions`);
+        }
+
         const conversation = {
             sessionId,
-            agentId,
+            agentId: agent.id,
             userId,
+            owner,
             startTime: Date.now(),
+            lastActivityAt: Date.now(),
             messages: [],
             emotionalState: 'welcoming',
             context: {
                 lastInteraction: null,
                 topicContext: [],
                 preferences: {},
-                personalityState: 'baseline'
+                personalityState: 'baseline',
+                interruptions: [],
+                pendingInterruption: null,
+                handoffs: [],
+                pendingHandoff: null,
+                // Set while a person has taken the conversation over from the agent
+                staff: null
             }
         };
 
@@ -48,49 +95,506 @@ export class VoiceManager extends EventEmitter {
     }
 
     /**
-     * Process speech input and generate response
+     * Whether owner (the API principal that starts sessions) is under maxSessionsPerUser
+     */
+    hasSessionCapacity(owner) {
+        if (!this.maxSessionsPerUser) return true;
+
+        let active = 0;
+        for (const conversation of this.conversations.values()) {
+            if (conversation.owner === owner) active++;
+        }
+        return active < this.maxSessionsPerUser;
+    }
+
+    /**
+     * End a session: cancel anything in flight and drop it from memory.
+     * reason is stored with the conversation (ended, timeout, disconnected).
+     */
+    endConversation(sessionId, { reason = 'ended' } = {}) {
+        const conversation = this.conversations.get(sessionId);
+        if (!conversation) {
+            return null;
+        }
+
+        // Only a reply still being generated counts as cut off; finished ones keep their text
+        const activeResponse = this.activeStreams.get(sessionId);
+        if (activeResponse?.status === 'generating') {
+            this.interruptResponse(sessionId);
+        }
+        activeResponse?.controller.abort();
+
+        this.activeStreams.delete(sessionId);
+        this.conversations.delete(sessionId);
+
+        conversation.endTime = Date.now();
+        conversation.endReason = reason;
+        this.emit('conversationEnded', conversation);
+
+        return conversation;
+    }
+
+    /**
+     * Transfer a session to another agent: the new agent's voice is used from now on, and its
+     * next reply is prompted with a summary of the conversation so the guest needn't repeat
+     * themselves. Any reply other than options.response still being generated is cut off.
+     *
+     * @param {string} sessionId
+     * @param {string} agentId - Agent taking over
+     * @param {Object} [options]
+     * @param {string} [options.reason] - Why, for the log and the new agent's prompt
+     * @param {string} [options.trigger] - explicit (asked for) or intent (routed by topic)
+     * @param {boolean} [options.introduce] - Add a spoken introduction from the new agent
+     * @param {Object} [options.response] - Reply (from beginResponse) the new agent is about to give
+     * @returns {{handoff: Object, message: Object, introduction: Object|null}}
+     */
+    handoffConversation(sessionId, agentId, { reason = null, trigger = 'explicit', introduce = false, response = null } = {}) {
+        const conversation = this.conversations.get(sessionId);
+        if (!conversation) {
+            throw new Error('Conversation not found');
+        }
+
+        const from = agentRegistry.require(conversation.agentId);
+        const to = agentRegistry.require(agentId);
+        if (from.id === to.id) {
+            throw new Error(`${to.name} is already handling this conversation`);
+        }
+
+        const activeResponse = this.activeStreams.get(sessionId);
+        if (activeResponse && activeResponse !== response && activeResponse.status === 'generating') {
+            this.interruptResponse(sessionId);
+        }
+
+        const timestamp = Date.now();
+        const handoff = {
+            fromAgentId: from.id,
+            toAgentId: to.id,
+            reason,
+            trigger,
+            summary: this.summarizeConversation(conversation),
+            introduced: introduce,
+            timestamp
+        };
+
+        const message = {
+            ...this.nextMessageIdentity(conversation),
+            type: 'handoff',
+            content: `${from.name} transferred the guest to ${to.name}${reason ? ` (${reason})` : ''}`,
+            timestamp,
+            handoff
+        };
+        conversation.messages.push(message);
+
+        conversation.agentId = to.id;
+        conversation.context.handoffs.push(handoff);
+        conversation.context.pendingHandoff = handoff;
+        conversation.lastActivityAt = timestamp;
+
+        let introduction = null;
+        if (introduce) {
+            introduction = {
+                ...this.nextMessageIdentity(conversation),
+                type: 'agent',
+                agentId: to.id,
+                content: `Hello, this is ${to.name}, ${to.role}. ${from.name.split(' ')[0]} has filled me in, so you won't need to repeat yourself. How can I help?`,
+                timestamp,
+                emotion: 'welcoming',
+                confidence: 1,
+                audio: []
+            };
+            conversation.messages.push(introduction);
+        }
+
+        this.emit('conversationHandoff', { sessionId, handoff, message, introduction });
+
+        return { handoff, message, introduction };
+    }
+
+    /**
+     * A person takes the conversation over: the agent stops answering (a reply still being
+     * generated is cut off) until endStaffTakeover hands it back
+     */
+    beginStaffTakeover(sessionId, staff) {
+        const conversation = this.conversations.get(sessionId);
+        if (!conversation) {
+            throw new Error('Conversation not found');
+        }
+
+        if (this.activeStreams.get(sessionId)?.status === 'generating') {
+            this.interruptResponse(sessionId);
+        }
+
+        conversation.context.staff = { subject: staff, since: Date.now() };
+        conversation.lastActivityAt = Date.now();
+        return conversation.context.staff;
+    }
+
+    endStaffTakeover(sessionId) {
+        const conversation = this.conversations.get(sessionId);
+        if (!conversation) {
+            return null;
+        }
+
+        const staff = conversation.context.staff;
+        conversation.context.staff = null;
+        conversation.lastActivityAt = Date.now();
+        return staff;
+    }
+
+    /**
+     * Something staff typed to the guest during a takeover; spoken in the agent's voice by
+     * whoever relays the staffMessage event
+     */
+    recordStaffMessage(sessionId, text, staff) {
+        const conversation = this.conversations.get(sessionId);
+        if (!conversation) {
+            throw new Error('Conversation not found');
+        }
+
+        const message = {
+            ...this.nextMessageIdentity(conversation),
+            type: 'staff',
+            staff,
+            agentId: conversation.agentId,
+            content: text,
+            timestamp: Date.now(),
+            audio: []
+        };
+
+        conversation.messages.push(message);
+        conversation.lastActivityAt = Date.now();
+        this.emit('staffMessage', { sessionId, message });
+
+        return message;
+    }
+
+    /**
+     * Audio a staff message was spoken with, kept on the stored message like a reply's chunks
+     */
+    recordStaffAudio(sessionId, message, chunk) {
+        message.audio.push({
+            text: chunk.text,
+            duration: chunk.duration,
+            audioUrl: chunk.audioUrl || null
+        });
+        this.emit('messageUpdated', { sessionId, message });
+    }
+
+    /**
+     * What the next agent needs to know: the topics raised and the last few exchanges
+     */
+    summarizeConversation(conversation) {
+        const topics = conversation.context.topicContext;
+        const lastGuestMessage = conversation.messages.filter(message => message.type === 'user').pop();
+
+        if (topics.length === 0) {
+            return lastGuestMessage ?
+                `The guest has just said: "${lastGuestMessage.content}"` :
+                'The guest has only just started the conversation.';
+        }
+
+        const intents = [...new Set(topics.map(topic => topic.userIntent))].filter(intent => intent !== 'general');
+        const exchanges = topics.slice(-3).map(topic => {
+            const agentName = agentRegistry.get(topic.agentId)?.name || 'Agent';
+            return `Guest: "${topic.userInput}" ${agentName}: "${this.cutAtWordBoundary(topic.agentResponse, 160)}"`;
+        });
+
+        return [
+            intents.length > 0 ? `Topics so far: ${intents.join(', ')}.` : null,
+            ...exchanges
+        ].filter(Boolean).join('\n');
+    }
+
+    // Messages are numbered per session so they can be stored and updated individually
+    nextMessageIdentity(conversation) {
+        const seq = conversation.messages.length;
+        return { id: `${conversation.sessionId}:${seq}`, seq };
+    }
+
+    /**
+     * Register the response about to be generated for a session.
+     * Any response still generating is interrupted first, since the guest has moved on.
+     */
+    beginResponse(sessionId) {
+        const previous = this.activeStreams.get(sessionId);
+        if (previous && previous.status === 'generating') {
+            this.interruptResponse(sessionId);
+        }
+
+        const activeResponse = {
+            responseId: `resp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            controller: new AbortController(),
+            status: 'generating',
+            chunks: [],
+            agentMessage: null,
+            interruption: null
+        };
+
+        this.activeStreams.set(sessionId, activeResponse);
+        return activeResponse;
+    }
+
+    /**
+     * Record an audio chunk delivered to the client, so playback position can be mapped back to text
+     */
+    recordAudioChunk(sessionId, responseId, chunk) {
+        const activeResponse = this.activeStreams.get(sessionId);
+        if (!activeResponse || activeResponse.responseId !== responseId) {
+            return;
+        }
+
+        // Shared with agentMessage.audio, so the stored message picks up every chunk
+        activeResponse.chunks.push({
+            text: chunk.text,
+            duration: chunk.duration,
+            audioUrl: chunk.audioUrl || null
+        });
+
+        if (activeResponse.agentMessage) {
+            this.emit('messageUpdated', { sessionId, message: activeResponse.agentMessage });
+        }
+    }
+
+    /**
+     * Barge-in: cancel pending generation and synthesis for the session's latest response
+     * and cut the agent message down to what the guest actually heard.
+     *
+     * @param {string} sessionId
+     * @param {Object} [details]
+     * @param {string} [details.spokenText] - Text the client finished speaking
+     * @param {number} [details.playedMs] - Milliseconds of response audio played before the interruption
+     * @returns {Object|null} The interruption record, or null if nothing was in progress
+     */
+    interruptResponse(sessionId, details = {}) {
+        const conversation = this.conversations.get(sessionId);
+        if (!conversation) {
+            throw new Error('Conversation not found');
+        }
+
+        const activeResponse = this.activeStreams.get(sessionId);
+        if (!activeResponse || activeResponse.interruption) {
+            return null;
+        }
+
+        conversation.lastActivityAt = Date.now();
+        activeResponse.interruption = {
+            responseId: activeResponse.responseId,
+            spokenText: typeof details.spokenText === 'string' ? details.spokenText : null,
+            playedMs: Number.isFinite(details.playedMs) ? details.playedMs : null,
+            timestamp: Date.now()
+        };
+        activeResponse.controller.abort();
+
+        // Still generating: processSpeechInput applies the interruption once the abort lands
+        if (activeResponse.agentMessage) {
+            this.applyInterruption(conversation, activeResponse);
+        }
+
+        return activeResponse.interruption;
+    }
+
+    applyInterruption(conversation, activeResponse) {
+        const message = activeResponse.agentMessage;
+        const fullText = message.content;
+        const spokenText = this.resolveSpokenText(fullText, activeResponse);
+
+        message.content = spokenText;
+        message.fullContent = fullText;
+        message.interrupted = true;
+
+        const interruption = Object.assign(activeResponse.interruption, {
+            spokenText,
+            unspokenText: fullText.slice(spokenText.length).trim()
+        });
+
+        conversation.context.interruptions.push(interruption);
+        conversation.context.pendingInterruption = interruption;
+        activeResponse.status = 'interrupted';
+
+        this.emit('responseInterrupted', {
+            sessionId: conversation.sessionId,
+            agentMessage: message,
+            interruption
+        });
+    }
+
+    /**
+     * Work out how much of a reply was heard, preferring the client's own account
+     */
+    resolveSpokenText(fullText, activeResponse) {
+        const { spokenText, playedMs } = activeResponse.interruption;
+
+        if (spokenText !== null) {
+            const heard = spokenText.trim();
+            return fullText.startsWith(heard) ? heard : this.cutAtWordBoundary(fullText, heard.length);
+        }
+
+        if (playedMs !== null) {
+            const chunks = activeResponse.chunks.length > 0 ?
+                activeResponse.chunks :
+                [{ text: fullText, duration: this.estimateAudioDuration(fullText) }];
+            let remaining = playedMs / 1000;
+            const heard = [];
+
+            for (const chunk of chunks) {
+                if (remaining >= chunk.duration) {
+                    heard.push(chunk.text);
+                    remaining -= chunk.duration;
+                    continue;
+                }
+                heard.push(this.cutAtWordBoundary(chunk.text, Math.floor(chunk.text.length * remaining / chunk.duration)));
+                break;
+            }
+
+            return heard.join(' ').trim();
+        }
+
+        // No playback position reported: assume everything already delivered was heard
+        return activeResponse.chunks.map(chunk => chunk.text).join(' ').trim();
+    }
+
+    cutAtWordBoundary(text, length) {
+        if (length >= text.length) return text;
+
+        const cut = text.slice(0, length);
+        const lastSpace = cut.lastIndexOf(' ');
+        return (lastSpace > 0 ? cut.slice(0, lastSpace) : '').trim();
+    }
+
+    /**
+     * Process speech input and generate response.
+     * Pass options.onDelta to receive the reply incrementally as it is generated, and
+     * options.response (from beginResponse) to know the response ID before generation starts.
      */
-    async processSpeechInput(sessionId, transcript, audioData = null) {
+    async processSpeechInput(sessionId, transcript, audioData = null, options = {}) {
         const conversation = this.conversations.get(sessionId);
         if (!conversation) {
             throw new Error('Conversation not found');
         }
 
+        const activeResponse = options.response || this.beginResponse(sessionId);
+        const { signal } = activeResponse.controller;
+        conversation.lastActivityAt = Date.now();
+
         // Add user message to conversation
+        // Analyze speech for emotional context
+        const emotionalContext = this.analyzeSpeechEmotion(transcript);
+
         const userMessage = {
+            ...this.nextMessageIdentity(conversation),
             type: 'user',
             content: transcript,
             timestamp: Date.now(),
-            audioData: audioData ? audioData.length : null
+            emotion: emotionalContext,
+            audioData: audioData ? audioData.length : null,
+            // From transcribeSpeech when the guest sent audio instead of text
+            confidence: options.recognition?.confidence ?? null,
+            recognition: options.recognition || null
         };
 
         conversation.messages.push(userMessage);
 
-        // Analyze speech for emotional context
-        const emotionalContext = this.analyzeSpeechEmotion(transcript);
+        // During a staff takeover the guest is talking to a person, who answers with recordStaffMessage
+        if (conversation.context.staff) {
+            activeResponse.status = 'complete';
+            this.emit('conversationUpdated', { sessionId, userMessage, agentMessage: null, context: conversation.context });
 
-        // Generate agent response
-        const agentResponse = await this.generateAgentResponse(
-            conversation.agentId,
-            transcript,
-            conversation,
-            emotionalContext
-        );
+            return {
+                text: '',
+                emotion: null,
+                confidence: null,
+                personalityFactors: {},
+                responseId: activeResponse.responseId,
+                interrupted: false,
+                agentId: conversation.agentId,
+                handoff: null,
+                awaitingStaff: true
+            };
+        }
+
+        // Asking for someone else, or about another agent's topic, passes the guest over first
+        const route = options.handoff !== false && this.handoffRouter.route(transcript, conversation.agentId);
+        const handoff = route ?
+            this.handoffConversation(sessionId, route.agentId, { reason: route.reason, trigger: route.trigger, response: activeResponse }).handoff :
+            null;
+
+        // "A table for four at 7:30 Friday" is booked first, so the reply can confirm it
+        const toolCall = options.tools !== false && this.agentTools ?
+            await this.agentTools.intercept(transcript, {
+                agentId: conversation.agentId,
+                sessionId,
+                userId: conversation.userId,
+                conversation
+            }) :
+            null;
+
+        // Generate agent response, keeping whatever was streamed in case the guest cuts in
+        let partialText = '';
+        const onDelta = options.onDelta && ((delta) => {
+            if (signal.aborted) return;
+            partialText += delta;
+            options.onDelta(delta);
+        });
+
+        let agentResponse;
+        try {
+            agentResponse = await this.generateAgentResponse(
+                conversation.agentId,
+                transcript,
+                conversation,
+                emotionalContext,
+                {
+                    onDelta,
+                    signal,
+                    interruption: conversation.context.pendingInterruption,
+                    handoff: conversation.context.pendingHandoff,
+                    toolCall
+                }
+            );
+            conversation.context.pendingInterruption = null;
+            conversation.context.pendingHandoff = null;
+        } catch (error) {
+            if (!signal.aborted) {
+                // No longer generating, so cleanup() can still expire the session
+                activeResponse.status = 'failed';
+                throw error;
+            }
+
+            agentResponse = {
+                text: partialText.trim(),
+                emotion: this.mapToEmotion(emotionalContext),
+                confidence: 0,
+                personalityFactors: {}
+            };
+        }
 
         // Add agent message to conversation
         const agentMessage = {
+            ...this.nextMessageIdentity(conversation),
             type: 'agent',
+            agentId: conversation.agentId,
             content: agentResponse.text,
             timestamp: Date.now(),
             emotion: agentResponse.emotion,
             confidence: agentResponse.confidence,
-            personalityFactors: agentResponse.personalityFactors
+            personalityFactors: agentResponse.personalityFactors,
+            responseId: activeResponse.responseId,
+            audio: activeResponse.chunks,
+            toolCall
         };
 
         conversation.messages.push(agentMessage);
+        activeResponse.agentMessage = agentMessage;
+
+        if (activeResponse.interruption) {
+            this.applyInterruption(conversation, activeResponse);
+        } else {
+            activeResponse.status = 'complete';
+        }
 
         // Update conversation context
         this.updateConversationContext(conversation, transcript, agentResponse);
+        conversation.lastActivityAt = Date.now();
 
         // Emit conversation update
         this.emit('conversationUpdated', {
@@ -100,15 +604,22 @@ export class VoiceManager extends EventEmitter {
             context: conversation.context
         });
 
-        return agentResponse;
+        return {
+            ...agentResponse,
+            text: agentMessage.content,
+            responseId: activeResponse.responseId,
+            interrupted: Boolean(agentMessage.interrupted),
+            agentId: conversation.agentId,
+            handoff,
+            toolCall
+        };
     }
 
     /**
      * Generate agent response with personality
      */
-    async generateAgentResponse(agentId, userInput, conversation, emotionalContext) {
-        const agentProfiles = await this.getAgentProfiles();
-        const agent = agentProfiles[agentId];
+    async generateAgentResponse(agentId, userInput, conversation, emotionalContext, options = {}) {
+        const agent = this.getAgentProfile(agentId);
 
         if (!agent) {
             throw new Error(`Agent ${agentId} not found`);
@@ -118,6 +629,7 @@ export class VoiceManager extends EventEmitter {
         const responseContext = {
             userInput,
             conversationHistory: conversation.messages.slice(-5),
+            chatMessages: this.toChatMessages(conversation.messages),
             emotionalState: conversation.emotionalState,
             agentPersonality: agent.personality,
             situationalContext: this.extractSituationalContext(userInput),
@@ -125,7 +637,7 @@ export class VoiceManager extends EventEmitter {
         };
 
         // Generate response based on agent personality
-        const response = await this.generatePersonalizedResponse(agent, responseContext);
+        const response = await this.generatePersonalizedResponse(agent, responseContext, options);
 
         // Update agent's emotional state
         conversation.emotionalState = this.calculateNewEmotionalState(
@@ -138,11 +650,10 @@ export class VoiceManager extends EventEmitter {
     }
 
     /**
-     * Generate personalized response based on agent personality
+     * Generate personalized response through the configured LLM provider
      */
-    async generatePersonalizedResponse(agent, context) {
+    async generatePersonalizedResponse(agent, context, options = {}) {
         const personality = agent.personality;
-        const responsePatterns = this.getResponsePatterns(agent.id);
 
         // Select response style based on personality
         let responseStyle = 'professional';
@@ -151,383 +662,306 @@ export class VoiceManager extends EventEmitter {
         if (personality.conscientiousness > 0.8) responseStyle = 'detailed';
         if (personality.openness > 0.8) responseStyle = 'creative';
 
-        // Generate contextual response
-        const baseResponse = this.selectBaseResponse(
-            context.userInput,
-            responsePatterns,
-            responseStyle
-        );
-
-        // Add personality-specific touches
-        const personalizedResponse = this.addPersonalityTouches(
-            baseResponse,
-            agent,
-            context
-        );
+        const completion = await this.generateReply(agent.id, context.chatMessages, options);
 
-        // Calculate confidence based on context match
-        const confidence = this.calculateResponseConfidence(
+        // Calculate confidence based on context match when the provider doesn't report one
+        const confidence = completion.confidence ?? this.calculateResponseConfidence(
             context.userInput,
-            personalizedResponse,
+            completion.text,
             context.conversationHistory
         );
 
         return {
-            text: personalizedResponse,
-            emotion: this.mapToEmotion(context.emotionalContext),
+            text: completion.text,
+            emotion: completion.emotion || this.mapToEmotion(context.emotionalContext),
             confidence,
             personalityFactors: {
                 style: responseStyle,
                 traits: this.getActiveTraits(personality),
-                adaptations: this.getPersonalityAdaptations(context)
+                adaptations: this.getPersonalityAdaptations(context),
+                provider: completion.provider
             }
         };
     }
 
     /**
-     * Get agent personality profiles
+     * Ask the LLM provider for a reply as the given agent, streaming when options.onDelta is set.
+     * Falls back to the local provider if the remote backend fails before producing any text.
      */
-    async getAgentProfiles() {
-        return {
-            sophia: {
-                id: 'sophia',
-                personality: {
-                    extraversion: 0.65,
-                    agreeableness: 0.45,
-                    conscientiousness: 0.95,
-                    neuroticism: 0.55,
-                    openness: 0.75
-                },
-                voice: {
-                    accent: 'italian',
-                    tempo: 'passionate',
-                    vocabulary: 'culinary'
-                },
-                specialties: ['italian_cuisine', 'quality_control', 'kitchen_management']
-            },
-            marcus: {
-                id: 'marcus',
-                personality: {
-                    extraversion: 0.85,
-                    agreeableness: 0.90,
-                    conscientiousness: 0.85,
-                    neuroticism: 0.25,
-                    openness: 0.70
-                },
-                voice: {
-                    accent: 'american',
-                    tempo: 'measured',
-                    vocabulary: 'hospitality'
-                },
-                specialties: ['customer_service', 'problem_solving', 'team_coordination']
-            },
-            isabella: {
-                id: 'isabella',
-                personality: {
-                    extraversion: 0.60,
-                    agreeableness: 0.75,
-                    conscientiousness: 0.80,
-                    neuroticism: 0.30,
-                    openness: 0.90
-                },
-                voice: {
-                    accent: 'french',
-                    tempo: 'elegant',
-                    vocabulary: 'sophisticated'
-                },
-                specialties: ['wine_knowledge', 'cultural_education', 'refined_service']
-            },
-            raj: {
-                id: 'raj',
-                personality: {
-                    extraversion: 0.70,
-                    agreeableness: 0.80,
-                    conscientiousness: 0.75,
-                    neuroticism: 0.35,
-                    openness: 0.85
-                },
-                voice: {
-                    accent: 'indian',
-                    tempo: 'enthusiastic',
-                    vocabulary: 'innovative'
-                },
-                specialties: ['fusion_cuisine', 'spice_knowledge', 'creative_cooking']
-            },
-            elena: {
-                id: 'elena',
-                personality: {
-                    extraversion: 0.55,
-                    agreeableness: 0.70,
-                    conscientiousness: 0.90,
-                    neuroticism: 0.40,
-                    openness: 0.95
-                },
-                voice: {
-                    accent: 'spanish',
-                    tempo: 'gentle',
-                    vocabulary: 'artistic'
-                },
-                specialties: ['pastry_arts', 'dessert_design', 'sweet_creations']
-            }
+    async generateReply(agentId, messages, options = {}) {
+        const definition = agentRegistry.require(agentId);
+        const systemPrompt = this.getSystemPrompt(definition);
+        const notes = [
+            options.handoff && this.describeHandoff(options.handoff),
+            options.interruption && this.describeInterruption(options.interruption),
+            options.toolCall && this.describeToolCall(options.toolCall)
+        ].filter(Boolean);
+        const request = {
+            systemPrompt: [systemPrompt, ...notes].join('\n\n'),
+            messages,
+            agent: definition,
+            temperature: this.convaiManager.calculateTemperature(definition),
+            interruption: options.interruption || null,
+            handoff: options.handoff || null,
+            toolCall: options.toolCall || null,
+            signal: options.signal
         };
+
+        let streamed = false;
+        const onDelta = options.onDelta && ((delta) => {
+            streamed = true;
+            options.onDelta(delta);
+        });
+
+        const run = (provider) => onDelta ?
+            provider.stream(request, onDelta) :
+            provider.generate(request);
+
+        try {
+            return await run(this.llmProvider);
+        } catch (error) {
+            // A half-streamed reply can't be retried without the client hearing it twice,
+            // and a cancelled one shouldn't be retried at all
+            if (this.llmProvider === this.fallbackProvider || streamed || options.signal?.aborted) {
+                throw error;
+            }
+
+            console.error(`LLM provider ${this.llmProvider.name} failed, using local fallback:`, error.message);
+            return run(this.fallbackProvider);
+        }
     }
 
     /**
-     * Get response patterns for each agent
+     * Prompt note telling the agent it was cut off on its previous turn
      */
-    getResponsePatterns(agentId) {
-        const patterns = {
-            sophia: {
-                greetings: [
-                    "Ciao! Welcome to my kitchen!",
-                    "Buongiorno! What brings you to my domain?",
-                    "Ah, wonderful! Let me share my passion with you!"
-                ],
-                compliments: [
-                    "Perfetto! You have excellent taste!",
-                    "Magnifico! I can see you appreciate quality!",
-                    "Bellissimo! That's exactly what I would choose!"
-                ],
-                suggestions: [
-                    "Let me suggest something that will make your heart sing!",
-                    "I have the perfect dish that captures the essence of Italy!",
-                    "Trust me, this recipe has been in my family for generations!"
-                ],
-                concerns: [
-                    "Madonna mia! That's not how we do things in my kitchen!",
-                    "No, no, no! We must respect the ingredients!",
-                    "I understand your concern, but let me explain why quality matters!"
-                ]
-            },
-            marcus: {
-                greetings: [
-                    "Good evening! It's wonderful to have you with us tonight.",
-                    "Welcome! I'm here to ensure your experience is nothing short of exceptional.",
-                    "Thank you for choosing us. How may I make your evening special?"
-                ],
-                problem_solving: [
-                    "I completely understand your concern, and I'm here to make this right.",
-                    "Let me personally take care of this for you immediately.",
-                    "I appreciate you bringing this to my attention. Here's what I can do..."
-                ],
-                coordination: [
-                    "I'll coordinate with our team to ensure everything is perfect.",
-                    "Let me speak with the kitchen and get back to you shortly.",
-                    "I'm going to personally oversee this to meet our standards."
-                ]
-            },
-            isabella: {
-                greetings: [
-                    "Bonsoir! I'm delighted to guide you through our wine selection.",
-                    "Ah, bonjour! What a pleasure to share the art of wine with you.",
-                    "Welcome! Let me introduce you to some magnificent terroirs."
-                ],
-                wine_education: [
-                    "This wine tells a beautiful story of its terroir...",
-                    "The winemaker's technique here is absolutely exquisite...",
-                    "Notice how the tannins dance with the acidity..."
-                ],
-                pairings: [
-                    "This pairing will create a symphony on your palate...",
-                    "The wine will elevate the dish while the food awakens the wine...",
-                    "Together, they create something greater than the sum of their parts..."
-                ]
-            },
-            raj: {
-                greetings: [
-                    "Namaste! I'm excited to take you on a flavor journey!",
-                    "Welcome! Let me share some incredible fusion creations with you!",
-                    "Great to meet you! I've been experimenting with some amazing combinations!"
-                ],
-                innovation: [
-                    "What if we took this traditional spice and paired it with...",
-                    "I've been working on a fusion that combines the best of both worlds...",
-                    "This technique transforms familiar flavors into something extraordinary..."
-                ],
-                enthusiasm: [
-                    "Oh, you're going to love this! The flavors are absolutely incredible!",
-                    "This is one of my favorite creations - it tells a story with every bite!",
-                    "I'm so excited to share this with you - it's pure culinary magic!"
-                ]
-            },
-            elena: {
-                greetings: [
-                    "Hola! I've been dreaming up something sweet just for you!",
-                    "Welcome to my world of dessert artistry!",
-                    "Buenos días! Let me paint you a picture with flavors!"
-                ],
-                creativity: [
-                    "Each layer tells a story, building to a beautiful crescendo...",
-                    "I design desserts like paintings - every element has meaning...",
-                    "This creation is inspired by the colors of a sunset..."
-                ],
-                craftsmanship: [
-                    "The technique here requires patience and precise timing...",
-                    "Every detail is carefully crafted to create the perfect moment...",
-                    "I temper this chocolate seven times to achieve the perfect snap..."
-                ]
-            }
-        };
+    describeInterruption(interruption) {
+        const heard = interruption.spokenText ?
+            `after saying: "${interruption.spokenText}"` :
+            'before you could say anything';
 
-        return patterns[agentId] || patterns.marcus;
+        return `Note: the guest interrupted your previous reply ${heard}. ` +
+            'They did not hear the rest. Briefly acknowledge the interruption, then respond to what they just said.';
     }
 
     /**
-     * Select appropriate base response
+     * Prompt note for the first reply after taking over from another agent
      */
-    selectBaseResponse(userInput, patterns, style) {
-        const input = userInput.toLowerCase();
+    describeHandoff(handoff) {
+        const from = agentRegistry.get(handoff.fromAgentId);
+        const greeting = handoff.introduced ?
+            'You have already introduced yourself.' :
+            'Briefly introduce yourself by name.';
+
+        return `Note: you have just taken over this conversation from ${from?.name || 'a colleague'} (${from?.role || 'staff'})` +
+            `${handoff.reason ? `. ${handoff.reason}` : ''}. ${greeting} Do not ask the guest to repeat what they already said.\n` +
+            `Conversation so far:\n${handoff.summary}`;
+    }
 
-        // Detect intent categories
-        if (input.includes('hello') || input.includes('hi') || input.includes('good')) {
-            return this.randomSelect(patterns.greetings || patterns.greetings || ["Hello! How can I help you?"]);
-        }
+    /**
+     * Prompt note with the result of a tool run for the guest's latest turn
+     */
+    describeToolCall(toolCall) {
+        const outcome = toolCall.ok ? toolCall.result : toolCall.error;
 
-        if (input.includes('recommend') || input.includes('suggest') || input.includes('what should')) {
-            return this.randomSelect(patterns.suggestions || ["Let me suggest something perfect for you!"]);
-        }
+        return `Note: you ran ${toolCall.tool} for the guest's latest request. ` +
+            `${toolCall.ok ? 'It worked' : 'It did not work'}: ${toolCall.summary}\n` +
+            `Details: ${JSON.stringify(outcome)}\n` +
+            'Tell the guest the outcome, including any confirmation code. Do not offer times or details that are not listed here.';
+    }
 
-        if (input.includes('problem') || input.includes('issue') || input.includes('wrong')) {
-            return this.randomSelect(patterns.concerns || patterns.problem_solving || ["I understand your concern. Let me help with that."]);
+    /**
+     * System prompts are generated once per agent from the ConvAI prompt template
+     */
+    getSystemPrompt(definition) {
+        if (!this.systemPrompts.has(definition.id)) {
+            this.systemPrompts.set(definition.id, this.convaiManager.generateSystemPrompt(definition));
         }
 
-        if (input.includes('wine') || input.includes('drink') || input.includes('beverage')) {
-            return this.randomSelect(patterns.wine_education || patterns.pairings || ["I'd be happy to help with beverage selection!"]);
-        }
+        return this.systemPrompts.get(definition.id);
+    }
+
+    /**
+     * Map the rolling conversation to chat-style turns
+     */
+    toChatMessages(messages) {
+        return messages
+            .filter(message => message.type !== 'handoff')
+            .slice(-this.historyLimit)
+            .map(message => ({
+                role: message.type === 'user' ? 'user' : 'assistant',
+                content: message.content
+            }));
+    }
+
+    /**
+     * Get agent personality profiles keyed by canonical agent ID
+     */
+    async getAgentProfiles() {
+        return Object.fromEntries(
+            agentRegistry.list().map(agent => [agent.id, this.getAgentProfile(agent.id)])
+        );
+    }
 
-        if (input.includes('dessert') || input.includes('sweet') || input.includes('cake')) {
-            return this.randomSelect(patterns.creativity || patterns.craftsmanship || ["I have some delightful sweet creations to share!"]);
+    /**
+     * Build the voice-layer profile for an agent (Big Five on a 0-1 scale)
+     */
+    getAgentProfile(agentId) {
+        const agent = agentRegistry.get(agentId);
+        if (!agent) {
+            return null;
         }
 
-        // Default professional response
-        return "I'm here to help you have an amazing experience. What can I do for you?";
+        return {
+            id: agent.id,
+            name: agent.name,
+            role: agent.role,
+            personality: toUnitScale(agent.personality.bigFive),
+            voice: {
+                accent: agent.voiceConfig.accent,
+                voiceId: agent.voiceConfig.voiceId,
+                model: agent.voiceConfig.model
+            },
+            specialties: agent.specialties,
+            definition: agent
+        };
     }
 
     /**
-     * Add personality-specific touches to response
+     * Speech to text for an uploaded utterance (a Buffer, or base64 as sent in JSON).
+     * Resolves to { text, language, confidence, duration, words, provider }; failures are
+     * TranscriptionErrors whose code says whether the audio or the recognizer was at fault.
      */
-    addPersonalityTouches(baseResponse, agent, context) {
-        let response = baseResponse;
+    async transcribeSpeech(audioData, { format = null, sampleRate, language, signal } = {}) {
+        const data = Buffer.isBuffer(audioData) ? audioData : Buffer.from(audioData || '', 'base64');
 
-        // Add personality-specific elements based on traits
-        if (agent.personality.extraversion > 0.7) {
-            response = this.addEnthusiasm(response);
+        if (this.maxAudioBytes > 0 && data.length > this.maxAudioBytes) {
+            throw new TranscriptionError('audio_too_large', `Audio exceeds ${this.maxAudioBytes} bytes`);
         }
 
-        if (agent.personality.agreeableness > 0.8) {
-            response = this.addWarmth(response);
+        const prepared = prepareAudio(data, { format, sampleRate });
+
+        if (!this.stt.isAvailable()) {
+            throw new TranscriptionError('speech_recognition_unavailable', `Speech recognition (${this.stt.name}) is not configured`);
         }
 
-        if (agent.personality.conscientiousness > 0.8) {
-            response = this.addDetailOrientation(response);
+        let result;
+        try {
+            result = await this.stt.transcribe({ ...prepared, language, signal });
+        } catch (error) {
+            if (error instanceof TranscriptionError) throw error;
+            throw new TranscriptionError('transcription_failed', `Transcription failed: ${error.message}`, { cause: error });
         }
 
-        if (agent.personality.openness > 0.8) {
-            response = this.addCreativity(response);
+        if (!result.text) {
+            throw new TranscriptionError('no_speech_detected', 'No speech was recognized in the audio');
         }
 
-        // Add cultural/accent markers
-        response = this.addCulturalMarkers(response, agent);
+        return {
+            ...result,
+            duration: result.duration ?? prepared.duration,
+            provider: this.stt.name
+        };
+    }
 
-        return response;
+    /**
+     * Synthesize speech in an agent's voice. Pass options.signal to cancel the request.
+     */
+    async synthesizeSpeech(text, agentId, options = {}) {
+        const agent = agentRegistry.get(agentId) || agentRegistry.get('marcus');
+        return this.synthesizeWithVoice(text, agent.voiceConfig, options);
     }
 
     /**
-     * Synthesize speech using ElevenLabs
+     * Text to speech for a voiceConfig, through the TTS provider chain. Identical text,
+     * voice and settings are served from the audio cache instead of being synthesized again.
      */
-    async synthesizeSpeech(text, agentId) {
-        if (!this.elevenLabsApiKey) {
-            return { error: 'ElevenLabs API key not configured' };
+    async synthesizeWithVoice(text, voice, options = {}) {
+        const { signal } = options;
+        if (signal?.aborted) {
+            return { error: 'Speech synthesis cancelled', cancelled: true };
         }
 
-        const voiceIds = {
-            sophia: 'EXAVITQu4vr4xnSDxMaL', // Female, warm
-            marcus: 'VR6AewLTigWG4xSOukaG', // Male, professional
-            isabella: 'oWAxZDx7w5VEj9dCyTzz', // Female, elegant
-            raj: 'pqHfZKP75CvOlQylNhV4', // Male, enthusiastic
-            elena: 'Xb7hH8MSUJpSbSDYk0k2'  // Female, gentle
-        };
-
-        const voiceId = voiceIds[agentId] || voiceIds.marcus;
+        const request = { text, voice, signal };
 
         try {
-            const response = await axios.post(
-                `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
-                {
-                    text: text,
-                    model_id: "eleven_turbo_v2",
-                    voice_settings: this.voiceSettings
-                },
-                {
-                    headers: {
-                        'xi-api-key': this.elevenLabsApiKey,
-                        'Content-Type': 'application/json'
-                    },
-                    responseType: 'arraybuffer'
-                }
-            );
-
-            // Save audio file
-            const audioBuffer = Buffer.from(response.data);
-            const filename = `voice_${agentId}_${Date.now()}.mp3`;
-            const audioPath = path.join(process.cwd(), 'temp', filename);
-
-            await fs.mkdir(path.join(process.cwd(), 'temp'), { recursive: true });
-            await fs.writeFile(audioPath, audioBuffer);
+            const { provider, result: cached } = await this.tts.run(voice.provider, (provider) =>
+                this.audioCache.getOrCreate(
+                    provider.cacheParams(request),
+                    () => provider.synthesize(request),
+                    { contentType: provider.contentType }
+                ), { signal });
 
             return {
-                audioUrl: `/temp/${filename}`,
+                audioUrl: this.audioUrlFor(cached.key),
                 duration: this.estimateAudioDuration(text),
-                voiceId
+                voiceId: voice.voiceId,
+                provider: provider.name,
+                cached: cached.hit
             };
 
         } catch (error) {
-            console.error('ElevenLabs synthesis error:', error.message);
-            return { error: 'Speech synthesis failed' };
+            if (signal?.aborted) {
+                return { error: 'Speech synthesis cancelled', cancelled: true };
+            }
+
+            console.error('Speech synthesis error:', error.message);
+            return { error: error.message };
         }
     }
 
     /**
-     * Helper methods
+     * Speech in an agent's voice as 16-bit mono PCM at sampleRate (8 kHz for phone calls).
+     * Cached as WAV at that rate like any other synthesized audio, so audioUrl plays it back.
      */
-    randomSelect(array) {
-        return array[Math.floor(Math.random() * array.length)];
-    }
+    async synthesizePcm(text, agentId, { sampleRate = 8000, signal } = {}) {
+        if (signal?.aborted) {
+            return { error: 'Speech synthesis cancelled', cancelled: true };
+        }
 
-    addEnthusiasm(text) {
-        const enthusiasmMarkers = ['!', ' - it\'s amazing!', ' I\'m excited about this!'];
-        return text + this.randomSelect(enthusiasmMarkers);
-    }
+        const voice = (agentRegistry.get(agentId) || agentRegistry.get('marcus')).voiceConfig;
+        const request = { text, voice, signal };
 
-    addWarmth(text) {
-        const warmthMarkers = [' I\'m so glad you asked!', ' It would be my pleasure!', ' I\'d love to help with that!'];
-        return text + this.randomSelect(warmthMarkers);
-    }
+        try {
+            const { provider, result: cached } = await this.tts.run(voice.provider, (provider) => {
+                const params = provider.cacheParams(request);
+                return this.audioCache.getOrCreate(
+                    { ...params, format: 'wav', settings: { ...params.settings, sampleRate } },
+                    async () => {
+                        const synthesized = await provider.synthesizePcm(request);
+                        return wavFromPcm(resamplePcm(synthesized.pcm, synthesized.sampleRate, sampleRate), sampleRate);
+                    },
+                    { contentType: 'audio/wav' }
+                );
+            }, { signal });
 
-    addDetailOrientation(text) {
-        return text + ' Let me make sure every detail is perfect for you.';
-    }
+            const wav = await this.audioCache.read(cached.key);
+            if (!wav) {
+                throw new Error(`Cached audio ${cached.key} disappeared`);
+            }
+            const { pcm } = pcmFromWav(wav);
 
-    addCreativity(text) {
-        const creativeMarkers = [' - imagine the possibilities!', ' - it\'s like art on a plate!', ' - each element tells a story!'];
-        return text + this.randomSelect(creativeMarkers);
-    }
+            return {
+                pcm,
+                sampleRate,
+                duration: pcm.length / 2 / sampleRate,
+                audioUrl: this.audioUrlFor(cached.key),
+                provider: provider.name,
+                cached: cached.hit
+            };
 
-    addCulturalMarkers(text, agent) {
-        const markers = {
-            sophia: ['Fantastico!', 'Perfetto!', 'Madonna mia!'],
-            isabella: ['Magnifique!', 'Formidable!', 'C\'est parfait!'],
-            raj: ['Wonderful!', 'Absolutely brilliant!', 'What a treat!'],
-            elena: ['Qué maravilloso!', '¡Increíble!', 'Muy bien!']
-        };
+        } catch (error) {
+            if (signal?.aborted) {
+                return { error: 'Speech synthesis cancelled', cancelled: true };
+            }
 
-        if (markers[agent.id] && Math.random() < 0.3) {
-            return this.randomSelect(markers[agent.id]) + ' ' + text;
+            console.error('Speech synthesis error:', error.message);
+            return { error: error.message };
         }
-
-        return text;
     }
 
+    /**
+     * Helper methods
+     */
     analyzeSpeechEmotion(transcript) {
         // Simple emotion analysis - could be enhanced with ML
         const emotions = {
@@ -560,11 +994,7 @@ export class VoiceManager extends EventEmitter {
     }
 
     estimateAudioDuration(text) {
-        // Rough estimate: 150 words per minute, average 5 characters per word
-        const wordsPerMinute = 150;
-        const avgCharsPerWord = 5;
-        const words = text.length / avgCharsPerWord;
-        return (words / wordsPerMinute) * 60; // Duration in seconds
+        return estimateAudioDuration(text);
     }
 
     calculateResponseConfidence(userInput, response, history) {
@@ -586,13 +1016,20 @@ export class VoiceManager extends EventEmitter {
             confidence -= 0.2;
         }
 
-        return Math.max(0.3, Math.min(0.95, confidence));
+        // A reply that admits it doesn't know or didn't understand is the clearest signal
+        if (HEDGING.test(response)) {
+            confidence -= 0.4;
+        }
+
+        return Math.max(0.1, Math.min(0.95, confidence));
     }
 
     updateConversationContext(conversation, userInput, agentResponse) {
         conversation.context.lastInteraction = Date.now();
         conversation.context.topicContext.push({
             userIntent: this.extractIntent(userInput),
+            userInput,
+            agentId: conversation.agentId,
             agentResponse: agentResponse.text,
             timestamp: Date.now()
         });
@@ -669,16 +1106,48 @@ export class VoiceManager extends EventEmitter {
         };
     }
 
-    // Clean up old conversations and files
+    /**
+     * End sessions idle for longer than idleTtlMs (or older than 24 hours), emitting
+     * sessionTimedOut for each. A reply still being generated counts as activity.
+     */
     cleanup() {
         const now = Date.now();
         const maxAge = 24 * 60 * 60 * 1000; // 24 hours
+        const timedOut = [];
 
         for (const [sessionId, conversation] of this.conversations.entries()) {
-            if (now - conversation.startTime > maxAge) {
-                this.conversations.delete(sessionId);
+            const idleMs = now - conversation.lastActivityAt;
+            const generating = this.activeStreams.get(sessionId)?.status === 'generating';
+            const idle = this.idleTtlMs > 0 && idleMs > this.idleTtlMs && !generating;
+
+            if (idle || now - conversation.startTime > maxAge) {
+                this.endConversation(sessionId, { reason: 'timeout' });
+                timedOut.push(sessionId);
+                this.emit('sessionTimedOut', {
+                    sessionId,
+                    agentId: conversation.agentId,
+                    userId: conversation.userId,
+                    idleMs,
+                    timestamp: new Date(now).toISOString()
+                });
             }
         }
+
+        return timedOut;
+    }
+
+    /**
+     * Run cleanup() every intervalMs until stopCleanupScheduler()
+     */
+    startCleanupScheduler(intervalMs = parseInt(process.env.VOICE_SESSION_SWEEP_MS || '60000', 10)) {
+        this.stopCleanupScheduler();
+        this.cleanupTimer = setInterval(() => this.cleanup(), intervalMs);
+        this.cleanupTimer.unref?.();
+    }
+
+    stopCleanupScheduler() {
+        clearInterval(this.cleanupTimer);
+        this.cleanupTimer = null;
     }
 }
 
@@ -3,6 +3,8 @@ import fs from 'fs/promises';
 import path from 'path';
 import { EventEmitter } from 'events';
 import chalk from 'chalk';
+import { ACCENT_VOICE_IDS } from '../agents/registry.js';
+import { createTTS } from '../tts/index.js';
 
 export class VoiceService extends EventEmitter {
   constructor() {
@@ -12,6 +14,7 @@ export class VoiceService extends EventEmitter {
     this.defaultModel = 'eleven_turbo_v2';
     this.voicesCache = new Map();
     this.isInitialized = false;
+    this.tts = null;
   }
 
   async initialize() {
@@ -51,6 +54,7 @@ export class VoiceService extends EventEmitter {
   async configure(config) {
     this.apiKey = config.elevenLabsApiKey;
     this.defaultModel = config.defaultVoiceModel;
+    this.tts = null;
 
     // Save to .env file
     const envContent = `ELEVENLABS_API_KEY=${this.apiKey}\nDEFAULT_VOICE_MODEL=${this.defaultModel}\n`;
@@ -96,53 +100,39 @@ export class VoiceService extends EventEmitter {
   }
 
   async synthesizeSpeech(text, voiceConfig) {
-    if (!this.isInitialized) {
-      console.log(chalk.yellow('🔇 Voice service not initialized. Text output only.'));
+    // Without an ElevenLabs key the environment's fallback (e.g. a local engine) still speaks
+    this.tts ??= createTTS({ elevenLabsApiKey: this.apiKey, model: this.defaultModel, useAgentSettings: true });
+
+    if (this.tts.candidates(voiceConfig.provider).length === 0) {
+      console.log(chalk.yellow('🔇 No text-to-speech provider available. Text output only.'));
       console.log(chalk.cyan(`🎤 ${voiceConfig.accent || 'Default'}: "${text}"`));
       return null;
     }
 
     try {
-      const voiceId = await this.getOrCreateVoice(voiceConfig);
-
-      const response = await axios.post(
-        `${this.baseUrl}/text-to-speech/${voiceId}`,
-        {
-          text: text,
-          model_id: voiceConfig.model || this.defaultModel,
-          voice_settings: {
-            stability: voiceConfig.stability || 0.8,
-            similarity_boost: voiceConfig.clarity || 0.8,
-            style: voiceConfig.style || 0.5,
-            use_speaker_boost: true
-          }
-        },
-        {
-          headers: {
-            'xi-api-key': this.apiKey,
-            'Content-Type': 'application/json'
-          },
-          responseType: 'arraybuffer'
-        }
+      const voice = { ...voiceConfig, voiceId: await this.getOrCreateVoice(voiceConfig) };
+      const { provider, result: audioBuffer } = await this.tts.run(
+        voiceConfig.provider,
+        candidate => candidate.synthesize({ text, voice })
       );
 
       // In a real implementation, you would play this audio
       // For now, we'll save it to a temp file and log success
-      const audioBuffer = Buffer.from(response.data);
-      const filename = `voice_${Date.now()}.mp3`;
+      const filename = `voice_${Date.now()}.${provider.format}`;
       const audioPath = path.join(process.cwd(), 'temp', filename);
 
       // Create temp directory if it doesn't exist
       await fs.mkdir(path.join(process.cwd(), 'temp'), { recursive: true });
       await fs.writeFile(audioPath, audioBuffer);
 
-      console.log(chalk.green(`🎵 Audio generated: ${audioPath}`));
+      console.log(chalk.green(`🎵 Audio generated with ${provider.name}: ${audioPath}`));
       console.log(chalk.cyan(`🎤 ${voiceConfig.accent || 'Default'}: "${text}"`));
 
       this.emit('speechGenerated', {
         text,
         audioPath,
-        voiceConfig
+        voiceConfig,
+        provider: provider.name
       });
 
       return audioPath;
@@ -154,23 +144,14 @@ export class VoiceService extends EventEmitter {
   }
 
   async getOrCreateVoice(voiceConfig) {
-    // For demo purposes, we'll use a default voice
-    // In production, you could create custom voices for each agent
-    const defaultVoices = {
-      'Italian-American': 'EXAVITQu4vr4xnSDxMaL', // Bella
-      'American-Professional': 'pNInz6obpgDQGcFmaJgB', // Adam
-      'French': 'ThT5KcBeYPX3keUQqHPh', // Dorothy
-      'Mexican-American': 'IKne3meq5aSn9XLyUdCD', // Charlie
-      'American-Southern': 'jsCqWAovK2LkecY7zXl4', // Freya
-      'Chinese-American': 'N2lVS1w4EtoT3dr4eOWO', // Callum
-      'Indian-British': 'oWAxZDx7w5VEj9dCyTzz', // Grace
-      'American-Millennial': 'cgSgspJ2msm6clMCkdW9', // Jessica
-      'American-Military': 'bVMeCyTHy58xNoL34h3p', // Jeremy
-      'Korean-American': 'flq6f7yk4E4fJM5XTYuZ'  // Michael
-    };
+    // Registry-backed voice configs carry a resolved ElevenLabs voice ID
+    if (voiceConfig.voiceId) {
+      return voiceConfig.voiceId;
+    }
 
+    // For demo purposes, fall back to a default voice for the accent
     const accent = voiceConfig.accent || 'American-Professional';
-    return defaultVoices[accent] || defaultVoices['American-Professional'];
+    return ACCENT_VOICE_IDS[accent] || ACCENT_VOICE_IDS['American-Professional'];
   }
 
   async createCustomVoice(agentId, voiceConfig) {
@@ -205,7 +186,8 @@ export class VoiceService extends EventEmitter {
       initialized: this.isInitialized,
       hasApiKey: this.apiKey !== null,
       voicesLoaded: this.voicesCache.size,
-      defaultModel: this.defaultModel
+      defaultModel: this.defaultModel,
+      ttsProviders: this.tts ? this.tts.status() : null
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * Wait Estimator
+ * How long walk-ins will wait for seats. Seated parties free their seats after a table turn:
+ * the scenario's workflowRules.averageServiceTime, pulled toward how long tables have
+ * actually been taking today. Parties are seated in the order they joined, and reservations
+ * about to arrive keep their seats.
+ */
+
+// averageServiceTime counts as this many observed turns, so one slow table doesn't swing quotes
+const PRIOR_TURNS = 3;
+const RECENT_TURNS = 20;
+// A table past its expected turn is assumed to free up within this many minutes
+const OVERDUE_MINUTES = 5;
+const QUOTE_STEP_MINUTES = 5;
+
+export class WaitEstimator {
+    constructor({ capacity = 0, serviceMinutes = 90 } = {}) {
+        this.capacity = capacity;
+        this.serviceMinutes = serviceMinutes;
+    }
+
+    /**
+     * Minutes a table is held, from averageServiceTime and the durations of recent turns
+     */
+    turnMinutes(recentTurns = []) {
+        const turns = recentTurns.slice(-RECENT_TURNS);
+        const observed = turns.reduce((total, minutes) => total + minutes, 0);
+        return Math.round((this.serviceMinutes * PRIOR_TURNS + observed) / (PRIOR_TURNS + turns.length));
+    }
+
+    /**
+     * Wait for each party in queue, in order
+     *
+     * @param {Object} floor
+     * @param {Array<{partySize: number, since: Date}>} floor.holding - Parties with seats now (seated,
+     *   called from the waitlist) or soon (reservations due), from when they sat or will sit
+     * @param {number[]} floor.recentTurns - Minutes each table finished today was held
+     * @param {Array<{partySize: number}>} queue
+     * @returns {{turnMinutes: number, waits: Array<{minutes: number, readyAt: Date}|null>}} null for a
+     *   party larger than the room
+     */
+    estimate({ holding = [], recentTurns = [] }, queue, now = new Date()) {
+        const turnMinutes = this.turnMinutes(recentTurns);
+        const soonest = addMinutes(now, OVERDUE_MINUTES);
+
+        let free = this.capacity - holding
+            .filter(party => party.since <= addMinutes(now, turnMinutes))
+            .reduce((seats, party) => seats + party.partySize, 0);
+        const releases = holding
+            .filter(party => party.since <= addMinutes(now, turnMinutes))
+            .map(party => {
+                const due = addMinutes(party.since, turnMinutes);
+                return { at: due > now ? due : soonest, seats: party.partySize };
+            });
+
+        let clock = now;
+        const waits = queue.map(party => {
+            if (party.partySize > this.capacity) return null;
+
+            releases.sort((a, b) => a.at - b.at);
+            while (free < party.partySize && releases.length > 0) {
+                const release = releases.shift();
+                if (release.at > clock) clock = release.at;
+                free += release.seats;
+            }
+
+            // Seated now, this party frees its seats a turn later
+            free -= party.partySize;
+            releases.push({ at: addMinutes(clock, turnMinutes), seats: party.partySize });
+
+            const minutes = Math.ceil((clock - now) / 60000 / QUOTE_STEP_MINUTES) * QUOTE_STEP_MINUTES;
+            return { minutes, readyAt: addMinutes(now, minutes) };
+        });
+
+        return { turnMinutes, waits };
+    }
+}
+
+function addMinutes(when, minutes) {
+    return new Date(when.getTime() + minutes * 60000);
+}
+
+export default WaitEstimator;
@@ -0,0 +1,351 @@
+/**
+ * Waitlist
+ * Walk-in parties waiting for a table. Each party is quoted a wait when it joins (see
+ * WaitEstimator); hosts call it when a table is ready, which texts or emails the guest
+ * through the notifier, then seat it. When a table finishes and the seats cover the next
+ * party in line, that party is called automatically (WAITLIST_AUTO_NOTIFY).
+ *
+ *   WAITLIST_AUTO_NOTIFY (default true), WAITLIST_HOLD_MINUTES (how long a called party
+ *   has to come back, default 10), RESERVATION_MAX_PARTY_SIZE (default 12)
+ */
+
+import EventEmitter from 'events';
+import { WaitEstimator } from './WaitEstimator.js';
+
+export const WAITLIST_STATUSES = ['waiting', 'notified', 'seated', 'completed', 'cancelled', 'no_show'];
+
+// Parties on the list, and parties the list has seated; both hold seats or are about to
+const ACTIVE_STATUSES = ['waiting', 'notified', 'seated'];
+const STATUS_CHANGES = {
+    waiting: ['notified', 'seated', 'cancelled'],
+    notified: ['seated', 'cancelled', 'no_show'],
+    seated: ['completed'],
+    completed: [],
+    cancelled: [],
+    no_show: []
+};
+// Statuses that give seats back
+const FREEING_STATUSES = ['completed', 'cancelled', 'no_show'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Waitlist failure with a stable code the API reports as-is; messages can be read to a guest
+ *   entry_not_found, entry_closed, party_too_large, waitlist_unavailable, missing_details
+ */
+export class WaitlistError extends Error {
+    constructor(code, message, details = null) {
+        super(message);
+        this.name = 'WaitlistError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export class Waitlist extends EventEmitter {
+    constructor(options = {}, env = process.env) {
+        super();
+        this.db = options.db;
+        this.reservations = options.reservations || null;
+        this.notifier = options.notifier;
+        this.autoNotify = options.autoNotify ?? (env.WAITLIST_AUTO_NOTIFY || 'true') !== 'false';
+        this.holdMinutes = options.holdMinutes ?? parseInt(env.WAITLIST_HOLD_MINUTES || '10', 10);
+        this.maxPartySize = options.maxPartySize ?? parseInt(env.RESERVATION_MAX_PARTY_SIZE || '12', 10);
+        this.now = options.now || (() => new Date());
+        this.log = options.log || console;
+
+        this.useScenario(options.scenario || null);
+        this.writes = Promise.resolve();
+    }
+
+    useScenario(scenario) {
+        this.scenario = scenario;
+        this.estimator = new WaitEstimator({
+            capacity: scenario?.capacity ?? 0,
+            serviceMinutes: scenario?.workflowRules?.averageServiceTime || 90
+        });
+        return this;
+    }
+
+    /**
+     * Call the next parties when a reservation's table finishes
+     */
+    attach() {
+        this.reservations?.on('reservationUpdated', (reservation) => {
+            if (FREEING_STATUSES.includes(reservation.status)) {
+                this.callReady().catch(error => this.log.error('Waitlist auto-notify failed:', error));
+            }
+        });
+        return this;
+    }
+
+    /**
+     * How long a party joining now would wait
+     */
+    async quote(partySize) {
+        this.checkParty(partySize);
+
+        const waiting = await this.entries('waiting');
+        const floor = await this.floor();
+        const { turnMinutes, waits } = this.estimator.estimate(floor, [...waiting, { partySize }], this.now());
+        const wait = waits[waits.length - 1];
+
+        return {
+            partySize,
+            quotedMinutes: wait.minutes,
+            readyAt: wait.readyAt.toISOString(),
+            partiesAhead: waiting.length,
+            turnMinutes
+        };
+    }
+
+    /**
+     * Parties on the list (waiting, called and seated from it) in order, with each waiting
+     * party's place and current estimate; or every entry with status from the last day
+     */
+    async list({ status = null } = {}) {
+        const entries = status ?
+            await this.db.findWaitlistEntries({ status, from: new Date(this.now() - DAY_MS).toISOString() }) :
+            (await this.db.findWaitlistEntries({ from: new Date(this.now() - DAY_MS).toISOString() }))
+                .filter(entry => ACTIVE_STATUSES.includes(entry.status));
+
+        return this.annotate(entries);
+    }
+
+    async get(entryId) {
+        const entry = (await this.db.findWaitlistEntries({ from: new Date(this.now() - DAY_MS).toISOString() }))
+            .find(candidate => candidate.id === entryId);
+        if (!entry) {
+            throw new WaitlistError('entry_not_found', `I couldn't find waitlist entry ${entryId}`);
+        }
+        return (await this.annotate([entry]))[0];
+    }
+
+    /**
+     * The party a voice session put on the list, if it's still waiting or called
+     */
+    async findBySession(sessionId) {
+        const entries = await this.db.findWaitlistEntries({ from: new Date(this.now() - DAY_MS).toISOString() });
+        const entry = entries.reverse().find(candidate => candidate.sessionId === sessionId && ['waiting', 'notified'].includes(candidate.status));
+        return entry ? (await this.annotate([entry]))[0] : null;
+    }
+
+    /**
+     * Put a party on the list with a quoted wait
+     *
+     * @param {Object} details - partySize, contact { name, phone, email }, and optionally notes,
+     *   tablePreferences, source, sessionId, agentId
+     */
+    async add(details) {
+        return this.serialize(async () => {
+            const quote = await this.quote(details.partySize);
+            const contact = {
+                name: details.contact.name,
+                phone: details.contact.phone || null,
+                email: details.contact.email || null
+            };
+            const now = this.now().toISOString();
+
+            const entry = {
+                id: `wl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                status: 'waiting',
+                partySize: details.partySize,
+                contact,
+                // Texts are shorter and more likely to be seen at the bar than emails
+                notifyBy: contact.phone ? 'sms' : contact.email ? 'email' : null,
+                notes: details.notes || null,
+                tablePreferences: details.tablePreferences || [],
+                quotedMinutes: quote.quotedMinutes,
+                quotedReadyAt: quote.readyAt,
+                source: details.source || 'api',
+                sessionId: details.sessionId || null,
+                agentId: details.agentId || null,
+                joinedAt: now,
+                updatedAt: now,
+                notifiedAt: null,
+                seatedAt: null,
+                completedAt: null,
+                cancelledAt: null,
+                cancellationReason: null,
+                notifications: []
+            };
+
+            await this.db.saveWaitlistEntry(entry);
+            this.emit('entryAdded', entry);
+            this.emit('changed');
+            return (await this.annotate([entry]))[0];
+        });
+    }
+
+    /**
+     * Change an entry. Status follows waiting -> notified -> seated -> completed, with
+     * cancelled (the party left) and no_show (called but never came back) on the way.
+     */
+    async update(entryId, changes) {
+        const entry = await this.serialize(async () => {
+            const entry = { ...await this.get(entryId) };
+            delete entry.position;
+            delete entry.estimatedMinutes;
+
+            if (changes.partySize !== undefined && changes.partySize !== entry.partySize) {
+                if (!['waiting', 'notified'].includes(entry.status)) {
+                    throw new WaitlistError('entry_closed', `Party ${entry.contact.name} is already ${entry.status}`);
+                }
+                this.checkParty(changes.partySize);
+                entry.partySize = changes.partySize;
+            }
+
+            if (changes.status && changes.status !== entry.status) {
+                if (!STATUS_CHANGES[entry.status].includes(changes.status)) {
+                    throw new WaitlistError('entry_closed', `Party ${entry.contact.name} is ${entry.status} and can't become ${changes.status}`);
+                }
+                entry.status = changes.status;
+
+                const now = this.now().toISOString();
+                if (changes.status === 'notified') entry.notifiedAt = now;
+                if (changes.status === 'seated') entry.seatedAt = now;
+                if (changes.status === 'completed') entry.completedAt = now;
+                if (changes.status === 'cancelled' || changes.status === 'no_show') {
+                    entry.cancelledAt = now;
+                    entry.cancellationReason = changes.cancellationReason || null;
+                }
+            }
+
+            if (changes.contact) {
+                entry.contact = { ...entry.contact, ...changes.contact };
+                entry.notifyBy = entry.contact.phone ? 'sms' : entry.contact.email ? 'email' : null;
+            }
+            for (const field of ['notes', 'tablePreferences']) {
+                if (changes[field] !== undefined) entry[field] = changes[field];
+            }
+            if (changes.notification) entry.notifications = [...entry.notifications, changes.notification];
+            entry.updatedAt = this.now().toISOString();
+
+            await this.db.saveWaitlistEntry(entry);
+            return entry;
+        });
+
+        this.emit('entryUpdated', entry);
+        this.emit('changed');
+        if (FREEING_STATUSES.includes(changes.status)) {
+            await this.callReady();
+        }
+        return (await this.annotate([entry]))[0];
+    }
+
+    /**
+     * Tell the party their table is ready, by text or email when they left a number or
+     * address (otherwise the host calls their name), and mark them notified
+     */
+    async notify(entryId, { text = null } = {}) {
+        const entry = await this.get(entryId);
+        if (entry.status !== 'waiting' && entry.status !== 'notified') {
+            throw new WaitlistError('entry_closed', `Party ${entry.contact.name} is already ${entry.status}`);
+        }
+
+        let notification = null;
+        if (entry.notifyBy) {
+            const restaurant = this.scenario?.name || 'the restaurant';
+            notification = await this.notifier.send({
+                channel: entry.notifyBy,
+                to: entry.notifyBy === 'sms' ? entry.contact.phone : entry.contact.email,
+                subject: `Your table at ${restaurant} is ready`,
+                text: text || `Hi ${entry.contact.name}, your table for ${entry.partySize} at ${restaurant} is ready. ` +
+                    `Please come to the host stand within ${this.holdMinutes} minutes.`,
+                metadata: { type: 'table_ready', entryId: entry.id }
+            });
+        }
+
+        return this.update(entryId, { status: 'notified', notification });
+    }
+
+    async cancel(entryId, { reason = null } = {}) {
+        return this.update(entryId, { status: 'cancelled', cancellationReason: reason });
+    }
+
+    /**
+     * Call waiting parties, in order, while the free seats cover the next one
+     */
+    async callReady() {
+        if (!this.autoNotify) return [];
+
+        const floor = await this.floor();
+        const now = this.now();
+        let free = this.estimator.capacity - floor.holding
+            .filter(party => party.since <= new Date(now.getTime() + this.holdMinutes * 60000))
+            .reduce((seats, party) => seats + party.partySize, 0);
+
+        const called = [];
+        for (const entry of await this.entries('waiting')) {
+            if (entry.partySize > free) break;
+            free -= entry.partySize;
+            called.push(await this.notify(entry.id));
+        }
+        return called;
+    }
+
+    /**
+     * Who holds seats now and how long today's tables took, for WaitEstimator
+     */
+    async floor() {
+        const now = this.now();
+        const since = new Date(now - DAY_MS).toISOString();
+        const entries = await this.db.findWaitlistEntries({ from: since });
+        const reservations = this.reservations ?
+            await this.db.findReservations({ from: since, to: new Date(now.getTime() + DAY_MS).toISOString() }) :
+            [];
+        const parties = [...entries, ...reservations];
+
+        const holding = [
+            ...parties.filter(party => party.status === 'seated')
+                .map(party => ({ partySize: party.partySize, since: new Date(party.seatedAt || party.updatedAt) })),
+            // Called parties are on their way to a table that's being held for them
+            ...entries.filter(entry => entry.status === 'notified')
+                .map(entry => ({ partySize: entry.partySize, since: new Date(entry.notifiedAt) })),
+            // Booked tables are held from their start until they'd have finished
+            ...reservations.filter(reservation => reservation.status === 'booked' && new Date(reservation.endsAt) > now)
+                .map(reservation => ({ partySize: reservation.partySize, since: new Date(reservation.startsAt) }))
+        ];
+        const recentTurns = parties
+            .filter(party => party.status === 'completed' && party.seatedAt && party.completedAt)
+            .sort((a, b) => a.completedAt.localeCompare(b.completedAt))
+            .map(party => (new Date(party.completedAt) - new Date(party.seatedAt)) / 60000);
+
+        return { holding, recentTurns };
+    }
+
+    async entries(status) {
+        return this.db.findWaitlistEntries({ status, from: new Date(this.now() - DAY_MS).toISOString() });
+    }
+
+    // Each waiting party's place in line and current wait
+    async annotate(entries) {
+        const waiting = await this.entries('waiting');
+        const { waits } = this.estimator.estimate(await this.floor(), waiting, this.now());
+
+        return entries.map(entry => {
+            const index = waiting.findIndex(candidate => candidate.id === entry.id);
+            return {
+                ...entry,
+                position: index >= 0 ? index + 1 : null,
+                estimatedMinutes: index >= 0 ? waits[index]?.minutes ?? null : null
+            };
+        });
+    }
+
+    checkParty(partySize) {
+        if (this.estimator.capacity <= 0) {
+            throw new WaitlistError('waitlist_unavailable', `${this.scenario?.name || 'This restaurant'} doesn't seat walk-ins`);
+        }
+        if (partySize > Math.min(this.maxPartySize, this.estimator.capacity)) {
+            throw new WaitlistError('party_too_large', `We can seat walk-in parties of up to ${Math.min(this.maxPartySize, this.estimator.capacity)}; larger groups need to speak with a manager`);
+        }
+    }
+
+    serialize(write) {
+        const result = this.writes.then(write);
+        this.writes = result.catch(() => {});
+        return result;
+    }
+}
+
+export default Waitlist;
@@ -0,0 +1,166 @@
+/**
+ * Waitlist tools
+ * What Amara and Marcus can do with the walk-in waitlist mid-conversation: quote the wait,
+ * put a party on the list, tell them where they stand and take them off it. Like the
+ * reservation tools, the definition is what ConvAI agents are given as a webhook tool and
+ * createWaitlistTools() adds the function behind it and a local-session intent().
+ */
+
+import { WaitlistError } from './Waitlist.js';
+import { readRequest } from '../reservations/tools.js';
+import { parseReservationRequest } from '../reservations/bookingRequest.js';
+
+const WAITLIST_AGENTS = ['amara', 'marcus'];
+const WAITLIST_ACTIONS = ['quote', 'join', 'status', 'leave'];
+const PHONE = /^\+?[\d\s().-]{7,}$/;
+
+const WAITLIST = /\bwait\s?-?list\b|\bthe list\b/i;
+const LEAVE = /\b(?:take|get)\s+(?:us|me)\s+off\b|\b(?:leave|cancel|drop out of)\s+(?:the\s+)?(?:wait\s?-?list|list)\b|\bwe(?:'re| are) (?:leaving|not going to wait)\b/i;
+const STATUS = /\bwhere (?:are|am) (?:we|i)\b|\bhow much longer\b|\bour (?:place|spot|position)\b|\bmy (?:place|spot|position)\b|\bstill waiting\b|\bis (?:our|my) table ready\b/i;
+const JOIN = /\b(?:put|add|sign)\s+(?:us|me)\s+(?:on|down|up|in)\b|\badd\s+(?:us|me)\s+to\b|\bwe(?:'ll| will) wait\b|\bjoin\s+(?:the\s+)?(?:wait\s?-?list|list)\b/i;
+const QUOTE = /\bhow long(?:'s| is| will| would)?\b.*\bwait\b|\bwhat(?:'s| is) the wait\b|\bis there a wait\b|\bany wait\b|\bwait (?:time|for a table)\b/i;
+
+export const WAITLIST_TOOLS = [
+    {
+        name: 'manage_waitlist',
+        description: 'Walk-in waitlist: quote the wait for a party, add a party, check a party\'s place, or take a party off',
+        agents: WAITLIST_AGENTS,
+        parameters: {
+            type: 'object',
+            properties: {
+                action: { type: 'string', enum: WAITLIST_ACTIONS },
+                partySize: { type: 'integer', minimum: 1, maximum: 50, description: 'Needed to quote or join' },
+                name: { type: 'string', minLength: 1, maxLength: 100 },
+                phone: { type: 'string', maxLength: 30, description: 'Texted when the table is ready' },
+                email: { type: 'string', format: 'email' },
+                notes: { type: 'string', maxLength: 500 },
+                entryId: { type: 'string', description: 'The entry to check or take off; defaults to the one this session added' }
+            },
+            required: ['action'],
+            additionalProperties: false
+        }
+    }
+];
+
+/**
+ * The waitlist tools, working against waitlist
+ *
+ * @param {import('./Waitlist.js').Waitlist} waitlist
+ */
+export function createWaitlistTools(waitlist) {
+    // The party this conversation put on the list, or the one the agent names
+    async function findEntry(entryId, context) {
+        const entry = entryId ? await waitlist.get(entryId) :
+            context.sessionId ? await waitlist.findBySession(context.sessionId) : null;
+        if (!entry) {
+            throw new WaitlistError('entry_not_found', 'I don\'t see you on the waitlist yet');
+        }
+        return entry;
+    }
+
+    const actions = {
+        async quote({ partySize }) {
+            const quote = await waitlist.quote(requireParty(partySize));
+            const ahead = quote.partiesAhead === 0 ? 'nobody is ahead of you' :
+                `${quote.partiesAhead} ${quote.partiesAhead === 1 ? 'party is' : 'parties are'} ahead of you`;
+            return {
+                quote,
+                summary: quote.quotedMinutes === 0 ?
+                    `We can seat ${partySize} right away.` :
+                    `The wait for ${partySize} is about ${quote.quotedMinutes} minutes; ${ahead}.`
+            };
+        },
+
+        async join(args, context) {
+            const entry = await waitlist.add({
+                partySize: requireParty(args.partySize),
+                contact: { name: args.name || 'Guest', phone: args.phone, email: args.email },
+                notes: args.notes,
+                source: context.source || 'agent',
+                sessionId: context.sessionId,
+                agentId: context.agentId
+            });
+            const wait = entry.quotedMinutes === 0 ? 'We should have a table for you in a moment' :
+                `We're quoting about ${entry.quotedMinutes} minutes`;
+            return {
+                entry,
+                summary: `You're on the waitlist, party of ${entry.partySize}` +
+                    `${entry.contact.name !== 'Guest' ? ` under ${entry.contact.name}` : ''}. ${wait}, ` +
+                    `and ${readyBy(entry)} when your table is ready.`
+            };
+        },
+
+        async status({ entryId }, context) {
+            const entry = await findEntry(entryId, context);
+            let summary;
+            if (entry.status === 'notified') {
+                summary = 'Your table is ready; please come to the host stand.';
+            } else if (entry.status === 'waiting') {
+                summary = `You're number ${entry.position} on the list` +
+                    (entry.estimatedMinutes > 0 ? `, with about ${entry.estimatedMinutes} minutes to go.` : ', and your table should be ready any moment.');
+            } else {
+                summary = `That party is ${entry.status.replace('_', ' ')}.`;
+            }
+            return { entry, summary };
+        },
+
+        async leave({ entryId }, context) {
+            const entry = await waitlist.cancel((await findEntry(entryId, context)).id, { reason: 'guest left' });
+            return { entry, summary: `I've taken ${entry.contact.name !== 'Guest' ? entry.contact.name : 'your party'} off the waitlist.` };
+        }
+    };
+
+    return WAITLIST_TOOLS.map(tool => ({
+        ...tool,
+        execute: ({ action, ...args }, context = {}) => actions[action](args, context),
+        intent: (transcript, context = {}) => intent(transcript, {
+            ...context,
+            request: readRequest(transcript, { conversation: context.conversation, now: waitlist.now() }),
+            turn: parseReservationRequest(transcript, waitlist.now())
+        })
+    }));
+}
+
+/**
+ * Read a waitlist call out of a guest's turn for local sessions. A party size or name the
+ * guest gave while asking about the wait carries over to "okay, put us down". Whether a
+ * question about the wait is about walking in depends on this turn alone (turn): a date
+ * carried over from an earlier booking doesn't make "how long is the wait?" a booking.
+ */
+function intent(transcript, { request, turn, userId }) {
+    const onList = WAITLIST.test(transcript);
+
+    if (LEAVE.test(transcript) && (onList || request.followUp)) return { action: 'leave' };
+    if (STATUS.test(transcript) && (onList || request.followUp)) return { action: 'status' };
+    if (JOIN.test(transcript) && (onList || request.followUp || request.partySize)) {
+        return withoutEmpty({
+            action: 'join',
+            partySize: request.partySize,
+            name: request.name,
+            phone: PHONE.test(userId || '') ? userId : null
+        });
+    }
+    if (QUOTE.test(transcript) && !turn.time && !turn.date) {
+        return withoutEmpty({ action: 'quote', partySize: request.partySize });
+    }
+    return null;
+}
+
+function requireParty(partySize) {
+    if (!partySize) {
+        throw new WaitlistError('missing_details', 'How many are in your party?');
+    }
+    return partySize;
+}
+
+function readyBy(entry) {
+    if (entry.notifyBy === 'sms') return 'we\'ll text you';
+    if (entry.notifyBy === 'email') return 'we\'ll email you';
+    return 'we\'ll call your name';
+}
+
+function withoutEmpty(args) {
+    return Object.fromEntries(Object.entries(args).filter(([, value]) => value !== null && value !== undefined));
+}
+
+export default createWaitlistTools;
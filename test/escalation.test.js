@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoiceManager } from '../src/voice/VoiceManager.js';
+import { EscalationQueue } from '../src/escalation/EscalationQueue.js';
+import { LocalProvider } from '../src/llm/LocalProvider.js';
+
+function createQueue() {
+    const voiceManager = new VoiceManager({ llmProvider: new LocalProvider() });
+    const queue = new EscalationQueue({ voiceManager }, {}).attach();
+    return { voiceManager, queue };
+}
+
+test('two replies the local agent could only guess at open a low_confidence ticket', async () => {
+    const { voiceManager, queue } = createQueue();
+    const { sessionId } = voiceManager.startConversation('session-1', 'marcus', 'guest-1');
+
+    await voiceManager.processSpeechInput(sessionId, 'Can I bring my dog along when we come by next week?');
+    assert.equal(queue.list({ status: 'open' }).length, 0);
+
+    await voiceManager.processSpeechInput(sessionId, 'Is the parking lot behind the building free after six?');
+    const [ticket] = queue.list({ status: 'open' });
+    assert.equal(ticket?.trigger, 'low_confidence');
+});
+
+test('asking for a manager pages staff instead of handing the guest to Marcus', async () => {
+    const { voiceManager, queue } = createQueue();
+    const { sessionId } = voiceManager.startConversation('session-3', 'amara', 'guest-3');
+
+    const response = await voiceManager.processSpeechInput(sessionId, 'I want to speak to a manager');
+    assert.equal(response.handoff, null);
+    assert.equal(voiceManager.conversations.get(sessionId).agentId, 'amara');
+
+    const [ticket] = queue.list({ status: 'open' });
+    assert.equal(ticket?.trigger, 'guest_request');
+});
+
+test('short acknowledgements do not count as low confidence', async () => {
+    const { voiceManager, queue } = createQueue();
+    const { sessionId } = voiceManager.startConversation('session-2', 'marcus', 'guest-2');
+
+    await voiceManager.processSpeechInput(sessionId, 'okay');
+    await voiceManager.processSpeechInput(sessionId, 'thanks');
+    assert.equal(queue.list({ status: 'open' }).length, 0);
+});
+
+test('hedging replies score at or below the default escalation threshold', () => {
+    const confidence = VoiceManager.prototype.calculateResponseConfidence(
+        'What time does the kitchen stop taking orders on Sundays?',
+        "I'm not sure about Sunday hours, I'm afraid.",
+        []
+    );
+    assert.ok(confidence <= 0.5, `confidence ${confidence}`);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeMulaw, encodeMulaw } from '../src/telephony/mulaw.js';
+
+function pcm(...samples) {
+    const buffer = Buffer.alloc(samples.length * 2);
+    samples.forEach((sample, i) => buffer.writeInt16LE(sample, i * 2));
+    return buffer;
+}
+
+function samples(buffer) {
+    return Array.from({ length: buffer.length / 2 }, (_, i) => buffer.readInt16LE(i * 2));
+}
+
+test('silence and full scale match the G.711 code points', () => {
+    assert.deepEqual([...encodeMulaw(pcm(0, 32767, -32768))], [0xff, 0x80, 0x00]);
+    assert.deepEqual(samples(decodeMulaw(Buffer.from([0xff, 0x7f, 0x80, 0x00]))), [0, 0, 32124, -32124]);
+});
+
+test('every byte decodes and encodes back to itself', () => {
+    const bytes = Buffer.from(Array.from({ length: 256 }, (_, byte) => byte));
+    const roundTrip = encodeMulaw(decodeMulaw(bytes));
+
+    // 0x7f is negative zero, which encodes as positive zero
+    const expected = [...bytes].map(byte => (byte === 0x7f ? 0xff : byte));
+    assert.deepEqual([...roundTrip], expected);
+});
+
+test('encoding then decoding stays within the quantization step', () => {
+    for (let sample = -32768; sample <= 32767; sample += 97) {
+        const [decoded] = samples(decodeMulaw(encodeMulaw(pcm(sample))));
+        const clipped = Math.max(-32635, Math.min(32635, sample));
+        // Steps double with each segment: 8 near zero, 1024 at the top
+        const step = Math.max(8, 2 ** Math.floor(Math.log2(Math.abs(clipped) + 132)) / 16);
+
+        assert.ok(Math.abs(decoded - clipped) <= step, `${sample} decoded as ${decoded}`);
+        assert.equal(Math.sign(decoded) || 1, Math.sign(sample) || 1, `${sample} kept its sign`);
+    }
+});
+
+test('one byte per sample, and a trailing half sample is dropped', () => {
+    assert.equal(encodeMulaw(Buffer.alloc(321)).length, 160);
+    assert.equal(decodeMulaw(Buffer.alloc(160)).length, 320);
+});
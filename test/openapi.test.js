@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { app } from '../server.js';
+import { buildOpenApiSpec } from '../src/api/openapi.js';
+
+// Every method and path registered on the Express app, read straight off the router
+function expressRoutes() {
+    return app._router.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => ({ method, path: layer.route.path })));
+}
+
+test('the app registers routes', () => {
+    assert.ok(expressRoutes().length > 0);
+});
+
+test('every Express route is in the generated OpenAPI document', () => {
+    const { paths } = buildOpenApiSpec(app);
+
+    const missing = expressRoutes()
+        .filter(({ method, path }) => !paths[path.replace(/:(\w+)/g, '{$1}')]?.[method])
+        .map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+
+    assert.deepEqual(missing, []);
+});
+
+test('path parameters are declared on their operations', () => {
+    const { paths } = buildOpenApiSpec(app);
+
+    for (const { method, path } of expressRoutes()) {
+        const operation = paths[path.replace(/:(\w+)/g, '{$1}')]?.[method];
+        if (!operation) continue;
+        const declared = (operation.parameters || []).filter(parameter => parameter.in === 'path').map(parameter => parameter.name);
+        const expected = [...path.matchAll(/:(\w+)/g)].map(([, name]) => name);
+
+        assert.deepEqual(declared.sort(), expected.sort(), `${method.toUpperCase()} ${path}`);
+    }
+});
@@ -0,0 +1,98 @@
+/**
+ * PostgresStore against a real server. Skipped unless TEST_DATABASE_URL points at a
+ * database the tests may write to, e.g.
+ *   TEST_DATABASE_URL=postgres://localhost/restaurant_test npm test
+ * Records are tagged with a per-run agent id, so rows left by earlier runs don't matter.
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+const connectionString = process.env.TEST_DATABASE_URL;
+const run = `test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+describe('PostgresStore', { skip: !connectionString && 'TEST_DATABASE_URL is not set' }, () => {
+    let store;
+
+    before(async () => {
+        const { PostgresStore } = await import('../src/database/PostgresStore.js');
+        store = new PostgresStore({ connectionString, max: 2 });
+        await store.initialize();
+    });
+
+    after(async () => {
+        await store?.close();
+    });
+
+    function conversation(id, minutesAgo, fields = {}) {
+        return {
+            sessionId: `${run}-${id}`,
+            agentId: run,
+            userId: 'guest-1',
+            startedAt: new Date(Date.now() - minutesAgo * 60000).toISOString(),
+            ...fields
+        };
+    }
+
+    test('migrating again applies nothing', async () => {
+        assert.deepEqual(await store.migrate(), []);
+    });
+
+    test('saves, reads back and updates a record by key', async () => {
+        const record = conversation('roundtrip', 1, { sentiment: 0.7 });
+        await store.save('conversations', record.sessionId, record);
+        assert.deepEqual(await store.get('conversations', record.sessionId), record);
+
+        await store.save('conversations', record.sessionId, { ...record, endedAt: new Date().toISOString() });
+        assert.ok((await store.get('conversations', record.sessionId)).endedAt);
+        assert.equal(await store.get('conversations', `${run}-missing`), null);
+    });
+
+    test('generated keys come back as strings', async () => {
+        const saved = await store.save('interactions', null, { agentId: run, message: 'hello' });
+        assert.equal(typeof saved.id, 'string');
+        assert.equal((await store.get('interactions', saved.id)).message, 'hello');
+    });
+
+    test('query filters on indexed columns, sentiment ranges and limit', async () => {
+        const sentiments = [0.2, 0.4, 0.6];
+        await store.saveMany('conversations', sentiments.map((sentiment, i) => {
+            const record = conversation(`query-${i}`, 10 - i, { sentiment, userId: 'guest-query' });
+            return { id: record.sessionId, data: record };
+        }));
+
+        const all = await store.query('conversations', { agentId: run, userId: 'guest-query' });
+        assert.deepEqual(all.map(record => record.sentiment), sentiments);
+
+        const neutral = await store.query('conversations', { agentId: run, userId: 'guest-query', sentiment: { min: 0.4, below: 0.6 } });
+        assert.deepEqual(neutral.map(record => record.sentiment), [0.4]);
+
+        const recent = await store.query('conversations', { agentId: run, userId: 'guest-query', limit: 2 });
+        assert.deepEqual(recent.map(record => record.sessionId), [`${run}-query-1`, `${run}-query-2`]);
+    });
+
+    test('pages newest first and continues after the before cursor', async () => {
+        for (let i = 0; i < 3; i++) {
+            const record = conversation(`page-${i}`, 20 - i, { userId: 'guest-page' });
+            await store.save('conversations', record.sessionId, record);
+        }
+
+        const filters = { agentId: run, userId: 'guest-page' };
+        const first = await store.page('conversations', filters, 2);
+        assert.deepEqual(first.map(record => record.sessionId), [`${run}-page-2`, `${run}-page-1`]);
+
+        const last = first[first.length - 1];
+        const rest = await store.page('conversations', { ...filters, before: { timestamp: last.startedAt, key: last.sessionId } }, 2);
+        assert.deepEqual(rest.map(record => record.sessionId), [`${run}-page-0`]);
+    });
+
+    test('a failed transaction leaves nothing behind', async () => {
+        const record = conversation('rolled-back', 1);
+        await assert.rejects(store.transaction(async (tx) => {
+            await tx.save('conversations', record.sessionId, record);
+            throw new Error('abort');
+        }), /abort/);
+
+        assert.equal(await store.get('conversations', record.sessionId), null);
+    });
+});
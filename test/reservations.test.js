@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DatabaseManager } from '../src/database/db.js';
+import { ReservationBook } from '../src/reservations/ReservationBook.js';
+
+const DATE = '2030-06-14';
+const scenario = { name: 'Test Bistro', capacity: 10, workflowRules: { averageServiceTime: 90 } };
+let dataPath;
+
+before(async () => {
+    dataPath = await fs.mkdtemp(path.join(os.tmpdir(), 'reservations-test-'));
+});
+
+after(async () => {
+    await fs.rm(dataPath, { recursive: true, force: true });
+});
+
+async function createBook(options = {}) {
+    const db = new DatabaseManager();
+    db.backend = 'file';
+    db.dataPath = await fs.mkdtemp(path.join(dataPath, 'db-'));
+
+    return new ReservationBook({
+        db,
+        scenario,
+        hours: '17:00-22:00',
+        slotMinutes: 15,
+        maxPartySize: 8,
+        now: () => new Date(2030, 5, 14, 12, 0),
+        ...options
+    }, {});
+}
+
+function booking(time, partySize, name = 'Kim') {
+    return { date: DATE, time, partySize, contact: { name } };
+}
+
+test('every seating is open on an empty night', async () => {
+    const book = await createBook();
+    const { available, times } = await book.availability({ date: DATE, partySize: 4 });
+
+    assert.equal(available, true);
+    assert.equal(times[0], '17:00');
+    assert.equal(times[times.length - 1], '22:00');
+    assert.equal(times.length, 21);
+});
+
+test('bookings hold their seats for the service time', async () => {
+    const book = await createBook();
+    await book.book(booking('19:00', 6));
+
+    const during = await book.availability({ date: DATE, time: '19:30', partySize: 6 });
+    assert.equal(during.available, false);
+    assert.equal(during.seatsLeft, 4);
+
+    const fits = await book.availability({ date: DATE, time: '19:30', partySize: 4 });
+    assert.equal(fits.available, true);
+
+    // 19:00 + 90 minutes: the table is free again at 20:30
+    const after = await book.availability({ date: DATE, time: '20:30', partySize: 6 });
+    assert.equal(after.available, true);
+});
+
+test('a full time is refused with the nearest free times', async () => {
+    const book = await createBook();
+    await book.book(booking('19:00', 6, 'Kim'));
+    await book.book(booking('19:00', 4, 'Lee'));
+
+    await assert.rejects(book.book(booking('19:15', 2, 'Patel')), (error) => {
+        assert.equal(error.code, 'slot_unavailable');
+        // A party seated at 17:45 would still be there when the 19:00 bookings arrive
+        assert.deepEqual(error.details.alternatives, ['17:30', '20:30', '20:45', '21:00']);
+        return true;
+    });
+});
+
+test('seats free up when a booking is cancelled', async () => {
+    const book = await createBook();
+    const reservation = await book.book(booking('19:00', 8));
+    assert.equal((await book.availability({ date: DATE, time: '19:00', partySize: 4 })).available, false);
+
+    await book.cancel(reservation.id);
+    assert.equal((await book.availability({ date: DATE, time: '19:00', partySize: 4 })).available, true);
+});
+
+test('parties larger than the room or the booking limit are refused', async () => {
+    const book = await createBook();
+    await assert.rejects(book.availability({ date: DATE, partySize: 9 }), { code: 'party_too_large' });
+
+    const small = await createBook({ scenario: { ...scenario, capacity: 6 } });
+    await assert.rejects(small.availability({ date: DATE, partySize: 7 }), { code: 'party_too_large' });
+});
+
+test('times outside service hours and in the past are refused', async () => {
+    const book = await createBook();
+    await assert.rejects(book.book(booking('16:30', 2)), { code: 'outside_service_hours' });
+    await assert.rejects(book.book({ ...booking('18:00', 2), date: '2030-06-13' }), { code: 'reservation_in_past' });
+});
+
+test('a restaurant without seats takes no reservations', async () => {
+    const book = await createBook({ scenario: null });
+    await assert.rejects(book.availability({ date: DATE, partySize: 2 }), { code: 'reservations_unavailable' });
+});
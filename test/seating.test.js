@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FloorPlan } from '../src/seating/FloorPlan.js';
+import { SeatingEngine } from '../src/seating/SeatingEngine.js';
+import { TableBoard } from '../src/seating/TableBoard.js';
+
+const scenario = {
+    name: 'Test Bistro',
+    capacity: 32,
+    floorPlan: {
+        sections: [
+            {
+                id: 'main',
+                name: 'Dining Room',
+                prefix: 'M',
+                server: 'Ana',
+                tables: [
+                    { seats: 2, count: 2, combinable: true },
+                    { seats: 4, count: 3, features: ['window'], combinable: true }
+                ]
+            },
+            {
+                id: 'patio',
+                name: 'Patio',
+                prefix: 'P',
+                tables: [{ seats: 4, count: 2, features: ['patio'] }]
+            },
+            {
+                id: 'private',
+                name: 'Private Room',
+                tables: [{ id: 'PR', seats: 8, features: ['private'] }]
+            }
+        ]
+    }
+};
+
+function allFree(plan) {
+    return { free: new Set(plan.tables.map(table => table.id)) };
+}
+
+test('runs of tables are numbered per section and combine with their neighbours in the run', () => {
+    const plan = FloorPlan.fromScenario(scenario);
+
+    assert.deepEqual(plan.tables.map(table => table.id), ['M1', 'M2', 'M3', 'M4', 'M5', 'P1', 'P2', 'PR']);
+    assert.deepEqual(plan.table('M2').combinableWith, ['M1']);
+    assert.deepEqual(plan.table('M4').combinableWith.sort(), ['M3', 'M5']);
+    assert.deepEqual(plan.table('P1').combinableWith, []);
+    assert.equal(plan.capacity, 32);
+});
+
+test('scenarios without a floor plan get four-tops for their capacity', () => {
+    const plan = FloorPlan.fromScenario({ capacity: 10 });
+    assert.deepEqual(plan.tables.map(table => table.seats), [4, 4, 2]);
+});
+
+test('a party gets the smallest table that fits', () => {
+    const plan = FloorPlan.fromScenario(scenario);
+    const engine = new SeatingEngine(plan);
+
+    assert.deepEqual(engine.best({ partySize: 2 }, allFree(plan)).tableIds, ['M1']);
+    assert.deepEqual(engine.best({ partySize: 3 }, allFree(plan)).tableIds, ['M3']);
+});
+
+test('tables are pushed together only when no single table fits', () => {
+    const plan = FloorPlan.fromScenario(scenario);
+    const engine = new SeatingEngine(plan);
+    const free = { free: new Set(['M1', 'M2', 'M3', 'M4', 'P1']) };
+
+    const best = engine.best({ partySize: 8 }, free);
+    assert.deepEqual(best.tableIds, ['M3', 'M4']);
+    assert.equal(best.emptySeats, 0);
+    // M1 and M2 pushed together seat four as well, but a single four-top is free
+    assert.equal(engine.best({ partySize: 4 }, free).tableIds.length, 1);
+    assert.equal(engine.best({ partySize: 12 }, free), null);
+});
+
+test('preferences are matched and the private room is kept for guests who ask', () => {
+    const plan = FloorPlan.fromScenario(scenario);
+    const engine = new SeatingEngine(plan);
+
+    const patio = engine.best({ partySize: 4, tablePreferences: ['patio'] }, allFree(plan));
+    assert.deepEqual(patio.tableIds, ['P1']);
+    assert.deepEqual(patio.matched, ['patio']);
+
+    // Eight fit exactly in the private room, but two pushed-together four-tops come first
+    assert.notDeepEqual(engine.best({ partySize: 8 }, allFree(plan)).tableIds, ['PR']);
+    assert.deepEqual(engine.best({ partySize: 8, tablePreferences: ['private'] }, allFree(plan)).tableIds, ['PR']);
+});
+
+test('busy sections are passed over for an equal table elsewhere', () => {
+    const plan = FloorPlan.fromScenario(scenario);
+    const engine = new SeatingEngine(plan);
+    const free = { free: new Set(['M4', 'P1']), partiesBySection: { main: 3 } };
+
+    assert.deepEqual(engine.best({ partySize: 4 }, free).tableIds, ['P1']);
+});
+
+test('the board seats parties and follows their tables until they are bussed', async () => {
+    const board = new TableBoard({ scenario });
+
+    const { party } = await board.seat({ partySize: 6, name: 'Kim' });
+    assert.equal(party.tableIds.length, 2);
+    assert.equal(board.get(party.tableIds[0]).state, 'seated');
+    assert.equal(board.summary().guests, 6);
+
+    await board.setState(party.tableIds[0], 'check_dropped');
+    assert.equal(board.get(party.tableIds[1]).state, 'check_dropped');
+    assert.equal(board.summary().finishing, 2);
+
+    await board.setState(party.tableIds[0], 'bussing');
+    await board.setState(party.tableIds[0], 'available');
+    assert.equal(board.summary().parties, 0);
+    assert.equal(board.get(party.tableIds[0]).state, 'available');
+});
+
+test('the board refuses taken tables, skipped states and parties too large to seat', async () => {
+    const board = new TableBoard({ scenario });
+    await board.seat({ partySize: 2, tableIds: ['M1'] });
+
+    await assert.rejects(board.seat({ partySize: 2, tableIds: ['M1'] }), { code: 'table_unavailable' });
+    await assert.rejects(board.setState('M2', 'dessert'), { code: 'table_unavailable' });
+    await assert.rejects(board.seat({ partySize: 40 }), { code: 'party_too_large' });
+    assert.throws(() => board.get('Z9'), { code: 'table_not_found' });
+});
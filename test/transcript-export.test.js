@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TranscriptExporter } from '../src/voice/TranscriptExporter.js';
+
+const conversation = {
+    sessionId: 'session-1',
+    agentId: 'marcus',
+    messages: [
+        { seq: 0, type: 'user', content: '=HYPERLINK("http://example.com","menu")', timestamp: 1000, confidence: -0.5 },
+        { seq: 1, type: 'user', content: '@everyone, is the patio open?', timestamp: 2000 },
+        { seq: 2, type: 'agent', agentId: 'marcus', content: 'It is, "rain or shine".', timestamp: 3000, confidence: 0.9 }
+    ]
+};
+
+test('CSV cells that would run as spreadsheet formulas are prefixed with a quote', () => {
+    const { body } = new TranscriptExporter().render(conversation, 'csv');
+    const rows = body.trim().split('\r\n');
+
+    assert.ok(rows[1].includes(`"'=HYPERLINK(""http://example.com"",""menu"")"`), rows[1]);
+    assert.ok(rows[2].includes(`"'@everyone, is the patio open?"`), rows[2]);
+    assert.ok(rows[3].includes('"It is, ""rain or shine""."'), rows[3]);
+});
+
+test('numbers are written as they are', () => {
+    const { body } = new TranscriptExporter().render(conversation, 'csv');
+    assert.ok(body.split('\r\n')[1].includes(',-0.5,'));
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TurnDetector, turnDetectionConfig, DEFAULT_TURN_DETECTION } from '../src/voice/TurnDetector.js';
+
+const SAMPLE_RATE = 16000;
+
+// Room noise: a steady ±20 signal, about -64 dBFS
+function noise(ms) {
+    const pcm = Buffer.alloc(Math.round(SAMPLE_RATE * ms / 1000) * 2);
+    for (let i = 0; i < pcm.length / 2; i++) {
+        pcm.writeInt16LE(i % 2 ? 20 : -20, i * 2);
+    }
+    return pcm;
+}
+
+// A 220 Hz tone standing in for a voice
+function voice(ms, amplitude = 8000) {
+    const pcm = Buffer.alloc(Math.round(SAMPLE_RATE * ms / 1000) * 2);
+    for (let i = 0; i < pcm.length / 2; i++) {
+        pcm.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 220 * i / SAMPLE_RATE)), i * 2);
+    }
+    return pcm;
+}
+
+function listen(options = {}, ...segments) {
+    const detector = new TurnDetector({ sampleRate: SAMPLE_RATE, maxTurnMs: 30000, ...options });
+    const events = [];
+    for (const name of ['speech_started', 'speech_stopped', 'turn']) {
+        detector.on(name, (event) => events.push({ name, ...event }));
+    }
+
+    // Fed in odd-sized frames, as clients send them
+    const stream = Buffer.concat(segments);
+    for (let offset = 0; offset < stream.length; offset += 1234) {
+        detector.push(stream.subarray(offset, offset + 1234));
+    }
+    detector.flush();
+    return events;
+}
+
+test('a spoken turn is found between pauses, with its prefix padding', () => {
+    const events = listen({}, noise(500), voice(1000), noise(1000));
+    const turns = events.filter(event => event.name === 'turn');
+
+    assert.deepEqual(events.map(event => event.name), ['speech_started', 'speech_stopped', 'turn']);
+    assert.equal(turns[0].audioStartMs, 500);
+    assert.equal(turns[0].audioEndMs, 1500);
+    // 1000 ms of speech plus up to 300 ms of padding before it
+    const audioMs = turns[0].audio.length / 2 / SAMPLE_RATE * 1000;
+    assert.ok(audioMs >= 1300 && audioMs <= 1400, `${audioMs} ms of audio`);
+});
+
+test('clicks shorter than 60 ms do not start a turn', () => {
+    assert.deepEqual(listen({}, noise(500), voice(40), noise(1000)), []);
+});
+
+test('pauses shorter than silence_duration_ms stay in the same turn', () => {
+    const speech = [noise(500), voice(600), noise(500), voice(600), noise(1200)];
+
+    const patient = listen({}, ...speech).filter(event => event.name === 'turn');
+    assert.equal(patient.length, 1);
+
+    const quick = listen({ turnDetection: { silence_duration_ms: 300 } }, ...speech).filter(event => event.name === 'turn');
+    assert.equal(quick.length, 2);
+});
+
+test('a higher threshold needs louder speech', () => {
+    // About 20 dB above the room noise
+    const quiet = [noise(1000), voice(800, 300), noise(1200)];
+
+    assert.equal(listen({}, ...quiet).filter(event => event.name === 'turn').length, 1);
+    assert.deepEqual(listen({ turnDetection: { threshold: 0.99 } }, ...quiet), []);
+});
+
+test('a guest who never pauses is cut off at maxTurnMs', () => {
+    const turns = listen({ maxTurnMs: 2000 }, noise(500), voice(5000)).filter(event => event.name === 'turn');
+
+    assert.ok(turns.length >= 2);
+    assert.equal(turns[0].audioEndMs - turns[0].audioStartMs, 2000);
+});
+
+test('turn detection settings come from defaults, then VAD_*, then overrides', () => {
+    assert.deepEqual(turnDetectionConfig({}, {}), DEFAULT_TURN_DETECTION);
+
+    const env = { VAD_THRESHOLD: '0.7', VAD_SILENCE_DURATION_MS: '500' };
+    assert.deepEqual(turnDetectionConfig({ silence_duration_ms: 1200, prefix_padding_ms: null }, env), {
+        ...DEFAULT_TURN_DETECTION,
+        threshold: 0.7,
+        silence_duration_ms: 1200
+    });
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WaitEstimator } from '../src/waitlist/WaitEstimator.js';
+
+const now = new Date(2030, 5, 14, 19, 0);
+
+function minutesAgo(minutes) {
+    return new Date(now.getTime() - minutes * 60000);
+}
+
+test('parties are seated straight away while there are free seats', () => {
+    const estimator = new WaitEstimator({ capacity: 20, serviceMinutes: 90 });
+    const { waits } = estimator.estimate({ holding: [{ partySize: 8, since: minutesAgo(10) }] }, [{ partySize: 4 }, { partySize: 6 }], now);
+
+    assert.deepEqual(waits.map(wait => wait.minutes), [0, 0]);
+});
+
+test('a full room waits for the first table to turn, rounded up to five minutes', () => {
+    const estimator = new WaitEstimator({ capacity: 10, serviceMinutes: 90 });
+    const holding = [
+        { partySize: 6, since: minutesAgo(60) },
+        { partySize: 4, since: minutesAgo(72) }
+    ];
+
+    const { turnMinutes, waits } = estimator.estimate({ holding }, [{ partySize: 4 }], now);
+    assert.equal(turnMinutes, 90);
+    // The party of four sat 72 minutes ago and leaves in 18
+    assert.equal(waits[0].minutes, 20);
+    assert.deepEqual(waits[0].readyAt, new Date(now.getTime() + 20 * 60000));
+});
+
+test('parties are seated in the order they joined', () => {
+    const estimator = new WaitEstimator({ capacity: 10, serviceMinutes: 90 });
+    const holding = [
+        { partySize: 4, since: minutesAgo(80) },
+        { partySize: 6, since: minutesAgo(40) }
+    ];
+
+    // The six waits for the second table even though the two behind it would fit sooner
+    const { waits } = estimator.estimate({ holding }, [{ partySize: 6 }, { partySize: 2 }], now);
+    assert.deepEqual(waits.map(wait => wait.minutes), [50, 50]);
+});
+
+test('overdue tables are expected to free up within five minutes', () => {
+    const estimator = new WaitEstimator({ capacity: 4, serviceMinutes: 90 });
+    const { waits } = estimator.estimate({ holding: [{ partySize: 4, since: minutesAgo(120) }] }, [{ partySize: 2 }], now);
+
+    assert.equal(waits[0].minutes, 5);
+});
+
+test('reservations arriving after a full turn do not hold seats yet', () => {
+    const estimator = new WaitEstimator({ capacity: 4, serviceMinutes: 90 });
+    const later = new Date(now.getTime() + 120 * 60000);
+    const { waits } = estimator.estimate({ holding: [{ partySize: 4, since: later }] }, [{ partySize: 4 }], now);
+
+    assert.equal(waits[0].minutes, 0);
+});
+
+test('turn time moves toward how long tables are actually taking', () => {
+    const estimator = new WaitEstimator({ capacity: 10, serviceMinutes: 90 });
+
+    assert.equal(estimator.turnMinutes([]), 90);
+    // Three turns of prior at 90 plus three observed at 60
+    assert.equal(estimator.turnMinutes([60, 60, 60]), 75);
+});
+
+test('a party larger than the room gets no quote', () => {
+    const estimator = new WaitEstimator({ capacity: 8, serviceMinutes: 90 });
+    const { waits } = estimator.estimate({}, [{ partySize: 10 }, { partySize: 2 }], now);
+
+    assert.equal(waits[0], null);
+    assert.equal(waits[1].minutes, 0);
+});